@@ -4,7 +4,10 @@ const { serializerCompiler, validatorCompiler } = require("fastify-type-provider
 const config = require("./config");
 const plagiarismRoutes = require("./routes/plagiarismRoutes");
 const webhookRoutes = require("./routes/webhookRoutes");
+const adminRoutes = require("./routes/adminRoutes");
 const { notFoundHandler, errorHandler } = require("./middlewares/errorHandler");
+const { getScanStreams } = require("./services/scanStreams");
+const { copyleaksClient } = require("./services/copyleaksService");
 
 function buildServer() {
   const isProduction = process.env.NODE_ENV === "production";
@@ -49,6 +52,7 @@ function buildServer() {
       tags: [
         { name: "plagiarism", description: "Plagiarism scanning endpoints" },
         { name: "webhook", description: "Copyleaks webhook endpoints" },
+        { name: "admin", description: "Operator endpoints (dead-lettered webhooks)" },
         { name: "health", description: "Health check endpoints" },
       ],
     },
@@ -71,16 +75,40 @@ function buildServer() {
         description: "Health check endpoint",
       },
     },
-    async () => ({
-      status: "ok",
-      service: "plagiarism-highlight-service",
-      environment: config.env,
-      webhookBaseUrl: config.webhookBaseUrl,
-    })
+    async () => {
+      const circuit = copyleaksClient.breaker.snapshot();
+      // Still 200: the service keeps serving stored scans while Copyleaks is unavailable
+      return {
+        status: circuit.state === "open" ? "degraded" : "ok",
+        service: "plagiarism-highlight-service",
+        environment: config.env,
+        webhookBaseUrl: config.webhookBaseUrl,
+        resultDelivery: config.resultDelivery,
+        copyleaks: { circuit, limiter: copyleaksClient.limiter.snapshot() },
+      };
+    }
   );
 
+  // WebSocket routes (GET /plagiarism/live). Root preClose hooks also run for the child
+  // contexts inheriting them, so open sockets are closed here in a way that may repeat; the
+  // plugin's default closes its server and fails when run twice.
+  app.register(require("@fastify/websocket"), {
+    preClose(done) {
+      for (const client of this.websocketServer.clients) {
+        client.close(1001, "Server shutting down");
+      }
+      done();
+    },
+  });
+
   app.register(plagiarismRoutes, { prefix: "/plagiarism" });
   app.register(webhookRoutes, { prefix: "/webhook" });
+  app.register(adminRoutes, { prefix: "/admin" });
+
+  // Open progress streams would otherwise keep the server from closing
+  app.addHook("preClose", async () => {
+    getScanStreams().closeAll();
+  });
 
   app.setNotFoundHandler(notFoundHandler);
   app.setErrorHandler(errorHandler);
@@ -12,17 +12,133 @@ function ensureEnv(value, key) {
   return value;
 }
 
+// "pull" polls Copyleaks for results instead of relying on its webhooks reaching us
+const resultDelivery = process.env.RESULT_DELIVERY === "pull" ? "pull" : "webhook";
+const port = Number.parseInt(process.env.PLAGIARISM_SERVICE_PORT || process.env.PORT || "4000", 10);
+const env = process.env.NODE_ENV || "development";
+// Unauthenticated webhooks are only tolerated while developing and testing
+const webhookSecretsOptional = env === "development" || env === "test";
+
 const config = {
-  env: process.env.NODE_ENV || "development",
-  port: Number.parseInt(process.env.PLAGIARISM_SERVICE_PORT || process.env.PORT || "4000", 10),
+  env,
+  port,
   copyleaks: {
     email: ensureEnv(process.env.COPYLEAKS_EMAIL, "COPYLEAKS_EMAIL"),
     apiKey: ensureEnv(process.env.COPYLEAKS_API_KEY, "COPYLEAKS_API_KEY"),
+    // API and identity (login) hosts; point both at `npm run emulator` to work offline
     baseUrl: process.env.COPYLEAKS_BASE_URL || "https://api.copyleaks.com",
+    idUrl: process.env.COPYLEAKS_ID_URL || "https://id.copyleaks.com",
     productEndpoint: process.env.PRODUCT_ENDPOINT || "scans",
     sandboxMode: process.env.SANDBOX_MODE === "true",
+    // Time each Copyleaks request may take before it is abandoned
+    requestTimeoutMs: Number.parseInt(process.env.COPYLEAKS_REQUEST_TIMEOUT_MS || "30000", 10),
+    // Log in again this long before the token's `.expires` time
+    tokenRefreshMarginMs: Number.parseInt(
+      process.env.COPYLEAKS_TOKEN_REFRESH_MARGIN_MS || "300000",
+      10
+    ),
+    // Requests started per second (token bucket refill), bucket size and requests in flight;
+    // 0 disables a limit
+    limits: {
+      ratePerSecond: Number.parseFloat(process.env.COPYLEAKS_RATE_LIMIT_PER_SECOND || "10"),
+      burst: Number.parseInt(process.env.COPYLEAKS_RATE_LIMIT_BURST || "20", 10),
+      maxConcurrent: Number.parseInt(process.env.COPYLEAKS_MAX_CONCURRENCY || "5", 10),
+    },
+    // Consecutive failed calls (network errors, 5xx) that open the circuit, how long it
+    // stays open before one trial call is let through, and how long that trial may run
+    circuit: {
+      failureThreshold: Number.parseInt(process.env.COPYLEAKS_CIRCUIT_FAILURE_THRESHOLD || "5", 10),
+      resetTimeoutMs: Number.parseInt(process.env.COPYLEAKS_CIRCUIT_RESET_MS || "30000", 10),
+      trialTimeoutMs: Number.parseInt(
+        process.env.COPYLEAKS_CIRCUIT_TRIAL_TIMEOUT_MS || "30000",
+        10
+      ),
+    },
+  },
+  // Copyleaks still requires webhook URLs in pull mode; they just need not be reachable
+  webhookBaseUrl:
+    resultDelivery === "pull"
+      ? process.env.WEBHOOK_BASE_URL || `http://localhost:${port}`
+      : ensureEnv(process.env.WEBHOOK_BASE_URL, "WEBHOOK_BASE_URL"),
+  resultDelivery,
+  exports: {
+    // Re-exports of failed tasks before the export is left partial (0 disables them)
+    maxReExports: Number.parseInt(process.env.EXPORT_MAX_REEXPORTS || "2", 10),
+  },
+  submissions: {
+    // Queue checks pick up retries that are due and scans queued on other replicas
+    intervalMs: Number.parseInt(process.env.SUBMISSION_POLL_INTERVAL_MS || "5000", 10),
+    concurrency: Number.parseInt(process.env.SUBMISSION_CONCURRENCY || "5", 10),
+    maxAttempts: Number.parseInt(process.env.SUBMISSION_MAX_ATTEMPTS || "5", 10),
+    // Retry delays double from here (5s, 10s, 20s, ...) up to SUBMISSION_RETRY_MAX_DELAY_MS
+    baseDelayMs: Number.parseInt(process.env.SUBMISSION_RETRY_BASE_DELAY_MS || "5000", 10),
+    maxDelayMs: Number.parseInt(process.env.SUBMISSION_RETRY_MAX_DELAY_MS || "300000", 10),
+    // An attempt still unfinished after this long is assumed lost with its worker
+    leaseMs: Number.parseInt(process.env.SUBMISSION_LEASE_MS || "600000", 10),
+  },
+  polling: {
+    intervalMs: Number.parseInt(process.env.RESULT_POLL_INTERVAL_MS || "30000", 10),
+    batchSize: Number.parseInt(process.env.RESULT_POLL_BATCH_SIZE || "20", 10),
+  },
+  streams: {
+    // Re-read streamed scans this often to see writes made by other replicas
+    pollIntervalMs: Number.parseInt(process.env.STREAM_POLL_INTERVAL_MS || "2000", 10),
+    // Comment lines sent on idle streams so proxies keep them open
+    heartbeatMs: Number.parseInt(process.env.STREAM_HEARTBEAT_MS || "15000", 10),
+    // Scans one dashboard WebSocket may follow across its subscriptions
+    maxScansPerSocket: Number.parseInt(process.env.STREAM_MAX_SCANS_PER_SOCKET || "500", 10),
+  },
+  storage: {
+    driver: process.env.SCAN_STORE_DRIVER || "sqlite",
+    sqlitePath:
+      process.env.SCAN_STORE_SQLITE_PATH || path.resolve(process.cwd(), "data", "scans.db"),
+    redisUrl: process.env.SCAN_STORE_REDIS_URL || process.env.REDIS_URL || "redis://localhost:6379",
+    redisKeyPrefix: process.env.SCAN_STORE_REDIS_PREFIX || "plagiarism:",
+  },
+  blobs: {
+    driver: process.env.BLOB_STORE_DRIVER || "filesystem",
+    directory: process.env.BLOB_STORE_DIR || path.resolve(process.cwd(), "data", "blobs"),
+  },
+  encryption: {
+    // Comma-separated <keyId>:<base64 32-byte key> pairs; empty disables encryption at rest
+    keys: process.env.SCAN_ENCRYPTION_KEYS || "",
+    // Key used for new data (defaults to the first key); older keys stay for decryption
+    activeKeyId: process.env.SCAN_ENCRYPTION_ACTIVE_KEY || "",
+  },
+  webhookAuth: {
+    // Comma-separated <keyId>:<base64 32-byte key> pairs; empty accepts unauthenticated webhooks
+    // and is refused outside development and test
+    keys: webhookSecretsOptional
+      ? process.env.WEBHOOK_SECRET_KEYS || ""
+      : ensureEnv(process.env.WEBHOOK_SECRET_KEYS, "WEBHOOK_SECRET_KEYS"),
+    // Key used for new scans (defaults to the first key); older keys keep verifying
+    activeKeyId: process.env.WEBHOOK_SECRET_ACTIVE_KEY || "",
+  },
+  admin: {
+    // Bearer token operators send to the /admin endpoints; they answer 403 while it is unset
+    token: process.env.ADMIN_API_TOKEN || "",
+  },
+  callbacks: {
+    // HMAC key for outbound callback signatures; callbacks are not sent without it
+    signingSecret: process.env.CALLBACK_SIGNING_SECRET || "",
+    maxAttempts: Number.parseInt(process.env.CALLBACK_MAX_ATTEMPTS || "6", 10),
+    // Retry delays double from here (1s, 2s, 4s, ...) up to CALLBACK_RETRY_MAX_DELAY_MS
+    baseDelayMs: Number.parseInt(process.env.CALLBACK_RETRY_BASE_DELAY_MS || "1000", 10),
+    maxDelayMs: Number.parseInt(process.env.CALLBACK_RETRY_MAX_DELAY_MS || "60000", 10),
+    timeoutMs: Number.parseInt(process.env.CALLBACK_TIMEOUT_MS || "10000", 10),
+    // How long shutdown waits for pending callbacks before dropping their retries
+    drainTimeoutMs: Number.parseInt(process.env.CALLBACK_DRAIN_TIMEOUT_MS || "10000", 10),
+    // Callback hosts must resolve to public addresses unless this is set (local development)
+    allowPrivateNetworks: process.env.CALLBACK_ALLOW_PRIVATE_NETWORKS === "true",
+  },
+  retention: {
+    // Matches the default Copyleaks expiration sent by PlagiarismScanner.submitTextScan
+    scanTtlMinutes: Number.parseInt(process.env.SCAN_RETENTION_MINUTES || "2880", 10),
+    // 0 disables the background sweeper
+    sweepIntervalMs: Number.parseInt(process.env.SCAN_SWEEP_INTERVAL_MS || "300000", 10),
+    sweepBatchSize: Number.parseInt(process.env.SCAN_SWEEP_BATCH_SIZE || "100", 10),
+    purgeCopyleaks: process.env.SCAN_RETENTION_PURGE_COPYLEAKS === "true",
   },
-  webhookBaseUrl: ensureEnv(process.env.WEBHOOK_BASE_URL, "WEBHOOK_BASE_URL"),
 };
 
 module.exports = config;
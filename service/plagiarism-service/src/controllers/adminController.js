@@ -0,0 +1,95 @@
+const crypto = require("node:crypto");
+const asyncHandler = require("../utils/asyncHandler");
+const logger = require("../utils/logger");
+const config = require("../config");
+const scanStore = require("../storage/scanStore");
+const { replayDeadLetter, replayDeadLetters } = require("../services/deadLetters");
+const {
+  NotFoundError,
+  ConflictError,
+  AuthenticationError,
+  ForbiddenError,
+} = require("../errors/custom-errors");
+
+// Compared as digests so the check takes the same time whatever the token's length
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Require the operator token (`Authorization: Bearer <ADMIN_API_TOKEN>`). Dead letters hold
+ * decrypted webhook bodies and replays change scans, so the endpoints stay closed until a
+ * token is configured.
+ */
+exports.authenticateOperator = asyncHandler(async (request) => {
+  const { token } = config.admin;
+  if (!token) {
+    throw new ForbiddenError("Admin endpoints are disabled; set ADMIN_API_TOKEN to enable them");
+  }
+
+  const [scheme, presented] = (request.headers.authorization ?? "").split(" ");
+  if (
+    scheme !== "Bearer" ||
+    !presented ||
+    !crypto.timingSafeEqual(digest(presented), digest(token))
+  ) {
+    logger.warn("Rejected admin request with a missing or invalid token", { url: request.url });
+    throw new AuthenticationError("Invalid operator token");
+  }
+});
+
+async function loadDeadLetter(id) {
+  const letter = await scanStore.getDeadLetter(id);
+
+  if (!letter) {
+    throw new NotFoundError("Dead letter not found");
+  }
+  return letter;
+}
+
+// The payload blob reference is internal; inspect returns the body itself
+const toPublicDeadLetter = ({ payload, ...letter }) => letter;
+
+exports.listDeadLetters = asyncHandler(async (request, reply) => {
+  const letters = await scanStore.listDeadLetters(request.query);
+
+  reply.send({ count: letters.length, items: letters.map(toPublicDeadLetter) });
+});
+
+exports.getDeadLetter = asyncHandler(async (request, reply) => {
+  const letter = await loadDeadLetter(request.params.id);
+
+  const payload = await scanStore.readDeadLetterPayload(letter);
+
+  reply.send({
+    ...toPublicDeadLetter(letter),
+    // Binary bodies (raw PDF reports) are returned base64-encoded
+    payload: Buffer.isBuffer(payload) ? payload.toString("base64") : payload,
+  });
+});
+
+exports.replayDeadLetter = asyncHandler(async (request, reply) => {
+  const letter = await loadDeadLetter(request.params.id);
+
+  if (letter.status !== "pending") {
+    throw new ConflictError("Dead letter was already replayed");
+  }
+
+  reply.send(toPublicDeadLetter(await replayDeadLetter(request.server, letter)));
+});
+
+exports.replayDeadLetters = asyncHandler(async (request, reply) => {
+  const { replayed, skipped } = await replayDeadLetters(request.server, request.body);
+
+  reply.send({
+    attempted: replayed.length,
+    processed: replayed.filter((letter) => letter.status === "replayed").length,
+    skipped,
+    items: replayed.map(toPublicDeadLetter),
+  });
+});
+
+exports.deleteDeadLetter = asyncHandler(async (request, reply) => {
+  await loadDeadLetter(request.params.id);
+  await scanStore.deleteDeadLetter(request.params.id);
+
+  reply.send({ success: true });
+});
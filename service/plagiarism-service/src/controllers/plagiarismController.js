@@ -4,57 +4,111 @@ const config = require("../config");
 const scanStore = require("../storage/scanStore");
 const { plagiarismScanner } = require("../services/copyleaksService");
 const { generateHighlightPayload } = require("../services/highlightService");
-const { NotFoundError, ConflictError } = require("../errors/custom-errors");
-
-const buildScanOptions = (options = {}) => ({
-  sandbox: config.copyleaks.sandboxMode,
-  sensitivityLevel: options.sensitivityLevel ?? 3,
-  includeHtml: options.includeHtml ?? true,
-  expiration: options.expiration,
-});
+const { partialResultsFor } = require("../services/partialResults");
+const { getCallbackDispatcher } = require("../services/callbackDispatcher");
+const { getScanStreams } = require("../services/scanStreams");
+const { buildScanOptions, getSubmissionQueue } = require("../services/submissionQueue");
+const { DashboardSession } = require("../services/scanDashboards");
+const { CALLBACK_EVENTS } = require("../schemas/plagiarism.schemas");
+const scanArchive = require("../services/scanArchive");
+const { hashSubmission } = require("../utils/contentHash");
+const {
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  ValidationError,
+} = require("../errors/custom-errors");
 
 exports.submitScan = asyncHandler(async (request, reply) => {
   // Zod validation handled automatically by Fastify
-  const { text, options } = request.body;
+  const { text, options, callbackUrl, callbackEvents, priority } = request.body;
+  const { forceRescan, ...scanOptions } = options;
+  const contentHash = hashSubmission(text, buildScanOptions(scanOptions));
+  const callbacks = getCallbackDispatcher();
 
-  const record = scanStore.createScanRecord(text, options);
-  logger.info(`Submitting scan ${record.scanId}`);
+  if (callbackUrl) {
+    if (!callbacks.enabled) {
+      throw new ValidationError("Callbacks are not enabled on this service", [
+        { path: "callbackUrl", message: "CALLBACK_SIGNING_SECRET is not configured" },
+      ]);
+    }
+    await callbacks.validateUrl(callbackUrl);
+    // Kept with the scan options so it survives restarts and travels with archives
+    scanOptions.callback = { url: callbackUrl, events: callbackEvents ?? CALLBACK_EVENTS };
+  }
 
-  try {
-    await plagiarismScanner.submitTextScan(record.scanId, text, buildScanOptions(options));
-    scanStore.updateStatus(record.scanId, "pending");
+  if (!forceRescan) {
+    const source = await scanStore.findReusableScan(contentHash);
+    if (source) {
+      const record = await scanStore.createReusedScan(source, scanOptions, contentHash);
+      await scanStore.recordEvent(record.scanId, "scan.reused", { sourceScanId: source.scanId });
+      logger.info(`Reusing results of scan ${source.scanId} for scan ${record.scanId}`);
 
-    return reply.code(202).send({
-      scanId: record.scanId,
-      status: "pending",
-      message: "Scan submitted successfully. Await webhook callbacks for completion.",
-    });
-  } catch (error) {
-    logger.error("Scan submission failed", {
-      scanId: record.scanId,
-      error: error.message,
-    });
-    scanStore.updateStatus(record.scanId, "error", {
-      summary: { message: error.message },
-    });
-    return reply.code(502).send({
-      error: "Unable to submit scan",
-      details: error.message,
-    });
+      // The reused scan is finished at once, so its whole lifecycle is reported now
+      const exportedResults = Object.keys(record.exported.results).length;
+      callbacks.notify(record.scanId, "completed", {
+        summary: record.summary,
+        reusedFrom: source.scanId,
+      });
+      callbacks.notify(record.scanId, "exported", { exportedResults });
+      callbacks.notify(record.scanId, "highlights-ready", {
+        highlightUrl: `/plagiarism/${record.scanId}/highlight`,
+      });
+
+      return reply.code(200).send({
+        scanId: record.scanId,
+        status: "completed",
+        reusedFrom: source.scanId,
+        message: "Identical text was already scanned. Reusing its results; no new scan submitted.",
+      });
+    }
   }
+
+  // Sent to Copyleaks by the submission queue; the client follows the scan through its
+  // status, events, stream or callbacks
+  const record = await scanStore.createScanRecord(text, scanOptions, { contentHash, priority });
+  await scanStore.recordEvent(record.scanId, "scan.queued", { priority });
+  logger.info(`Queued scan ${record.scanId}`, { priority });
+  getSubmissionQueue().wake();
+
+  return reply.code(202).send({
+    scanId: record.scanId,
+    status: "queued",
+    priority,
+    message: "Scan queued for submission. Await webhook callbacks for completion.",
+  });
 });
 
-exports.listScans = asyncHandler(async (_request, reply) => {
-  const scans = scanStore.listScans();
+exports.listScans = asyncHandler(async (request, reply) => {
+  const { limit, cursor, sortBy, order, status, hasExportedResults, ...range } = request.query;
+
+  const { items, nextCursor } = await scanStore.listScans({
+    filters: {
+      status: status ? status.split(",") : undefined,
+      createdAfter: range.createdAfter && new Date(range.createdAfter).toISOString(),
+      createdBefore: range.createdBefore && new Date(range.createdBefore).toISOString(),
+      minScore: range.minScore,
+      maxScore: range.maxScore,
+      hasExportedResults:
+        hasExportedResults === undefined ? undefined : hasExportedResults === "true",
+    },
+    sortBy,
+    order,
+    cursor,
+    limit,
+  });
+
   reply.send({
-    count: scans.length,
-    items: scans,
+    count: items.length,
+    items,
+    nextCursor,
+    hasMore: Boolean(nextCursor),
   });
 });
 
 exports.getScan = asyncHandler(async (request, reply) => {
   const { scanId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await scanStore.getScan(scanId);
 
   if (!record) {
     throw new NotFoundError("Scan not found");
@@ -65,30 +119,118 @@ exports.getScan = asyncHandler(async (request, reply) => {
     status: record.status,
     summary: record.summary,
     results: record.results,
+    // Matches streamed in through newResult webhooks, until the scan completes
+    partialResults: partialResultsFor(record),
     exported: {
       results: Object.keys(record.exported.results),
       crawled: Boolean(record.exported.crawled),
       pdfReport: Boolean(record.exported.pdfReport),
       completedAt: record.exported.completedAt,
+      // pending, completed or partial (some tasks still failed after the re-exports)
+      status: record.exportState?.status ?? null,
+      reExports: record.exportState?.reExports ?? 0,
+      tasks: record.exportState?.tasks ?? [],
     },
   });
 });
 
+const formatServerSentEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Stream a scan's progress as Server-Sent Events (see services/scanStreams). The response
+ * stays open until the client disconnects, the scan is deleted or the server shuts down.
+ */
+exports.streamScan = asyncHandler(async (request, reply) => {
+  const { scanId } = request.params;
+
+  if (!(await scanStore.getScan(scanId))) {
+    throw new NotFoundError("Scan not found");
+  }
+
+  // The stream is written directly; headers set by hooks (request id, CORS) are kept
+  reply.hijack();
+  const stream = reply.raw;
+  stream.writeHead(200, {
+    ...reply.getHeaders(),
+    "content-type": "text/event-stream; charset=utf-8",
+    "cache-control": "no-cache",
+    connection: "keep-alive",
+    "x-accel-buffering": "no",
+  });
+
+  const heartbeat = setInterval(() => stream.write(": keep-alive\n\n"), config.streams.heartbeatMs);
+  heartbeat.unref();
+
+  let unsubscribe = null;
+  const end = () => {
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    stream.end();
+  };
+  request.raw.on("close", end);
+
+  unsubscribe = await getScanStreams().subscribe(scanId, {
+    send: (event, data) => stream.write(formatServerSentEvent(event, data)),
+    end,
+  });
+  if (!unsubscribe) {
+    // Deleted between the check and the subscription
+    stream.write(formatServerSentEvent("deleted", { scanId }));
+    end();
+  }
+});
+
+/**
+ * Follow many scans over one WebSocket (see services/scanDashboards). Subscriptions live as
+ * long as the socket.
+ * @param {import("ws").WebSocket} socket - Client socket
+ * @param {object} request - Upgrade request
+ */
+exports.openDashboard = (socket, request) => {
+  const session = new DashboardSession(scanStore, getScanStreams(), {
+    ...config.streams,
+    send: (message) => {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    },
+  });
+
+  // Pings keep proxies from closing idle sockets
+  const heartbeat = setInterval(() => socket.ping(), config.streams.heartbeatMs);
+  heartbeat.unref();
+
+  socket.on("message", (data) => {
+    session.handle(data.toString()).catch((error) => {
+      logger.error("Dashboard message failed", { requestId: request.id, error: error.message });
+      session.send({ type: "error", error: "Unable to process message" });
+    });
+  });
+  socket.on("close", () => {
+    clearInterval(heartbeat);
+    session.close();
+  });
+};
+
 exports.getHighlights = asyncHandler(async (request, reply) => {
   const { scanId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await scanStore.getScan(scanId);
 
   if (!record) {
     throw new NotFoundError("Scan not found");
   }
 
+  if (record.status === "expired") {
+    throw new GoneError("Scan data expired under the retention policy");
+  }
+
   const exportedCount = Object.keys(record.exported.results).length;
   if (!exportedCount) {
     throw new ConflictError("Highlight data not ready yet");
   }
 
   try {
-    const payload = generateHighlightPayload(record);
+    const payload = await generateHighlightPayload(record);
     reply.send(payload);
   } catch (error) {
     logger.error("Failed to generate highlights", {
@@ -99,9 +241,94 @@ exports.getHighlights = asyncHandler(async (request, reply) => {
   }
 });
 
+/**
+ * Stream a stored webhook payload (crawled version or PDF report) from the blob store
+ */
+async function sendStoredPayload(scanId, reply, field, label) {
+  const record = await scanStore.getScan(scanId);
+
+  if (!record) {
+    throw new NotFoundError("Scan not found");
+  }
+
+  if (record.status === "expired") {
+    throw new GoneError("Scan data expired under the retention policy");
+  }
+
+  const stored = record.exported[field];
+  if (!stored) {
+    throw new NotFoundError(`${label} not received yet`);
+  }
+
+  reply.type(scanStore.isBlobRef(stored) ? stored.contentType : "application/json");
+  return reply.send(scanStore.openBlob(stored));
+}
+
+exports.downloadCrawled = asyncHandler(async (request, reply) =>
+  sendStoredPayload(request.params.scanId, reply, "crawled", "Crawled version")
+);
+
+exports.downloadPdf = asyncHandler(async (request, reply) =>
+  sendStoredPayload(request.params.scanId, reply, "pdfReport", "PDF report")
+);
+
+exports.getEvents = asyncHandler(async (request, reply) => {
+  const { scanId } = request.params;
+  const events = await scanStore.listEvents(scanId);
+
+  if (!events) {
+    throw new NotFoundError("Scan not found");
+  }
+
+  reply.send({ scanId, count: events.length, events });
+});
+
+exports.getCallbacks = asyncHandler(async (request, reply) => {
+  const { scanId } = request.params;
+  const record = await scanStore.getScan(scanId);
+
+  if (!record) {
+    throw new NotFoundError("Scan not found");
+  }
+
+  // Every delivery attempt is recorded on the timeline as callback.delivered/callback.failed
+  const deliveries = (await scanStore.listEvents(scanId)).filter((event) =>
+    event.type.startsWith("callback.")
+  );
+
+  reply.send({
+    scanId,
+    callback: record.options?.callback ?? null,
+    count: deliveries.length,
+    deliveries,
+  });
+});
+
+function sendArchive(reply, archive) {
+  const stamp = archive.exportedAt.replace(/[:.]/g, "-");
+  reply.header("content-disposition", `attachment; filename="scan-archive-${stamp}.json"`);
+  return reply.send(archive);
+}
+
+exports.exportScanArchive = asyncHandler(async (request, reply) =>
+  sendArchive(reply, await scanArchive.exportScans([request.params.scanId]))
+);
+
+exports.exportScanArchives = asyncHandler(async (request, reply) =>
+  sendArchive(reply, await scanArchive.exportScans(request.body.scanIds))
+);
+
+exports.importScanArchive = asyncHandler(async (request, reply) => {
+  const result = await scanArchive.importScans(request.body, {
+    onConflict: request.query.onConflict,
+  });
+
+  reply.code(201).send(result);
+});
+
 exports.deleteScan = asyncHandler(async (request, reply) => {
   const { scanId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await scanStore.getScan(scanId);
 
   if (!record) {
     throw new NotFoundError("Scan not found");
@@ -116,6 +343,6 @@ exports.deleteScan = asyncHandler(async (request, reply) => {
     });
   }
 
-  scanStore.deleteScan(scanId);
+  await scanStore.deleteScan(scanId);
   reply.send({ success: true });
 });
@@ -1,166 +1,416 @@
+const { createHash } = require("node:crypto");
+const config = require("../config");
 const asyncHandler = require("../utils/asyncHandler");
 const logger = require("../utils/logger");
 const scanStore = require("../storage/scanStore");
 const { plagiarismScanner } = require("../services/copyleaksService");
+const { WEBHOOK_SECRET_HEADER, getWebhookSecrets } = require("../services/webhookSecrets");
+const { AuthenticationError } = require("../errors/custom-errors");
+const { isKnownResult } = require("../services/partialResults");
+const { getCallbackDispatcher } = require("../services/callbackDispatcher");
+const { deadLetter, isReplay } = require("../services/deadLetters");
+const extractText = require("../utils/extractText");
+const {
+  createExportState,
+  applyTaskReport,
+  failedTasks,
+  selectionOf,
+  markReExported,
+  finishExport,
+} = require("../services/exportTasks");
 
 const STATUS_COMPLETED = "completed";
 const STATUS_ERROR = "error";
 const STATUS_CREDITS = "creditsChecked";
+const STATUS_EXPIRED = "expired";
+const FINISHED_STATUSES = new Set([STATUS_COMPLETED, STATUS_ERROR]);
+
+/**
+ * Load the scan a webhook refers to, skipping unknown scans and scans whose data was
+ * already removed by the retention policy (late webhooks must not resurrect them).
+ * Webhooks for unknown scans are dead-lettered; late webhooks for expired scans only land
+ * on the scan's timeline as `webhook.ignored`.
+ */
+async function loadActiveScan(request, context, eventType) {
+  const { scanId } = request.params;
+  const record = await scanStore.getScan(scanId);
 
-function extractText(payload) {
-  if (!payload) {
+  if (!record) {
+    logger.warn(`${context} for unknown scan`, { scanId });
+    await deadLetter(request, eventType, "unknownScan");
     return null;
   }
 
-  if (typeof payload === "string") {
-    return payload;
+  if (record.status === STATUS_EXPIRED) {
+    logger.warn(`${context} for expired scan`, { scanId });
+    await scanStore.recordEvent(scanId, "webhook.ignored", {
+      webhook: eventType,
+      reason: STATUS_EXPIRED,
+    });
+    return null;
   }
 
-  if (payload.text) {
-    if (typeof payload.text === "string") {
-      return payload.text;
-    }
-    if (payload.text.value) {
-      return payload.text.value;
-    }
-  }
+  return record;
+}
 
-  if (payload.value) {
-    return payload.value;
-  }
+/**
+ * Key identifying one webhook delivery. Copyleaks retries a delivery with the same route
+ * and body, so the key is a digest of both; distinct deliveries always differ in one.
+ */
+function deliveryKey(eventType, request) {
+  return createHash("sha256")
+    .update(eventType)
+    .update("\n")
+    .update(request.params.resultId ?? "")
+    .update("\n")
+    .update(JSON.stringify(request.body ?? null))
+    .digest("hex");
+}
 
-  if (payload.content) {
-    return payload.content;
-  }
+async function ignoreWebhook(scanId, eventType, reason) {
+  logger.info("Ignoring webhook", { scanId, webhook: eventType, reason });
+  await scanStore.recordEvent(scanId, "webhook.ignored", { webhook: eventType, reason });
+}
 
-  if (payload.document?.text) {
-    return payload.document.text;
+/**
+ * Run a webhook's side effects at most once per delivery. The delivery is claimed before
+ * processing and released again if processing throws, so the sender's retry is not lost;
+ * the failed payload is also dead-lettered. Dead-letter replays run even when the delivery
+ * was claimed before.
+ * @returns {Promise<boolean>} False when the delivery was already processed
+ */
+async function processOnce(request, eventType, process) {
+  const { scanId } = request.params;
+  const key = deliveryKey(eventType, request);
+  const claimed = await scanStore.claimWebhookDelivery(scanId, key);
+
+  if (!claimed && !isReplay(request)) {
+    await ignoreWebhook(scanId, eventType, "duplicate");
+    return false;
   }
 
-  if (payload.html?.text) {
-    return payload.html.text;
+  try {
+    await process();
+  } catch (error) {
+    if (claimed) {
+      await scanStore.releaseWebhookDelivery(scanId, key);
+    }
+    await deadLetter(request, eventType, "failed", error.message);
+    throw error;
   }
+  return true;
+}
+
+const notifyHighlightsReady = (scanId) =>
+  getCallbackDispatcher().notify(scanId, "highlights-ready", {
+    highlightUrl: `/plagiarism/${scanId}/highlight`,
+  });
 
-  if (payload.result?.text) {
-    return payload.result.text;
+const acknowledge = (processed, details = {}) =>
+  processed ? { received: true, ...details } : { received: true, duplicate: true };
+
+/**
+ * Reject webhooks that do not carry the scan's secret (see services/webhookSecrets).
+ * Runs as a preValidation hook, so forged webhooks never reach the scan store, not even as
+ * invalid deliveries.
+ */
+exports.authenticateWebhook = asyncHandler(async (request) => {
+  const { scanId } = request.params;
+
+  if (!getWebhookSecrets().verify(scanId, request.headers[WEBHOOK_SECRET_HEADER])) {
+    logger.warn("Rejected webhook with a missing or invalid secret", {
+      scanId,
+      url: request.url,
+    });
+    throw new AuthenticationError("Invalid webhook secret");
   }
+});
 
-  return null;
-}
+/**
+ * Answer a webhook whose params or payload failed its schema. Nothing is applied to the
+ * scan: the failure lands on the scan's timeline as `webhook.invalid` with every issue,
+ * and the delivery is dead-lettered so it can be inspected and replayed once the schema
+ * (or the payload) is fixed.
+ */
+exports.rejectInvalidWebhook = async (error, request, reply) => {
+  const { scanId } = request.params;
+  const webhook = request.routeOptions.config.webhook ?? `webhook.${request.params.status}`;
+  const issues = error.validation.map((issue) => ({
+    path: issue.instancePath.replace(/^\//, "").replace(/\//g, ".") || error.validationContext,
+    message: issue.message,
+  }));
+
+  logger.warn("Rejected invalid webhook payload", { scanId, webhook, issues });
+  await scanStore.recordEvent(scanId, "webhook.invalid", {
+    webhook,
+    context: error.validationContext,
+    issues,
+  });
+  await deadLetter(request, webhook, "invalid", error.message);
+
+  reply.code(400).send({
+    error: "Invalid webhook payload",
+    details: issues,
+    requestId: request.id,
+  });
+};
 
 exports.handleStatus = asyncHandler(async (request, reply) => {
-  const { status, scanId } = request.params;
-  const payload = request.body || {};
-  const record = scanStore.getScan(scanId);
+  const { status } = request.routeOptions.config;
+  const payload = request.body;
+  const eventType = `webhook.${status}`;
+  const record = await loadActiveScan(request, `Received ${status} webhook`, eventType);
 
   if (!record) {
-    logger.warn("Received webhook for unknown scan", { scanId, status });
     return reply.code(202).send({ ignored: true });
   }
 
-  if (status === STATUS_COMPLETED) {
-    scanStore.updateStatus(scanId, "completed", {
-      summary: {
-        totalResults: payload.results?.internet?.length || 0,
-        score: payload.results?.score?.aggregatedScore || 0,
-        totalWords: payload.scannedDocument?.totalWords || 0,
-      },
+  const processed = await processOnce(request, eventType, () =>
+    applyStatus(request, record, status, payload)
+  );
+  reply.send(acknowledge(processed));
+});
+
+const resultIdsOf = (payload) => payload.results.internet.map((result) => result.id);
+
+/**
+ * Ask Copyleaks to export a completed scan's results. A failed request clears
+ * `exportStarted` and dead-letters the completion, so replaying it retries the export.
+ */
+async function requestExport(request, scanId, resultIds) {
+  try {
+    await scanStore.markExportStarted(scanId);
+    await scanStore.recordEvent(scanId, "export.requested", { resultIds });
+    await plagiarismScanner.exportResults(scanId, resultIds);
+    await scanStore.updateExportState(scanId, createExportState(resultIds));
+    logger.info("Export initiated from completion webhook", { scanId });
+  } catch (error) {
+    logger.error("Failed to initiate export", {
+      scanId,
+      error: error.message,
     });
+    await scanStore.recordEvent(scanId, "export.failed", { message: error.message });
+    await scanStore.markExportStarted(scanId, false);
+
+    // A failed replay answers 500 so its dead letter stays pending
+    if (isReplay(request)) {
+      throw error;
+    }
+    await deadLetter(request, "webhook.completed", "exportFailed", error.message);
+  }
+}
+
+/**
+ * Apply a status webhook. The first completed/error webhook finishes the scan; later ones
+ * (e.g. an error after completed) are recorded as ignored instead of overwriting it.
+ * A completed webhook for a completed scan whose export request failed only retries the
+ * export. creditsChecked only adds the credit count and never moves the status.
+ */
+async function applyStatus(request, record, status, payload) {
+  const { scanId } = record;
+  const eventType = `webhook.${status}`;
+
+  if (FINISHED_STATUSES.has(status) && FINISHED_STATUSES.has(record.status)) {
+    const exportPending =
+      status === STATUS_COMPLETED &&
+      record.status === STATUS_COMPLETED &&
+      !record.exportStarted &&
+      resultIdsOf(payload).length > 0;
+
+    if (exportPending) {
+      await requestExport(request, scanId, resultIdsOf(payload));
+    } else {
+      await ignoreWebhook(scanId, eventType, "finished");
+      await deadLetter(request, eventType, "finished");
+    }
+    return;
+  }
 
-    const resultIds = (payload.results?.internet || []).map((result) => result.id);
+  if (status === STATUS_COMPLETED) {
+    const summary = {
+      totalResults: payload.results.internet.length,
+      score: payload.results.score.aggregatedScore,
+      totalWords: payload.scannedDocument.totalWords,
+    };
+    await scanStore.updateStatus(scanId, "completed", { summary });
+    await scanStore.recordEvent(scanId, eventType, summary);
+    getCallbackDispatcher().notify(scanId, "completed", { summary });
+
+    const resultIds = resultIdsOf(payload);
     if (resultIds.length && !record.exportStarted) {
-      try {
-        scanStore.markExportStarted(scanId);
-        await plagiarismScanner.exportResults(scanId, resultIds);
-        logger.info("Export initiated from completion webhook", { scanId });
-      } catch (error) {
-        logger.error("Failed to initiate export", {
-          scanId,
-          error: error.message,
-        });
-      }
+      await requestExport(request, scanId, resultIds);
     }
   } else if (status === STATUS_ERROR) {
-    scanStore.updateStatus(scanId, "error", {
-      summary: { message: payload.error },
-    });
+    const { code, message } = payload.error;
+    await scanStore.updateStatus(scanId, "error", { summary: { message } });
+    await scanStore.recordEvent(scanId, eventType, { code, message });
+    getCallbackDispatcher().notify(scanId, "error", { stage: "scan", message });
   } else if (status === STATUS_CREDITS) {
-    scanStore.updateStatus(scanId, record.status, {
-      summary: record.summary,
-      credits: payload.credits,
-    });
+    await scanStore.recordCredits(scanId, payload.credits);
+    await scanStore.recordEvent(scanId, eventType, { credits: payload.credits });
   }
-
-  reply.send({ received: true });
-});
+}
 
 exports.handleNewResult = asyncHandler(async (request, reply) => {
   const { scanId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await loadActiveScan(request, "New result", "webhook.newResult");
 
   if (!record) {
-    logger.warn("New result for unknown scan", { scanId });
     return reply.code(202).send({ ignored: true });
   }
 
-  scanStore.addResult(scanId, request.body);
-  reply.send({ received: true });
+  const processed = await processOnce(request, "webhook.newResult", async () => {
+    // Sources are keyed by id; a payload that only repeats known sources is not appended
+    if (isKnownResult(record.results, request.body)) {
+      await ignoreWebhook(scanId, "webhook.newResult", "duplicate");
+      return;
+    }
+
+    await scanStore.addResult(scanId, request.body);
+    await scanStore.recordEvent(scanId, "webhook.newResult");
+  });
+  reply.send(acknowledge(processed));
 });
 
 exports.handleResultExport = asyncHandler(async (request, reply) => {
   const { scanId, resultId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await loadActiveScan(request, "Result export", "webhook.result");
 
   if (!record) {
-    logger.warn("Result export for unknown scan", { scanId });
     return reply.code(202).send({ ignored: true });
   }
 
-  scanStore.storeExportedResult(scanId, resultId, request.body);
-  reply.send({ received: true });
+  // Exported results are stored whatever the scan status, so one that overtakes the
+  // completed webhook (or arrives after export-completed) is kept
+  const processed = await processOnce(request, "webhook.result", async () => {
+    await scanStore.storeExportedResult(scanId, resultId, request.body);
+    await scanStore.recordEvent(scanId, "webhook.result", { resultId });
+
+    // Export completion already reported no results; highlights become ready with this one
+    if (record.exported.completedAt && !Object.keys(record.exported.results).length) {
+      notifyHighlightsReady(scanId);
+    }
+  });
+  reply.send(acknowledge(processed));
 });
 
 exports.handleCrawled = asyncHandler(async (request, reply) => {
   const { scanId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await loadActiveScan(request, "Crawled webhook", "webhook.crawled");
 
   if (!record) {
-    logger.warn("Crawled webhook for unknown scan", { scanId });
     return reply.code(202).send({ ignored: true });
   }
 
   const extractedText = extractText(request.body);
-  scanStore.storeCrawled(scanId, request.body, extractedText);
+  const processed = await processOnce(request, "webhook.crawled", async () => {
+    await scanStore.storeCrawled(scanId, request.body, extractedText);
+    await scanStore.recordEvent(scanId, "webhook.crawled", {
+      extractedText: Boolean(extractedText),
+    });
 
-  if (!extractedText) {
-    logger.warn("Unable to extract text from crawled payload", { scanId });
-  }
+    if (!extractedText) {
+      logger.warn("Unable to extract text from crawled payload", { scanId });
+    }
+  });
 
-  reply.send({ received: true, extractedText: Boolean(extractedText) });
+  reply.send(acknowledge(processed, { extractedText: Boolean(extractedText) }));
 });
 
 exports.handlePdf = asyncHandler(async (request, reply) => {
   const { scanId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await loadActiveScan(request, "PDF webhook", "webhook.pdf");
 
   if (!record) {
-    logger.warn("PDF webhook for unknown scan", { scanId });
     return reply.code(202).send({ ignored: true });
   }
 
-  scanStore.storePdf(scanId, request.body);
-  reply.send({ received: true });
+  const processed = await processOnce(request, "webhook.pdf", async () => {
+    // A raw PDF keeps its type; the JSON wrapper is stored as JSON
+    const contentType = Buffer.isBuffer(request.body) ? "application/pdf" : undefined;
+    await scanStore.storePdf(scanId, request.body, contentType);
+    await scanStore.recordEvent(scanId, "webhook.pdf");
+  });
+  reply.send(acknowledge(processed));
 });
 
+const taskName = (task) => (task.resultId ? `result:${task.resultId}` : task.task);
+
+/**
+ * Ask Copyleaks to export the failed tasks of an export again
+ * @returns {Promise<boolean>} False when the request failed; the export is then left partial
+ */
+async function reExportTasks(scanId, exportState, failed) {
+  const selection = selectionOf(failed);
+  const tasks = failed.map(taskName);
+
+  try {
+    await plagiarismScanner.exportResults(scanId, selection.resultIds, selection);
+  } catch (error) {
+    logger.error("Failed to re-export failed export tasks", { scanId, error: error.message });
+    await scanStore.recordEvent(scanId, "export.failed", { message: error.message, tasks });
+    return false;
+  }
+
+  const next = markReExported(exportState);
+  await scanStore.updateExportState(scanId, next);
+  await scanStore.recordEvent(scanId, "export.reExported", { attempt: next.reExports, tasks });
+  logger.info("Re-exporting failed export tasks", { scanId, tasks });
+  return true;
+}
+
+/**
+ * Close an export and tell the client, `partial` when some tasks still failed
+ */
+async function closeExport(scanId, record, exportState) {
+  // State first, so anything reacting to the completion sees the final task health
+  await scanStore.updateExportState(scanId, exportState);
+  await scanStore.markExportCompleted(scanId);
+
+  const exportedResults = Object.keys(record.exported.results).length;
+  getCallbackDispatcher().notify(scanId, "exported", {
+    exportedResults,
+    exportStatus: exportState.status,
+  });
+  if (exportedResults) {
+    notifyHighlightsReady(scanId);
+  }
+}
+
+/**
+ * Record the per-task health Copyleaks reports (see services/exportTasks). Failed tasks
+ * are re-exported on their own while the retry budget (EXPORT_MAX_REEXPORTS) lasts; the
+ * export is closed once no task failed or the budget is spent.
+ */
 exports.handleExportCompletion = asyncHandler(async (request, reply) => {
   const { scanId } = request.params;
-  const record = scanStore.getScan(scanId);
+  const record = await loadActiveScan(request, "Export completion", "webhook.exportCompleted");
 
   if (!record) {
-    logger.warn("Export completion for unknown scan", { scanId });
     return reply.code(202).send({ ignored: true });
   }
 
-  scanStore.markExportCompleted(scanId);
-  reply.send({ received: true });
+  const processed = await processOnce(request, "webhook.exportCompleted", async () => {
+    const exportState = applyTaskReport(record.exportState, scanId, request.body.tasks);
+    const failed = failedTasks(exportState);
+
+    // The first closing notice sets the completion time; later notices only update the
+    // task health, and result exports arriving later still count
+    if (record.exported.completedAt) {
+      await scanStore.updateExportState(scanId, finishExport(exportState));
+    } else {
+      const retry =
+        failed.length > 0 &&
+        exportState.reExports < config.exports.maxReExports &&
+        (await reExportTasks(scanId, exportState, failed));
+
+      if (!retry) {
+        await closeExport(scanId, record, finishExport(exportState));
+      }
+    }
+    await scanStore.recordEvent(scanId, "webhook.exportCompleted", {
+      failedTasks: failed.map(taskName),
+    });
+  });
+  reply.send(acknowledge(processed));
 });
@@ -0,0 +1,296 @@
+const Fastify = require("fastify");
+const axios = require("axios");
+const crypto = require("node:crypto");
+const { synthesizeScan, pdfReport, writerCorrections } = require("./syntheticResults");
+
+/**
+ * Copyleaks emulator
+ * Stands in for id.copyleaks.com and api.copyleaks.com so the service (and the root app's
+ * test scripts) run without credentials or a public URL; point COPYLEAKS_ID_URL and
+ * COPYLEAKS_BASE_URL at it. It answers login, account, submit, export, delete, the pull-mode
+ * downloads and the writer check, and fires the webhooks Copyleaks would:
+ *
+ *   submit  -> newResult per result, then `completed`
+ *   export  -> every requested result, the crawled version, the PDF report (application/pdf),
+ *              then `export-completed` with the health of each task
+ *
+ * Webhooks follow the request after `webhookDelayMs` and echo the headers they were given.
+ * Results are synthetic (see syntheticResults): they match passages of the submitted text.
+ * Any email and key log in; calls need a token it issued that has not expired.
+ */
+
+const ACCOUNT_CREDITS = 10000;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.webhookDelayMs=500] - Delay before the webhooks of a request
+ * @param {number} [options.resultCount=3] - Results reported per scan
+ * @param {number} [options.tokenLifetimeMs=3600000] - Lifetime of issued tokens
+ * @param {object|boolean} [options.logger=false] - Fastify logger options
+ * @returns {import("fastify").FastifyInstance} Emulator app; `app.emulator` exposes its
+ *   `scans`, the webhook `deliveries` made and `idle()`, which waits for pending webhooks
+ */
+function buildEmulator(options = {}) {
+  const webhookDelayMs = options.webhookDelayMs ?? 500;
+  const resultCount = options.resultCount ?? 3;
+  const tokenLifetimeMs = options.tokenLifetimeMs ?? 60 * 60 * 1000;
+
+  const app = Fastify({ logger: options.logger ?? false, bodyLimit: 25 * 1024 * 1024 });
+  const tokens = new Map();
+  const scans = new Map();
+  const deliveries = [];
+  const pending = new Set();
+
+  /**
+   * POST a webhook; the status our endpoint answered is kept in `deliveries`
+   * @returns {Promise<number|null>} HTTP status, null when the endpoint was unreachable
+   */
+  async function deliver(event, url, body, headerPairs, contentType = "application/json") {
+    let statusCode = null;
+    try {
+      const response = await axios.post(url, body, {
+        headers: { ...Object.fromEntries(headerPairs ?? []), "Content-Type": contentType },
+        timeout: 10000,
+        validateStatus: () => true,
+      });
+      statusCode = response.status;
+    } catch (error) {
+      app.log.warn({ url, error: error.message }, `${event} webhook could not be delivered`);
+    }
+    deliveries.push({ event, url, statusCode });
+    app.log.info({ url, statusCode }, `Delivered ${event} webhook`);
+    return statusCode;
+  }
+
+  // Run webhook work after the delay, once the request that caused it was answered
+  function later(work) {
+    const task = new Promise((resolve) => setTimeout(resolve, webhookDelayMs))
+      .then(work)
+      .catch((error) => app.log.error({ err: error }, "Emulated webhooks failed"))
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  }
+
+  async function idle() {
+    while (pending.size) {
+      await Promise.all(pending);
+    }
+  }
+
+  app.decorate("emulator", { scans, deliveries, idle });
+  app.addHook("onClose", idle);
+
+  const activeScan = (scanId) => {
+    const scan = scans.get(scanId);
+    return scan && !scan.deleted ? scan : null;
+  };
+  const notFound = (reply, message) => reply.code(404).send({ message });
+
+  app.post("/v3/account/login/api", async (request, reply) => {
+    const { email, key } = request.body ?? {};
+    if (!email || !key) {
+      return reply.code(400).send({ message: "email and key are required" });
+    }
+
+    const issued = Date.now();
+    const token = crypto.randomBytes(24).toString("hex");
+    tokens.set(token, { email, expiresAt: issued + tokenLifetimeMs });
+    return {
+      access_token: token,
+      ".issued": new Date(issued).toISOString(),
+      ".expires": new Date(issued + tokenLifetimeMs).toISOString(),
+    };
+  });
+
+  // Everything else needs a live token
+  app.register(async (api) => {
+    api.addHook("onRequest", async (request, reply) => {
+      const token = request.headers.authorization?.replace(/^Bearer /, "");
+      const session = tokens.get(token);
+      if (!session || session.expiresAt <= Date.now()) {
+        return reply.code(401).send({ message: "Authorization has been denied for this request." });
+      }
+      request.account = session.email;
+    });
+
+    api.get("/v3/account", async (request) => {
+      const used = Array.from(scans.values()).reduce(
+        (sum, scan) => sum + scan.synthetic.completed.scannedDocument.credits,
+        0
+      );
+      return { email: request.account, credits: Math.max(ACCOUNT_CREDITS - used, 0) };
+    });
+
+    api.put("/v3/:product/submit/file/:scanId", async (request, reply) => {
+      const { scanId } = request.params;
+      const { base64, filename, properties } = request.body ?? {};
+      if (!base64 || !properties?.webhooks?.status) {
+        return reply.code(400).send({ message: "base64 and properties.webhooks are required" });
+      }
+      if (activeScan(scanId)) {
+        return reply.code(409).send({ message: `Scan ${scanId} already exists` });
+      }
+
+      const text = Buffer.from(base64, "base64").toString("utf8");
+      const scan = {
+        scanId,
+        product: request.params.product,
+        text,
+        properties,
+        synthetic: synthesizeScan(scanId, text, {
+          resultCount,
+          filename,
+          includeHtml: properties.includeHtml,
+        }),
+        completed: false,
+        deleted: false,
+        exports: new Set(),
+      };
+      scans.set(scanId, scan);
+
+      later(async () => {
+        const { webhooks } = properties;
+        if (webhooks.newResult) {
+          for (const { source } of scan.synthetic.results.values()) {
+            await deliver("newResult", webhooks.newResult, source, webhooks.newResultHeaders);
+          }
+        }
+        scan.completed = true;
+        await deliver(
+          "completed",
+          webhooks.status.replace("{STATUS}", "completed"),
+          scan.synthetic.completed,
+          webhooks.statusHeaders
+        );
+      });
+      reply.code(201).send();
+    });
+
+    api.post("/v3/downloads/:scanId/export/:exportId", async (request, reply) => {
+      const { scanId, exportId } = request.params;
+      const scan = activeScan(scanId);
+      const config = request.body ?? {};
+      if (!scan?.completed) {
+        return notFound(reply, `Scan ${scanId} not found or not completed`);
+      }
+      if (!config.completionWebhook) {
+        return reply.code(400).send({ message: "completionWebhook is required" });
+      }
+      if (scan.exports.has(exportId)) {
+        return reply.code(409).send({ message: `Export ${exportId} already exists` });
+      }
+      scan.exports.add(exportId);
+
+      later(async () => {
+        const tasks = [];
+        const run = async (event, task, body, contentType) => {
+          const statusCode = body
+            ? await deliver(event, task.endpoint, body, task.headers, contentType)
+            : null;
+          tasks.push({
+            endpoint: task.endpoint,
+            isHealthy: statusCode >= 200 && statusCode < 300,
+            httpStatusCode: statusCode,
+          });
+        };
+
+        for (const task of config.results ?? []) {
+          await run("result", task, scan.synthetic.results.get(task.id)?.exported);
+        }
+        if (config.crawledVersion) {
+          await run("crawled", config.crawledVersion, scan.synthetic.crawled);
+        }
+        if (config.pdfReport) {
+          await run("pdf", config.pdfReport, reportOf(scan), "application/pdf");
+        }
+        await deliver(
+          "export-completed",
+          config.completionWebhook,
+          {
+            completed: tasks.every((task) => task.isHealthy),
+            tasks,
+            developerPayload: config.developerPayload ?? "",
+          },
+          config.completionWebhookHeaders
+        );
+      });
+      reply.code(204).send();
+    });
+
+    api.patch("/v3.1/:product/delete", async (request, reply) => {
+      for (const { id } of request.body?.scans ?? []) {
+        const scan = scans.get(id);
+        if (scan) {
+          scan.deleted = true;
+        }
+      }
+      reply.code(204).send();
+    });
+
+    // Pull mode: the same payloads the webhooks carry
+    api.get("/v3/:product/:scanId/progress", async (request, reply) => {
+      const scan = activeScan(request.params.scanId);
+      if (!scan) {
+        return notFound(reply, "Scan not found");
+      }
+      return { percents: scan.completed ? 100 : 0 };
+    });
+
+    api.get("/v3/:product/:scanId/result", async (request, reply) => {
+      const scan = activeScan(request.params.scanId);
+      if (!scan?.completed) {
+        return notFound(reply, "Scan not found or not completed");
+      }
+      return scan.synthetic.completed;
+    });
+
+    api.get("/v3/downloads/:scanId/results/:resultId", async (request, reply) => {
+      const result = activeScan(request.params.scanId)?.synthetic.results.get(
+        request.params.resultId
+      );
+      if (!result) {
+        return notFound(reply, "Result not found");
+      }
+      return result.exported;
+    });
+
+    api.get("/v3/downloads/:scanId", async (request, reply) => {
+      const scan = activeScan(request.params.scanId);
+      if (!scan?.completed) {
+        return notFound(reply, "Scan not found or not completed");
+      }
+      return scan.synthetic.crawled;
+    });
+
+    api.get("/v3/downloads/:scanId/report.pdf", async (request, reply) => {
+      const scan = activeScan(request.params.scanId);
+      if (!scan?.completed) {
+        return notFound(reply, "Scan not found or not completed");
+      }
+      reply.type("application/pdf").send(reportOf(scan));
+    });
+
+    api.post("/v3/writer/check", async (request, reply) => {
+      const { text } = request.body ?? {};
+      if (typeof text !== "string") {
+        return reply.code(400).send({ message: "text is required" });
+      }
+      return { corrections: writerCorrections(text) };
+    });
+  });
+
+  return app;
+}
+
+function reportOf(scan) {
+  const { scannedDocument, results } = scan.synthetic.completed;
+  return pdfReport([
+    "Copyleaks emulator report",
+    `Scan: ${scan.scanId}`,
+    `Words: ${scannedDocument.totalWords}`,
+    `Similarity: ${results.score.aggregatedScore}%`,
+    ...results.internet.map((source) => `${source.title}: ${source.matchedWords} words`),
+  ]);
+}
+
+module.exports = { buildEmulator };
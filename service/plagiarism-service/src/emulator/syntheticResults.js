@@ -0,0 +1,240 @@
+const crypto = require("node:crypto");
+
+/**
+ * Synthetic Copyleaks results for the emulator
+ * Every result "matches" a passage of the submitted text: the document is split into one
+ * segment per result, the first half of a segment is reported as identical and the next
+ * quarter as minor changes. The ranges therefore point at real characters and words of the
+ * submitted text, so highlights built from them can be checked by eye. The same text and
+ * scanId always produce the same results.
+ */
+
+// Fewest words a result's segment may have (one identical word and one minor change)
+const MIN_SEGMENT_WORDS = 4;
+// Words charged per credit
+const WORDS_PER_CREDIT = 250;
+
+const wordsOf = (text) =>
+  Array.from(text.matchAll(/\S+/g), (match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+const ranges = (starts, lengths) => ({ starts, lengths });
+const noMatches = () => ({
+  source: { chars: ranges([], []), words: ranges([], []) },
+  suspected: { chars: ranges([], []), words: ranges([], []) },
+});
+
+/**
+ * Ranges of one matched passage on both sides of a comparison
+ * @param {object} source - `{ chars: [start, length], words: [start, length] }` in the scan
+ * @param {object} suspected - Same, in the matched source
+ */
+const comparison = (source, suspected) => ({
+  source: {
+    chars: ranges([source.chars[0]], [source.chars[1]]),
+    words: ranges([source.words[0]], [source.words[1]]),
+  },
+  suspected: {
+    chars: ranges([suspected.chars[0]], [suspected.chars[1]]),
+    words: ranges([suspected.words[0]], [suspected.words[1]]),
+  },
+});
+
+/**
+ * One matched source: its listing (completed/newResult payloads) and its export
+ * @param {string} scanId - Scan the result belongs to
+ * @param {string} text - Submitted text
+ * @param {object[]} words - Word offsets of the submitted text
+ * @param {number} index - Result number
+ * @param {object} span - `first` word of the segment, `identical` and `minor` word counts
+ */
+function synthesizeResult(scanId, text, words, index, { first, identical, minor }) {
+  const id = crypto.createHash("sha1").update(`${scanId}:${index}`).digest("hex").slice(0, 10);
+  const passage = (from, count) => ({
+    start: words[from].start,
+    text: text.slice(words[from].start, words[from + count - 1].end),
+  });
+
+  // The source quotes the identical passage as is and the next one without punctuation
+  const intro = `Source ${index + 1} quotes the document:`;
+  const copied = passage(first, identical);
+  const changed = minor ? passage(first + identical, minor) : null;
+  const rewritten = changed ? changed.text.replace(/[.,;:!?]+/g, "") : "";
+  const suspectedText = [intro, copied.text, rewritten].filter(Boolean).join(" ");
+  const introWords = wordsOf(intro).length;
+  const rewrittenWords = wordsOf(rewritten).length;
+  const copiedAt = intro.length + 1;
+
+  const exported = {
+    statistics: { identical, minorChanges: minor, relatedMeaning: 0 },
+    text: {
+      value: suspectedText,
+      comparison: {
+        identical: comparison(
+          { chars: [copied.start, copied.text.length], words: [first, identical] },
+          { chars: [copiedAt, copied.text.length], words: [introWords, identical] }
+        ),
+        minorChanges: changed
+          ? comparison(
+              { chars: [changed.start, changed.text.length], words: [first + identical, minor] },
+              {
+                chars: [copiedAt + copied.text.length + 1, rewritten.length],
+                words: [introWords + identical, rewrittenWords],
+              }
+            )
+          : noMatches(),
+        relatedMeaning: noMatches(),
+      },
+    },
+    version: 3,
+  };
+
+  const source = {
+    id,
+    url: `https://example.com/emulated/${id}`,
+    title: `Emulated source ${index + 1}`,
+    introduction: suspectedText.slice(0, 150),
+    matchedWords: identical + minor,
+    identicalWords: identical,
+    similarWords: minor,
+    paraphrasedWords: 0,
+    totalWords: wordsOf(suspectedText).length,
+  };
+
+  return { id, source, exported };
+}
+
+/**
+ * Everything Copyleaks reports for a scan
+ * @param {string} scanId - Scan ID
+ * @param {string} text - Submitted text
+ * @param {object} [options]
+ * @param {number} [options.resultCount=3] - Results to report (fewer for short texts)
+ * @param {string} [options.filename] - Submitted file name
+ * @param {boolean} [options.includeHtml] - Add an HTML version to the crawled payload
+ * @returns {{ completed: object, results: Map<string, object>, crawled: object }}
+ */
+function synthesizeScan(scanId, text, { resultCount = 3, filename, includeHtml } = {}) {
+  const words = wordsOf(text);
+  const count = Math.min(resultCount, Math.floor(words.length / MIN_SEGMENT_WORDS));
+  const segment = count ? Math.floor(words.length / count) : 0;
+
+  const results = new Map();
+  for (let index = 0; index < count; index += 1) {
+    const result = synthesizeResult(scanId, text, words, index, {
+      first: index * segment,
+      identical: Math.floor(segment / 2),
+      minor: Math.floor(segment / 4),
+    });
+    results.set(result.id, result);
+  }
+
+  const sources = Array.from(results.values(), (result) => result.source);
+  const identicalWords = sources.reduce((sum, source) => sum + source.identicalWords, 0);
+  const minorChangedWords = sources.reduce((sum, source) => sum + source.similarWords, 0);
+  const matched = identicalWords + minorChangedWords;
+
+  const completed = {
+    status: 0,
+    developerPayload: null,
+    scannedDocument: {
+      scanId,
+      totalWords: words.length,
+      totalExcluded: 0,
+      credits: Math.max(Math.ceil(words.length / WORDS_PER_CREDIT), 1),
+      creationTime: new Date().toISOString(),
+      metadata: { filename },
+    },
+    results: {
+      score: {
+        aggregatedScore: words.length ? Math.round((matched / words.length) * 1000) / 10 : 0,
+        identicalWords,
+        minorChangedWords,
+        relatedMeaningWords: 0,
+      },
+      internet: sources,
+      database: [],
+      batch: [],
+      repositories: [],
+    },
+  };
+
+  const crawled = {
+    text: { value: text, exclude: { starts: [], lengths: [], reasons: [] } },
+    ...(includeHtml
+      ? { html: { value: `<html><body><pre>${escapeHtml(text)}</pre></body></html>` } }
+      : {}),
+    metadata: { filename, words: words.length },
+    version: 3,
+  };
+
+  return { completed, results, crawled };
+}
+
+function escapeHtml(text) {
+  return text.replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+}
+
+/**
+ * A one-page PDF listing the given lines, standing in for the Copyleaks report
+ * @param {string[]} lines - Report lines (ASCII)
+ * @returns {Buffer} PDF document
+ */
+function pdfReport(lines) {
+  const escapeText = (line) => line.replace(/[\\()]/g, "\\$&");
+  const content = [
+    "BT",
+    "/F1 12 Tf",
+    "72 740 Td",
+    "16 TL",
+    ...lines.map((line) => `(${escapeText(line)}) '`),
+    "ET",
+  ].join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R " +
+      "/Resources << /Font << /F1 5 0 R >> >> >>",
+    `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+/**
+ * Writer check corrections: repeated words are reported as grammar issues
+ * @param {string} text - Checked text
+ * @returns {object[]} Corrections in the Writing Assistant shape
+ */
+function writerCorrections(text) {
+  return Array.from(text.matchAll(/\b(\w+)\s+\1\b/gi), (match) => ({
+    type: "grammar",
+    message: `Repeated word "${match[1]}"`,
+    suggestion: match[1],
+    replacements: [match[1]],
+    position: { start: match.index, length: match[0].length },
+    severity: "warning",
+  }));
+}
+
+module.exports = {
+  synthesizeScan,
+  pdfReport,
+  writerCorrections,
+};
@@ -63,6 +63,15 @@ class ConflictError extends AppError {
   }
 }
 
+/**
+ * Error for resources whose data was removed by the retention policy
+ */
+class GoneError extends AppError {
+  constructor(message) {
+    super(message, 410, false);
+  }
+}
+
 /**
  * Error for authentication failures
  */
@@ -72,11 +81,22 @@ class AuthenticationError extends AppError {
   }
 }
 
+/**
+ * Error for requests that are not allowed (e.g. a disabled endpoint)
+ */
+class ForbiddenError extends AppError {
+  constructor(message = "Forbidden") {
+    super(message, 403, false);
+  }
+}
+
 module.exports = {
   AppError,
   CopyleaksError,
   ValidationError,
   NotFoundError,
   ConflictError,
+  GoneError,
   AuthenticationError,
+  ForbiddenError,
 };
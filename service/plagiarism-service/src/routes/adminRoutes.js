@@ -0,0 +1,63 @@
+const controller = require("../controllers/adminController");
+const {
+  ListDeadLettersQuerySchema,
+  DeadLetterIdParamSchema,
+  ReplayDeadLettersSchema,
+} = require("../schemas/plagiarism.schemas");
+
+async function adminRoutes(fastify) {
+  // Operators only; checked before the body is even parsed
+  fastify.addHook("onRequest", controller.authenticateOperator);
+
+  // GET /admin/dead-letters - List dead-lettered webhooks, oldest first
+  fastify.get("/dead-letters", {
+    schema: {
+      tags: ["admin"],
+      description: "List webhooks that were ignored or failed, oldest first",
+      querystring: ListDeadLettersQuerySchema,
+    },
+    handler: controller.listDeadLetters,
+  });
+
+  // POST /admin/dead-letters/replay - Replay pending dead letters in bulk
+  fastify.post("/dead-letters/replay", {
+    schema: {
+      tags: ["admin"],
+      description: "Replay pending dead letters by id or filter, oldest first",
+      body: ReplayDeadLettersSchema,
+    },
+    handler: controller.replayDeadLetters,
+  });
+
+  // GET /admin/dead-letters/:id - Inspect a dead letter and its payload
+  fastify.get("/dead-letters/:id", {
+    schema: {
+      tags: ["admin"],
+      description: "Get a dead letter with the webhook body it stores",
+      params: DeadLetterIdParamSchema,
+    },
+    handler: controller.getDeadLetter,
+  });
+
+  // POST /admin/dead-letters/:id/replay - Replay one dead letter
+  fastify.post("/dead-letters/:id/replay", {
+    schema: {
+      tags: ["admin"],
+      description: "Replay a pending dead letter through its webhook route",
+      params: DeadLetterIdParamSchema,
+    },
+    handler: controller.replayDeadLetter,
+  });
+
+  // DELETE /admin/dead-letters/:id - Discard a dead letter
+  fastify.delete("/dead-letters/:id", {
+    schema: {
+      tags: ["admin"],
+      description: "Delete a dead letter and its stored payload",
+      params: DeadLetterIdParamSchema,
+    },
+    handler: controller.deleteDeadLetter,
+  });
+}
+
+module.exports = adminRoutes;
@@ -1,5 +1,12 @@
 const controller = require("../controllers/plagiarismController");
-const { SubmitScanSchema, ScanIdParamSchema } = require("../schemas/plagiarism.schemas");
+const {
+  SubmitScanSchema,
+  ScanIdParamSchema,
+  ListScansQuerySchema,
+  ExportArchiveSchema,
+  ImportArchiveQuerySchema,
+  ScanArchiveSchema,
+} = require("../schemas/plagiarism.schemas");
 
 async function plagiarismRoutes(fastify) {
   // POST /plagiarism - Submit new scan with Zod validation
@@ -12,15 +19,26 @@ async function plagiarismRoutes(fastify) {
     handler: controller.submitScan,
   });
 
-  // GET /plagiarism - List all scans
+  // GET /plagiarism - List scans (cursor pagination, filters, sorting)
   fastify.get("/", {
     schema: {
       tags: ["plagiarism"],
-      description: "List all plagiarism scans",
+      description: "List plagiarism scans one page at a time",
+      querystring: ListScansQuerySchema,
     },
     handler: controller.listScans,
   });
 
+  // GET /plagiarism/live - WebSocket for dashboards following many scans
+  fastify.get("/live", {
+    websocket: true,
+    schema: {
+      tags: ["plagiarism"],
+      description: "Follow scans by id or filter over a WebSocket (status, score, highlights)",
+    },
+    handler: controller.openDashboard,
+  });
+
   // GET /plagiarism/:scanId - Get scan details
   fastify.get("/:scanId", {
     schema: {
@@ -31,6 +49,16 @@ async function plagiarismRoutes(fastify) {
     handler: controller.getScan,
   });
 
+  // GET /plagiarism/:scanId/stream - Server-Sent Events as the scan progresses
+  fastify.get("/:scanId/stream", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Stream status, result, export and highlight events for a scan (SSE)",
+      params: ScanIdParamSchema,
+    },
+    handler: controller.streamScan,
+  });
+
   // GET /plagiarism/:scanId/highlight - Get highlights
   fastify.get("/:scanId/highlight", {
     schema: {
@@ -41,6 +69,77 @@ async function plagiarismRoutes(fastify) {
     handler: controller.getHighlights,
   });
 
+  // GET /plagiarism/:scanId/crawled - Download the crawled version
+  fastify.get("/:scanId/crawled", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Stream the crawled version Copyleaks delivered for a scan",
+      params: ScanIdParamSchema,
+    },
+    handler: controller.downloadCrawled,
+  });
+
+  // GET /plagiarism/:scanId/pdf - Download the PDF report
+  fastify.get("/:scanId/pdf", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Stream the PDF report payload Copyleaks delivered for a scan",
+      params: ScanIdParamSchema,
+    },
+    handler: controller.downloadPdf,
+  });
+
+  // GET /plagiarism/:scanId/events - Get the scan's event timeline
+  fastify.get("/:scanId/events", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Get the lifecycle events recorded for a scan, oldest first",
+      params: ScanIdParamSchema,
+    },
+    handler: controller.getEvents,
+  });
+
+  // GET /plagiarism/:scanId/callbacks - Get the scan's callback delivery log
+  fastify.get("/:scanId/callbacks", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Get the callback subscription and delivery attempts for a scan",
+      params: ScanIdParamSchema,
+    },
+    handler: controller.getCallbacks,
+  });
+
+  // GET /plagiarism/:scanId/archive - Export one scan as an archive bundle
+  fastify.get("/:scanId/archive", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Export a finished scan as an archive bundle for another instance",
+      params: ScanIdParamSchema,
+    },
+    handler: controller.exportScanArchive,
+  });
+
+  // POST /plagiarism/archive/export - Export several scans as one archive bundle
+  fastify.post("/archive/export", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Export several finished scans as one archive bundle",
+      body: ExportArchiveSchema,
+    },
+    handler: controller.exportScanArchives,
+  });
+
+  // POST /plagiarism/archive/import - Import an archive bundle
+  fastify.post("/archive/import", {
+    schema: {
+      tags: ["plagiarism"],
+      description: "Import scans from an archive bundle exported by another instance",
+      querystring: ImportArchiveQuerySchema,
+      body: ScanArchiveSchema,
+    },
+    handler: controller.importScanArchive,
+  });
+
   // DELETE /plagiarism/:scanId - Delete scan
   fastify.delete("/:scanId", {
     schema: {
@@ -1,12 +1,85 @@
 const controller = require("../controllers/webhookController");
+const { errorHandler } = require("../middlewares/errorHandler");
+const {
+  ScanIdParamSchema,
+  ResultIdParamSchema,
+  WebhookStatusParamSchema,
+} = require("../schemas/plagiarism.schemas");
+const {
+  STATUS_WEBHOOK_SCHEMAS,
+  NewResultWebhookSchema,
+  ResultExportWebhookSchema,
+  CrawledWebhookSchema,
+  PdfWebhookSchema,
+  ExportCompletedWebhookSchema,
+} = require("../schemas/webhook.schemas");
 
 async function webhookRoutes(fastify) {
-  fastify.post("/new-result/:scanId", controller.handleNewResult);
-  fastify.post("/result/:scanId/:resultId", controller.handleResultExport);
-  fastify.post("/crawled/:scanId", controller.handleCrawled);
-  fastify.post("/pdf/:scanId", controller.handlePdf);
-  fastify.post("/export-completed/:scanId", controller.handleExportCompletion);
-  fastify.post("/:status/:scanId", controller.handleStatus);
+  // Every webhook must carry its scan's secret before its payload is even validated
+  fastify.addHook("preValidation", controller.authenticateWebhook);
+
+  // Payloads failing their schema are recorded for diagnosis instead of being applied
+  fastify.setErrorHandler((error, request, reply) =>
+    error.validation
+      ? controller.rejectInvalidWebhook(error, request, reply)
+      : errorHandler(error, request, reply)
+  );
+
+  // Copyleaks can deliver the PDF report as the raw document
+  fastify.addContentTypeParser("application/pdf", { parseAs: "buffer" }, (_request, body, done) =>
+    done(null, body)
+  );
+
+  const webhook = (url, event, schema, handler, status) =>
+    fastify.post(url, {
+      schema: { tags: ["webhook"], ...schema },
+      config: { webhook: event, status },
+      handler,
+    });
+
+  webhook(
+    "/new-result/:scanId",
+    "webhook.newResult",
+    { params: ScanIdParamSchema, body: NewResultWebhookSchema },
+    controller.handleNewResult
+  );
+  webhook(
+    "/result/:scanId/:resultId",
+    "webhook.result",
+    { params: ResultIdParamSchema, body: ResultExportWebhookSchema },
+    controller.handleResultExport
+  );
+  webhook(
+    "/crawled/:scanId",
+    "webhook.crawled",
+    { params: ScanIdParamSchema, body: CrawledWebhookSchema },
+    controller.handleCrawled
+  );
+  webhook(
+    "/pdf/:scanId",
+    "webhook.pdf",
+    { params: ScanIdParamSchema, body: PdfWebhookSchema },
+    controller.handlePdf
+  );
+  webhook(
+    "/export-completed/:scanId",
+    "webhook.exportCompleted",
+    { params: ScanIdParamSchema, body: ExportCompletedWebhookSchema },
+    controller.handleExportCompletion
+  );
+
+  for (const [status, body] of Object.entries(STATUS_WEBHOOK_SCHEMAS)) {
+    webhook(
+      `/${status}/:scanId`,
+      `webhook.${status}`,
+      { params: ScanIdParamSchema, body },
+      controller.handleStatus,
+      status
+    );
+  }
+
+  // Any other {STATUS} fails WebhookStatusParamSchema and is recorded as invalid
+  webhook("/:status/:scanId", null, { params: WebhookStatusParamSchema }, controller.handleStatus);
 }
 
 module.exports = webhookRoutes;
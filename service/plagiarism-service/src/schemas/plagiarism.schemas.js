@@ -1,5 +1,11 @@
 const { z } = require("zod");
 
+// Lifecycle events a client can subscribe to with `callbackUrl` (see services/callbackDispatcher)
+const CALLBACK_EVENTS = ["submitted", "completed", "exported", "highlights-ready", "error"];
+
+// Submission queue priorities, most urgent first (see services/submissionQueue)
+const SUBMISSION_PRIORITIES = ["high", "normal", "low"];
+
 /**
  * Schema for scan submission request
  */
@@ -21,11 +27,124 @@ const SubmitScanSchema = z.object({
         .describe("Sensitivity level for plagiarism detection (1-5)"),
       includeHtml: z.boolean().optional().default(true).describe("Include HTML in results"),
       expiration: z.string().optional().describe("Expiration time for scan results"),
+      forceRescan: z
+        .boolean()
+        .optional()
+        .default(false)
+        .describe("Submit a fresh scan even if identical text was already scanned"),
     })
     .optional()
     .default({}),
+  callbackUrl: z
+    .url({ protocol: /^https?$/, error: "callbackUrl must be an http(s) URL" })
+    .optional()
+    .describe("Receive signed callbacks for this scan's lifecycle events"),
+  callbackEvents: z
+    .array(z.enum(CALLBACK_EVENTS))
+    .min(1)
+    .optional()
+    .describe("Events to send to callbackUrl (defaults to all)"),
+  priority: z
+    .enum(SUBMISSION_PRIORITIES)
+    .optional()
+    .default("normal")
+    .describe("Submission queue priority; high jumps ahead of normal and low scans"),
 });
 
+const SCAN_STATUSES = ["queued", "pending", "completed", "error", "expired"];
+
+/**
+ * Schema for scan listing query (cursor pagination, filters and sorting)
+ */
+const ListScansQuerySchema = z
+  .object({
+    limit: z.coerce
+      .number()
+      .int()
+      .min(1)
+      .max(100)
+      .optional()
+      .default(20)
+      .describe("Page size (1-100)"),
+    cursor: z.string().min(1).optional().describe("nextCursor from the previous page"),
+    status: z
+      .string()
+      .regex(
+        new RegExp(`^(${SCAN_STATUSES.join("|")})(,(${SCAN_STATUSES.join("|")}))*$`),
+        `Status must be a comma-separated list of: ${SCAN_STATUSES.join(", ")}`
+      )
+      .optional()
+      .describe("Comma-separated statuses to include"),
+    createdAfter: z.iso.datetime().optional().describe("Only scans created at or after"),
+    createdBefore: z.iso.datetime().optional().describe("Only scans created at or before"),
+    minScore: z.coerce.number().min(0).max(100).optional().describe("Minimum aggregated score"),
+    maxScore: z.coerce.number().min(0).max(100).optional().describe("Maximum aggregated score"),
+    hasExportedResults: z
+      .enum(["true", "false"])
+      .optional()
+      .describe("Only scans with (true) or without (false) exported results"),
+    sortBy: z
+      .enum(["createdAt", "lastUpdated", "score"])
+      .optional()
+      .default("createdAt")
+      .describe("Sort field"),
+    order: z.enum(["asc", "desc"]).optional().default("desc").describe("Sort direction"),
+  })
+  .refine(
+    (query) =>
+      query.minScore === undefined ||
+      query.maxScore === undefined ||
+      query.minScore <= query.maxScore,
+    {
+      message: "minScore must not exceed maxScore",
+      path: ["minScore"],
+    }
+  );
+
+/**
+ * Scan filter of a dashboard subscription; the fields of the listing query, as JSON values
+ */
+const DashboardFilterSchema = z
+  .object({
+    status: z.array(z.enum(SCAN_STATUSES)).min(1).optional(),
+    createdAfter: z.iso.datetime().optional(),
+    createdBefore: z.iso.datetime().optional(),
+    minScore: z.number().min(0).max(100).optional(),
+    maxScore: z.number().min(0).max(100).optional(),
+    hasExportedResults: z.boolean().optional(),
+  })
+  .refine(
+    (filter) =>
+      filter.minScore === undefined ||
+      filter.maxScore === undefined ||
+      filter.minScore <= filter.maxScore,
+    {
+      message: "minScore must not exceed maxScore",
+      path: ["minScore"],
+    }
+  );
+
+/**
+ * Schema for messages dashboard clients send over the GET /plagiarism/live WebSocket
+ */
+const DashboardMessageSchema = z.discriminatedUnion("type", [
+  z
+    .object({
+      type: z.literal("subscribe"),
+      id: z.string().min(1).max(64).optional().describe("Subscription id (generated when omitted)"),
+      scanIds: z.array(z.string().min(1, "Scan ID is required")).min(1).max(100).optional(),
+      filter: DashboardFilterSchema.optional(),
+    })
+    .refine((message) => (message.scanIds === undefined) !== (message.filter === undefined), {
+      message: "Subscribe to either scanIds or a filter",
+      path: ["scanIds"],
+    }),
+  z.object({
+    type: z.literal("unsubscribe"),
+    id: z.string().min(1, "Subscription id is required"),
+  }),
+]);
+
 /**
  * Schema for scan ID parameter
  */
@@ -49,12 +168,154 @@ const WebhookStatusParamSchema = z.object({
   scanId: z.string().min(1, "Scan ID is required"),
 });
 
+const ARCHIVE_FORMAT = "plagiarism-scan-archive";
+const ARCHIVE_VERSION = 1;
+
+// Scans still waiting on Copyleaks webhooks cannot be archived, expired ones have no data left
+const ARCHIVABLE_STATUSES = ["completed", "error"];
+
+/**
+ * Schema for exporting several scans into one archive
+ */
+const ExportArchiveSchema = z.object({
+  scanIds: z
+    .array(z.string().min(1, "Scan ID is required"))
+    .min(1, "At least one scan ID is required")
+    .max(50, "At most 50 scans can be archived at once")
+    .refine((scanIds) => new Set(scanIds).size === scanIds.length, "Scan IDs must be unique"),
+});
+
+/**
+ * Schema for archive import options
+ */
+const ImportArchiveQuerySchema = z.object({
+  onConflict: z
+    .enum(["fail", "skip", "replace"])
+    .optional()
+    .default("fail")
+    .describe("What to do when a scanId already exists on this instance"),
+});
+
+const ArchivedBlobSchema = z
+  .object({
+    contentType: z.string().min(1),
+    sha256: z.string().regex(/^[a-f0-9]{64}$/, "sha256 must be a hex digest"),
+    data: z.base64("Blob data must be base64-encoded"),
+  })
+  .nullable();
+
+/**
+ * Schema for a scan archive bundle (see services/scanArchive)
+ */
+const ScanArchiveSchema = z.object({
+  format: z.literal(ARCHIVE_FORMAT, `Not a scan archive (format must be "${ARCHIVE_FORMAT}")`),
+  version: z.literal(
+    ARCHIVE_VERSION,
+    `Unsupported archive version; this instance reads version ${ARCHIVE_VERSION}`
+  ),
+  exportedAt: z.iso.datetime(),
+  scans: z
+    .array(
+      z.object({
+        record: z.object({
+          scanId: z
+            .string()
+            .regex(/^[\w-]{1,128}$/, "Scan ID may only contain letters, digits, _ and -"),
+          text: z.string(),
+          textLength: z.number().int().nonnegative().optional(),
+          createdAt: z.iso.datetime(),
+          lastUpdated: z.iso.datetime().optional(),
+          status: z.enum(ARCHIVABLE_STATUSES),
+          options: z.record(z.string(), z.unknown()).optional().default({}),
+          summary: z.unknown().optional(),
+          credits: z.unknown().optional(),
+          results: z.array(z.unknown()).optional().default([]),
+          exported: z.object({
+            results: z.record(z.string(), z.unknown()),
+            completedAt: z.iso.datetime().nullable().optional(),
+          }),
+          exportStarted: z.boolean().optional(),
+          exportState: z.unknown().optional(),
+          contentHash: z.string().nullable().optional(),
+          reusedFrom: z.string().nullable().optional(),
+        }),
+        blobs: z.object({
+          crawled: ArchivedBlobSchema.optional().default(null),
+          crawledText: ArchivedBlobSchema.optional().default(null),
+          pdfReport: ArchivedBlobSchema.optional().default(null),
+        }),
+        events: z
+          .array(
+            z.object({
+              type: z.string().min(1),
+              at: z.iso.datetime(),
+              data: z.record(z.string(), z.unknown()).optional().default({}),
+            })
+          )
+          .optional()
+          .default([]),
+      })
+    )
+    .min(1, "Archive contains no scans"),
+});
+
+const DEAD_LETTER_REASONS = ["unknownScan", "finished", "failed", "exportFailed", "invalid"];
+const DEAD_LETTER_STATUSES = ["pending", "replayed"];
+
+const deadLetterLimit = (max, fallback) =>
+  z.coerce
+    .number()
+    .int()
+    .min(1)
+    .max(max)
+    .optional()
+    .default(fallback)
+    .describe(`Maximum dead letters (1-${max})`);
+
+const deadLetterFilters = {
+  reason: z.enum(DEAD_LETTER_REASONS).optional().describe("Only letters with this reason"),
+  scanId: z.string().min(1).optional().describe("Only letters for this scan"),
+  receivedAfter: z.iso.datetime().optional().describe("Only letters received at or after"),
+  receivedBefore: z.iso.datetime().optional().describe("Only letters received at or before"),
+};
+
+/**
+ * Schema for dead letter listing query
+ */
+const ListDeadLettersQuerySchema = z.object({
+  status: z.enum(DEAD_LETTER_STATUSES).optional().describe("pending or replayed"),
+  ...deadLetterFilters,
+  limit: deadLetterLimit(500, 100),
+});
+
+/**
+ * Schema for dead letter ID parameter
+ */
+const DeadLetterIdParamSchema = z.object({
+  id: z.string().min(1, "Dead letter ID is required"),
+});
+
+/**
+ * Schema for bulk replay: explicit ids, or every pending letter matching the filters
+ */
+const ReplayDeadLettersSchema = z.object({
+  ids: z
+    .array(z.string().min(1, "Dead letter ID is required"))
+    .min(1)
+    .max(500)
+    .optional()
+    .describe("Dead letters to replay (filters are ignored when given)"),
+  ...deadLetterFilters,
+  limit: deadLetterLimit(500, 100),
+});
+
 /**
  * Response schemas
  */
 const ScanResponseSchema = z.object({
   scanId: z.string(),
-  status: z.enum(["queued", "pending", "completed", "error"]),
+  status: z.enum(SCAN_STATUSES),
+  priority: z.enum(SUBMISSION_PRIORITIES).optional(),
   message: z.string().optional(),
 });
 
@@ -65,10 +326,26 @@ const ErrorResponseSchema = z.object({
 });
 
 module.exports = {
+  CALLBACK_EVENTS,
+  SUBMISSION_PRIORITIES,
+  SCAN_STATUSES,
   SubmitScanSchema,
+  ListScansQuerySchema,
+  DashboardMessageSchema,
   ScanIdParamSchema,
   ResultIdParamSchema,
   WebhookStatusParamSchema,
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ARCHIVABLE_STATUSES,
+  ExportArchiveSchema,
+  ImportArchiveQuerySchema,
+  ScanArchiveSchema,
+  DEAD_LETTER_REASONS,
+  DEAD_LETTER_STATUSES,
+  ListDeadLettersQuerySchema,
+  DeadLetterIdParamSchema,
+  ReplayDeadLettersSchema,
   ScanResponseSchema,
   ErrorResponseSchema,
 };
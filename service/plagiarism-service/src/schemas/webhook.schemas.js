@@ -0,0 +1,195 @@
+const { z } = require("zod");
+
+/**
+ * Copyleaks webhook payloads
+ * Each schema checks the fields the service relies on and lets everything else through
+ * untouched, since Copyleaks adds fields over time. Parsed payloads are what gets stored,
+ * so optional collections are normalized to empty ones instead of being defaulted at read
+ * time. The pull-mode poller validates its downloads with the same schemas.
+ */
+
+const count = z.number().int().min(0);
+
+/**
+ * Matched source, as listed in completed and newResult payloads
+ */
+const SourceSchema = z.looseObject({
+  id: z.string().min(1, "Source id is required"),
+  url: z.string().optional(),
+  title: z.string().optional(),
+  matchedWords: count.optional(),
+  identicalWords: count.optional(),
+  similarWords: count.optional(),
+  paraphrasedWords: count.optional(),
+});
+
+const sourceGroups = {
+  internet: z.array(SourceSchema).default([]),
+  database: z.array(SourceSchema).default([]),
+  batch: z.array(SourceSchema).default([]),
+  repositories: z.array(SourceSchema).default([]),
+};
+
+/**
+ * Body of POST /webhook/completed/:scanId
+ */
+const CompletedWebhookSchema = z.looseObject({
+  status: z.number().int().optional(),
+  scannedDocument: z.looseObject({
+    scanId: z.string().optional(),
+    totalWords: count,
+    totalExcluded: count.optional(),
+    credits: count.optional(),
+    creationTime: z.string().optional(),
+  }),
+  results: z.looseObject({
+    score: z.looseObject({
+      aggregatedScore: z.number().min(0).max(100),
+      identicalWords: count.optional(),
+      minorChangedWords: count.optional(),
+      relatedMeaningWords: count.optional(),
+    }),
+    ...sourceGroups,
+  }),
+});
+
+/**
+ * Body of POST /webhook/error/:scanId. Older deliveries carry the message as a plain string;
+ * both forms are normalized to `{ code, message }`.
+ */
+const ErrorWebhookSchema = z.looseObject({
+  status: z.number().int().optional(),
+  error: z
+    .union([
+      z.string().min(1, "Error message is required"),
+      z.looseObject({
+        code: z.number().int().nullable().optional(),
+        message: z.string().min(1, "Error message is required"),
+      }),
+    ])
+    .transform((error) =>
+      typeof error === "string" ? { code: null, message: error } : { code: null, ...error }
+    ),
+});
+
+/**
+ * Body of POST /webhook/creditsChecked/:scanId
+ */
+const CreditsCheckedWebhookSchema = z.looseObject({
+  credits: count,
+});
+
+// Body schema for each status Copyleaks substitutes into /webhook/{STATUS}/:scanId
+const STATUS_WEBHOOK_SCHEMAS = {
+  completed: CompletedWebhookSchema,
+  error: ErrorWebhookSchema,
+  creditsChecked: CreditsCheckedWebhookSchema,
+};
+
+/**
+ * Body of POST /webhook/new-result/:scanId: a single source, or sources grouped by type
+ */
+const NewResultWebhookSchema = z.union([SourceSchema, z.looseObject(sourceGroups)]);
+
+const RangesSchema = z
+  .object({
+    starts: z.array(count),
+    lengths: z.array(count),
+  })
+  .refine((ranges) => ranges.starts.length === ranges.lengths.length, {
+    message: "starts and lengths must have the same number of entries",
+  });
+
+const MatchedRangesSchema = z.looseObject({
+  chars: RangesSchema,
+  words: RangesSchema.optional(),
+});
+
+const ComparisonSchema = z.looseObject({
+  source: MatchedRangesSchema,
+  suspected: MatchedRangesSchema.optional(),
+});
+
+const comparisonTypes = z
+  .looseObject({
+    identical: ComparisonSchema.optional(),
+    minorChanges: ComparisonSchema.optional(),
+    relatedMeaning: ComparisonSchema.optional(),
+  })
+  .default({});
+
+/**
+ * Body of POST /webhook/result/:scanId/:resultId (one exported comparison)
+ */
+const ResultExportWebhookSchema = z.looseObject({
+  statistics: z
+    .looseObject({
+      identical: count,
+      minorChanges: count,
+      relatedMeaning: count,
+    })
+    .optional(),
+  text: z
+    .looseObject({
+      value: z.string().optional(),
+      comparison: comparisonTypes,
+    })
+    .optional(),
+  html: z
+    .looseObject({
+      value: z.string().optional(),
+      comparison: comparisonTypes,
+    })
+    .optional(),
+});
+
+/**
+ * Body of POST /webhook/crawled/:scanId (the document as Copyleaks indexed it)
+ */
+const CrawledWebhookSchema = z
+  .looseObject({
+    text: z.looseObject({ value: z.string() }).optional(),
+    html: z.looseObject({ value: z.string() }).optional(),
+    metadata: z.looseObject({}).optional(),
+  })
+  .refine((payload) => payload.text || payload.html, {
+    message: "Crawled payload must contain text or html",
+  });
+
+/**
+ * Body of POST /webhook/pdf/:scanId: the PDF itself (application/pdf), or a JSON wrapper
+ * holding it base64-encoded
+ */
+const PdfWebhookSchema = z.union([
+  z.instanceof(Buffer).refine((pdf) => pdf.length > 0, { message: "PDF report is empty" }),
+  z.looseObject({ pdf: z.string().min(1, "PDF report is empty") }),
+]);
+
+/**
+ * Body of POST /webhook/export-completed/:scanId
+ */
+const ExportCompletedWebhookSchema = z.looseObject({
+  completed: z.boolean(),
+  tasks: z
+    .array(
+      z.looseObject({
+        endpoint: z.string().optional(),
+        isHealthy: z.boolean(),
+        httpStatusCode: z.number().int().optional(),
+      })
+    )
+    .default([]),
+  developerPayload: z.string().optional(),
+});
+
+module.exports = {
+  STATUS_WEBHOOK_SCHEMAS,
+  CompletedWebhookSchema,
+  ErrorWebhookSchema,
+  CreditsCheckedWebhookSchema,
+  NewResultWebhookSchema,
+  ResultExportWebhookSchema,
+  CrawledWebhookSchema,
+  PdfWebhookSchema,
+  ExportCompletedWebhookSchema,
+};
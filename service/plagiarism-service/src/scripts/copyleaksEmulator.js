@@ -0,0 +1,33 @@
+/**
+ * Run the Copyleaks emulator for offline development
+ * Start it, then point the service (or the root app) at it:
+ *
+ *   npm run emulator
+ *   COPYLEAKS_ID_URL=http://localhost:4010 COPYLEAKS_BASE_URL=http://localhost:4010 npm start
+ *
+ * Any COPYLEAKS_EMAIL and COPYLEAKS_API_KEY log in. WEBHOOK_BASE_URL can stay on localhost,
+ * since the emulator sends its webhooks from this machine.
+ */
+const { buildEmulator } = require("../emulator/copyleaksEmulator");
+
+const port = Number.parseInt(process.env.COPYLEAKS_EMULATOR_PORT || "4010", 10);
+const host = process.env.COPYLEAKS_EMULATOR_HOST || "127.0.0.1";
+
+const emulator = buildEmulator({
+  webhookDelayMs: Number.parseInt(process.env.COPYLEAKS_EMULATOR_WEBHOOK_DELAY_MS || "500", 10),
+  resultCount: Number.parseInt(process.env.COPYLEAKS_EMULATOR_RESULTS || "3", 10),
+  tokenLifetimeMs: Number.parseInt(
+    process.env.COPYLEAKS_EMULATOR_TOKEN_LIFETIME_MS || "3600000",
+    10
+  ),
+  logger: { level: process.env.LOG_LEVEL || "info" },
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => emulator.close());
+}
+
+emulator.listen({ port, host }).catch((error) => {
+  emulator.log.error({ err: error }, "Copyleaks emulator failed to start");
+  process.exitCode = 1;
+});
@@ -0,0 +1,41 @@
+/**
+ * Re-seal every stored scan with the active encryption key
+ * Run after enabling SCAN_ENCRYPTION_KEYS (seals existing plaintext) or after adding a new
+ * key and pointing SCAN_ENCRYPTION_ACTIVE_KEY at it (re-wraps data keys). Keep the old key
+ * in the keyring until this finishes, then it can be removed.
+ *
+ *   npm run reseal-scans
+ */
+const logger = require("../utils/logger");
+const scanStore = require("../storage/scanStore");
+
+const PAGE_SIZE = 100;
+
+async function resealAll() {
+  let cursor;
+  let scanned = 0;
+  let resealed = 0;
+
+  do {
+    const page = await scanStore.listScans({ order: "asc", cursor, limit: PAGE_SIZE });
+    for (const { scanId } of page.items) {
+      scanned += 1;
+      if (await scanStore.resealScan(scanId)) {
+        resealed += 1;
+      }
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return { scanned, resealed };
+}
+
+resealAll()
+  .then(({ scanned, resealed }) => {
+    logger.info(`Re-sealed ${resealed} of ${scanned} scan(s) with the active encryption key`);
+  })
+  .catch((error) => {
+    logger.error({ err: error }, "Re-sealing scans failed");
+    process.exitCode = 1;
+  })
+  .finally(() => scanStore.close());
@@ -1,10 +1,26 @@
 const buildServer = require("./app");
 const config = require("./config");
-const { copyleaksClient } = require("./services/copyleaksService");
+const { copyleaksClient, plagiarismScanner } = require("./services/copyleaksService");
+const RetentionSweeper = require("./services/retentionSweeper");
+const ResultPoller = require("./services/resultPoller");
+const scanStore = require("./storage/scanStore");
+const { getWebhookSecrets } = require("./services/webhookSecrets");
+const { getCallbackDispatcher } = require("./services/callbackDispatcher");
+const { getSubmissionQueue } = require("./services/submissionQueue");
 const gracefulShutdown = require("fastify-graceful-shutdown");
 
 async function start() {
   const server = buildServer();
+  const retentionSweeper = new RetentionSweeper(scanStore, plagiarismScanner, {
+    intervalMs: config.retention.sweepIntervalMs,
+    batchSize: config.retention.sweepBatchSize,
+    purgeCopyleaks: config.retention.purgeCopyleaks,
+  });
+  const resultPoller = new ResultPoller(scanStore, plagiarismScanner, {
+    intervalMs: config.resultDelivery === "pull" ? config.polling.intervalMs : 0,
+    batchSize: config.polling.batchSize,
+    callbacks: getCallbackDispatcher(),
+  });
 
   // Register graceful shutdown plugin
   await server.register(gracefulShutdown, {
@@ -12,15 +28,25 @@ async function start() {
   });
 
   // Setup graceful shutdown handlers
-  server.gracefulShutdown((signal, next) => {
+  server.gracefulShutdown(async (signal) => {
     server.log.info(`Received ${signal}, starting graceful shutdown...`);
 
     // Cleanup operations (e.g., close DB connections, flush logs, etc.)
-    // For now, we just log. Add more cleanup as needed.
+    await getSubmissionQueue().stop();
+    await retentionSweeper.stop();
+    await resultPoller.stop();
+    // Within the shutdown timeout above; retries still backing off by then are dropped
+    await getCallbackDispatcher().drain({ timeoutMs: config.callbacks.drainTimeoutMs });
+    await scanStore.close();
     server.log.info("Cleanup completed");
-    next();
   });
 
+  if (config.resultDelivery === "pull") {
+    server.log.info("Pull mode: polling Copyleaks for results instead of waiting for webhooks");
+  } else if (!getWebhookSecrets().enabled) {
+    server.log.warn("WEBHOOK_SECRET_KEYS is not set; webhooks are accepted without a secret");
+  }
+
   try {
     await copyleaksClient.login();
     server.log.info("Copyleaks authentication ready");
@@ -39,8 +65,12 @@ async function start() {
       port: config.port,
       env: config.env,
       webhookBaseUrl: config.webhookBaseUrl,
+      resultDelivery: config.resultDelivery,
       docsUrl: `http://localhost:${config.port}/docs`,
     });
+    getSubmissionQueue().start();
+    retentionSweeper.start();
+    resultPoller.start();
   } catch (error) {
     server.log.error({ err: error }, "Failed to start Fastify server");
     process.exit(1);
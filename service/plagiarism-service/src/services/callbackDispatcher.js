@@ -0,0 +1,246 @@
+const crypto = require("node:crypto");
+const { setTimeout: sleep } = require("node:timers/promises");
+const axios = require("axios");
+const config = require("../config");
+const logger = require("../utils/logger");
+const scanStore = require("../storage/scanStore");
+const { ValidationError } = require("../errors/custom-errors");
+const { resolvePublicAddresses } = require("../utils/publicAddress");
+
+/**
+ * Outbound callbacks
+ * Scans submitted with a `callbackUrl` get a signed JSON POST for each lifecycle event in
+ * their filter, so clients no longer have to poll GET /plagiarism/:scanId:
+ *
+ *   { "id": "<deliveryId>", "event": "completed", "scanId": "...", "occurredAt": "...", "data": {} }
+ *
+ * Each request carries `X-Plagiarism-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>` over
+ * `<t>.<raw body>`, keyed with CALLBACK_SIGNING_SECRET. Failed deliveries (network errors and
+ * non-2xx answers) are retried with exponential backoff; every attempt is appended to the
+ * scan's timeline as `callback.delivered` or `callback.failed`, which doubles as the
+ * delivery log. Retries are held in memory and do not survive a restart: on shutdown,
+ * `drain({ timeoutMs })` waits for them until its deadline, then drops the ones still
+ * waiting for their back-off.
+ *
+ * Callback URLs are client-supplied, so their hosts must resolve to public addresses (see
+ * utils/publicAddress), both when a scan subscribes and when a callback is sent, and
+ * redirects are not followed.
+ */
+
+const SIGNATURE_HEADER = "x-plagiarism-signature";
+
+/**
+ * Compute the signature header value for a callback body
+ * @param {string} secret - Signing secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} `t=<timestamp>,v1=<hex digest>`
+ */
+function signCallback(secret, body, timestamp) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+class CallbackDispatcher {
+  /**
+   * @param {object} store - Scan store facade
+   * @param {object} options - `config.callbacks`
+   * @param {string} options.signingSecret - HMAC key; callbacks are disabled without it
+   * @param {number} options.maxAttempts - Attempts per callback, including the first
+   * @param {number} options.baseDelayMs - Delay before the first retry; doubles per attempt
+   * @param {number} options.maxDelayMs - Upper bound for a single retry delay
+   * @param {number} options.timeoutMs - Request timeout per attempt
+   * @param {boolean} [options.allowPrivateNetworks] - Also deliver to loopback and private
+   *   hosts (local development)
+   * @param {Function} [options.lookup] - `dns.promises.lookup` compatible resolver
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.signingSecret = options.signingSecret || "";
+    this.maxAttempts = options.maxAttempts ?? 6;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 60000;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.allowPrivateNetworks = options.allowPrivateNetworks ?? false;
+    this.lookup = options.lookup;
+    // Connections only go to addresses that passed the check (no DNS rebinding in between).
+    // Declared async: axios treats any other function as a callback-style lookup.
+    this.publicLookup = async (hostname) => resolvePublicAddresses(hostname, this.lookup);
+    this.pending = new Set();
+    // Aborted when a draining shutdown gives up, which ends every pending back-off
+    this.shutdown = new AbortController();
+  }
+
+  get enabled() {
+    return Boolean(this.signingSecret);
+  }
+
+  /**
+   * Refuse callback URLs whose host is not public
+   * @param {string} url - callbackUrl
+   * @throws {ValidationError} When the host resolves to a loopback, private or reserved address
+   */
+  async validateUrl(url) {
+    if (!this.allowPrivateNetworks) {
+      await resolvePublicAddresses(new URL(url).hostname, this.lookup);
+    }
+  }
+
+  /**
+   * Queue a callback for a scan event if the scan subscribed to it. Never throws and does
+   * not wait for delivery, so webhook and API handlers are not slowed down by clients.
+   * @param {string} scanId - Scan the event belongs to
+   * @param {string} event - One of CALLBACK_EVENTS
+   * @param {object} [data] - Event details
+   */
+  notify(scanId, event, data = {}) {
+    const delivery = this.dispatch(scanId, event, data).catch((error) => {
+      logger.error("Callback dispatch failed", { scanId, event, error: error.message });
+    });
+    this.pending.add(delivery);
+    delivery.finally(() => this.pending.delete(delivery));
+  }
+
+  /**
+   * Wait for every queued callback, including its retries (tests and shutdown)
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Stop waiting after this long and drop the retries
+   *   still waiting for their back-off (no limit by default)
+   */
+  async drain({ timeoutMs } = {}) {
+    let timer;
+    const deadline =
+      timeoutMs === undefined
+        ? null
+        : new Promise((resolve) => {
+            timer = setTimeout(() => resolve(true), timeoutMs);
+          });
+
+    try {
+      while (this.pending.size) {
+        const settled = Promise.all(this.pending).then(() => false);
+        if (await (deadline ? Promise.race([settled, deadline]) : settled)) {
+          logger.warn("Dropping callback retries at shutdown", { pending: this.pending.size });
+          this.shutdown.abort();
+          return;
+        }
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async dispatch(scanId, event, data) {
+    const record = await this.store.getScan(scanId);
+    const callback = record?.options?.callback;
+
+    if (!this.enabled || !callback?.url || !callback.events.includes(event)) {
+      return;
+    }
+
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({
+      id: deliveryId,
+      event,
+      scanId,
+      occurredAt: new Date().toISOString(),
+      data,
+    });
+    await this.deliver(scanId, callback.url, event, deliveryId, body);
+  }
+
+  async deliver(scanId, url, event, deliveryId, body) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt += 1) {
+      const startedAt = Date.now();
+      let statusCode = null;
+      let message;
+      // A host that no longer resolves to public addresses is not retried
+      let refused = false;
+
+      try {
+        await this.validateUrl(url);
+        const response = await axios.post(url, body, {
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          ...(this.allowPrivateNetworks ? {} : { lookup: this.publicLookup }),
+          // Answers are judged below so non-2xx statuses are retried like network errors
+          validateStatus: () => true,
+          headers: {
+            "Content-Type": "application/json",
+            "X-Plagiarism-Event": event,
+            "X-Plagiarism-Delivery": deliveryId,
+            [SIGNATURE_HEADER]: signCallback(
+              this.signingSecret,
+              body,
+              Math.floor(Date.now() / 1000)
+            ),
+          },
+        });
+        statusCode = response.status;
+        message = `Callback endpoint answered ${response.status}`;
+      } catch (error) {
+        message = error.message;
+        refused = error instanceof ValidationError;
+      }
+
+      const attemptLog = {
+        event,
+        deliveryId,
+        attempt,
+        statusCode,
+        durationMs: Date.now() - startedAt,
+      };
+
+      if (statusCode >= 200 && statusCode < 300) {
+        await this.store.recordEvent(scanId, "callback.delivered", attemptLog);
+        return;
+      }
+
+      const retryInMs =
+        attempt < this.maxAttempts && !refused
+          ? Math.min(this.baseDelayMs * 2 ** (attempt - 1), this.maxDelayMs)
+          : null;
+      await this.store.recordEvent(scanId, "callback.failed", {
+        ...attemptLog,
+        message,
+        retryInMs,
+      });
+
+      if (retryInMs === null) {
+        logger.warn("Giving up on callback", { scanId, event, deliveryId, attempts: attempt });
+        return;
+      }
+      try {
+        await sleep(retryInMs, undefined, { signal: this.shutdown.signal });
+      } catch {
+        // Shutting down; the attempt above stays the last one logged
+        return;
+      }
+    }
+  }
+}
+
+let callbackDispatcher = null;
+
+function getCallbackDispatcher() {
+  if (!callbackDispatcher) {
+    callbackDispatcher = new CallbackDispatcher(scanStore, config.callbacks);
+  }
+  return callbackDispatcher;
+}
+
+/**
+ * Replace the callback dispatcher (tests and embedding callers)
+ * @param {CallbackDispatcher|null} next - Dispatcher to use from now on
+ */
+function useCallbackDispatcher(next) {
+  callbackDispatcher = next;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  CallbackDispatcher,
+  signCallback,
+  getCallbackDispatcher,
+  useCallbackDispatcher,
+};
@@ -0,0 +1,143 @@
+const logger = require("../utils/logger");
+
+/**
+ * Circuit breaker
+ * Counts consecutive failures of the calls it runs. Once `failureThreshold` calls in a row
+ * failed the circuit opens and calls fail fast with `openError()` instead of running. After
+ * `resetTimeoutMs` one trial call is let through (half-open): success closes the circuit,
+ * failure opens it again. A trial still running after `trialTimeoutMs` counts as a failure, so
+ * a hung call cannot keep the circuit half-open. Errors `isFailure` rejects (e.g. a 404 answered by a healthy API)
+ * are passed on and count as the API responding.
+ */
+
+class CircuitBreaker {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Name used in logs
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeoutMs] - How long the circuit stays open before a trial
+   * @param {number} [options.trialTimeoutMs] - How long the half-open trial call may run
+   * @param {Function} [options.isFailure] - `(error) => boolean`, whether an error counts
+   * @param {Function} options.openError - `(retryAfterMs) => Error` thrown while open
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 30000;
+    this.trialTimeoutMs = options.trialTimeoutMs ?? 30000;
+    this.isFailure = options.isFailure ?? (() => true);
+    this.openError = options.openError;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+  }
+
+  /**
+   * Run a call through the circuit
+   * @param {Function} call - `() => Promise`
+   * @returns {Promise<*>} What `call` resolved with
+   */
+  async execute(call) {
+    const trial = this.admit();
+
+    try {
+      const result = await (trial ? this.withDeadline(call) : call());
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        // The API answered, so it is reachable
+        this.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Throw unless a call may run now; moves an expired open circuit to half-open
+   * @returns {boolean} True for the half-open trial call
+   */
+  admit() {
+    if (this.state === "closed") {
+      return false;
+    }
+
+    const retryAfterMs = this.openedAt + this.resetTimeoutMs - Date.now();
+    if (this.state === "open" && retryAfterMs <= 0) {
+      this.state = "half-open";
+      logger.info(`${this.name} circuit half-open, trying one call`);
+      return true;
+    }
+    // Open, or half-open with the trial call still running
+    throw this.openError(Math.max(retryAfterMs, 0));
+  }
+
+  /**
+   * Run the trial call, rejecting once it has run for `trialTimeoutMs`
+   * @param {Function} call - `() => Promise`
+   */
+  async withDeadline(call) {
+    let timer;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${this.name} trial call timed out after ${this.trialTimeoutMs}ms`)),
+        this.trialTimeoutMs
+      );
+      timer.unref();
+    });
+    try {
+      return await Promise.race([call(), deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== "closed") {
+      logger.info(`${this.name} circuit closed`);
+    }
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastFailure = { at: new Date().toISOString(), message: error.message };
+
+    // Calls started before the circuit opened do not extend it
+    if (this.state === "open") {
+      return;
+    }
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      logger.warn(`${this.name} circuit opened`, {
+        failures: this.failures,
+        error: error.message,
+      });
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * State reported on the health endpoint
+   */
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+      retryAt:
+        this.state === "open" ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastFailure: this.lastFailure,
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+};
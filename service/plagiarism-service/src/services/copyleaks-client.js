@@ -1,29 +1,127 @@
 const axios = require("axios");
+const { CopyleaksError } = require("../errors/custom-errors");
+const { CircuitBreaker } = require("./circuitBreaker");
+const { RequestLimiter } = require("./requestLimiter");
+
+// Token lifetime assumed when a login response carries no `.expires`
+const DEFAULT_TOKEN_LIFETIME_MS = 55 * 60 * 1000;
+// Cached tokens are not handed out this close to their expiry
+const EXPIRY_SKEW_MS = 30 * 1000;
+// Delay before retrying a failed background refresh
+const REFRESH_RETRY_MS = 30 * 1000;
+// setTimeout delays are 32-bit
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+// Times one call waits out a 429 before the error is passed on
+const MAX_RATE_LIMIT_RETRIES = 3;
+// Wait after a 429 without a usable Retry-After header
+const DEFAULT_RETRY_AFTER_MS = 1000;
+// Time a Copyleaks request may take before it is abandoned
+const DEFAULT_REQUEST_TIMEOUT_MS = 30 * 1000;
+// Copyleaks hosts, overridable to point the client at a local emulator
+const DEFAULT_ID_URL = "https://id.copyleaks.com";
+const DEFAULT_API_URL = "https://api.copyleaks.com";
+
+/**
+ * Delay asked for by a Retry-After header (seconds or an HTTP date)
+ * @param {string} [header] - Retry-After value
+ * @returns {number} Milliseconds to wait
+ */
+function retryAfterMs(header) {
+  if (header === undefined || header === null || header === "") {
+    return DEFAULT_RETRY_AFTER_MS;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? DEFAULT_RETRY_AFTER_MS : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Whether a failed call counts against the circuit: network errors, timeouts and 5xx do,
+ * while answers such as 400, 401 or 404 show Copyleaks is up
+ * @param {Error} error - axios error, or an error wrapping one as `cause`
+ */
+function isOutage(error) {
+  const status = (error.response ?? error.cause?.response)?.status;
+  return status === undefined || status >= 500;
+}
 
 /**
  * Unified Copyleaks API Client
- * Handles authentication for both Plagiarism and Grammar checking APIs
+ * Handles authentication for both Plagiarism and Grammar checking APIs. Concurrent callers
+ * share one login, the token is refreshed in the background before the `.expires` time
+ * Copyleaks returns, and calls answered with 401 log in again and are retried once.
+ * Authenticated calls share one circuit breaker: while Copyleaks is down they fail fast with
+ * a retryable CopyleaksError (503) instead of waiting on their retries. They also share one
+ * request limiter (token bucket plus concurrency cap); a 429 pauses it for the Retry-After
+ * delay and the call is retried, so bursts of submissions are spread out, not rejected.
+ * Every request has a timeout (`requestTimeoutMs`), so hung connections cannot hold the
+ * limiter's slots for good.
  */
 class CopyleaksClient {
-  constructor(email, apiKey) {
+  /**
+   * @param {string} email - Copyleaks account email
+   * @param {string} apiKey - Copyleaks API key
+   * @param {object} [options]
+   * @param {number} [options.refreshMarginMs] - Refresh the token this long before it expires
+   * @param {object} [options.circuit] - `failureThreshold` and `resetTimeoutMs` of the breaker
+   * @param {object} [options.limits] - `ratePerSecond`, `burst` and `maxConcurrent` of the
+   *   request limiter
+   * @param {number} [options.requestTimeoutMs] - Timeout of each Copyleaks request
+   * @param {string} [options.idUrl] - Identity server (login) base URL
+   * @param {string} [options.apiUrl] - API server base URL
+   */
+  constructor(email, apiKey, options = {}) {
     this.email = email;
     this.apiKey = apiKey;
     this.authToken = null;
     this.tokenExpiry = null;
+    this.refreshMarginMs = options.refreshMarginMs ?? 5 * 60 * 1000;
+    this.requestTimeoutMs = options.requestTimeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS;
+    this.loginPromise = null;
+    this.refreshTimer = null;
+    this.breaker = new CircuitBreaker({
+      name: "Copyleaks",
+      ...options.circuit,
+      isFailure: isOutage,
+      openError: (retryAfterMs) =>
+        new CopyleaksError(
+          `Copyleaks is unavailable; retry in ${Math.ceil(retryAfterMs / 1000)}s`,
+          503,
+          true
+        ),
+    });
+    this.limiter = new RequestLimiter(options.limits);
 
     // API endpoints
+    const idUrl = options.idUrl ?? DEFAULT_ID_URL;
+    const apiUrl = options.apiUrl ?? DEFAULT_API_URL;
     this.endpoints = {
-      login: "https://id.copyleaks.com/v3/account/login/api",
-      grammarCheck: "https://api.copyleaks.com/v3/writer/check",
-      writerDetector: "https://api.copyleaks.com/v3/writer-detector/check",
+      login: `${idUrl}/v3/account/login/api`,
+      account: `${apiUrl}/v3/account`,
+      grammarCheck: `${apiUrl}/v3/writer/check`,
+      writerDetector: `${apiUrl}/v3/writer-detector/check`,
     };
   }
 
   /**
    * Login and get authentication token
-   * Token is cached and reused until expiration
+   * Token is cached and reused until expiration. Calls made while a login is in flight
+   * share it instead of logging in again.
+   * @returns {Promise<string>} Access token
    */
-  async login() {
+  login() {
+    if (!this.loginPromise) {
+      this.loginPromise = this.requestToken().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    return this.loginPromise;
+  }
+
+  async requestToken() {
     try {
       console.log("🔐 Authenticating with Copyleaks...");
 
@@ -34,37 +132,146 @@ class CopyleaksClient {
           key: this.apiKey,
         },
         {
+          timeout: this.requestTimeoutMs,
           headers: {
             "Content-Type": "application/json",
           },
         }
       );
 
+      const expiresAt = Date.parse(response.data[".expires"]);
       this.authToken = response.data.access_token;
-
-      // Set token expiry (tokens typically expire after 1 hour)
-      this.tokenExpiry = Date.now() + 55 * 60 * 1000; // 55 minutes
+      this.tokenExpiry = Number.isNaN(expiresAt)
+        ? Date.now() + DEFAULT_TOKEN_LIFETIME_MS
+        : expiresAt;
+      this.scheduleRefresh();
 
       console.log("✓ Successfully authenticated with Copyleaks");
       return this.authToken;
     } catch (error) {
       console.error("✗ Login failed:", error.response?.data || error.message);
-      throw new Error(`Authentication failed: ${error.response?.data?.message || error.message}`);
+      throw new Error(`Authentication failed: ${error.response?.data?.message || error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Refresh the token ahead of its expiry. Short-lived tokens are refreshed halfway through
+   * their lifetime so refreshes never follow each other back to back.
+   * @param {number} [delay] - Delay before the refresh (defaults to the margin before expiry)
+   */
+  scheduleRefresh(delay) {
+    const remaining = this.tokenExpiry - Date.now();
+    const wait = delay ?? Math.max(remaining - this.refreshMarginMs, remaining / 2);
+
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(
+      () => this.refreshInBackground(),
+      Math.min(wait, MAX_TIMER_DELAY_MS)
+    );
+    this.refreshTimer.unref();
+  }
+
+  async refreshInBackground() {
+    this.refreshTimer = null;
+    try {
+      await this.login();
+    } catch {
+      // The current token stays in use until it expires; login() already logged the failure
+      const remaining = this.tokenExpiry - EXPIRY_SKEW_MS - Date.now();
+      if (this.authToken && remaining > 0) {
+        this.scheduleRefresh(Math.min(REFRESH_RETRY_MS, remaining));
+      }
     }
   }
 
   /**
    * Get valid authentication token
-   * Automatically refreshes if expired
+   * Logs in when there is no token or it is about to expire
+   * @returns {Promise<string>} Access token
    */
   async getAuthToken() {
-    // Check if we have a valid token
-    if (this.authToken && this.tokenExpiry && Date.now() < this.tokenExpiry) {
+    if (this.authToken && Date.now() < this.tokenExpiry - EXPIRY_SKEW_MS) {
       return this.authToken;
     }
 
-    // Token expired or doesn't exist, login again
-    return await this.login();
+    return this.login();
+  }
+
+  /**
+   * Run an authenticated call through the circuit breaker and the request limiter. When
+   * Copyleaks answers 401 (the token was revoked or expired early) the client logs in again
+   * and the call is retried once with the new token. A 429 pauses the limiter for the
+   * Retry-After delay and the call is queued again ahead of later ones.
+   * @param {Function} request - `(token) => Promise`, rejecting with the axios error
+   * @returns {Promise<*>} What `request` resolved with
+   * @throws {CopyleaksError} Without calling `request` while the circuit is open
+   */
+  withAuthToken(request) {
+    return this.breaker.execute(() => this.limitedCall(request));
+  }
+
+  async limitedCall(request, rateLimited = 0) {
+    try {
+      return await this.limiter.schedule(() => this.rateLimitedCall(request), {
+        first: rateLimited > 0,
+      });
+    } catch (error) {
+      if (error.response?.status !== 429 || rateLimited >= MAX_RATE_LIMIT_RETRIES) {
+        throw error;
+      }
+      return this.limitedCall(request, rateLimited + 1);
+    }
+  }
+
+  async rateLimitedCall(request) {
+    try {
+      return await this.authorizedCall(request);
+    } catch (error) {
+      // Pause before the call leaves the limiter so no queued call slips in first
+      if (error.response?.status === 429) {
+        const delay = retryAfterMs(error.response.headers?.["retry-after"]);
+        console.warn(`⏳ Copyleaks rate limit reached, waiting ${delay}ms`);
+        this.limiter.pauseFor(delay);
+      }
+      throw error;
+    }
+  }
+
+  async authorizedCall(request) {
+    const token = await this.getAuthToken();
+    try {
+      return await request(token);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+      console.warn("⚠ Copyleaks rejected the auth token, logging in again");
+      return request(await this.replaceToken(token));
+    }
+  }
+
+  /**
+   * Get a token to use instead of one Copyleaks rejected. Callers whose token was rejected at
+   * the same time share one login.
+   * @param {string} rejected - Token answered with 401
+   * @returns {Promise<string>} Access token
+   */
+  replaceToken(rejected) {
+    if (this.authToken === rejected) {
+      this.authToken = null;
+      this.tokenExpiry = null;
+    }
+    return this.getAuthToken();
+  }
+
+  /**
+   * Stop the background token refresh
+   */
+  close() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
   }
 
   /**
@@ -75,13 +282,11 @@ class CopyleaksClient {
    * @param {object} additionalHeaders - Additional headers
    */
   async makeRequest(url, method = "POST", data = null, additionalHeaders = {}) {
-    const token = await this.getAuthToken();
-
     const config = {
       method,
       url,
+      timeout: this.requestTimeoutMs,
       headers: {
-        Authorization: `Bearer ${token}`,
         "Content-Type": "application/json",
         ...additionalHeaders,
       },
@@ -92,7 +297,9 @@ class CopyleaksClient {
     }
 
     try {
-      const response = await axios(config);
+      const response = await this.withAuthToken((token) =>
+        axios({ ...config, headers: { ...config.headers, Authorization: `Bearer ${token}` } })
+      );
       return response.data;
     } catch (error) {
       console.error(`✗ API request failed: ${url}`, error.response?.data || error.message);
@@ -112,12 +319,14 @@ class CopyleaksClient {
    */
   async getAccountInfo() {
     try {
-      const token = await this.getAuthToken();
-      const response = await axios.get("https://api.copyleaks.com/v3/account", {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      const response = await this.withAuthToken((token) =>
+        axios.get(this.endpoints.account, {
+          timeout: this.requestTimeoutMs,
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        })
+      );
       return response.data;
     } catch (error) {
       console.error("✗ Failed to get account info:", error.response?.data || error.message);
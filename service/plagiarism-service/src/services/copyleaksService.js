@@ -1,14 +1,23 @@
 const CopyleaksClient = require("./copyleaks-client");
 const PlagiarismScanner = require("./plagiarism-scanner");
 const config = require("../config");
+const { getWebhookSecrets } = require("./webhookSecrets");
 
-const copyleaksClient = new CopyleaksClient(config.copyleaks.email, config.copyleaks.apiKey);
+const copyleaksClient = new CopyleaksClient(config.copyleaks.email, config.copyleaks.apiKey, {
+  refreshMarginMs: config.copyleaks.tokenRefreshMarginMs,
+  requestTimeoutMs: config.copyleaks.requestTimeoutMs,
+  circuit: config.copyleaks.circuit,
+  limits: config.copyleaks.limits,
+  idUrl: config.copyleaks.idUrl,
+  apiUrl: config.copyleaks.baseUrl,
+});
 
 const plagiarismScanner = new PlagiarismScanner(
   copyleaksClient,
   config.webhookBaseUrl,
   config.copyleaks.productEndpoint,
-  config.copyleaks.baseUrl
+  config.copyleaks.baseUrl,
+  (scanId) => getWebhookSecrets().headersFor(scanId)
 );
 
 module.exports = {
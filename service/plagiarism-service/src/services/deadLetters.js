@@ -0,0 +1,156 @@
+const logger = require("../utils/logger");
+const scanStore = require("../storage/scanStore");
+const { getWebhookSecrets } = require("./webhookSecrets");
+
+/**
+ * Dead-letter queue for webhooks
+ * Webhooks that cannot be applied are kept instead of being logged and dropped:
+ *
+ *   unknownScan    the scan is not in the store (e.g. lost, or restored from an archive later)
+ *   finished       a second completed/error webhook for a scan that already finished
+ *   failed         handling threw (store outage, ...); Copyleaks may still retry it
+ *   exportFailed   the scan completed but requesting the export from Copyleaks failed
+ *   invalid        the payload failed its webhook schema (see schemas/webhook.schemas)
+ *
+ * Duplicates are not dead-lettered (they were processed once already), and neither are
+ * webhooks for expired scans, whose data the retention policy has deliberately removed.
+ *
+ * A replay posts the stored body back through the service's own webhook route with the
+ * scan's secret, so it goes through exactly the same handling as a Copyleaks delivery.
+ * Replays bypass the duplicate check and never create new dead letters; their outcome is
+ * recorded on the letter instead.
+ */
+
+const REPLAY_HEADER = "x-dead-letter-replay";
+
+// Letters this process is replaying; a replay header naming anything else is not trusted
+const replaying = new Set();
+
+/**
+ * Check whether a webhook request is a dead letter being replayed
+ * @param {object} request - Fastify request
+ */
+function isReplay(request) {
+  return replaying.has(request.headers[REPLAY_HEADER]);
+}
+
+/**
+ * Dead-letter a webhook request. Never throws, so the webhook response is not affected.
+ * @param {object} request - Fastify webhook request
+ * @param {string} webhook - Webhook event type (e.g. webhook.completed)
+ * @param {string} reason - unknownScan, finished, failed, exportFailed or invalid
+ * @param {string} [message] - Error message for failed handling or the failed validation
+ * @returns {Promise<object|null>} Stored letter, null for replays or when storing failed
+ */
+async function deadLetter(request, webhook, reason, message = null) {
+  const { scanId } = request.params;
+
+  if (isReplay(request)) {
+    return null;
+  }
+
+  try {
+    const letter = await scanStore.recordDeadLetter({
+      webhook,
+      scanId,
+      url: request.url,
+      reason,
+      message,
+      payload: request.body ?? null,
+      // Raw bodies (a PDF posted as application/pdf) are replayed with their own type
+      contentType: Buffer.isBuffer(request.body) ? request.headers["content-type"] : undefined,
+    });
+    logger.warn("Dead-lettered webhook", { id: letter.id, scanId, webhook, reason });
+    return letter;
+  } catch (error) {
+    logger.error("Failed to dead-letter webhook", { scanId, webhook, error: error.message });
+    return null;
+  }
+}
+
+function outcomeOf(response) {
+  if (response.statusCode === 200) {
+    return "processed";
+  }
+  return response.statusCode === 202 ? "ignored" : "failed";
+}
+
+/**
+ * Replay one dead letter through the webhook routes
+ * @param {object} app - Fastify instance serving the webhook routes
+ * @param {object} letter - Dead letter from the store
+ * @returns {Promise<object>} Letter with the replay outcome; it stays pending unless the
+ *   webhook was processed
+ */
+async function replayDeadLetter(app, letter) {
+  const payload = await scanStore.readDeadLetterPayload(letter);
+  const raw = Buffer.isBuffer(payload);
+  const headers = Object.fromEntries(getWebhookSecrets().headersFor(letter.scanId));
+
+  replaying.add(letter.id);
+  let response;
+  try {
+    response = await app.inject({
+      method: "POST",
+      url: letter.url,
+      headers: {
+        ...headers,
+        "content-type": raw ? letter.payload.contentType : "application/json",
+        [REPLAY_HEADER]: letter.id,
+      },
+      payload: raw ? payload : JSON.stringify(payload),
+    });
+  } finally {
+    replaying.delete(letter.id);
+  }
+
+  const outcome = outcomeOf(response);
+  logger.info("Replayed dead letter", { id: letter.id, scanId: letter.scanId, outcome });
+  return scanStore.updateDeadLetter(letter.id, {
+    status: outcome === "processed" ? "replayed" : "pending",
+    replayCount: letter.replayCount + 1,
+    lastReplay: { at: new Date().toISOString(), statusCode: response.statusCode, outcome },
+  });
+}
+
+/**
+ * Replay pending dead letters one after the other, oldest first (e.g. after an outage)
+ * @param {object} app - Fastify instance serving the webhook routes
+ * @param {object} selection - `ids`, or filters (reason, scanId, receivedAfter,
+ *   receivedBefore) plus `limit`
+ * @returns {Promise<{ replayed: object[], skipped: string[] }>} Letters after their replay,
+ *   plus requested ids that are unknown or no longer pending
+ */
+async function replayDeadLetters(app, { ids, limit, ...filters }) {
+  let letters;
+  const skipped = [];
+
+  if (ids) {
+    letters = [];
+    for (const id of ids) {
+      const letter = await scanStore.getDeadLetter(id);
+      if (letter?.status === "pending") {
+        letters.push(letter);
+      } else {
+        skipped.push(id);
+      }
+    }
+  } else {
+    letters = await scanStore.listDeadLetters({ ...filters, status: "pending", limit });
+  }
+
+  // Sequential, so webhooks for one scan are re-applied in the order they first arrived
+  const replayed = [];
+  for (const letter of letters) {
+    replayed.push(await replayDeadLetter(app, letter));
+  }
+  return { replayed, skipped };
+}
+
+module.exports = {
+  REPLAY_HEADER,
+  isReplay,
+  deadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+};
@@ -0,0 +1,182 @@
+/**
+ * Export task health
+ * An export asks Copyleaks to deliver one task per exported result plus the crawled version
+ * and the PDF report. Its completion webhook reports every task with `isHealthy` and the
+ * HTTP status our endpoint answered, so each task's outcome is tracked on the scan as
+ * `exportState`:
+ *
+ *   { status: "pending" | "completed" | "partial", reExports, tasks: [
+ *       { task: "result" | "crawledVersion" | "pdfReport", resultId?, status, httpStatusCode,
+ *         attempts } ] }
+ *
+ * Task statuses are `pending` (requested, not reported yet), `delivered` or `failed`.
+ * Failed tasks are re-exported on their own until the retry budget is spent; the export is
+ * then `partial` if any task still failed. The functions here are pure; the webhook
+ * controller persists their results.
+ */
+
+const EXPORT_STATUSES = ["pending", "completed", "partial"];
+
+// Export config fields (see PlagiarismScanner.exportResults) for the single tasks
+const SINGLE_TASKS = {
+  crawled: "crawledVersion",
+  pdf: "pdfReport",
+};
+
+const pendingTask = (task, resultId) => ({
+  task,
+  ...(resultId === undefined ? {} : { resultId }),
+  status: "pending",
+  httpStatusCode: null,
+  attempts: 1,
+});
+
+const sameTask = (a, b) => a.task === b.task && a.resultId === b.resultId;
+
+/**
+ * Tasks of a full export
+ * @param {string[]} resultIds - Exported results
+ * @returns {object[]} Pending tasks
+ */
+function exportTasksFor(resultIds) {
+  return [
+    ...resultIds.map((resultId) => pendingTask("result", resultId)),
+    pendingTask("crawledVersion"),
+    pendingTask("pdfReport"),
+  ];
+}
+
+/**
+ * State of a freshly requested export
+ * @param {string[]} resultIds - Exported results
+ */
+function createExportState(resultIds) {
+  return { status: "pending", reExports: 0, tasks: exportTasksFor(resultIds) };
+}
+
+/**
+ * State of an export whose tasks were all delivered (pull mode downloads them directly)
+ * @param {string[]} resultIds - Exported results
+ */
+function deliveredExportState(resultIds) {
+  return {
+    status: "completed",
+    reExports: 0,
+    tasks: exportTasksFor(resultIds).map((task) => ({ ...task, status: "delivered" })),
+  };
+}
+
+/**
+ * Identify the task a reported endpoint belongs to. Endpoints are the webhook URLs the
+ * export was requested with, so only paths of this scan are recognized.
+ * @param {string} scanId - Exported scan
+ * @param {string} [endpoint] - Endpoint from the completion webhook
+ * @returns {{ task: string, resultId?: string }|null} Task, null for unknown endpoints
+ */
+function taskOfEndpoint(scanId, endpoint) {
+  let pathname;
+  try {
+    pathname = new URL(endpoint).pathname;
+  } catch {
+    return null;
+  }
+
+  const match = pathname.match(/\/webhook\/(result|crawled|pdf)\/([^/]+)(?:\/([^/]+))?\/?$/);
+  if (!match || decodeURIComponent(match[2]) !== scanId) {
+    return null;
+  }
+  if (match[1] === "result") {
+    return match[3] ? { task: "result", resultId: decodeURIComponent(match[3]) } : null;
+  }
+  return match[3] ? null : { task: SINGLE_TASKS[match[1]] };
+}
+
+/**
+ * Apply the tasks reported by an export completion webhook. Tasks it does not mention keep
+ * their status; reported tasks that were not tracked (an export requested before tasks
+ * were tracked) are added.
+ * @param {object|null} state - Current exportState
+ * @param {string} scanId - Exported scan
+ * @param {object[]} reported - `tasks` of the completion webhook
+ * @returns {object} New exportState, still `pending`
+ */
+function applyTaskReport(state, scanId, reported) {
+  const tasks = (state?.tasks ?? []).map((task) => ({ ...task }));
+
+  for (const { endpoint, isHealthy, httpStatusCode } of reported) {
+    const reportedTask = taskOfEndpoint(scanId, endpoint);
+    if (!reportedTask) {
+      continue;
+    }
+
+    let task = tasks.find((candidate) => sameTask(candidate, reportedTask));
+    if (!task) {
+      task = pendingTask(reportedTask.task, reportedTask.resultId);
+      tasks.push(task);
+    }
+    task.status = isHealthy ? "delivered" : "failed";
+    task.httpStatusCode = httpStatusCode ?? null;
+  }
+
+  return { status: "pending", reExports: state?.reExports ?? 0, tasks };
+}
+
+/**
+ * Failed tasks of an export
+ * @param {object|null} state - exportState
+ * @returns {object[]} Tasks whose last report was unhealthy
+ */
+function failedTasks(state) {
+  return (state?.tasks ?? []).filter((task) => task.status === "failed");
+}
+
+/**
+ * Export selection (see PlagiarismScanner.exportResults) covering only the given tasks
+ * @param {object[]} tasks - Tasks to export again
+ * @returns {{ resultIds: string[], crawledVersion: boolean, pdfReport: boolean }}
+ */
+function selectionOf(tasks) {
+  return {
+    resultIds: tasks.filter((task) => task.task === "result").map((task) => task.resultId),
+    crawledVersion: tasks.some((task) => task.task === "crawledVersion"),
+    pdfReport: tasks.some((task) => task.task === "pdfReport"),
+  };
+}
+
+/**
+ * Mark the failed tasks as re-exported
+ * @param {object} state - exportState after applyTaskReport
+ * @returns {object} New exportState, `pending` again
+ */
+function markReExported(state) {
+  return {
+    status: "pending",
+    reExports: state.reExports + 1,
+    tasks: state.tasks.map((task) =>
+      task.status === "failed"
+        ? { ...task, status: "pending", httpStatusCode: null, attempts: task.attempts + 1 }
+        : task
+    ),
+  };
+}
+
+/**
+ * Close an export: `partial` when a task still failed, `completed` otherwise
+ * @param {object} state - exportState after applyTaskReport
+ * @returns {object} Final exportState
+ */
+function finishExport(state) {
+  return { ...state, status: failedTasks(state).length ? "partial" : "completed" };
+}
+
+module.exports = {
+  EXPORT_STATUSES,
+  createExportState,
+  deliveredExportState,
+  taskOfEndpoint,
+  applyTaskReport,
+  failedTasks,
+  selectionOf,
+  markReExported,
+  finishExport,
+};
@@ -1,4 +1,5 @@
 const TextHighlighter = require("../utils/text-highlighter");
+const { decryptRecord, readBlobText } = require("../storage/scanStore");
 
 const textHighlighter = new TextHighlighter();
 
@@ -35,9 +36,11 @@ function extractMatches(results = {}) {
   return matches;
 }
 
-function resolveBaseText(record) {
-  if (record?.exported?.crawledText) {
-    return record.exported.crawledText;
+async function resolveBaseText(record) {
+  // The crawled text lives in the blob store; stream it in only when highlighting
+  const crawledText = await readBlobText(record?.exported?.crawledText ?? null);
+  if (crawledText) {
+    return crawledText;
   }
   if (record?.text) {
     return record.text;
@@ -45,8 +48,10 @@ function resolveBaseText(record) {
   return "";
 }
 
-function generateHighlightPayload(record) {
-  const text = resolveBaseText(record);
+async function generateHighlightPayload(sealedRecord) {
+  // Text and exported comparisons are encrypted at rest; decrypt only for highlighting
+  const record = decryptRecord(sealedRecord);
+  const text = await resolveBaseText(record);
   if (!text) {
     throw new Error("No text available for highlighting. Wait for crawled payload.");
   }
@@ -0,0 +1,100 @@
+/**
+ * Partial results from the Copyleaks newResult stream
+ * Copyleaks posts each new match to /webhook/new-result/:scanId as it finds it, grouped by
+ * source type ({ internet: [...], database: [...], batch: [...], repositories: [...] }).
+ * The payloads are stored as received; this module flattens them into matched sources and
+ * keeps the running tally shown while a scan is still in progress.
+ */
+
+const SOURCE_TYPES = ["internet", "database", "batch", "repositories"];
+
+// Statuses during which GET /plagiarism/:scanId shows partial results
+const IN_PROGRESS_STATUSES = new Set(["queued", "pending"]);
+
+/**
+ * Matched sources carried by one newResult payload
+ * Payloads holding a single source at the top level (`{ id, ... }`) count as internet matches.
+ * @param {object} payload - newResult webhook body
+ * @returns {object[]} Sources with their `type`
+ */
+function sourcesOf(payload) {
+  if (!payload || typeof payload !== "object") {
+    return [];
+  }
+
+  if (payload.id) {
+    return [{ type: "internet", ...payload }];
+  }
+
+  return SOURCE_TYPES.flatMap((type) =>
+    (Array.isArray(payload[type]) ? payload[type] : []).map((source) => ({ type, ...source }))
+  );
+}
+
+/**
+ * Check whether every source in a payload was already received
+ * @param {object[]} payloads - Stored newResult payloads
+ * @param {object} payload - Incoming newResult payload
+ * @returns {boolean} True when the payload adds no new source
+ */
+function isKnownResult(payloads, payload) {
+  const incoming = sourcesOf(payload).filter((source) => source.id);
+  if (!incoming.length) {
+    return false;
+  }
+
+  const known = new Set(payloads.flatMap(sourcesOf).map((source) => source.id));
+  return incoming.every((source) => known.has(source.id));
+}
+
+/**
+ * Running tally of the matched sources received so far
+ * @param {object[]} payloads - Stored newResult payloads, in arrival order
+ * @returns {{ sources: number, byType: object, maxMatchedWords: number, matches: object[] }}
+ *   Tally plus the sources, strongest match first
+ */
+function summarizePartialResults(payloads = []) {
+  const byId = new Map();
+  for (const source of payloads.flatMap(sourcesOf)) {
+    byId.set(source.id ?? `unnamed-${byId.size}`, source);
+  }
+
+  const matches = Array.from(byId.values())
+    .map((source) => ({
+      id: source.id ?? null,
+      type: source.type,
+      title: source.title ?? null,
+      url: source.url ?? null,
+      matchedWords: source.matchedWords ?? 0,
+      identicalWords: source.identicalWords ?? 0,
+      similarWords: source.similarWords ?? 0,
+      paraphrasedWords: source.paraphrasedWords ?? 0,
+    }))
+    .sort((a, b) => b.matchedWords - a.matchedWords);
+
+  const byType = Object.fromEntries(SOURCE_TYPES.map((type) => [type, 0]));
+  for (const match of matches) {
+    byType[match.type] += 1;
+  }
+
+  return {
+    sources: matches.length,
+    byType,
+    maxMatchedWords: matches[0]?.matchedWords ?? 0,
+    matches,
+  };
+}
+
+/**
+ * Partial results for a scan record, or null once the scan has finished
+ * @param {object} record - Decrypted scan record
+ */
+function partialResultsFor(record) {
+  return IN_PROGRESS_STATUSES.has(record.status) ? summarizePartialResults(record.results) : null;
+}
+
+module.exports = {
+  isKnownResult,
+  summarizePartialResults,
+  partialResultsFor,
+};
@@ -1,4 +1,5 @@
 const axios = require("axios");
+const { CopyleaksError } = require("../errors/custom-errors");
 
 /**
  * Plagiarism Scanner Module
@@ -9,7 +10,8 @@ class PlagiarismScanner {
     copyleaksClient,
     webhookBaseUrl,
     productEndpoint = "scans",
-    baseUrl = "https://api.copyleaks.com"
+    baseUrl = "https://api.copyleaks.com",
+    webhookHeaders = () => []
   ) {
     this.client = copyleaksClient;
     this.webhookBaseUrl = webhookBaseUrl;
@@ -17,10 +19,13 @@ class PlagiarismScanner {
     this.apiKey = copyleaksClient.apiKey;
     this.baseUrl = baseUrl; // Configurable base URL
     this.productEndpoint = productEndpoint; // Default to 'scans', can be 'education', 'businesses', etc.
+    this.webhookHeaders = webhookHeaders; // scanId => [[name, value]] sent back on every webhook
   }
 
   /**
    * Retry a function with exponential backoff
+   * Wraps whole client calls, so the waits between attempts hold neither a request limiter
+   * slot nor the circuit breaker's half-open trial.
    * @param {Function} fn - Function to retry
    * @param {number} maxRetries - Maximum number of retries
    * @param {number} initialDelay - Initial delay in milliseconds
@@ -34,12 +39,14 @@ class PlagiarismScanner {
       } catch (error) {
         lastError = error;
 
-        // Don't retry on client errors (4xx) except 429 (rate limit)
-        if (
-          error.response?.status >= 400 &&
-          error.response?.status < 500 &&
-          error.response?.status !== 429
-        ) {
+        // Circuit open: retrying now would fail the same way
+        if (error instanceof CopyleaksError) {
+          throw error;
+        }
+
+        // Don't retry on client errors (4xx); on 429 the client's limiter waits out
+        // Retry-After before retrying
+        if (error.response?.status >= 400 && error.response?.status < 500) {
           throw error;
         }
 
@@ -87,12 +94,13 @@ class PlagiarismScanner {
     try {
       console.log(`🔍 Submitting plagiarism scan: ${scanId} (${text.length} characters)...`);
 
-      // Get auth token
-      const authToken = await this.client.getAuthToken();
-
       // Convert text to base64
       const base64Text = Buffer.from(text).toString("base64");
 
+      // Headers Copyleaks echoes on this scan's webhooks (null when there are none)
+      const webhookHeaders = this.webhookHeaders(scanId);
+      const statusHeaders = webhookHeaders.length ? webhookHeaders : null;
+
       // Create request body matching Postman collection format (line 110)
       const requestBody = {
         base64: base64Text,
@@ -118,9 +126,9 @@ class PlagiarismScanner {
             id: null,
           },
           webhooks: {
-            newResult: null,
-            newResultHeaders: null,
-            statusHeaders: null,
+            newResult: `${this.webhookBaseUrl}/webhook/new-result/${scanId}`,
+            newResultHeaders: statusHeaders,
+            statusHeaders: statusHeaders,
             status: `${this.webhookBaseUrl}/webhook/{STATUS}/${scanId}`,
           },
           filters: {
@@ -214,18 +222,20 @@ class PlagiarismScanner {
 
       // Submit via direct HTTP PUT request with retry logic
       const response = await this.retryWithBackoff(
-        async () => {
-          return await axios.put(
-            `${this.baseUrl}/v3/${this.productEndpoint}/submit/file/${scanId}`,
-            requestBody,
-            {
-              headers: {
-                Authorization: `Bearer ${authToken}`,
-                "Content-Type": "application/json",
-              },
-            }
-          );
-        },
+        () =>
+          this.client.withAuthToken((authToken) =>
+            axios.put(
+              `${this.baseUrl}/v3/${this.productEndpoint}/submit/file/${scanId}`,
+              requestBody,
+              {
+                timeout: this.client.requestTimeoutMs,
+                headers: {
+                  Authorization: `Bearer ${authToken}`,
+                  "Content-Type": "application/json",
+                },
+              }
+            )
+          ),
         3,
         1000
       );
@@ -242,6 +252,11 @@ class PlagiarismScanner {
         responseStatus: response.status,
       };
     } catch (error) {
+      // Circuit open: already retryable and explained
+      if (error instanceof CopyleaksError) {
+        throw error;
+      }
+
       // Enhanced error handling with detailed debugging
       const errorDetails = {
         scanId: scanId,
@@ -257,26 +272,34 @@ class PlagiarismScanner {
 
       // Provide specific error messages based on status codes
       if (error.response?.status === 401) {
-        throw new Error("Authentication failed. Please check your Copyleaks API credentials.");
+        throw new Error("Authentication failed. Please check your Copyleaks API credentials.", {
+          cause: error,
+        });
       } else if (error.response?.status === 403) {
         throw new Error(
-          "Access forbidden. Your API key may not have permission for plagiarism scanning."
+          "Access forbidden. Your API key may not have permission for plagiarism scanning.",
+          { cause: error }
         );
       } else if (error.response?.status === 429) {
-        throw new Error("Rate limit exceeded. Please wait before submitting another scan.");
+        throw new Error("Rate limit exceeded. Please wait before submitting another scan.", {
+          cause: error,
+        });
       } else if (error.response?.status === 400) {
         throw new Error(
-          `Bad request: ${error.response?.data?.message || "Invalid request parameters"}`
+          `Bad request: ${error.response?.data?.message || "Invalid request parameters"}`,
+          { cause: error }
         );
       } else if (error.response?.status >= 500) {
-        throw new Error("Copyleaks server error. Please try again later.");
+        throw new Error("Copyleaks server error. Please try again later.", { cause: error });
       } else if (error.code === "ECONNREFUSED") {
         throw new Error(
-          "Could not connect to Copyleaks API. Please check your internet connection."
+          "Could not connect to Copyleaks API. Please check your internet connection.",
+          { cause: error }
         );
       } else {
         throw new Error(
-          `Plagiarism scan failed: ${error.response?.data?.message || error.response?.data?.error || error.message}`
+          `Plagiarism scan failed: ${error.response?.data?.message || error.response?.data?.error || error.message}`,
+          { cause: error }
         );
       }
     }
@@ -286,62 +309,70 @@ class PlagiarismScanner {
    * Export detailed plagiarism results
    * @param {string} scanId - The scan ID
    * @param {array} resultIds - Array of result IDs from completed webhook
+   * @param {object} [selection] - Tasks to export besides the results (re-exports of failed
+   *   tasks leave out the ones that were delivered)
+   * @param {boolean} [selection.crawledVersion=true] - Export the crawled version
+   * @param {boolean} [selection.pdfReport=true] - Export the PDF report
    * @returns {Promise<object>} Export result
    */
-  async exportResults(scanId, resultIds) {
+  async exportResults(scanId, resultIds, { crawledVersion = true, pdfReport = true } = {}) {
     // Validate required parameters
     if (!scanId || typeof scanId !== "string") {
       throw new Error("scanId is required and must be a string");
     }
 
-    if (!resultIds || !Array.isArray(resultIds) || resultIds.length === 0) {
+    if (!Array.isArray(resultIds) || (resultIds.length === 0 && !crawledVersion && !pdfReport)) {
       throw new Error("No result IDs provided for export");
     }
 
+    // Outside the try so failures can be reported with the export they belong to
+    const exportId = `export-${Date.now()}`;
+
     try {
       console.log(`📤 Exporting plagiarism results for scan: ${scanId}`);
 
-      const authToken = await this.client.getAuthToken();
-      const exportId = `export-${Date.now()}`;
+      const headers = this.webhookHeaders(scanId);
 
       // Create export config matching Postman format (line 350)
       const exportConfig = {
         completionWebhook: `${this.webhookBaseUrl}/webhook/export-completed/${scanId}`,
-        completionWebhookHeaders: [],
+        completionWebhookHeaders: headers,
         maxRetries: 3,
         developerPayload: "",
         results: resultIds.map((resultId) => ({
           id: resultId,
           verb: "POST",
-          headers: [],
+          headers: headers,
           endpoint: `${this.webhookBaseUrl}/webhook/result/${scanId}/${resultId}`,
         })),
-        crawledVersion: {
+      };
+      if (crawledVersion) {
+        exportConfig.crawledVersion = {
           verb: "POST",
-          headers: [],
+          headers: headers,
           endpoint: `${this.webhookBaseUrl}/webhook/crawled/${scanId}`,
-        },
-        pdfReport: {
+        };
+      }
+      if (pdfReport) {
+        exportConfig.pdfReport = {
           verb: "POST",
-          headers: [],
+          headers: headers,
           endpoint: `${this.webhookBaseUrl}/webhook/pdf/${scanId}`,
-        },
-      };
+        };
+      }
 
       // Submit export request with retry logic
       const _response = await this.retryWithBackoff(
-        async () => {
-          return await axios.post(
-            `${this.baseUrl}/v3/downloads/${scanId}/export/${exportId}`,
-            exportConfig,
-            {
+        () =>
+          this.client.withAuthToken((authToken) =>
+            axios.post(`${this.baseUrl}/v3/downloads/${scanId}/export/${exportId}`, exportConfig, {
+              timeout: this.client.requestTimeoutMs,
               headers: {
                 Authorization: `Bearer ${authToken}`,
                 "Content-Type": "application/json",
               },
-            }
-          );
-        },
+            })
+          ),
         3,
         1000
       );
@@ -355,6 +386,10 @@ class PlagiarismScanner {
         message: "Export initiated. Waiting for export webhooks...",
       };
     } catch (error) {
+      if (error instanceof CopyleaksError) {
+        throw error;
+      }
+
       // Enhanced error handling with detailed debugging
       const errorDetails = {
         scanId: scanId,
@@ -386,6 +421,117 @@ class PlagiarismScanner {
     }
   }
 
+  /**
+   * GET a Copyleaks resource with the auth token and retry logic used for submissions
+   * @param {string} url - Resource URL
+   * @param {string} description - What is fetched (for logs and errors)
+   * @param {object} [options] - Extra axios options (e.g. responseType)
+   * @returns {Promise<*>} Response body
+   */
+  async fetchResource(url, description, options = {}) {
+    try {
+      const response = await this.retryWithBackoff(
+        () =>
+          this.client.withAuthToken((authToken) =>
+            axios.get(url, {
+              timeout: this.client.requestTimeoutMs,
+              ...options,
+              headers: {
+                Authorization: `Bearer ${authToken}`,
+              },
+            })
+          ),
+        3,
+        1000
+      );
+      return response.data;
+    } catch (error) {
+      if (error instanceof CopyleaksError) {
+        throw error;
+      }
+
+      console.error(`✗ Failed to fetch ${description}:`, {
+        statusCode: error.response?.status,
+        errorData: error.response?.data,
+        errorMessage: error.message,
+        endpoint: url,
+      });
+
+      if (error.response?.status === 404) {
+        throw new Error(`${description} not found. The scan may have expired or been deleted.`);
+      } else if (error.response?.status === 401) {
+        throw new Error(`Authentication failed while fetching ${description}.`);
+      }
+      throw new Error(
+        `Failed to fetch ${description}: ${error.response?.data?.message || error.message}`
+      );
+    }
+  }
+
+  /**
+   * Check how far Copyleaks got with a scan (pull mode)
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} `{ percents }`, 100 once the scan finished
+   */
+  async getScanProgress(scanId) {
+    return this.fetchResource(
+      `${this.baseUrl}/v3/${this.productEndpoint}/${scanId}/progress`,
+      `progress of scan ${scanId}`
+    );
+  }
+
+  /**
+   * Fetch a finished scan's outcome (pull mode). The body matches the completed webhook
+   * payload, or the error webhook payload (`{ error }`) when the scan failed.
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} Completed or error payload
+   */
+  async getScanResult(scanId) {
+    return this.fetchResource(
+      `${this.baseUrl}/v3/${this.productEndpoint}/${scanId}/result`,
+      `result of scan ${scanId}`
+    );
+  }
+
+  /**
+   * Download one result's comparison data from the downloads API (pull mode)
+   * @param {string} scanId - The scan ID
+   * @param {string} resultId - Result ID from the completed payload
+   * @returns {Promise<object>} Same payload as the result export webhook
+   */
+  async downloadResult(scanId, resultId) {
+    return this.fetchResource(
+      `${this.baseUrl}/v3/downloads/${scanId}/results/${resultId}`,
+      `result ${resultId} of scan ${scanId}`
+    );
+  }
+
+  /**
+   * Download the crawled version of the scanned document (pull mode)
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<object>} Same payload as the crawled export webhook
+   */
+  async downloadCrawledVersion(scanId) {
+    return this.fetchResource(
+      `${this.baseUrl}/v3/downloads/${scanId}`,
+      `crawled version of scan ${scanId}`
+    );
+  }
+
+  /**
+   * Download the PDF report (pull mode)
+   * @param {string} scanId - The scan ID
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async downloadPdfReport(scanId) {
+    const data = await this.fetchResource(
+      `${this.baseUrl}/v3/downloads/${scanId}/report.pdf`,
+      `PDF report of scan ${scanId}`,
+      { responseType: "arraybuffer" }
+    );
+    return Buffer.from(data);
+  }
+
   /**
    * Delete a scan
    * @param {string} scanId - The scan ID to delete
@@ -393,23 +539,24 @@ class PlagiarismScanner {
    */
   async deleteScan(scanId) {
     try {
-      const authToken = await this.client.getAuthToken();
-
       // Delete request matching Postman format (line 213)
-      await axios.patch(
-        `${this.baseUrl}/v3.1/${this.productEndpoint}/delete`,
-        {
-          scans: [{ id: scanId }],
-          purge: true,
-          completionWebhook: null,
-          headers: [],
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${authToken}`,
-            "Content-Type": "application/json",
+      await this.client.withAuthToken((authToken) =>
+        axios.patch(
+          `${this.baseUrl}/v3.1/${this.productEndpoint}/delete`,
+          {
+            scans: [{ id: scanId }],
+            purge: true,
+            completionWebhook: null,
+            headers: [],
           },
-        }
+          {
+            timeout: this.client.requestTimeoutMs,
+            headers: {
+              Authorization: `Bearer ${authToken}`,
+              "Content-Type": "application/json",
+            },
+          }
+        )
       );
 
       console.log(`🗑️  Scan deleted: ${scanId}`);
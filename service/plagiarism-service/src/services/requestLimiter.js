@@ -0,0 +1,117 @@
+/**
+ * Request limiter
+ * Queues calls and starts them in order while both a token bucket and a concurrency cap allow
+ * it: the bucket holds up to `burst` tokens, refills at `ratePerSecond`, and every call takes
+ * one. `pauseFor` holds the whole queue, e.g. for the `Retry-After` of a 429, so bursts wait
+ * their turn instead of being rejected. A rate or concurrency of 0 disables that limit.
+ */
+class RequestLimiter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ratePerSecond] - Calls started per second on average
+   * @param {number} [options.burst] - Calls that may start at once after an idle period
+   * @param {number} [options.maxConcurrent] - Calls running at the same time
+   */
+  constructor(options = {}) {
+    this.ratePerSecond = options.ratePerSecond ?? 10;
+    this.burst = Math.max(options.burst ?? this.ratePerSecond, 1);
+    this.maxConcurrent = options.maxConcurrent || Number.POSITIVE_INFINITY;
+    this.tokens = this.burst;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Run a call once the limits allow it
+   * @param {Function} call - `() => Promise`
+   * @param {object} [options]
+   * @param {boolean} [options.first] - Queue ahead of waiting calls (retries keep their turn)
+   * @returns {Promise<*>} What `call` resolved with
+   */
+  schedule(call, { first = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { call, resolve, reject };
+      if (first) {
+        this.queue.unshift(job);
+      } else {
+        this.queue.push(job);
+      }
+      this.drain();
+    });
+  }
+
+  /**
+   * Hold every queued call for a while
+   * @param {number} delayMs - How long to wait before starting calls again
+   */
+  pauseFor(delayMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    this.drain();
+  }
+
+  refill(now) {
+    if (this.ratePerSecond > 0) {
+      const earned = ((now - this.refilledAt) * this.ratePerSecond) / 1000;
+      this.tokens = Math.min(this.burst, this.tokens + earned);
+    }
+    this.refilledAt = now;
+  }
+
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.queue.length && this.active < this.maxConcurrent) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        this.wakeIn(this.pausedUntil - now);
+        return;
+      }
+      if (this.ratePerSecond > 0) {
+        this.refill(now);
+        if (this.tokens < 1) {
+          this.wakeIn(Math.ceil(((1 - this.tokens) * 1000) / this.ratePerSecond));
+          return;
+        }
+        this.tokens -= 1;
+      }
+      this.run(this.queue.shift());
+    }
+  }
+
+  wakeIn(delayMs) {
+    this.timer = setTimeout(() => this.drain(), delayMs);
+    // Queued calls alone must not keep the process alive
+    this.timer.unref();
+  }
+
+  async run({ call, resolve, reject }) {
+    this.active += 1;
+    try {
+      resolve(await call());
+    } catch (error) {
+      reject(error);
+    } finally {
+      this.active -= 1;
+      this.drain();
+    }
+  }
+
+  /**
+   * State reported on the health endpoint
+   */
+  snapshot() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+    };
+  }
+}
+
+module.exports = {
+  RequestLimiter,
+};
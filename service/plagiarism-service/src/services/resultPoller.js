@@ -0,0 +1,212 @@
+const logger = require("../utils/logger");
+const extractText = require("../utils/extractText");
+const { deliveredExportState } = require("./exportTasks");
+const {
+  CompletedWebhookSchema,
+  ErrorWebhookSchema,
+  ResultExportWebhookSchema,
+  CrawledWebhookSchema,
+} = require("../schemas/webhook.schemas");
+
+/**
+ * Validate a download against the webhook schema it stands in for. A payload the webhook
+ * route would reject fails the poll (recorded as `poll.failed`) instead of being stored.
+ */
+function parseDownload(schema, data, description) {
+  const parsed = schema.safeParse(data);
+  if (!parsed.success) {
+    const [issue] = parsed.error.issues;
+    throw new Error(
+      `Invalid ${description}: ${issue.path.join(".") || "payload"} ${issue.message}`
+    );
+  }
+  return parsed.data;
+}
+
+/**
+ * Result Poller
+ * Pull mode for deployments Copyleaks webhooks cannot reach (local development, locked-down
+ * networks). Pending scans are polled for progress; once Copyleaks reports 100% the poller
+ * fetches the outcome and downloads every result, the crawled version and the PDF report,
+ * storing them through the same scanStore functions the webhooks use, after validating them
+ * with the webhooks' schemas. A scan only moves to
+ * `completed` after all downloads succeeded, so a failed download is simply retried on the
+ * next poll.
+ */
+class ResultPoller {
+  /**
+   * @param {object} scanStore - Scan store facade
+   * @param {object} plagiarismScanner - Scanner used for the progress and downloads APIs
+   * @param {object} options - Poller options
+   * @param {number} options.intervalMs - Delay between polls (0 disables the timer)
+   * @param {number} options.batchSize - Pending scans loaded per page
+   * @param {object} [options.callbacks] - Callback dispatcher notified like the webhooks do
+   */
+  constructor(scanStore, plagiarismScanner, options = {}) {
+    this.scanStore = scanStore;
+    this.plagiarismScanner = plagiarismScanner;
+    this.intervalMs = options.intervalMs ?? 0;
+    this.batchSize = options.batchSize ?? 20;
+    this.callbacks = options.callbacks ?? null;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Start polling on an interval. The timer is unref'd so it never keeps the process alive.
+   */
+  start() {
+    if (this.timer || this.intervalMs <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.poll().catch((error) => {
+        logger.error({ err: error }, "Result poll failed");
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the interval and wait for an in-flight poll to finish
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.running;
+  }
+
+  /**
+   * Poll every pending scan once
+   * @returns {Promise<string[]>} scanIds that finished (completed or error) during this poll
+   */
+  async poll() {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = this.pollPending().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async pollPending() {
+    const finished = [];
+    let cursor;
+
+    do {
+      const page = await this.scanStore.listScans({
+        filters: { status: ["pending"] },
+        sortBy: "createdAt",
+        order: "asc",
+        limit: this.batchSize,
+        cursor,
+      });
+
+      for (const { scanId } of page.items) {
+        try {
+          if (await this.pollScan(scanId)) {
+            finished.push(scanId);
+          }
+        } catch (error) {
+          logger.warn("Failed to poll scan", { scanId, error: error.message });
+          await this.scanStore.recordEvent(scanId, "poll.failed", { message: error.message });
+        }
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    if (finished.length) {
+      logger.info(`Pulled the outcome of ${finished.length} scan(s)`);
+    }
+    return finished;
+  }
+
+  /**
+   * Check one scan and, once Copyleaks finished it, pull everything the webhooks would have
+   * delivered
+   * @param {string} scanId - Pending scan
+   * @returns {Promise<boolean>} True when the scan finished
+   */
+  async pollScan(scanId) {
+    const { percents } = await this.plagiarismScanner.getScanProgress(scanId);
+    if (percents < 100) {
+      return false;
+    }
+
+    const result = await this.plagiarismScanner.getScanResult(scanId);
+    const outcome = result?.error
+      ? parseDownload(ErrorWebhookSchema, result, "scan error")
+      : parseDownload(CompletedWebhookSchema, result, "scan result");
+    const record = await this.scanStore.getScan(scanId);
+
+    // A webhook may still have finished the scan while the outcome was fetched
+    if (record?.status !== "pending") {
+      return false;
+    }
+
+    if (outcome.error) {
+      const { message } = outcome.error;
+      await this.scanStore.updateStatus(scanId, "error", { summary: { message } });
+      await this.scanStore.recordEvent(scanId, "poll.error", { message });
+      this.callbacks?.notify(scanId, "error", { stage: "scan", message });
+      return true;
+    }
+
+    const resultIds = outcome.results.internet.map((source) => source.id);
+    const crawled = parseDownload(
+      CrawledWebhookSchema,
+      await this.plagiarismScanner.downloadCrawledVersion(scanId),
+      "crawled version"
+    );
+    const pdf = await this.plagiarismScanner.downloadPdfReport(scanId);
+    const results = [];
+    for (const resultId of resultIds) {
+      const data = await this.plagiarismScanner.downloadResult(scanId, resultId);
+      results.push([
+        resultId,
+        parseDownload(ResultExportWebhookSchema, data, `result ${resultId}`),
+      ]);
+    }
+
+    for (const [resultId, data] of results) {
+      await this.scanStore.storeExportedResult(scanId, resultId, data);
+    }
+    const extractedText = extractText(crawled);
+    await this.scanStore.storeCrawled(scanId, crawled, extractedText);
+    await this.scanStore.storePdf(scanId, pdf, "application/pdf");
+
+    const summary = {
+      totalResults: resultIds.length,
+      score: outcome.results.score.aggregatedScore,
+      totalWords: outcome.scannedDocument.totalWords,
+    };
+    await this.scanStore.markExportStarted(scanId);
+    await this.scanStore.updateExportState(scanId, deliveredExportState(resultIds));
+    await this.scanStore.markExportCompleted(scanId);
+    await this.scanStore.updateStatus(scanId, "completed", { summary });
+    await this.scanStore.recordEvent(scanId, "poll.completed", {
+      ...summary,
+      exportedResults: results.length,
+      extractedText: Boolean(extractedText),
+    });
+
+    this.callbacks?.notify(scanId, "completed", { summary });
+    this.callbacks?.notify(scanId, "exported", {
+      exportedResults: results.length,
+      exportStatus: "completed",
+    });
+    if (results.length) {
+      this.callbacks?.notify(scanId, "highlights-ready", {
+        highlightUrl: `/plagiarism/${scanId}/highlight`,
+      });
+    }
+    return true;
+  }
+}
+
+module.exports = ResultPoller;
@@ -0,0 +1,110 @@
+const logger = require("../utils/logger");
+
+/**
+ * Retention Sweeper
+ * Periodically expires scans whose retention period has elapsed, dropping their text,
+ * crawled payloads and PDF reports, and optionally purging them from Copyleaks as well.
+ */
+class RetentionSweeper {
+  /**
+   * @param {object} scanStore - Scan store facade
+   * @param {object} plagiarismScanner - Scanner used to purge scans from Copyleaks
+   * @param {object} options - Sweeper options
+   * @param {number} options.intervalMs - Delay between sweeps (0 disables the timer)
+   * @param {number} options.batchSize - Maximum scans expired per sweep
+   * @param {boolean} options.purgeCopyleaks - Also call `plagiarismScanner.deleteScan`
+   */
+  constructor(scanStore, plagiarismScanner, options = {}) {
+    this.scanStore = scanStore;
+    this.plagiarismScanner = plagiarismScanner;
+    this.intervalMs = options.intervalMs ?? 0;
+    this.batchSize = options.batchSize ?? 100;
+    this.purgeCopyleaks = options.purgeCopyleaks ?? false;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Start sweeping on an interval. The timer is unref'd so it never keeps the process alive.
+   */
+  start() {
+    if (this.timer || this.intervalMs <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch((error) => {
+        logger.error({ err: error }, "Retention sweep failed");
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the interval and wait for an in-flight sweep to finish
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.running;
+  }
+
+  /**
+   * Expire every scan due at `now`, one batch at a time
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<string[]>} scanIds expired by this sweep
+   */
+  async sweep(now = new Date()) {
+    if (this.running) {
+      return this.running;
+    }
+
+    this.running = this.expireDue(now).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async expireDue(now) {
+    const expired = [];
+
+    for (;;) {
+      const scanIds = await this.scanStore.findExpiredScanIds(now, this.batchSize);
+      if (!scanIds.length) {
+        break;
+      }
+
+      for (const scanId of scanIds) {
+        // expireScan returns false when another replica already claimed the scan
+        if (!(await this.scanStore.expireScan(scanId))) {
+          continue;
+        }
+        expired.push(scanId);
+
+        if (this.purgeCopyleaks) {
+          try {
+            await this.plagiarismScanner.deleteScan(scanId);
+          } catch (error) {
+            logger.warn("Failed to purge expired scan from Copyleaks", {
+              scanId,
+              error: error.message,
+            });
+          }
+        }
+      }
+
+      if (scanIds.length < this.batchSize) {
+        break;
+      }
+    }
+
+    if (expired.length) {
+      logger.info(`Expired ${expired.length} scan(s) past their retention period`);
+    }
+    return expired;
+  }
+}
+
+module.exports = RetentionSweeper;
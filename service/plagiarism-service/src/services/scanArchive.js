@@ -0,0 +1,179 @@
+const crypto = require("node:crypto");
+const logger = require("../utils/logger");
+const scanStore = require("../storage/scanStore");
+const {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  ARCHIVABLE_STATUSES,
+} = require("../schemas/plagiarism.schemas");
+const {
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  ValidationError,
+} = require("../errors/custom-errors");
+
+/**
+ * Scan archives
+ * Moves finished scans between instances as a versioned JSON bundle:
+ *
+ *   { format: "plagiarism-scan-archive", version: 1, exportedAt, scans: [
+ *     { record, blobs: { crawled, crawledText, pdfReport }, events } ] }
+ *
+ * Everything in the bundle is plaintext (text and comparisons are decrypted on export and
+ * sealed again with the importing instance's keys), so bundles must be handled as
+ * sensitive. Blobs are base64-encoded with their content type and a sha256 digest.
+ */
+
+const sha256 = (body) => crypto.createHash("sha256").update(body).digest("hex");
+
+function encodeBlob(blob) {
+  return blob
+    ? {
+        contentType: blob.contentType,
+        sha256: sha256(blob.body),
+        data: blob.body.toString("base64"),
+      }
+    : null;
+}
+
+function decodeBlob(blob, scanId, name) {
+  if (!blob) {
+    return null;
+  }
+
+  const body = Buffer.from(blob.data, "base64");
+  if (sha256(body) !== blob.sha256) {
+    throw new ValidationError(`Archived ${name} of scan ${scanId} failed its integrity check`);
+  }
+  return { contentType: blob.contentType, body };
+}
+
+/**
+ * Build an archive bundle for one or more scans
+ * @param {string[]} scanIds - Scans to export, in bundle order
+ * @returns {Promise<object>} Archive bundle
+ */
+async function exportScans(scanIds) {
+  const scans = [];
+
+  // Load everything first so a bad scanId fails the request before any event is recorded
+  for (const scanId of scanIds) {
+    const snapshot = await scanStore.snapshotScan(scanId);
+    if (!snapshot) {
+      throw new NotFoundError(`Scan ${scanId}`);
+    }
+    if (snapshot.record.status === "expired") {
+      throw new GoneError(`Scan ${scanId} expired under the retention policy`);
+    }
+    if (!ARCHIVABLE_STATUSES.includes(snapshot.record.status)) {
+      throw new ConflictError(
+        `Scan ${scanId} is still ${snapshot.record.status}; archive it once it finishes`
+      );
+    }
+    scans.push(snapshot);
+  }
+
+  const exportedAt = new Date().toISOString();
+  for (const snapshot of scans) {
+    await scanStore.recordEvent(snapshot.record.scanId, "archive.exported", {});
+    snapshot.events = await scanStore.listEvents(snapshot.record.scanId);
+  }
+  logger.info(`Exported ${scans.length} scan(s) to an archive`);
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt,
+    scans: scans.map(({ record, blobs, events }) => ({
+      record: {
+        scanId: record.scanId,
+        text: record.text,
+        textLength: record.textLength,
+        createdAt: record.createdAt,
+        lastUpdated: record.lastUpdated,
+        status: record.status,
+        options: record.options,
+        summary: record.summary,
+        credits: record.credits,
+        results: record.results,
+        exported: record.exported,
+        exportStarted: record.exportStarted,
+        contentHash: record.contentHash ?? null,
+        reusedFrom: record.reusedFrom ?? null,
+      },
+      blobs: {
+        crawled: encodeBlob(blobs.crawled),
+        crawledText: encodeBlob(blobs.crawledText),
+        pdfReport: encodeBlob(blobs.pdfReport),
+      },
+      events: events.map(({ type, at, data }) => ({ type, at, data })),
+    })),
+  };
+}
+
+/**
+ * Import an archive bundle validated against ScanArchiveSchema
+ * @param {object} archive - Archive bundle
+ * @param {object} [options] - Import options
+ * @param {"fail"|"skip"|"replace"} [options.onConflict] - Handling of scanIds that already
+ *   exist: reject the whole import (default), keep the local scan, or replace it
+ * @returns {Promise<{imported: string[], skipped: string[]}>} scanIds by outcome
+ */
+async function importScans(archive, { onConflict = "fail" } = {}) {
+  const imported = [];
+  const skipped = [];
+
+  const scanIds = archive.scans.map(({ record }) => record.scanId);
+  if (new Set(scanIds).size !== scanIds.length) {
+    throw new ValidationError("Archive contains the same scan more than once");
+  }
+
+  // Decode and check every blob, and every conflict, before writing anything
+  const entries = [];
+  for (const { record, blobs, events } of archive.scans) {
+    const exists = Boolean(await scanStore.getScan(record.scanId));
+    if (exists && onConflict === "fail") {
+      throw new ConflictError(`Scan ${record.scanId} already exists on this instance`);
+    }
+
+    entries.push({
+      exists,
+      snapshot: {
+        record,
+        events,
+        blobs: {
+          crawled: decodeBlob(blobs.crawled, record.scanId, "crawled version"),
+          crawledText: decodeBlob(blobs.crawledText, record.scanId, "crawled text"),
+          pdfReport: decodeBlob(blobs.pdfReport, record.scanId, "PDF report"),
+        },
+      },
+    });
+  }
+
+  for (const { exists, snapshot } of entries) {
+    const { scanId } = snapshot.record;
+    if (exists && onConflict === "skip") {
+      skipped.push(scanId);
+      continue;
+    }
+    if (exists) {
+      await scanStore.deleteScan(scanId);
+    }
+
+    await scanStore.restoreScan(snapshot);
+    await scanStore.recordEvent(scanId, "archive.imported", {
+      exportedAt: archive.exportedAt,
+      replaced: exists,
+    });
+    imported.push(scanId);
+  }
+
+  logger.info(`Imported ${imported.length} scan(s) from an archive`, { skipped });
+  return { imported, skipped };
+}
+
+module.exports = {
+  exportScans,
+  importScans,
+};
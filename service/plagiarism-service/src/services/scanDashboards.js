@@ -0,0 +1,372 @@
+const logger = require("../utils/logger");
+const { matchesFilters } = require("../storage/scanQuery");
+const { DashboardMessageSchema } = require("../schemas/plagiarism.schemas");
+const { snapshotOf } = require("./scanStreams");
+
+/**
+ * Multi-scan dashboards
+ * GET /plagiarism/live is a WebSocket on which a client follows many scans at once. It sends
+ * `subscribe` messages naming either `scanIds` or a `filter` (the GET /plagiarism filters,
+ * as JSON values) and gets each subscription acknowledged with a compact snapshot of its
+ * scans. After that the socket receives, for every followed scan:
+ *
+ *   status            the status moved
+ *   score             new matched sources (running tally) or the final aggregated score
+ *   highlights-ready  GET /plagiarism/:scanId/highlight has data
+ *   deleted           the scan was deleted and is no longer followed
+ *   matched           a scan started matching a filter subscription (with its snapshot)
+ *
+ * Changes come from the scan stream hub (services/scanStreams), so they follow the same store
+ * writes as the SSE stream. New filter matches are found as this process writes scans, and by
+ * re-listing each filter every `pollIntervalMs` for writes by other replicas. A scan stays
+ * followed once it matched, so a dashboard watching `pending` scans still sees them complete.
+ */
+
+// Recently updated scans re-listed per filter on each poll
+const POLL_PAGE_SIZE = 100;
+
+/**
+ * Dashboard view of a scan
+ * @param {object} snapshot - Stream snapshot (see scanStreams.snapshotOf)
+ */
+function dashboardSnapshot(snapshot) {
+  return {
+    scanId: snapshot.scanId,
+    status: snapshot.status,
+    summary: snapshot.summary,
+    sources: snapshot.partialResults?.sources ?? snapshot.summary?.totalResults ?? 0,
+    highlightUrl: snapshot.highlightUrl,
+  };
+}
+
+/**
+ * Store filters of a subscription filter message
+ * @param {object} filter - Validated `filter` of a subscribe message
+ */
+function toStoreFilters({ createdAfter, createdBefore, ...filter }) {
+  return {
+    ...filter,
+    createdAfter: createdAfter && new Date(createdAfter).toISOString(),
+    createdBefore: createdBefore && new Date(createdBefore).toISOString(),
+  };
+}
+
+/**
+ * Subscriptions of one dashboard WebSocket
+ */
+class DashboardSession {
+  /**
+   * @param {object} store - Scan store facade
+   * @param {object} streams - Scan stream hub (see scanStreams.getScanStreams)
+   * @param {object} options - `config.streams` plus the socket's `send`
+   * @param {Function} options.send - Send one message object to the client
+   * @param {number} options.pollIntervalMs - Re-list filter subscriptions this often (0 relies
+   *   on this process's writes only)
+   * @param {number} options.maxScansPerSocket - Scans followed at most, across subscriptions
+   */
+  constructor(store, streams, options) {
+    this.store = store;
+    this.streams = streams;
+    this.send = options.send;
+    this.pollIntervalMs = options.pollIntervalMs ?? 2000;
+    this.maxScans = options.maxScansPerSocket ?? 500;
+    // Subscription id -> { scanIds } or { filters }
+    this.subscriptions = new Map();
+    // scanId -> { subscriptions: Set of subscription ids, unsubscribe }
+    this.followed = new Map();
+    this.nextId = 1;
+    this.listening = false;
+    this.timer = null;
+    this.closed = false;
+    this.onChange = (scanId) => {
+      this.matchScan(scanId).catch((error) => {
+        logger.error("Failed to match scan for dashboard", { scanId, error: error.message });
+      });
+    };
+  }
+
+  /**
+   * Handle one client message
+   * @param {string} raw - Message text
+   */
+  async handle(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      this.send({ type: "error", error: "Messages must be JSON" });
+      return;
+    }
+
+    const parsed = DashboardMessageSchema.safeParse(message);
+    if (!parsed.success) {
+      this.send({
+        type: "error",
+        error: "Invalid message",
+        details: parsed.error.issues.map((issue) => ({
+          path: issue.path.join("."),
+          message: issue.message,
+        })),
+      });
+      return;
+    }
+
+    if (parsed.data.type === "subscribe") {
+      await this.subscribe(parsed.data);
+    } else {
+      this.unsubscribe(parsed.data.id);
+    }
+  }
+
+  async subscribe({ id = `sub-${this.nextId++}`, scanIds, filter }) {
+    if (this.subscriptions.has(id)) {
+      this.send({ type: "error", error: "Subscription id already in use", details: { id } });
+      return;
+    }
+
+    const filters = filter && toStoreFilters(filter);
+    this.subscriptions.set(id, scanIds ? { scanIds } : { filters });
+
+    let candidates = scanIds;
+    let truncated = false;
+    if (filters) {
+      const { items, nextCursor } = await this.store.listScans({
+        filters,
+        sortBy: "lastUpdated",
+        limit: this.maxScans,
+      });
+      candidates = items.map((item) => item.scanId);
+      truncated = Boolean(nextCursor);
+      if (!this.listening && !this.closed) {
+        this.listen();
+      }
+    }
+
+    const scans = [];
+    const missing = [];
+    for (const scanId of new Set(candidates)) {
+      if (!this.followed.has(scanId) && this.followed.size >= this.maxScans) {
+        truncated = true;
+        continue;
+      }
+      const snapshot = await this.follow(scanId, id);
+      if (snapshot) {
+        scans.push(snapshot);
+      } else {
+        missing.push(scanId);
+      }
+    }
+
+    this.send({
+      type: "subscribed",
+      id,
+      scans,
+      ...(scanIds ? { missing } : {}),
+      truncated,
+    });
+  }
+
+  unsubscribe(id) {
+    if (!this.subscriptions.delete(id)) {
+      this.send({ type: "error", error: "Unknown subscription", details: { id } });
+      return;
+    }
+
+    for (const [scanId, entry] of this.followed) {
+      entry.subscriptions.delete(id);
+      if (!entry.subscriptions.size) {
+        entry.unsubscribe?.();
+        this.followed.delete(scanId);
+      }
+    }
+    if (!this.filterSubscriptions().length) {
+      this.stopListening();
+    }
+    this.send({ type: "unsubscribed", id });
+  }
+
+  /**
+   * Follow a scan for a subscription
+   * @param {string} scanId - Scan to follow
+   * @param {string} id - Subscription following it
+   * @returns {Promise<object|null>} Dashboard snapshot, null for unknown scans
+   */
+  async follow(scanId, id) {
+    // Registered before awaiting so concurrent matches of the same scan see it
+    const existing = this.followed.get(scanId);
+    if (existing) {
+      existing.subscriptions.add(id);
+      const record = await this.store.getScan(scanId);
+      return record ? dashboardSnapshot(snapshotOf(record)) : null;
+    }
+
+    const entry = { subscriptions: new Set([id]), unsubscribe: null };
+    this.followed.set(scanId, entry);
+    const forget = () => {
+      if (this.followed.get(scanId) === entry) {
+        this.followed.delete(scanId);
+      }
+    };
+
+    let snapshot = null;
+    const unsubscribe = await this.streams.subscribe(scanId, {
+      send: (event, data) => {
+        if (event === "snapshot") {
+          snapshot = dashboardSnapshot(data);
+        } else {
+          this.forward(scanId, event, data);
+        }
+      },
+      end: forget,
+    });
+    if (!unsubscribe) {
+      forget();
+      return null;
+    }
+
+    entry.unsubscribe = unsubscribe;
+    // Unsubscribed or closed while the stream was opening
+    if (this.closed || !entry.subscriptions.size) {
+      unsubscribe();
+      forget();
+      return null;
+    }
+    return snapshot;
+  }
+
+  /**
+   * Relay a scan stream event to the client
+   * @param {string} scanId - Followed scan
+   * @param {string} event - Stream event (see services/scanStreams)
+   * @param {object} data - Stream event data
+   */
+  forward(scanId, event, data) {
+    const entry = this.followed.get(scanId);
+    if (!entry) {
+      return;
+    }
+
+    const message = { scanId, subscriptions: Array.from(entry.subscriptions) };
+    switch (event) {
+      case "status":
+        this.send({ type: "status", ...message, ...data });
+        if (data.status === "completed") {
+          this.send({
+            type: "score",
+            ...message,
+            score: data.summary?.score ?? null,
+            sources: data.summary?.totalResults ?? 0,
+            final: true,
+          });
+        }
+        break;
+      case "result":
+        this.send({ type: "score", ...message, score: null, sources: data.sources, final: false });
+        break;
+      case "highlights-ready":
+        this.send({ type: "highlights-ready", ...message, highlightUrl: data.highlightUrl });
+        break;
+      case "deleted":
+        this.followed.delete(scanId);
+        this.send({ type: "deleted", ...message });
+        break;
+      default:
+        break;
+    }
+  }
+
+  filterSubscriptions() {
+    return Array.from(this.subscriptions).filter(([, subscription]) => subscription.filters);
+  }
+
+  /**
+   * Follow a scan for every filter subscription it now matches
+   * @param {string} scanId - Scan written by this process
+   */
+  async matchScan(scanId) {
+    const pending = this.filterSubscriptions().filter(
+      ([id]) => !this.followed.get(scanId)?.subscriptions.has(id)
+    );
+    if (!pending.length) {
+      return;
+    }
+
+    const record = await this.store.getScan(scanId);
+    if (!record) {
+      return;
+    }
+    const summary = this.store.toPublicRecord(record);
+    for (const [id, { filters }] of pending) {
+      if (matchesFilters(summary, filters)) {
+        await this.addMatch(scanId, id);
+      }
+    }
+  }
+
+  async addMatch(scanId, id) {
+    const entry = this.followed.get(scanId);
+    if (entry?.subscriptions.has(id) || (!entry && this.followed.size >= this.maxScans)) {
+      return;
+    }
+
+    const snapshot = await this.follow(scanId, id);
+    if (snapshot && this.subscriptions.has(id)) {
+      this.send({ type: "matched", id, scan: snapshot });
+    }
+  }
+
+  /**
+   * Re-list filter subscriptions to find scans written by other replicas
+   */
+  async pollFilters() {
+    for (const [id, { filters }] of this.filterSubscriptions()) {
+      const { items } = await this.store.listScans({
+        filters,
+        sortBy: "lastUpdated",
+        limit: POLL_PAGE_SIZE,
+      });
+      for (const { scanId } of items) {
+        await this.addMatch(scanId, id);
+      }
+    }
+  }
+
+  listen() {
+    this.listening = true;
+    this.store.changes.on("change", this.onChange);
+    if (this.pollIntervalMs > 0) {
+      this.timer = setInterval(() => {
+        this.pollFilters().catch((error) => {
+          logger.error("Failed to poll dashboard filters", { error: error.message });
+        });
+      }, this.pollIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stopListening() {
+    this.listening = false;
+    this.store.changes.off("change", this.onChange);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Drop every subscription (the socket closed)
+   */
+  close() {
+    this.closed = true;
+    this.stopListening();
+    for (const entry of this.followed.values()) {
+      entry.unsubscribe?.();
+    }
+    this.followed.clear();
+    this.subscriptions.clear();
+  }
+}
+
+module.exports = {
+  DashboardSession,
+};
@@ -0,0 +1,258 @@
+const config = require("../config");
+const logger = require("../utils/logger");
+const scanStore = require("../storage/scanStore");
+const { summarizePartialResults } = require("./partialResults");
+
+/**
+ * Scan progress streams
+ * GET /plagiarism/:scanId/stream subscribes here. A subscriber first gets a `snapshot` of
+ * the scan, then one event per change:
+ *
+ *   status            the status moved (queued -> pending -> completed/error, expired)
+ *   result            a newResult webhook added matched sources (running tally)
+ *   exported          the export closed (completed or partial)
+ *   highlights-ready  GET /plagiarism/:scanId/highlight has data
+ *   deleted           the scan was deleted; the stream ends
+ *
+ * Events are derived by comparing the stored record with what the subscriber last saw, so
+ * they follow the same store writes the webhook controller and the poller make. Writes in
+ * this process are picked up at once through `scanStore.changes`; writes by other replicas
+ * sharing the store are picked up by re-reading streamed scans every `pollIntervalMs`.
+ */
+
+const highlightUrlOf = (scanId) => `/plagiarism/${scanId}/highlight`;
+
+/**
+ * The parts of a record the stream reports on
+ * @param {object} record - Hydrated scan record
+ */
+function viewOf(record) {
+  const exportedResults = Object.keys(record.exported.results).length;
+  return {
+    status: record.status,
+    sources: summarizePartialResults(record.results).sources,
+    exportCompletedAt: record.exported.completedAt,
+    highlightsReady: Boolean(record.exported.completedAt) && exportedResults > 0,
+  };
+}
+
+function exportOf(record) {
+  return {
+    status: record.exportState?.status ?? null,
+    completedAt: record.exported.completedAt,
+    exportedResults: Object.keys(record.exported.results).length,
+  };
+}
+
+/**
+ * Current state sent when a stream opens
+ * @param {object} record - Hydrated scan record
+ */
+function snapshotOf(record) {
+  const view = viewOf(record);
+  return {
+    scanId: record.scanId,
+    status: record.status,
+    summary: record.summary,
+    partialResults: view.sources ? summarizePartialResults(record.results) : null,
+    export: exportOf(record),
+    highlightUrl: view.highlightsReady ? highlightUrlOf(record.scanId) : null,
+  };
+}
+
+/**
+ * Events turning `previous` into the record's current view
+ * @param {object} previous - View the subscriber last saw (see viewOf)
+ * @param {object} record - Hydrated scan record
+ * @returns {{ event: string, data: object }[]} Events in lifecycle order
+ */
+function changesSince(previous, record) {
+  const view = viewOf(record);
+  const changes = [];
+
+  if (view.status !== previous.status) {
+    changes.push({
+      event: "status",
+      data: { status: view.status, previous: previous.status, summary: record.summary },
+    });
+  }
+  if (view.sources > previous.sources) {
+    changes.push({ event: "result", data: summarizePartialResults(record.results) });
+  }
+  if (view.exportCompletedAt && !previous.exportCompletedAt) {
+    const { status, exportedResults } = exportOf(record);
+    changes.push({ event: "exported", data: { exportStatus: status, exportedResults } });
+  }
+  if (view.highlightsReady && !previous.highlightsReady) {
+    changes.push({
+      event: "highlights-ready",
+      data: { highlightUrl: highlightUrlOf(record.scanId) },
+    });
+  }
+  return changes;
+}
+
+class ScanStreams {
+  /**
+   * @param {object} store - Scan store facade
+   * @param {object} options - `config.streams`
+   * @param {number} options.pollIntervalMs - Re-read streamed scans this often so writes by
+   *   other replicas are seen (0 relies on this process's writes only)
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.pollIntervalMs = options.pollIntervalMs ?? 2000;
+    this.subscribers = new Map();
+    this.refreshing = new Map();
+    this.timer = null;
+    this.onChange = (scanId) => {
+      if (this.subscribers.has(scanId)) {
+        this.refresh(scanId);
+      }
+    };
+  }
+
+  /**
+   * Subscribe to a scan
+   * @param {string} scanId - Scan to follow
+   * @param {object} subscriber - `send(event, data)` and `end()` of the client stream
+   * @returns {Promise<Function|null>} Unsubscribe function, null for unknown scans
+   */
+  async subscribe(scanId, subscriber) {
+    const record = await this.store.getScan(scanId);
+    if (!record) {
+      return null;
+    }
+
+    const entry = { ...subscriber, view: viewOf(record) };
+    subscriber.send("snapshot", snapshotOf(record));
+
+    if (!this.subscribers.size) {
+      this.listen();
+    }
+    if (!this.subscribers.has(scanId)) {
+      this.subscribers.set(scanId, new Set());
+    }
+    this.subscribers.get(scanId).add(entry);
+
+    return () => this.unsubscribe(scanId, entry);
+  }
+
+  unsubscribe(scanId, entry) {
+    const entries = this.subscribers.get(scanId);
+    if (!entries?.delete(entry)) {
+      return;
+    }
+    if (!entries.size) {
+      this.subscribers.delete(scanId);
+    }
+    if (!this.subscribers.size) {
+      this.stopListening();
+    }
+  }
+
+  listen() {
+    this.store.changes.on("change", this.onChange);
+    if (this.pollIntervalMs > 0) {
+      this.timer = setInterval(() => {
+        for (const scanId of this.subscribers.keys()) {
+          this.refresh(scanId);
+        }
+      }, this.pollIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  stopListening() {
+    this.store.changes.off("change", this.onChange);
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Re-read a scan and send its subscribers what changed. Refreshes of one scan never
+   * overlap; changes arriving during a refresh trigger one more pass.
+   * @param {string} scanId - Streamed scan
+   */
+  refresh(scanId) {
+    const running = this.refreshing.get(scanId);
+    if (running) {
+      running.again = true;
+      return running.promise;
+    }
+
+    const state = { again: false };
+    state.promise = (async () => {
+      do {
+        state.again = false;
+        await this.sendChanges(scanId);
+      } while (state.again);
+    })()
+      .catch((error) => {
+        logger.error("Failed to refresh scan stream", { scanId, error: error.message });
+      })
+      .finally(() => {
+        this.refreshing.delete(scanId);
+      });
+    this.refreshing.set(scanId, state);
+    return state.promise;
+  }
+
+  async sendChanges(scanId) {
+    const record = await this.store.getScan(scanId);
+
+    for (const entry of this.subscribers.get(scanId) ?? []) {
+      if (!record) {
+        entry.send("deleted", { scanId });
+        entry.end();
+        this.unsubscribe(scanId, entry);
+        continue;
+      }
+
+      const changes = changesSince(entry.view, record);
+      entry.view = viewOf(record);
+      for (const { event, data } of changes) {
+        entry.send(event, data);
+      }
+    }
+  }
+
+  /**
+   * End every open stream (server shutdown)
+   */
+  closeAll() {
+    for (const [scanId, entries] of this.subscribers) {
+      for (const entry of entries) {
+        entry.end();
+        this.unsubscribe(scanId, entry);
+      }
+    }
+  }
+}
+
+let scanStreams = null;
+
+function getScanStreams() {
+  if (!scanStreams) {
+    scanStreams = new ScanStreams(scanStore, config.streams);
+  }
+  return scanStreams;
+}
+
+/**
+ * Replace the stream hub (tests and embedding callers)
+ * @param {ScanStreams|null} next - Hub to use from now on
+ */
+function useScanStreams(next) {
+  scanStreams = next;
+}
+
+module.exports = {
+  ScanStreams,
+  changesSince,
+  snapshotOf,
+  getScanStreams,
+  useScanStreams,
+};
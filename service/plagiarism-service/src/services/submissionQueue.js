@@ -0,0 +1,338 @@
+const config = require("../config");
+const logger = require("../utils/logger");
+const scanStore = require("../storage/scanStore");
+const { plagiarismScanner } = require("./copyleaksService");
+const { getCallbackDispatcher } = require("./callbackDispatcher");
+const { AppError } = require("../errors/custom-errors");
+
+/**
+ * Submission queue
+ * POST /plagiarism stores the scan as `queued` and answers 202 at once; this worker sends
+ * queued scans to Copyleaks. The job lives on the scan record (`submission`), so queued scans
+ * survive restarts and any replica can pick them up:
+ *
+ *   { "priority": "normal", "attempts": 0, "nextAttemptAt": "...", "startedAt": null,
+ *     "submittedAt": null, "lastError": null }
+ *
+ * Due jobs are taken `concurrency` at a time from the head of the store's due index, high
+ * priority first and in due order within a priority; the head is re-read between batches so
+ * urgent scans overtake a bulk batch that is still being sent. Transient failures (network errors, 5xx, 429, open circuit) are
+ * retried with exponential backoff up to `maxAttempts`; other failures move the scan to
+ * `error`. Each attempt is claimed in the store so only one replica sends it, and a job whose
+ * worker died mid-attempt is retried once `leaseMs` has passed (starting an attempt moves
+ * `nextAttemptAt` to the end of its lease).
+ */
+
+// Network errors worth another attempt (axios errors without a response count too)
+const TRANSIENT_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+]);
+
+/**
+ * Options sent to Copyleaks for a submission (also the options the content hash covers)
+ * @param {object} [options] - Scan options as submitted
+ */
+const buildScanOptions = (options = {}) => ({
+  sandbox: config.copyleaks.sandboxMode,
+  sensitivityLevel: options.sensitivityLevel ?? 3,
+  includeHtml: options.includeHtml ?? true,
+  expiration: options.expiration,
+});
+
+/**
+ * Whether a failed submission is worth another attempt. Follows the `cause` chain, since the
+ * scanner and the client wrap the axios error.
+ * @param {Error} error - Error thrown by `submitTextScan`
+ */
+function isTransient(error) {
+  if (error instanceof AppError) {
+    return error.retryable;
+  }
+  for (let current = error; current; current = current.cause) {
+    const status = current.response?.status;
+    if (status !== undefined) {
+      return status >= 500 || status === 429;
+    }
+    if (current.isAxiosError || TRANSIENT_CODES.has(current.code)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+class SubmissionQueue {
+  /**
+   * @param {object} store - Scan store facade
+   * @param {object} scanner - Scanner used to submit scans
+   * @param {object} options - `config.submissions`
+   * @param {number} options.intervalMs - Delay between queue checks (0 disables the timer)
+   * @param {number} options.concurrency - Submissions sent at the same time
+   * @param {number} options.maxAttempts - Attempts per scan, including the first
+   * @param {number} options.baseDelayMs - Delay before the first retry; doubles per attempt
+   * @param {number} options.maxDelayMs - Upper bound for a single retry delay
+   * @param {number} options.leaseMs - How long an attempt may run before it is retried
+   * @param {object} [options.callbacks] - Callback dispatcher notified of submissions
+   */
+  constructor(store, scanner, options = {}) {
+    this.store = store;
+    this.scanner = scanner;
+    this.intervalMs = options.intervalMs ?? 0;
+    this.concurrency = Math.max(options.concurrency ?? 5, 1);
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 5000;
+    this.maxDelayMs = options.maxDelayMs ?? 300000;
+    this.leaseMs = options.leaseMs ?? 600000;
+    this.callbacks = options.callbacks ?? null;
+    this.timer = null;
+    this.running = null;
+    this.woken = false;
+    this.stopping = false;
+  }
+
+  /**
+   * Check the queue on an interval, starting with the scans left queued before a restart.
+   * The timer is unref'd so it never keeps the process alive.
+   */
+  start() {
+    if (this.timer || this.intervalMs <= 0) {
+      return;
+    }
+
+    this.stopping = false;
+    this.timer = setInterval(() => this.wake(), this.intervalMs);
+    this.timer.unref();
+    this.wake();
+  }
+
+  /**
+   * Stop the interval and wait for the batch being sent to finish
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.stopping = true;
+    await this.running;
+  }
+
+  /**
+   * Check the queue now instead of on the next tick (e.g. right after a scan was queued).
+   * Does nothing unless the worker was started.
+   */
+  wake() {
+    if (!this.timer) {
+      return;
+    }
+    this.process().catch((error) => {
+      logger.error({ err: error }, "Submission queue check failed");
+    });
+  }
+
+  /**
+   * Send due jobs until none are left
+   * @returns {Promise<string[]>} scanIds submitted to Copyleaks
+   */
+  async process() {
+    if (this.running) {
+      // Picked up by the running check before it finishes
+      this.woken = true;
+      return this.running;
+    }
+
+    this.running = this.submitDue().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async submitDue() {
+    const submitted = [];
+    // Jobs tried during this check; a job whose state could not be stored is not retried
+    // in a loop
+    const attempted = new Set();
+
+    while (!this.stopping) {
+      this.woken = false;
+      const batch = await this.nextBatch(attempted);
+      if (!batch.length) {
+        if (this.woken) {
+          continue;
+        }
+        break;
+      }
+
+      await Promise.all(
+        batch.map(async (job) => {
+          attempted.add(job.scanId);
+          try {
+            if (await this.submit(job)) {
+              submitted.push(job.scanId);
+            }
+          } catch (error) {
+            logger.error("Failed to process submission", {
+              scanId: job.scanId,
+              error: error.message,
+            });
+          }
+        })
+      );
+    }
+
+    if (submitted.length) {
+      logger.info(`Submitted ${submitted.length} queued scan(s)`);
+    }
+    return submitted;
+  }
+
+  /**
+   * Due jobs in the order they are sent: priority, then due time
+   * @param {Set<string>} attempted - scanIds to leave out
+   */
+  async nextBatch(attempted) {
+    const now = Date.now();
+    // Jobs attempted in this check, and attempts started before leases were kept in
+    // `nextAttemptAt`, may still head the index; read past them
+    let limit = this.concurrency + attempted.size;
+    for (;;) {
+      const head = await this.store.listDueSubmissions(new Date(now), limit);
+      const due = head.filter(
+        (scan) => !attempted.has(scan.scanId) && this.isDue(scan.submission, now)
+      );
+      if (due.length >= this.concurrency || head.length < limit) {
+        return due.slice(0, this.concurrency);
+      }
+      limit += head.length - due.length;
+    }
+  }
+
+  isDue(submission, now) {
+    // Scans without a job are queued only while a reused scan is being copied
+    if (!submission) {
+      return false;
+    }
+    if (submission.startedAt) {
+      return now - Date.parse(submission.startedAt) >= this.leaseMs;
+    }
+    return Date.parse(submission.nextAttemptAt) <= now;
+  }
+
+  /**
+   * Make one submission attempt
+   * @param {object} job - Public record of the queued scan
+   * @returns {Promise<boolean>} True when Copyleaks accepted the scan
+   */
+  async submit({ scanId, submission }) {
+    const attempt = submission.attempts + 1;
+    const startedAt = Date.now();
+    const started = {
+      ...submission,
+      attempts: attempt,
+      startedAt: new Date(startedAt).toISOString(),
+      nextAttemptAt: new Date(startedAt + this.leaseMs).toISOString(),
+    };
+
+    if (!(await this.store.claimSubmission(scanId, attempt))) {
+      // Another replica is sending this attempt; its job state is left alone
+      return false;
+    }
+    try {
+      await this.store.updateSubmission(scanId, started);
+    } catch (error) {
+      // Let the attempt be claimed again rather than leave it claimed but never started
+      await this.store.releaseSubmission(scanId, attempt);
+      throw error;
+    }
+
+    const record = await this.store.getScan(scanId);
+    if (record?.status !== "queued") {
+      return false;
+    }
+
+    const { text, options } = this.store.decryptRecord(record);
+    logger.info(`Submitting scan ${scanId}`, { attempt, priority: submission.priority });
+    try {
+      await this.scanner.submitTextScan(scanId, text, buildScanOptions(options));
+    } catch (error) {
+      await this.recordFailure(scanId, started, error);
+      return false;
+    }
+
+    // Status first: a crash before the job update must not send the scan again
+    await this.store.updateStatus(scanId, "pending");
+    await this.store.updateSubmission(scanId, {
+      ...started,
+      startedAt: null,
+      submittedAt: new Date().toISOString(),
+      lastError: null,
+    });
+    await this.store.recordEvent(scanId, "scan.submitted", {
+      textLength: record.textLength,
+      attempts: attempt,
+    });
+    this.callbacks?.notify(scanId, "submitted", { textLength: record.textLength });
+    return true;
+  }
+
+  async recordFailure(scanId, started, error) {
+    const { message } = error;
+    const { attempts } = started;
+
+    if (attempts < this.maxAttempts && isTransient(error)) {
+      const retryInMs = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+      const nextAttemptAt = new Date(Date.now() + retryInMs).toISOString();
+      logger.warn("Scan submission failed, retrying", { scanId, attempts, error: message });
+      await this.store.updateSubmission(scanId, {
+        ...started,
+        startedAt: null,
+        nextAttemptAt,
+        lastError: message,
+      });
+      await this.store.recordEvent(scanId, "scan.submissionRetry", {
+        message,
+        attempts,
+        nextAttemptAt,
+      });
+      return;
+    }
+
+    logger.error("Scan submission failed", { scanId, attempts, error: message });
+    await this.store.updateStatus(scanId, "error", { summary: { message } });
+    await this.store.updateSubmission(scanId, { ...started, startedAt: null, lastError: message });
+    await this.store.recordEvent(scanId, "scan.submissionFailed", { message, attempts });
+    this.callbacks?.notify(scanId, "error", { stage: "submission", message });
+  }
+}
+
+let submissionQueue = null;
+
+function getSubmissionQueue() {
+  if (!submissionQueue) {
+    submissionQueue = new SubmissionQueue(scanStore, plagiarismScanner, {
+      ...config.submissions,
+      callbacks: getCallbackDispatcher(),
+    });
+  }
+  return submissionQueue;
+}
+
+/**
+ * Replace the submission queue (tests and embedding callers)
+ * @param {SubmissionQueue|null} next - Queue to use from now on
+ */
+function useSubmissionQueue(next) {
+  submissionQueue = next;
+}
+
+module.exports = {
+  SubmissionQueue,
+  buildScanOptions,
+  isTransient,
+  getSubmissionQueue,
+  useSubmissionQueue,
+};
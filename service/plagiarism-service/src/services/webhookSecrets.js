@@ -0,0 +1,109 @@
+const crypto = require("node:crypto");
+const config = require("../config");
+const { parseKeyring } = require("../storage/encryption");
+
+/**
+ * Per-scan webhook secrets
+ * Each scan gets its own secret, derived as HMAC-SHA256(key, scanId) from a keyring
+ * (same "<keyId>:<base64>" format as the encryption keys). The secret travels to Copyleaks
+ * in the webhook header fields of the submission and export requests and comes back on
+ * every webhook as:
+ *
+ *   X-Webhook-Secret: <keyId>.<base64url HMAC>
+ *
+ * Nothing is stored per scan. To rotate, add a new key and make it active: new submissions
+ * and exports use it, while scans already in flight keep verifying with the key named in
+ * their header until that key is removed from the keyring.
+ */
+
+const WEBHOOK_SECRET_HEADER = "x-webhook-secret";
+
+/**
+ * Build the webhook secret helper
+ * Without configured keys webhooks are accepted unauthenticated (local development).
+ * @param {object} options - `config.webhookAuth`
+ * @param {string} [options.keys] - Keyring spec (see storage/encryption parseKeyring)
+ * @param {string} [options.activeKeyId] - Key used for new scans (defaults to the first key)
+ */
+function createWebhookSecrets({ keys, activeKeyId } = {}) {
+  const keyring = parseKeyring(keys);
+  const activeId = activeKeyId || keyring.keys().next().value;
+  const enabled = keyring.size > 0;
+
+  if (enabled && !keyring.has(activeId)) {
+    throw new Error(`Active webhook secret key "${activeId}" is not in the keyring`);
+  }
+
+  const sign = (key, scanId) =>
+    crypto.createHmac("sha256", key).update(`webhook:${scanId}`).digest("base64url");
+
+  return {
+    enabled,
+    activeKeyId: enabled ? activeId : null,
+
+    /**
+     * Secret Copyleaks must echo back for a scan's webhooks
+     * @returns {string|null} `<keyId>.<signature>`, null when disabled
+     */
+    secretFor(scanId) {
+      return enabled ? `${activeId}.${sign(keyring.get(activeId), scanId)}` : null;
+    },
+
+    /**
+     * Header pairs in the `[[name, value]]` shape Copyleaks expects for webhook headers
+     * @returns {Array<[string, string]>} Header pairs (empty when disabled)
+     */
+    headersFor(scanId) {
+      return enabled ? [[WEBHOOK_SECRET_HEADER, this.secretFor(scanId)]] : [];
+    },
+
+    /**
+     * Check a webhook's secret header. Any key still in the keyring is accepted.
+     * @param {string} scanId - Scan named in the webhook URL
+     * @param {string|undefined} presented - Header value
+     * @returns {boolean} True when valid, or when secrets are disabled
+     */
+    verify(scanId, presented) {
+      if (!enabled) {
+        return true;
+      }
+      if (typeof presented !== "string") {
+        return false;
+      }
+
+      const separator = presented.indexOf(".");
+      const key = keyring.get(presented.slice(0, separator));
+      if (separator < 1 || !key) {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(key, scanId));
+      const actual = Buffer.from(presented.slice(separator + 1));
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    },
+  };
+}
+
+let webhookSecrets = null;
+
+function getWebhookSecrets() {
+  if (!webhookSecrets) {
+    webhookSecrets = createWebhookSecrets(config.webhookAuth);
+  }
+  return webhookSecrets;
+}
+
+/**
+ * Replace the webhook secret helper (tests and embedding callers)
+ * @param {ReturnType<typeof createWebhookSecrets>|null} next - Helper to use from now on
+ */
+function useWebhookSecrets(next) {
+  webhookSecrets = next;
+}
+
+module.exports = {
+  WEBHOOK_SECRET_HEADER,
+  createWebhookSecrets,
+  getWebhookSecrets,
+  useWebhookSecrets,
+};
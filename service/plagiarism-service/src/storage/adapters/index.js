@@ -0,0 +1,127 @@
+const createMemoryAdapter = require("./memoryAdapter");
+const createSqliteAdapter = require("./sqliteAdapter");
+const createRedisAdapter = require("./redisAdapter");
+
+/**
+ * @typedef {object} ScanQuery
+ * @property {object} filters - { status?: string[], createdAfter?: string, createdBefore?: string,
+ *   minScore?: number, maxScore?: number, hasExportedResults?: boolean }
+ * @property {"createdAt"|"lastUpdated"|"score"} sortBy - Sort field
+ * @property {"asc"|"desc"} order - Sort direction (ties break on scanId)
+ * @property {{value: string|number, scanId: string}|null} after - Keyset position to resume from
+ * @property {number} limit - Maximum records to return
+ */
+
+/**
+ * @typedef {object} ScanEvent
+ * @property {string} type - Event type (e.g. scan.submitted, webhook.completed, export.failed)
+ * @property {string} at - ISO timestamp of when the event was recorded
+ * @property {object} data - Small event-specific details (never full webhook payloads)
+ */
+
+/**
+ * @typedef {object} DeadLetter
+ * @property {string} id - Dead letter identifier
+ * @property {string} webhook - Webhook event type (e.g. webhook.result)
+ * @property {string} scanId - Scan named in the webhook URL
+ * @property {string} url - Webhook path the payload was posted to (replayed as-is)
+ * @property {string} reason - unknownScan, finished, failed, exportFailed or invalid
+ * @property {string|null} message - Error message for failed handling
+ * @property {object} payload - Blob reference to the webhook body
+ * @property {"pending"|"replayed"} status - Whether a replay has been processed
+ * @property {string} receivedAt - ISO timestamp of the original delivery
+ * @property {number} replayCount - Replays attempted so far
+ * @property {object|null} lastReplay - { at, statusCode, outcome } of the latest replay
+ */
+
+/**
+ * @typedef {object} DeadLetterQuery
+ * @property {string} [status] - pending or replayed
+ * @property {string} [reason] - Only letters dead-lettered for this reason
+ * @property {string} [scanId] - Only letters for this scan
+ * @property {string} [receivedAfter] - ISO lower bound (inclusive) on receivedAt
+ * @property {string} [receivedBefore] - ISO upper bound (inclusive) on receivedAt
+ * @property {number} limit - Maximum letters to return
+ */
+
+/**
+ * Scan store adapter contract
+ * Every adapter exposes the same async primitives; `scanStore` layers timestamps and
+ * domain rules on top so the controllers never depend on a specific backend.
+ *
+ * @typedef {object} ScanStoreAdapter
+ * @property {string} name - Adapter identifier (memory, sqlite, redis)
+ * @property {(record: object) => Promise<void>} createScan - Insert a new scan record
+ * @property {(scanId: string) => Promise<boolean>} hasScan - Check whether a scan exists
+ * @property {(scanId: string) => Promise<object|null>} getScan - Load a fully hydrated record
+ * @property {(query: ScanQuery) => Promise<object[]>} queryScans - Public records (see
+ *   scanQuery.toPublicRecord) matching the filters, in sort order, after the cursor position
+ * @property {(now: string, limit: number) => Promise<object[]>} findDueSubmissions - Public
+ *   records of queued scans whose submission `nextAttemptAt` is at or before `now`, by
+ *   priority, then nextAttemptAt
+ * @property {(scanId: string, patch: object) => Promise<boolean>} updateScan - Patch
+ *   top-level fields (text, status, summary, credits, exportStarted, exportCompletedAt,
+ *   exportState, submission, lastUpdated)
+ * @property {(scanId: string, result: object) => Promise<void>} appendResult - Append a
+ *   newResult payload
+ * @property {(scanId: string, resultId: string, data: object) => Promise<void>}
+ *   putExportedResult - Store one exported comparison payload
+ * @property {(scanId: string, payload: object, text: object|null) => Promise<void>}
+ *   putCrawled - Store blob references to the crawled version and its extracted text
+ * @property {(scanId: string, payload: object) => Promise<void>} putPdf - Store the PDF report
+ *   blob reference
+ * @property {(contentHash: string) => Promise<string[]>} findByContentHash - scanIds of
+ *   unexpired scans submitted with the same content hash, newest first
+ * @property {(scanId: string, event: ScanEvent) => Promise<void>} appendEvent - Append a
+ *   lifecycle event to the scan's timeline
+ * @property {(scanId: string) => Promise<ScanEvent[]>} listEvents - Timeline in append order
+ * @property {(scanId: string, deliveryKey: string, receivedAt: string) => Promise<boolean>}
+ *   claimDelivery - Atomically record a webhook delivery; false if it was already recorded
+ * @property {(scanId: string, deliveryKey: string) => Promise<void>} releaseDelivery - Forget
+ *   a delivery whose processing failed so the sender's retry is processed again
+ * @property {(letter: DeadLetter) => Promise<void>} putDeadLetter - Store a dead-lettered webhook
+ * @property {(id: string) => Promise<DeadLetter|null>} getDeadLetter - Load one dead letter
+ * @property {(query: DeadLetterQuery) => Promise<DeadLetter[]>} listDeadLetters - Matching
+ *   dead letters, oldest first
+ * @property {(id: string, patch: object) => Promise<boolean>} updateDeadLetter - Patch status,
+ *   replayCount and lastReplay
+ * @property {(id: string) => Promise<boolean>} deleteDeadLetter - Remove a dead letter
+ * @property {(now: string, limit: number) => Promise<string[]>} findExpired - scanIds whose
+ *   expiresAt is at or before `now` and that have not been expired yet
+ * @property {(scanId: string, expiredAt: string) => Promise<boolean>} expireScan - Mark a scan
+ *   expired and drop its text, results, crawled and PDF payloads; false if already expired
+ * @property {(scanId: string) => Promise<boolean>} deleteScan - Remove a scan and its data
+ * @property {() => Promise<void>} close - Release connections
+ */
+
+const factories = {
+  memory: () => createMemoryAdapter(),
+  sqlite: () => createSqliteAdapter(),
+  redis: (storageConfig) =>
+    createRedisAdapter({
+      url: storageConfig.redisUrl,
+      keyPrefix: storageConfig.redisKeyPrefix,
+    }),
+};
+
+/**
+ * Build the adapter selected by the storage configuration
+ * @param {object} storageConfig - `config.storage`
+ * @returns {ScanStoreAdapter} Adapter instance
+ */
+function createAdapter(storageConfig) {
+  const factory = factories[storageConfig.driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown scan store driver "${storageConfig.driver}". Expected one of: ${Object.keys(factories).join(", ")}`
+    );
+  }
+  return factory(storageConfig);
+}
+
+module.exports = {
+  createAdapter,
+  createMemoryAdapter,
+  createSqliteAdapter,
+  createRedisAdapter,
+};
@@ -0,0 +1,194 @@
+const {
+  filterDeadLetters,
+  filterDueSubmissions,
+  paginateSummaries,
+  toPublicRecord,
+} = require("../scanQuery");
+
+/**
+ * In-memory scan store adapter
+ * Keeps records in a process-local Map. Data is lost on restart and is not shared
+ * between replicas, so use it for tests and throwaway local runs only.
+ */
+function createMemoryAdapter() {
+  const scans = new Map();
+  const events = new Map();
+  const deliveries = new Map();
+  const deadLetters = new Map();
+
+  return {
+    name: "memory",
+
+    async createScan(record) {
+      scans.set(record.scanId, structuredClone(record));
+    },
+
+    async hasScan(scanId) {
+      return scans.has(scanId);
+    },
+
+    async getScan(scanId) {
+      const record = scans.get(scanId);
+      return record ? structuredClone(record) : null;
+    },
+
+    async queryScans(query) {
+      return paginateSummaries(
+        Array.from(scans.values()).map((record) => structuredClone(toPublicRecord(record))),
+        query
+      );
+    },
+
+    async findDueSubmissions(now, limit) {
+      return structuredClone(
+        filterDueSubmissions(Array.from(scans.values(), toPublicRecord), { now, limit })
+      );
+    },
+
+    async updateScan(scanId, patch) {
+      const record = scans.get(scanId);
+      if (!record) {
+        return false;
+      }
+
+      const { exportCompletedAt, ...fields } = patch;
+      Object.assign(record, structuredClone(fields));
+      if (exportCompletedAt !== undefined) {
+        record.exported.completedAt = exportCompletedAt;
+      }
+      return true;
+    },
+
+    async appendResult(scanId, result) {
+      scans.get(scanId)?.results.push(structuredClone(result));
+    },
+
+    async putExportedResult(scanId, resultId, data) {
+      const record = scans.get(scanId);
+      if (record) {
+        record.exported.results[resultId] = structuredClone(data);
+      }
+    },
+
+    async putCrawled(scanId, payload, extractedText) {
+      const record = scans.get(scanId);
+      if (record) {
+        record.exported.crawled = structuredClone(payload);
+        record.exported.crawledText = extractedText ?? null;
+      }
+    },
+
+    async putPdf(scanId, payload) {
+      const record = scans.get(scanId);
+      if (record) {
+        record.exported.pdfReport = structuredClone(payload);
+      }
+    },
+
+    async findByContentHash(contentHash) {
+      return Array.from(scans.values())
+        .filter((record) => record.contentHash === contentHash && !record.expiredAt)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map((record) => record.scanId);
+    },
+
+    async appendEvent(scanId, event) {
+      if (!events.has(scanId)) {
+        events.set(scanId, []);
+      }
+      events.get(scanId).push(structuredClone(event));
+    },
+
+    async listEvents(scanId) {
+      return structuredClone(events.get(scanId) || []);
+    },
+
+    async claimDelivery(scanId, deliveryKey) {
+      if (!deliveries.has(scanId)) {
+        deliveries.set(scanId, new Set());
+      }
+
+      const claimed = deliveries.get(scanId);
+      if (claimed.has(deliveryKey)) {
+        return false;
+      }
+      claimed.add(deliveryKey);
+      return true;
+    },
+
+    async releaseDelivery(scanId, deliveryKey) {
+      deliveries.get(scanId)?.delete(deliveryKey);
+    },
+
+    async putDeadLetter(letter) {
+      deadLetters.set(letter.id, structuredClone(letter));
+    },
+
+    async getDeadLetter(id) {
+      const letter = deadLetters.get(id);
+      return letter ? structuredClone(letter) : null;
+    },
+
+    async listDeadLetters(query) {
+      return structuredClone(filterDeadLetters(Array.from(deadLetters.values()), query));
+    },
+
+    async updateDeadLetter(id, patch) {
+      const letter = deadLetters.get(id);
+      if (!letter) {
+        return false;
+      }
+      Object.assign(letter, structuredClone(patch));
+      return true;
+    },
+
+    async deleteDeadLetter(id) {
+      return deadLetters.delete(id);
+    },
+
+    async findExpired(now, limit) {
+      return Array.from(scans.values())
+        .filter((record) => !record.expiredAt && record.expiresAt && record.expiresAt <= now)
+        .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt))
+        .slice(0, limit)
+        .map((record) => record.scanId);
+    },
+
+    async expireScan(scanId, expiredAt) {
+      const record = scans.get(scanId);
+      if (!record || record.expiredAt) {
+        return false;
+      }
+
+      Object.assign(record, {
+        status: "expired",
+        expiredAt,
+        lastUpdated: expiredAt,
+        text: "",
+        results: [],
+      });
+      Object.assign(record.exported, {
+        results: {},
+        crawled: null,
+        crawledText: null,
+        pdfReport: null,
+      });
+      return true;
+    },
+
+    async deleteScan(scanId) {
+      events.delete(scanId);
+      deliveries.delete(scanId);
+      return scans.delete(scanId);
+    },
+
+    async close() {
+      scans.clear();
+      events.clear();
+      deliveries.clear();
+      deadLetters.clear();
+    },
+  };
+}
+
+module.exports = createMemoryAdapter;
@@ -0,0 +1,648 @@
+const Redis = require("ioredis");
+const {
+  MISSING_SCORE,
+  filterDeadLetters,
+  filterDueSubmissions,
+  paginateSummaries,
+} = require("../scanQuery");
+const { SUBMISSION_PRIORITIES } = require("../../schemas/plagiarism.schemas");
+
+const RECORD_FIELDS = [
+  "scanId",
+  "text",
+  "textLength",
+  "createdAt",
+  "status",
+  "options",
+  "summary",
+  "credits",
+  "exportStarted",
+  "exportCompletedAt",
+  "exportState",
+  "submission",
+  "lastUpdated",
+  "expiresAt",
+  "expiredAt",
+  "contentHash",
+  "reusedFrom",
+];
+
+// Record fields listings need; `text` and `contentHash` are never loaded for a listing
+const SUMMARY_FIELDS = RECORD_FIELDS.filter((field) => field !== "text" && field !== "contentHash");
+
+// Index entries read per round trip while walking a listing
+const QUERY_CHUNK = 100;
+// Bump when an index is added, so existing data is indexed once on first use
+const INDEX_VERSION = "2";
+
+/**
+ * Write fields of a scan hash only while the scan exists, re-scoring it in the sort indexes,
+ * so an update racing a delete or an expiry cannot bring back a partial record
+ * KEYS: scan hash, lastUpdated index, score index
+ * ARGV: scanId, lastUpdated score or "", summary score or "", field/value pairs
+ * Returns 1 when the scan exists, 0 otherwise
+ */
+const UPDATE_SCAN_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 0 then
+  return 0
+end
+if #ARGV > 3 then
+  redis.call("HSET", KEYS[1], unpack(ARGV, 4))
+end
+if ARGV[2] ~= "" then
+  redis.call("ZADD", KEYS[2], ARGV[2], ARGV[1])
+end
+if ARGV[3] ~= "" then
+  redis.call("ZADD", KEYS[3], ARGV[3], ARGV[1])
+end
+return 1
+`;
+
+/**
+ * Run one write command on a per-scan key only while the scan exists, so a result or payload
+ * landing after a delete or an expiry cannot leave an orphaned key behind
+ * KEYS: scan hash, key written
+ * ARGV: command, its arguments after the key
+ * Returns 1 when the scan exists, 0 otherwise
+ */
+const WRITE_SCAN_KEY_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 0 then
+  return 0
+end
+redis.call(ARGV[1], KEYS[2], unpack(ARGV, 2))
+return 1
+`;
+
+const timeScore = (value) => Date.parse(value);
+const scoreOf = (summary) => summary?.score ?? MISSING_SCORE;
+
+function encodeFields(fields) {
+  const encoded = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (RECORD_FIELDS.includes(field) && value !== undefined) {
+      encoded[field] = JSON.stringify(value);
+    }
+  }
+  return encoded;
+}
+
+function decodeFields(hash) {
+  const decoded = {};
+  for (const [field, value] of Object.entries(hash)) {
+    decoded[field] = JSON.parse(value);
+  }
+  return decoded;
+}
+
+/**
+ * Redis-protocol scan store adapter
+ * Every scan is spread over per-scan keys so that webhooks landing on different replicas
+ * update independent fields atomically instead of overwriting a whole serialized record:
+ *
+ *   <prefix>scans                      sorted set of scanIds scored by creation time
+ *   <prefix>scans:lastUpdated          sorted set of scanIds scored by last update time
+ *   <prefix>scans:score                sorted set of scanIds scored by summary score
+ *   <prefix>submissions:<priority>     sorted set of queued scanIds scored by when their
+ *                                      submission job is due (entries may outlive the job)
+ *   <prefix>expirations                sorted set of unexpired scanIds scored by expiry time
+ *   <prefix>content:<contentHash>      sorted set of scanIds sharing a content hash, by creation
+ *   <prefix>scan:<scanId>              hash of record fields (JSON-encoded values)
+ *   <prefix>scan:<scanId>:results      list of newResult payloads
+ *   <prefix>scan:<scanId>:exported     hash of resultId -> exported comparison payload
+ *   <prefix>scan:<scanId>:crawled      hash with the crawled payload and extracted text
+ *   <prefix>scan:<scanId>:pdf          PDF report payload
+ *   <prefix>scan:<scanId>:events       append-only list of lifecycle events
+ *   <prefix>dead-letters               sorted set of dead letter ids scored by receipt time
+ *   <prefix>scan:<scanId>:dead-letters same, for the letters of one scan
+ *   <prefix>dead-letter:<id>           JSON-encoded dead letter
+ *
+ * Listings walk the sorted set of the requested sort from the cursor, a chunk at a time, and
+ * read only the summary fields of each scan (never its text or payloads) until a page is full.
+ *
+ * Works with Redis, Valkey, KeyDB or any server speaking the Redis protocol.
+ * @param {object} options - Adapter options
+ * @param {string} [options.url] - Connection URL (ignored when `client` is provided)
+ * @param {string} [options.keyPrefix] - Prefix for every key written by the adapter
+ * @param {object} [options.client] - Pre-built ioredis-compatible client
+ */
+function createRedisAdapter({ url, keyPrefix = "plagiarism:", client } = {}) {
+  const redis = client || new Redis(url, { maxRetriesPerRequest: 3 });
+  redis.defineCommand("updateExistingScan", { numberOfKeys: 3, lua: UPDATE_SCAN_SCRIPT });
+  redis.defineCommand("writeExistingScanKey", { numberOfKeys: 2, lua: WRITE_SCAN_KEY_SCRIPT });
+
+  const indexKey = `${keyPrefix}scans`;
+  const sortIndexKeys = {
+    createdAt: indexKey,
+    lastUpdated: `${keyPrefix}scans:lastUpdated`,
+    score: `${keyPrefix}scans:score`,
+  };
+  const indexVersionKey = `${keyPrefix}index-version`;
+  const submissionsKey = (priority) => `${keyPrefix}submissions:${priority}`;
+  const expirationsKey = `${keyPrefix}expirations`;
+  const contentKey = (contentHash) => `${keyPrefix}content:${contentHash}`;
+  const scanKey = (scanId) => `${keyPrefix}scan:${scanId}`;
+  const resultsKey = (scanId) => `${scanKey(scanId)}:results`;
+  const exportedKey = (scanId) => `${scanKey(scanId)}:exported`;
+  const crawledKey = (scanId) => `${scanKey(scanId)}:crawled`;
+  const pdfKey = (scanId) => `${scanKey(scanId)}:pdf`;
+  const eventsKey = (scanId) => `${scanKey(scanId)}:events`;
+  const deliveriesKey = (scanId) => `${scanKey(scanId)}:deliveries`;
+  const deadLettersKey = `${keyPrefix}dead-letters`;
+  const deadLetterKey = (id) => `${keyPrefix}dead-letter:${id}`;
+  const scanDeadLettersKey = (scanId) => `${scanKey(scanId)}:dead-letters`;
+
+  let indexesReady = null;
+
+  /**
+   * Apply fields to a scan atomically, only if it still exists
+   * @returns {Promise<boolean>} False when the scan does not exist
+   */
+  async function updateExisting(scanId, fields) {
+    const applied = await redis.updateExistingScan(
+      scanKey(scanId),
+      sortIndexKeys.lastUpdated,
+      sortIndexKeys.score,
+      scanId,
+      fields.lastUpdated ? timeScore(fields.lastUpdated) : "",
+      fields.summary !== undefined ? scoreOf(fields.summary) : "",
+      ...Object.entries(encodeFields(fields)).flat()
+    );
+    return applied === 1;
+  }
+
+  /**
+   * Index data written before the current indexes existed (once per adapter; the marker
+   * key tells other replicas it was done)
+   */
+  function ensureIndexes() {
+    if (!indexesReady) {
+      indexesReady = buildIndexes().catch((error) => {
+        indexesReady = null;
+        throw error;
+      });
+    }
+    return indexesReady;
+  }
+
+  async function buildIndexes() {
+    if ((await redis.get(indexVersionKey)) === INDEX_VERSION) {
+      return;
+    }
+
+    for (let offset = 0; ; offset += QUERY_CHUNK) {
+      const scanIds = await redis.zrange(indexKey, offset, offset + QUERY_CHUNK - 1);
+      if (!scanIds.length) {
+        break;
+      }
+      const reads = redis.multi();
+      for (const scanId of scanIds) {
+        reads.hmget(scanKey(scanId), "lastUpdated", "summary", "status", "submission");
+      }
+      const writes = redis.multi();
+      (await reads.exec()).forEach(([, [lastUpdated, summary, status, submission]], index) => {
+        if (status && JSON.parse(status) === "queued") {
+          indexSubmission(writes, scanIds[index], JSON.parse(submission ?? "null"));
+        }
+        if (lastUpdated) {
+          writes.zadd(
+            sortIndexKeys.lastUpdated,
+            timeScore(JSON.parse(lastUpdated)),
+            scanIds[index]
+          );
+          writes.zadd(sortIndexKeys.score, scoreOf(JSON.parse(summary ?? "null")), scanIds[index]);
+        }
+      });
+      await writes.exec();
+    }
+
+    for (let offset = 0; ; offset += QUERY_CHUNK) {
+      const ids = await redis.zrange(deadLettersKey, offset, offset + QUERY_CHUNK - 1);
+      if (!ids.length) {
+        break;
+      }
+      const writes = redis.multi();
+      for (const letter of await redis.mget(ids.map(deadLetterKey))) {
+        if (letter) {
+          const { id, scanId, receivedAt } = JSON.parse(letter);
+          writes.zadd(scanDeadLettersKey(scanId), timeScore(receivedAt), id);
+        }
+      }
+      await writes.exec();
+    }
+
+    await redis.set(indexVersionKey, INDEX_VERSION);
+  }
+
+  /**
+   * Queue a submission job in the index of its priority
+   * @param {object} transaction - MULTI the write is added to
+   */
+  function indexSubmission(transaction, scanId, submission) {
+    if (submission?.nextAttemptAt) {
+      transaction.zadd(
+        submissionsKey(submission.priority),
+        timeScore(submission.nextAttemptAt),
+        scanId
+      );
+    }
+    return transaction;
+  }
+
+  function unindexSubmission(transaction, scanId) {
+    for (const priority of SUBMISSION_PRIORITIES) {
+      transaction.zrem(submissionsKey(priority), scanId);
+    }
+    return transaction;
+  }
+
+  /**
+   * Public records of the given scans, in the same order (null for missing scans)
+   * @param {string[]} scanIds - Scans to load
+   */
+  async function loadSummaries(scanIds) {
+    const transaction = redis.multi();
+    for (const scanId of scanIds) {
+      transaction.hmget(scanKey(scanId), ...SUMMARY_FIELDS).hlen(exportedKey(scanId));
+    }
+    const replies = await transaction.exec();
+
+    return scanIds.map((_, index) => {
+      const [, values] = replies[index * 2];
+      const [, exportedCount] = replies[index * 2 + 1];
+      if (values[0] === null) {
+        return null;
+      }
+
+      const fields = {};
+      SUMMARY_FIELDS.forEach((field, position) => {
+        fields[field] = values[position] === null ? undefined : JSON.parse(values[position]);
+      });
+      return {
+        scanId: fields.scanId,
+        status: fields.status,
+        createdAt: fields.createdAt,
+        lastUpdated: fields.lastUpdated,
+        summary: fields.summary ?? null,
+        credits: fields.credits ?? null,
+        exportStarted: Boolean(fields.exportStarted),
+        exportedResults: exportedCount,
+        exportedCompletedAt: fields.exportCompletedAt ?? null,
+        exportStatus: fields.exportState?.status ?? null,
+        submission: fields.submission ?? null,
+        originalTextLength: fields.textLength,
+        options: fields.options ?? {},
+        expiresAt: fields.expiresAt ?? null,
+        expiredAt: fields.expiredAt ?? null,
+        reusedFrom: fields.reusedFrom ?? null,
+      };
+    });
+  }
+
+  /**
+   * Read a sorted set in chunks from `start`, oldest/lowest first unless `descending`
+   * @returns {Promise<string[]>} Members of the chunk at `offset`
+   */
+  function readChunk(key, { start, end, descending, offset }) {
+    return descending
+      ? redis.zrevrangebyscore(key, end, start, "LIMIT", offset, QUERY_CHUNK)
+      : redis.zrangebyscore(key, start, end, "LIMIT", offset, QUERY_CHUNK);
+  }
+
+  async function hydrate(scanId) {
+    const [[, hash], [, results], [, exported], [, crawled], [, pdf]] = await redis
+      .multi()
+      .hgetall(scanKey(scanId))
+      .lrange(resultsKey(scanId), 0, -1)
+      .hgetall(exportedKey(scanId))
+      .hgetall(crawledKey(scanId))
+      .get(pdfKey(scanId))
+      .exec();
+
+    if (!hash || !Object.keys(hash).length) {
+      return null;
+    }
+
+    const fields = decodeFields(hash);
+    const exportedResults = {};
+    for (const [resultId, data] of Object.entries(exported || {})) {
+      exportedResults[resultId] = JSON.parse(data);
+    }
+
+    return {
+      scanId: fields.scanId,
+      text: fields.text,
+      textLength: fields.textLength,
+      createdAt: fields.createdAt,
+      status: fields.status,
+      options: fields.options ?? {},
+      summary: fields.summary ?? null,
+      credits: fields.credits ?? null,
+      results: (results || []).map((result) => JSON.parse(result)),
+      exported: {
+        results: exportedResults,
+        crawled: crawled?.payload ? JSON.parse(crawled.payload) : null,
+        crawledText: crawled?.text ? JSON.parse(crawled.text) : null,
+        pdfReport: pdf ? JSON.parse(pdf) : null,
+        completedAt: fields.exportCompletedAt ?? null,
+      },
+      exportStarted: Boolean(fields.exportStarted),
+      exportState: fields.exportState ?? null,
+      submission: fields.submission ?? null,
+      lastUpdated: fields.lastUpdated,
+      expiresAt: fields.expiresAt ?? null,
+      expiredAt: fields.expiredAt ?? null,
+      contentHash: fields.contentHash ?? null,
+      reusedFrom: fields.reusedFrom ?? null,
+    };
+  }
+
+  return {
+    name: "redis",
+    client: redis,
+
+    async createScan(record) {
+      const transaction = redis.multi();
+      if (record.expiresAt) {
+        transaction.zadd(expirationsKey, Date.parse(record.expiresAt), record.scanId);
+      }
+      if (record.contentHash) {
+        transaction.zadd(
+          contentKey(record.contentHash),
+          Date.parse(record.createdAt),
+          record.scanId
+        );
+      }
+      if (record.status === "queued") {
+        indexSubmission(transaction, record.scanId, record.submission);
+      }
+      await transaction
+        .hset(
+          scanKey(record.scanId),
+          encodeFields({
+            ...record,
+            exportCompletedAt: record.exported?.completedAt ?? null,
+          })
+        )
+        .zadd(indexKey, timeScore(record.createdAt), record.scanId)
+        .zadd(sortIndexKeys.lastUpdated, timeScore(record.lastUpdated), record.scanId)
+        .zadd(sortIndexKeys.score, scoreOf(record.summary), record.scanId)
+        .exec();
+    },
+
+    async hasScan(scanId) {
+      return (await redis.exists(scanKey(scanId))) === 1;
+    },
+
+    async getScan(scanId) {
+      return hydrate(scanId);
+    },
+
+    async queryScans(query) {
+      await ensureIndexes();
+      const { sortBy, order, after, limit } = query;
+      const descending = order !== "asc";
+      // The cursor's own score is included; paginateSummaries drops what is not after it
+      const bound = after ? (sortBy === "score" ? after.value : timeScore(after.value)) : null;
+      const range = descending
+        ? { start: "-inf", end: bound ?? "+inf", descending }
+        : { start: bound ?? "-inf", end: "+inf", descending };
+
+      const page = [];
+      for (let offset = 0; page.length < limit; offset += QUERY_CHUNK) {
+        const scanIds = await readChunk(sortIndexKeys[sortBy], { ...range, offset });
+        if (!scanIds.length) {
+          break;
+        }
+        const summaries = (await loadSummaries(scanIds)).filter(Boolean);
+        page.push(...paginateSummaries(summaries, { ...query, limit: limit - page.length }));
+      }
+      return page;
+    },
+
+    async findDueSubmissions(now, limit) {
+      await ensureIndexes();
+      const due = [];
+      for (const priority of SUBMISSION_PRIORITIES) {
+        const key = submissionsKey(priority);
+        let offset = 0;
+        while (due.length < limit) {
+          const scanIds = await readChunk(key, { start: "-inf", end: timeScore(now), offset });
+          if (!scanIds.length) {
+            break;
+          }
+
+          // Drop entries of scans that were deleted or are no longer queued
+          const summaries = await loadSummaries(scanIds);
+          const stale = scanIds.filter((_, index) => summaries[index]?.status !== "queued");
+          if (stale.length) {
+            await redis.zrem(key, ...stale);
+          }
+          offset += scanIds.length - stale.length;
+
+          due.push(
+            ...filterDueSubmissions(summaries.filter(Boolean), { now, limit: limit - due.length })
+          );
+        }
+      }
+      return due;
+    },
+
+    async updateScan(scanId, patch) {
+      const updated = await updateExisting(scanId, patch);
+      if (updated && (patch.submission || (patch.status && patch.status !== "queued"))) {
+        const transaction = redis.multi();
+        if (patch.status && patch.status !== "queued") {
+          unindexSubmission(transaction, scanId);
+        } else {
+          indexSubmission(transaction, scanId, patch.submission);
+        }
+        await transaction.exec();
+      }
+      return updated;
+    },
+
+    async appendResult(scanId, result) {
+      await redis.writeExistingScanKey(
+        scanKey(scanId),
+        resultsKey(scanId),
+        "RPUSH",
+        JSON.stringify(result ?? null)
+      );
+    },
+
+    async putExportedResult(scanId, resultId, data) {
+      await redis.writeExistingScanKey(
+        scanKey(scanId),
+        exportedKey(scanId),
+        "HSET",
+        resultId,
+        JSON.stringify(data ?? null)
+      );
+    },
+
+    async putCrawled(scanId, payload, extractedText) {
+      await redis.writeExistingScanKey(
+        scanKey(scanId),
+        crawledKey(scanId),
+        "HSET",
+        "payload",
+        JSON.stringify(payload ?? null),
+        "text",
+        JSON.stringify(extractedText ?? null)
+      );
+    },
+
+    async putPdf(scanId, payload) {
+      await redis.writeExistingScanKey(
+        scanKey(scanId),
+        pdfKey(scanId),
+        "SET",
+        JSON.stringify(payload ?? null)
+      );
+    },
+
+    async findByContentHash(contentHash) {
+      // Expired scans stay in the content index until deleted; skip them here
+      const scanIds = await redis.zrevrange(contentKey(contentHash), 0, -1);
+      const active = [];
+      for (const scanId of scanIds) {
+        const expiredAt = await redis.hget(scanKey(scanId), "expiredAt");
+        if (expiredAt && JSON.parse(expiredAt) === null) {
+          active.push(scanId);
+        }
+      }
+      return active;
+    },
+
+    async appendEvent(scanId, event) {
+      await redis.rpush(eventsKey(scanId), JSON.stringify(event));
+    },
+
+    async listEvents(scanId) {
+      const events = await redis.lrange(eventsKey(scanId), 0, -1);
+      return events.map((event) => JSON.parse(event));
+    },
+
+    async claimDelivery(scanId, deliveryKey) {
+      // SADD is atomic, so only one replica wins a delivery retried against several of them
+      return (await redis.sadd(deliveriesKey(scanId), deliveryKey)) === 1;
+    },
+
+    async releaseDelivery(scanId, deliveryKey) {
+      await redis.srem(deliveriesKey(scanId), deliveryKey);
+    },
+
+    async putDeadLetter(letter) {
+      const receivedAt = timeScore(letter.receivedAt);
+      await redis
+        .multi()
+        .set(deadLetterKey(letter.id), JSON.stringify(letter))
+        .zadd(deadLettersKey, receivedAt, letter.id)
+        .zadd(scanDeadLettersKey(letter.scanId), receivedAt, letter.id)
+        .exec();
+    },
+
+    async getDeadLetter(id) {
+      const letter = await redis.get(deadLetterKey(id));
+      return letter ? JSON.parse(letter) : null;
+    },
+
+    async listDeadLetters(query) {
+      await ensureIndexes();
+      const { scanId, receivedAfter, receivedBefore, limit } = query;
+      const key = scanId ? scanDeadLettersKey(scanId) : deadLettersKey;
+      const range = {
+        start: receivedAfter ? timeScore(receivedAfter) : "-inf",
+        end: receivedBefore ? timeScore(receivedBefore) : "+inf",
+      };
+
+      const letters = [];
+      for (let offset = 0; letters.length < limit; offset += QUERY_CHUNK) {
+        const ids = await readChunk(key, { ...range, offset });
+        if (!ids.length) {
+          break;
+        }
+        const chunk = (await redis.mget(ids.map(deadLetterKey)))
+          .filter(Boolean)
+          .map((letter) => JSON.parse(letter));
+        letters.push(...filterDeadLetters(chunk, { ...query, limit: limit - letters.length }));
+      }
+      return letters;
+    },
+
+    async updateDeadLetter(id, patch) {
+      const letter = await this.getDeadLetter(id);
+      if (!letter) {
+        return false;
+      }
+
+      const { status, replayCount, lastReplay } = { ...letter, ...patch };
+      await redis.set(
+        deadLetterKey(id),
+        JSON.stringify({ ...letter, status, replayCount, lastReplay })
+      );
+      return true;
+    },
+
+    async deleteDeadLetter(id) {
+      const letter = await this.getDeadLetter(id);
+      const transaction = redis.multi().del(deadLetterKey(id)).zrem(deadLettersKey, id);
+      if (letter) {
+        transaction.zrem(scanDeadLettersKey(letter.scanId), id);
+      }
+      const [[, removed]] = await transaction.exec();
+      return removed > 0;
+    },
+
+    async findExpired(now, limit) {
+      return redis.zrangebyscore(expirationsKey, "-inf", Date.parse(now), "LIMIT", 0, limit);
+    },
+
+    async expireScan(scanId, expiredAt) {
+      // Removing the scan from the expiration index acts as a claim, so only one replica
+      // expires (and optionally purges) any given scan.
+      const claimed = await redis.zrem(expirationsKey, scanId);
+      const fields = { status: "expired", expiredAt, lastUpdated: expiredAt, text: "" };
+      if (!claimed || !(await updateExisting(scanId, fields))) {
+        return false;
+      }
+
+      await unindexSubmission(redis.multi(), scanId)
+        .del(resultsKey(scanId), exportedKey(scanId), crawledKey(scanId), pdfKey(scanId))
+        .exec();
+      return true;
+    },
+
+    async deleteScan(scanId) {
+      const contentHash = JSON.parse((await redis.hget(scanKey(scanId), "contentHash")) ?? "null");
+      const transaction = redis
+        .multi()
+        .del(scanKey(scanId))
+        .del(
+          resultsKey(scanId),
+          exportedKey(scanId),
+          crawledKey(scanId),
+          pdfKey(scanId),
+          eventsKey(scanId),
+          deliveriesKey(scanId)
+        )
+        .zrem(indexKey, scanId)
+        .zrem(sortIndexKeys.lastUpdated, scanId)
+        .zrem(sortIndexKeys.score, scanId)
+        .zrem(expirationsKey, scanId);
+      unindexSubmission(transaction, scanId);
+      if (contentHash) {
+        transaction.zrem(contentKey(contentHash), scanId);
+      }
+
+      const [[, removed]] = await transaction.exec();
+      return removed > 0;
+    },
+
+    async close() {
+      await redis.quit();
+    },
+  };
+}
+
+module.exports = createRedisAdapter;
@@ -0,0 +1,470 @@
+const { getDatabase, closeDatabase } = require("../database");
+const { MISSING_SCORE } = require("../scanQuery");
+const { SUBMISSION_PRIORITIES } = require("../../schemas/plagiarism.schemas");
+
+const COLUMN_MAP = {
+  text: "text",
+  status: "status",
+  summary: "summary",
+  credits: "credits",
+  exportStarted: "export_started",
+  exportCompletedAt: "export_completed_at",
+  exportState: "export_state",
+  submission: "submission",
+  lastUpdated: "last_updated",
+};
+
+const JSON_COLUMNS = new Set(["summary", "credits", "exportState", "submission"]);
+
+const SCORE_SQL = "json_extract(summary, '$.score')";
+
+const SORT_SQL = {
+  createdAt: "created_at",
+  lastUpdated: "last_updated",
+  score: `COALESCE(${SCORE_SQL}, ${MISSING_SCORE})`,
+};
+
+const EXPORTED_COUNT_SQL =
+  "(SELECT COUNT(*) FROM exported_results e WHERE e.scan_id = scans.scan_id)";
+
+const SUMMARY_COLUMNS = `scan_id, status, created_at, last_updated, summary, credits, export_started,
+      export_completed_at, export_state, submission, text_length, options, expires_at, expired_at, reused_from,
+      ${EXPORTED_COUNT_SQL} AS exported_results`;
+
+// Same expressions as idx_scans_due_submissions, so the due-job lookup reads the index head
+const DUE_SUBMISSIONS_SQL = `
+    SELECT ${SUMMARY_COLUMNS}
+    FROM scans
+    WHERE status = 'queued'
+      AND json_extract(submission, '$.priority') = ?
+      AND json_extract(submission, '$.nextAttemptAt') <= ?
+    ORDER BY json_extract(submission, '$.nextAttemptAt'), scan_id
+    LIMIT ?`;
+
+function serialize(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+function deserialize(value, fallback = null) {
+  return value === null || value === undefined ? fallback : JSON.parse(value);
+}
+
+function toColumnValue(field, value) {
+  if (JSON_COLUMNS.has(field)) {
+    return serialize(value);
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  return value ?? null;
+}
+
+function hydrate(db, row) {
+  const exportedResults = {};
+  const resultRows = db
+    .prepare("SELECT result_id, data FROM exported_results WHERE scan_id = ? ORDER BY rowid")
+    .all(row.scan_id);
+  for (const resultRow of resultRows) {
+    exportedResults[resultRow.result_id] = deserialize(resultRow.data);
+  }
+
+  const crawled = db
+    .prepare("SELECT payload, extracted_text FROM crawled_versions WHERE scan_id = ?")
+    .get(row.scan_id);
+  const pdf = db.prepare("SELECT payload FROM pdf_reports WHERE scan_id = ?").get(row.scan_id);
+
+  return {
+    scanId: row.scan_id,
+    text: row.text,
+    textLength: row.text_length,
+    createdAt: row.created_at,
+    status: row.status,
+    options: deserialize(row.options, {}),
+    summary: deserialize(row.summary),
+    credits: deserialize(row.credits),
+    results: deserialize(row.results, []),
+    exported: {
+      results: exportedResults,
+      crawled: crawled ? deserialize(crawled.payload) : null,
+      crawledText: crawled ? deserialize(crawled.extracted_text) : null,
+      pdfReport: pdf ? deserialize(pdf.payload) : null,
+      completedAt: row.export_completed_at,
+    },
+    exportStarted: Boolean(row.export_started),
+    exportState: deserialize(row.export_state),
+    submission: deserialize(row.submission),
+    lastUpdated: row.last_updated,
+    expiresAt: row.expires_at,
+    expiredAt: row.expired_at,
+    contentHash: row.content_hash,
+    reusedFrom: row.reused_from,
+  };
+}
+
+function toSummary(row) {
+  return {
+    scanId: row.scan_id,
+    status: row.status,
+    createdAt: row.created_at,
+    lastUpdated: row.last_updated,
+    summary: deserialize(row.summary),
+    credits: deserialize(row.credits),
+    exportStarted: Boolean(row.export_started),
+    exportedResults: row.exported_results,
+    exportedCompletedAt: row.export_completed_at,
+    exportStatus: deserialize(row.export_state)?.status ?? null,
+    submission: deserialize(row.submission),
+    originalTextLength: row.text_length,
+    options: deserialize(row.options, {}),
+    expiresAt: row.expires_at,
+    expiredAt: row.expired_at,
+    reusedFrom: row.reused_from,
+  };
+}
+
+function buildQuery({ filters = {}, sortBy, order, after, limit }) {
+  const where = [];
+  const params = [];
+
+  if (filters.status?.length) {
+    where.push(`status IN (${filters.status.map(() => "?").join(", ")})`);
+    params.push(...filters.status);
+  }
+  if (filters.createdAfter) {
+    where.push("created_at >= ?");
+    params.push(filters.createdAfter);
+  }
+  if (filters.createdBefore) {
+    where.push("created_at <= ?");
+    params.push(filters.createdBefore);
+  }
+  if (filters.minScore !== undefined) {
+    where.push(`${SCORE_SQL} >= ?`);
+    params.push(filters.minScore);
+  }
+  if (filters.maxScore !== undefined) {
+    where.push(`${SCORE_SQL} <= ?`);
+    params.push(filters.maxScore);
+  }
+  if (filters.hasExportedResults !== undefined) {
+    where.push(`${EXPORTED_COUNT_SQL} ${filters.hasExportedResults ? ">" : "="} 0`);
+  }
+
+  const sortSql = SORT_SQL[sortBy];
+  const direction = order === "asc" ? "ASC" : "DESC";
+  const operator = order === "asc" ? ">" : "<";
+  if (after) {
+    where.push(`(${sortSql} ${operator} ? OR (${sortSql} = ? AND scan_id ${operator} ?))`);
+    params.push(after.value, after.value, after.scanId);
+  }
+
+  const sql = `
+    SELECT ${SUMMARY_COLUMNS}
+    FROM scans
+    ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY ${sortSql} ${direction}, scan_id ${direction}
+    LIMIT ?`;
+  params.push(limit);
+
+  return { sql, params };
+}
+
+const DEAD_LETTER_COLUMNS = {
+  status: "status",
+  replayCount: "replay_count",
+  lastReplay: "last_replay",
+};
+
+function toDeadLetter(row) {
+  return {
+    id: row.id,
+    webhook: row.webhook,
+    scanId: row.scan_id,
+    url: row.url,
+    reason: row.reason,
+    message: row.message,
+    payload: deserialize(row.payload),
+    status: row.status,
+    receivedAt: row.received_at,
+    replayCount: row.replay_count,
+    lastReplay: deserialize(row.last_replay),
+  };
+}
+
+function buildDeadLetterQuery({ status, reason, scanId, receivedAfter, receivedBefore, limit }) {
+  const clauses = [];
+  const params = [];
+  const conditions = [
+    ["status = ?", status],
+    ["reason = ?", reason],
+    ["scan_id = ?", scanId],
+    ["received_at >= ?", receivedAfter],
+    ["received_at <= ?", receivedBefore],
+  ];
+
+  for (const [clause, value] of conditions) {
+    if (value !== undefined && value !== null) {
+      clauses.push(clause);
+      params.push(value);
+    }
+  }
+
+  const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+  return {
+    sql: `SELECT * FROM dead_letters ${where} ORDER BY received_at, id LIMIT ?`,
+    params: [...params, limit],
+  };
+}
+
+/**
+ * SQLite scan store adapter
+ * Persists scans to a single database file (see SCAN_STORE_SQLITE_PATH) so pending
+ * scans survive restarts of a single instance.
+ */
+function createSqliteAdapter() {
+  return {
+    name: "sqlite",
+
+    async createScan(record) {
+      getDatabase()
+        .prepare(
+          `INSERT INTO scans (scan_id, text, text_length, created_at, status, options,
+             last_updated, expires_at, content_hash, reused_from, submission)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          record.scanId,
+          record.text,
+          record.textLength,
+          record.createdAt,
+          record.status,
+          serialize(record.options),
+          record.lastUpdated,
+          record.expiresAt ?? null,
+          record.contentHash ?? null,
+          record.reusedFrom ?? null,
+          serialize(record.submission)
+        );
+    },
+
+    async hasScan(scanId) {
+      return Boolean(getDatabase().prepare("SELECT 1 FROM scans WHERE scan_id = ?").get(scanId));
+    },
+
+    async getScan(scanId) {
+      const db = getDatabase();
+      const row = db.prepare("SELECT * FROM scans WHERE scan_id = ?").get(scanId);
+      return row ? hydrate(db, row) : null;
+    },
+
+    async queryScans(query) {
+      const { sql, params } = buildQuery(query);
+      return getDatabase()
+        .prepare(sql)
+        .all(...params)
+        .map(toSummary);
+    },
+
+    async findDueSubmissions(now, limit) {
+      const statement = getDatabase().prepare(DUE_SUBMISSIONS_SQL);
+      const due = [];
+      for (const priority of SUBMISSION_PRIORITIES) {
+        if (due.length >= limit) {
+          break;
+        }
+        due.push(...statement.all(priority, now, limit - due.length).map(toSummary));
+      }
+      return due;
+    },
+
+    async updateScan(scanId, patch) {
+      const fields = Object.keys(patch).filter((field) => COLUMN_MAP[field]);
+      if (!fields.length) {
+        return this.hasScan(scanId);
+      }
+
+      const assignments = fields.map((field) => `${COLUMN_MAP[field]} = ?`).join(", ");
+      const values = fields.map((field) => toColumnValue(field, patch[field]));
+      const info = getDatabase()
+        .prepare(`UPDATE scans SET ${assignments} WHERE scan_id = ?`)
+        .run(...values, scanId);
+      return info.changes > 0;
+    },
+
+    async appendResult(scanId, result) {
+      getDatabase()
+        .prepare(
+          "UPDATE scans SET results = json_insert(results, '$[#]', json(?)) WHERE scan_id = ?"
+        )
+        .run(serialize(result), scanId);
+    },
+
+    async putExportedResult(scanId, resultId, data) {
+      getDatabase()
+        .prepare(
+          `INSERT INTO exported_results (scan_id, result_id, data, received_at) VALUES (?, ?, ?, ?)
+           ON CONFLICT (scan_id, result_id) DO UPDATE SET data = excluded.data,
+             received_at = excluded.received_at`
+        )
+        .run(scanId, resultId, serialize(data), new Date().toISOString());
+    },
+
+    async putCrawled(scanId, payload, extractedText) {
+      getDatabase()
+        .prepare(
+          `INSERT INTO crawled_versions (scan_id, payload, extracted_text, received_at)
+           VALUES (?, ?, ?, ?)
+           ON CONFLICT (scan_id) DO UPDATE SET payload = excluded.payload,
+             extracted_text = excluded.extracted_text, received_at = excluded.received_at`
+        )
+        .run(scanId, serialize(payload), serialize(extractedText), new Date().toISOString());
+    },
+
+    async putPdf(scanId, payload) {
+      getDatabase()
+        .prepare(
+          `INSERT INTO pdf_reports (scan_id, payload, received_at) VALUES (?, ?, ?)
+           ON CONFLICT (scan_id) DO UPDATE SET payload = excluded.payload,
+             received_at = excluded.received_at`
+        )
+        .run(scanId, serialize(payload), new Date().toISOString());
+    },
+
+    async findByContentHash(contentHash) {
+      return getDatabase()
+        .prepare(
+          `SELECT scan_id FROM scans
+           WHERE content_hash = ? AND expired_at IS NULL
+           ORDER BY created_at DESC, scan_id DESC`
+        )
+        .all(contentHash)
+        .map((row) => row.scan_id);
+    },
+
+    async appendEvent(scanId, event) {
+      getDatabase()
+        .prepare("INSERT INTO scan_events (scan_id, type, occurred_at, data) VALUES (?, ?, ?, ?)")
+        .run(scanId, event.type, event.at, serialize(event.data));
+    },
+
+    async listEvents(scanId) {
+      return getDatabase()
+        .prepare("SELECT type, occurred_at, data FROM scan_events WHERE scan_id = ? ORDER BY id")
+        .all(scanId)
+        .map((row) => ({ type: row.type, at: row.occurred_at, data: deserialize(row.data, {}) }));
+    },
+
+    async claimDelivery(scanId, deliveryKey, receivedAt) {
+      const info = getDatabase()
+        .prepare(
+          `INSERT INTO webhook_deliveries (scan_id, delivery_key, received_at) VALUES (?, ?, ?)
+           ON CONFLICT (scan_id, delivery_key) DO NOTHING`
+        )
+        .run(scanId, deliveryKey, receivedAt);
+      return info.changes > 0;
+    },
+
+    async releaseDelivery(scanId, deliveryKey) {
+      getDatabase()
+        .prepare("DELETE FROM webhook_deliveries WHERE scan_id = ? AND delivery_key = ?")
+        .run(scanId, deliveryKey);
+    },
+
+    async putDeadLetter(letter) {
+      getDatabase()
+        .prepare(
+          `INSERT INTO dead_letters (id, webhook, scan_id, url, reason, message, payload, status,
+             received_at, replay_count, last_replay)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          letter.id,
+          letter.webhook,
+          letter.scanId,
+          letter.url,
+          letter.reason,
+          letter.message ?? null,
+          serialize(letter.payload),
+          letter.status,
+          letter.receivedAt,
+          letter.replayCount ?? 0,
+          serialize(letter.lastReplay)
+        );
+    },
+
+    async getDeadLetter(id) {
+      const row = getDatabase().prepare("SELECT * FROM dead_letters WHERE id = ?").get(id);
+      return row ? toDeadLetter(row) : null;
+    },
+
+    async listDeadLetters(query) {
+      const { sql, params } = buildDeadLetterQuery(query);
+      return getDatabase()
+        .prepare(sql)
+        .all(...params)
+        .map(toDeadLetter);
+    },
+
+    async updateDeadLetter(id, patch) {
+      const fields = Object.keys(patch).filter((field) => DEAD_LETTER_COLUMNS[field]);
+      if (!fields.length) {
+        return Boolean(await this.getDeadLetter(id));
+      }
+
+      const assignments = fields.map((field) => `${DEAD_LETTER_COLUMNS[field]} = ?`).join(", ");
+      const values = fields.map((field) =>
+        field === "lastReplay" ? serialize(patch[field]) : patch[field]
+      );
+      const info = getDatabase()
+        .prepare(`UPDATE dead_letters SET ${assignments} WHERE id = ?`)
+        .run(...values, id);
+      return info.changes > 0;
+    },
+
+    async deleteDeadLetter(id) {
+      return getDatabase().prepare("DELETE FROM dead_letters WHERE id = ?").run(id).changes > 0;
+    },
+
+    async findExpired(now, limit) {
+      return getDatabase()
+        .prepare(
+          `SELECT scan_id FROM scans
+           WHERE expired_at IS NULL AND expires_at <= ?
+           ORDER BY expires_at LIMIT ?`
+        )
+        .all(now, limit)
+        .map((row) => row.scan_id);
+    },
+
+    async expireScan(scanId, expiredAt) {
+      const db = getDatabase();
+      return db.transaction(() => {
+        const info = db
+          .prepare(
+            `UPDATE scans SET status = 'expired', expired_at = ?, last_updated = ?, text = '',
+               results = '[]'
+             WHERE scan_id = ? AND expired_at IS NULL`
+          )
+          .run(expiredAt, expiredAt, scanId);
+        if (!info.changes) {
+          return false;
+        }
+
+        for (const table of ["exported_results", "crawled_versions", "pdf_reports"]) {
+          db.prepare(`DELETE FROM ${table} WHERE scan_id = ?`).run(scanId);
+        }
+        return true;
+      })();
+    },
+
+    async deleteScan(scanId) {
+      return getDatabase().prepare("DELETE FROM scans WHERE scan_id = ?").run(scanId).changes > 0;
+    },
+
+    async close() {
+      closeDatabase();
+    },
+  };
+}
+
+module.exports = createSqliteAdapter;
@@ -0,0 +1,64 @@
+const fs = require("node:fs");
+const fsp = require("node:fs/promises");
+const path = require("node:path");
+
+/**
+ * Filesystem blob store
+ * Writes each blob to `<directory>/<key>`. Writes go to a temporary file first and are
+ * renamed into place, so readers never see a half-written payload. When several replicas
+ * run, point them at a shared volume.
+ * @param {object} options - Store options
+ * @param {string} options.directory - Root directory for blobs
+ */
+function createFilesystemBlobStore({ directory }) {
+  const root = path.resolve(directory);
+
+  function resolveKey(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Blob key "${key}" resolves outside the blob directory`);
+    }
+    return file;
+  }
+
+  return {
+    name: "filesystem",
+
+    async put(key, body) {
+      const file = resolveKey(key);
+      const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(tmpFile, body);
+      await fsp.rename(tmpFile, file);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async exists(key) {
+      try {
+        await fsp.access(resolveKey(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async copy(fromKey, toKey) {
+      const target = resolveKey(toKey);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.copyFile(resolveKey(fromKey), target);
+    },
+
+    async deletePrefix(prefix) {
+      await fsp.rm(resolveKey(prefix), { recursive: true, force: true });
+    },
+
+    async close() {
+      // Nothing to release; every call opens and closes its own file handles
+    },
+  };
+}
+
+module.exports = createFilesystemBlobStore;
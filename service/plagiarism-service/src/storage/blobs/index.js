@@ -0,0 +1,46 @@
+const createFilesystemBlobStore = require("./filesystemBlobStore");
+const createMemoryBlobStore = require("./memoryBlobStore");
+
+/**
+ * Blob store contract
+ * Large webhook payloads (crawled documents, extracted text, PDF reports) are written here
+ * and scan records keep only a `{ blobKey, size, contentType }` reference. Keys look like
+ * `scans/<scanId>/<name>` (dead-letter bodies: `dead-letters/<id>/payload`), so everything
+ * belonging to a scan can be removed by prefix without reaching another namespace.
+ *
+ * @typedef {object} BlobStore
+ * @property {string} name - Store identifier (filesystem, memory)
+ * @property {(key: string, body: Buffer|string) => Promise<void>} put - Write (or replace) a blob
+ * @property {(key: string) => import("node:stream").Readable} createReadStream - Stream a blob;
+ *   missing blobs surface as a stream error
+ * @property {(key: string) => Promise<boolean>} exists - Check whether a blob exists
+ * @property {(fromKey: string, toKey: string) => Promise<void>} copy - Duplicate a blob
+ * @property {(prefix: string) => Promise<void>} deletePrefix - Remove every blob under `prefix/`
+ * @property {() => Promise<void>} close - Release resources
+ */
+
+const factories = {
+  filesystem: (blobConfig) => createFilesystemBlobStore({ directory: blobConfig.directory }),
+  memory: () => createMemoryBlobStore(),
+};
+
+/**
+ * Build the blob store selected by the configuration
+ * @param {object} blobConfig - `config.blobs`
+ * @returns {BlobStore} Blob store instance
+ */
+function createBlobStore(blobConfig) {
+  const factory = factories[blobConfig.driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown blob store driver "${blobConfig.driver}". Expected one of: ${Object.keys(factories).join(", ")}`
+    );
+  }
+  return factory(blobConfig);
+}
+
+module.exports = {
+  createBlobStore,
+  createFilesystemBlobStore,
+  createMemoryBlobStore,
+};
@@ -0,0 +1,53 @@
+const { Readable } = require("node:stream");
+
+/**
+ * In-memory blob store
+ * Keeps blobs in a process-local Map; use it for tests and throwaway local runs only.
+ */
+function createMemoryBlobStore() {
+  const blobs = new Map();
+
+  return {
+    name: "memory",
+
+    async put(key, body) {
+      blobs.set(key, Buffer.from(body));
+    },
+
+    createReadStream(key) {
+      if (!blobs.has(key)) {
+        return new Readable({
+          read() {
+            this.destroy(new Error(`Blob "${key}" not found`));
+          },
+        });
+      }
+      return Readable.from([blobs.get(key)]);
+    },
+
+    async exists(key) {
+      return blobs.has(key);
+    },
+
+    async copy(fromKey, toKey) {
+      if (!blobs.has(fromKey)) {
+        throw new Error(`Blob "${fromKey}" not found`);
+      }
+      blobs.set(toKey, blobs.get(fromKey));
+    },
+
+    async deletePrefix(prefix) {
+      for (const key of blobs.keys()) {
+        if (key.startsWith(`${prefix}/`)) {
+          blobs.delete(key);
+        }
+      }
+    },
+
+    async close() {
+      blobs.clear();
+    },
+  };
+}
+
+module.exports = createMemoryBlobStore;
@@ -0,0 +1,68 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const Database = require("better-sqlite3");
+const config = require("../config");
+const logger = require("../utils/logger");
+const migrations = require("./migrations");
+
+let db = null;
+
+/**
+ * Apply every migration newer than the database's user_version.
+ * Each migration runs in its own transaction so a failure leaves the schema untouched.
+ * @param {Database.Database} database - Open SQLite connection
+ */
+function migrate(database) {
+  const currentVersion = database.pragma("user_version", { simple: true });
+
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) {
+      continue;
+    }
+
+    database.transaction(() => {
+      database.exec(migration.up);
+      database.pragma(`user_version = ${migration.version}`);
+    })();
+
+    logger.info(`Applied scan store migration ${migration.version} (${migration.name})`);
+  }
+}
+
+/**
+ * Get the shared SQLite connection, opening and migrating it on first use
+ * @returns {Database.Database} SQLite connection
+ */
+function getDatabase() {
+  if (db) {
+    return db;
+  }
+
+  const filename = config.storage.sqlitePath;
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+
+  return db;
+}
+
+/**
+ * Close the shared connection (used during graceful shutdown)
+ */
+function closeDatabase() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  getDatabase,
+  closeDatabase,
+  migrate,
+};
@@ -0,0 +1,306 @@
+const crypto = require("node:crypto");
+const { Transform } = require("node:stream");
+
+/**
+ * Envelope encryption for scan data at rest
+ * Every value gets its own random data key (AES-256-GCM). The data key is wrapped with a
+ * key-encryption key from the keyring and stored next to the ciphertext, so rotating the
+ * keyring only re-wraps data keys and never re-encrypts the payloads themselves.
+ *
+ * Text values are sealed into a string:
+ *   enc:v1:<keyId>:<wrappedKey>:<iv>:<tag>:<ciphertext>     (base64url parts)
+ * Blobs are sealed into a buffer that can be decrypted as a stream:
+ *   "ENC1" | keyId length (u8) | keyId | wrapped key length (u16) | wrapped key | iv | tag | ciphertext
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const TEXT_PREFIX = "enc:v1:";
+const BLOB_MAGIC = Buffer.from("ENC1");
+
+/**
+ * Parse a keyring spec such as "2024-06:<base64 key>,2025-01:<base64 key>"
+ * @param {string} spec - Comma-separated keyId:base64Key pairs
+ * @returns {Map<string, Buffer>} Keys by id
+ */
+function parseKeyring(spec = "") {
+  const keyring = new Map();
+
+  for (const entry of spec.split(",").map((part) => part.trim())) {
+    if (!entry) {
+      continue;
+    }
+
+    const separator = entry.indexOf(":");
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), "base64");
+    if (separator < 1 || !/^[\w.-]+$/.test(keyId)) {
+      throw new Error(
+        `Invalid encryption key entry "${keyId || entry}". Expected <keyId>:<base64>`
+      );
+    }
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Encryption key "${keyId}" must be ${KEY_LENGTH} bytes (base64-encoded)`);
+    }
+    keyring.set(keyId, key);
+  }
+
+  return keyring;
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function decrypt(key, { iv, tag, ciphertext }) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Build the cipher used by scanStore
+ * Without configured keys the cipher is disabled: values are stored as given and only
+ * already-sealed values fail to open.
+ * @param {object} options - `config.encryption`
+ * @param {string} [options.keys] - Keyring spec (see parseKeyring)
+ * @param {string} [options.activeKeyId] - Key used for new data (defaults to the first key)
+ */
+function createEnvelopeCipher({ keys, activeKeyId } = {}) {
+  const keyring = parseKeyring(keys);
+  const activeId = activeKeyId || keyring.keys().next().value;
+  const enabled = keyring.size > 0;
+
+  if (enabled && !keyring.has(activeId)) {
+    throw new Error(`Active encryption key "${activeId}" is not in the keyring`);
+  }
+
+  function keyFor(keyId) {
+    const key = keyring.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key "${keyId}" is not configured; cannot decrypt scan data`);
+    }
+    return key;
+  }
+
+  function wrapDataKey(dataKey) {
+    const { iv, tag, ciphertext } = encrypt(keyFor(activeId), dataKey);
+    return Buffer.concat([iv, tag, ciphertext]);
+  }
+
+  function unwrapDataKey(keyId, wrapped) {
+    return decrypt(keyFor(keyId), {
+      iv: wrapped.subarray(0, IV_LENGTH),
+      tag: wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH),
+      ciphertext: wrapped.subarray(IV_LENGTH + TAG_LENGTH),
+    });
+  }
+
+  function parseText(value) {
+    const [keyId, wrapped, iv, tag, ciphertext] = value
+      .slice(TEXT_PREFIX.length)
+      .split(":")
+      .map((part, index) => (index === 0 ? part : Buffer.from(part, "base64url")));
+    return { keyId, wrapped, iv, tag, ciphertext };
+  }
+
+  function parseBlobHeader(buffer) {
+    if (buffer.length < BLOB_MAGIC.length + 1) {
+      return null;
+    }
+    if (!buffer.subarray(0, BLOB_MAGIC.length).equals(BLOB_MAGIC)) {
+      throw new Error("Blob is not sealed by the envelope cipher");
+    }
+
+    let offset = BLOB_MAGIC.length;
+    const keyIdLength = buffer.readUInt8(offset);
+    offset += 1;
+    if (buffer.length < offset + keyIdLength + 2) {
+      return null;
+    }
+    const keyId = buffer.subarray(offset, offset + keyIdLength).toString("utf8");
+    offset += keyIdLength;
+    const wrappedLength = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const headerLength = offset + wrappedLength + IV_LENGTH + TAG_LENGTH;
+    if (buffer.length < headerLength) {
+      return null;
+    }
+    const wrapped = buffer.subarray(offset, offset + wrappedLength);
+    offset += wrappedLength;
+    const iv = buffer.subarray(offset, offset + IV_LENGTH);
+    const tag = buffer.subarray(offset + IV_LENGTH, headerLength);
+
+    return { keyId, wrapped, iv, tag, headerLength };
+  }
+
+  function encodeBlobHeader(keyId, wrapped, iv, tag) {
+    const keyIdBuffer = Buffer.from(keyId, "utf8");
+    const lengths = Buffer.alloc(3);
+    lengths.writeUInt8(keyIdBuffer.length, 0);
+    lengths.writeUInt16BE(wrapped.length, 1);
+    return Buffer.concat([
+      BLOB_MAGIC,
+      lengths.subarray(0, 1),
+      keyIdBuffer,
+      lengths.subarray(1),
+      wrapped,
+      iv,
+      tag,
+    ]);
+  }
+
+  return {
+    enabled,
+    activeKeyId: enabled ? activeId : null,
+
+    isSealed(value) {
+      return typeof value === "string" && value.startsWith(TEXT_PREFIX);
+    },
+
+    /**
+     * Seal a string; returns it unchanged when encryption is disabled
+     */
+    sealText(plaintext) {
+      if (!enabled || plaintext === null || plaintext === undefined) {
+        return plaintext;
+      }
+
+      const dataKey = crypto.randomBytes(KEY_LENGTH);
+      const { iv, tag, ciphertext } = encrypt(dataKey, Buffer.from(plaintext, "utf8"));
+      const parts = [wrapDataKey(dataKey), iv, tag, ciphertext].map((part) =>
+        part.toString("base64url")
+      );
+      return `${TEXT_PREFIX}${activeId}:${parts.join(":")}`;
+    },
+
+    /**
+     * Open a sealed string; plaintext written before encryption was enabled passes through
+     */
+    openText(value) {
+      if (!this.isSealed(value)) {
+        return value;
+      }
+
+      const { keyId, wrapped, iv, tag, ciphertext } = parseText(value);
+      return decrypt(unwrapDataKey(keyId, wrapped), { iv, tag, ciphertext }).toString("utf8");
+    },
+
+    sealJson(value) {
+      return enabled ? this.sealText(JSON.stringify(value ?? null)) : value;
+    },
+
+    openJson(value) {
+      return this.isSealed(value) ? JSON.parse(this.openText(value)) : value;
+    },
+
+    /**
+     * Re-wrap a sealed string's data key with the active key (ciphertext is unchanged)
+     * @returns {string} Updated value, or the input when it already uses the active key
+     */
+    rewrapText(value) {
+      if (!enabled || !this.isSealed(value)) {
+        return value;
+      }
+
+      const { keyId, wrapped, iv, tag, ciphertext } = parseText(value);
+      if (keyId === activeId) {
+        return value;
+      }
+      const parts = [wrapDataKey(unwrapDataKey(keyId, wrapped)), iv, tag, ciphertext].map((part) =>
+        part.toString("base64url")
+      );
+      return `${TEXT_PREFIX}${activeId}:${parts.join(":")}`;
+    },
+
+    /**
+     * Seal a blob body into a self-describing buffer
+     * @param {Buffer|string} body - Plain blob body
+     * @returns {Buffer} Sealed body
+     */
+    sealBuffer(body) {
+      const dataKey = crypto.randomBytes(KEY_LENGTH);
+      const { iv, tag, ciphertext } = encrypt(dataKey, Buffer.from(body));
+      return Buffer.concat([encodeBlobHeader(activeId, wrapDataKey(dataKey), iv, tag), ciphertext]);
+    },
+
+    /**
+     * Re-wrap a sealed blob's data key with the active key
+     * @param {Buffer} sealed - Sealed blob body
+     * @returns {Buffer} Updated body, or the input when it already uses the active key
+     */
+    rewrapBuffer(sealed) {
+      const header = parseBlobHeader(sealed);
+      if (!header || header.keyId === activeId) {
+        return sealed;
+      }
+
+      const wrapped = wrapDataKey(unwrapDataKey(header.keyId, header.wrapped));
+      return Buffer.concat([
+        encodeBlobHeader(activeId, wrapped, header.iv, header.tag),
+        sealed.subarray(header.headerLength),
+      ]);
+    },
+
+    /**
+     * Transform stream that decrypts a sealed blob as it is read. The authentication tag
+     * is checked when the stream ends, so a tampered blob fails with a stream error.
+     * @returns {Transform} Decrypting stream
+     */
+    createDecryptStream() {
+      let pending = Buffer.alloc(0);
+      let decipher = null;
+
+      return new Transform({
+        transform(chunk, _encoding, callback) {
+          try {
+            if (decipher) {
+              callback(null, decipher.update(chunk));
+              return;
+            }
+
+            pending = Buffer.concat([pending, chunk]);
+            const header = parseBlobHeader(pending);
+            if (!header) {
+              callback();
+              return;
+            }
+
+            decipher = crypto.createDecipheriv(
+              ALGORITHM,
+              unwrapDataKey(header.keyId, header.wrapped),
+              header.iv
+            );
+            decipher.setAuthTag(header.tag);
+            callback(null, decipher.update(pending.subarray(header.headerLength)));
+            pending = null;
+          } catch (error) {
+            callback(error);
+          }
+        },
+
+        flush(callback) {
+          try {
+            if (!decipher) {
+              throw new Error("Sealed blob is truncated");
+            }
+            callback(null, decipher.final());
+          } catch (error) {
+            callback(error);
+          }
+        },
+      });
+    },
+  };
+}
+
+module.exports = {
+  parseKeyring,
+  createEnvelopeCipher,
+};
@@ -0,0 +1,171 @@
+/**
+ * Ordered schema migrations for the SQLite scan store.
+ * Each migration runs once; the applied version is tracked in PRAGMA user_version.
+ * Never edit a released migration - append a new one instead.
+ */
+const migrations = [
+  {
+    version: 1,
+    name: "create-scan-tables",
+    up: `
+      CREATE TABLE scans (
+        scan_id TEXT PRIMARY KEY,
+        text TEXT NOT NULL,
+        text_length INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        status TEXT NOT NULL,
+        options TEXT NOT NULL DEFAULT '{}',
+        summary TEXT,
+        credits TEXT,
+        results TEXT NOT NULL DEFAULT '[]',
+        export_started INTEGER NOT NULL DEFAULT 0,
+        export_completed_at TEXT,
+        last_updated TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_scans_created_at ON scans (created_at);
+
+      CREATE TABLE exported_results (
+        scan_id TEXT NOT NULL REFERENCES scans (scan_id) ON DELETE CASCADE,
+        result_id TEXT NOT NULL,
+        data TEXT,
+        received_at TEXT NOT NULL,
+        PRIMARY KEY (scan_id, result_id)
+      );
+
+      CREATE TABLE crawled_versions (
+        scan_id TEXT PRIMARY KEY REFERENCES scans (scan_id) ON DELETE CASCADE,
+        payload TEXT,
+        extracted_text TEXT,
+        received_at TEXT NOT NULL
+      );
+
+      CREATE TABLE pdf_reports (
+        scan_id TEXT PRIMARY KEY REFERENCES scans (scan_id) ON DELETE CASCADE,
+        payload TEXT,
+        received_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: "add-scan-expiration",
+    up: `
+      ALTER TABLE scans ADD COLUMN expires_at TEXT;
+      ALTER TABLE scans ADD COLUMN expired_at TEXT;
+
+      -- Existing scans inherit the Copyleaks default expiration (2880 minutes)
+      UPDATE scans
+      SET expires_at = strftime('%Y-%m-%dT%H:%M:%fZ', created_at, '+2880 minutes');
+
+      CREATE INDEX idx_scans_expires_at ON scans (expires_at) WHERE expired_at IS NULL;
+    `,
+  },
+  {
+    version: 3,
+    name: "add-scan-listing-indexes",
+    up: `
+      CREATE INDEX idx_scans_status_created_at ON scans (status, created_at);
+      CREATE INDEX idx_scans_last_updated ON scans (last_updated);
+    `,
+  },
+  {
+    version: 4,
+    name: "create-scan-events",
+    up: `
+      CREATE TABLE scan_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scan_id TEXT NOT NULL REFERENCES scans (scan_id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        occurred_at TEXT NOT NULL,
+        data TEXT
+      );
+
+      CREATE INDEX idx_scan_events_scan_id ON scan_events (scan_id, id);
+    `,
+  },
+  {
+    version: 5,
+    name: "add-scan-content-hash",
+    up: `
+      ALTER TABLE scans ADD COLUMN content_hash TEXT;
+      ALTER TABLE scans ADD COLUMN reused_from TEXT;
+
+      CREATE INDEX idx_scans_content_hash ON scans (content_hash, created_at)
+        WHERE content_hash IS NOT NULL;
+    `,
+  },
+  {
+    version: 6,
+    name: "store-extracted-text-as-json",
+    up: `
+      -- extracted_text now holds JSON (a blob reference); keep existing inline text readable
+      UPDATE crawled_versions SET extracted_text = json_quote(extracted_text)
+      WHERE extracted_text IS NOT NULL;
+    `,
+  },
+  {
+    version: 7,
+    name: "create-webhook-deliveries",
+    up: `
+      CREATE TABLE webhook_deliveries (
+        scan_id TEXT NOT NULL REFERENCES scans (scan_id) ON DELETE CASCADE,
+        delivery_key TEXT NOT NULL,
+        received_at TEXT NOT NULL,
+        PRIMARY KEY (scan_id, delivery_key)
+      );
+    `,
+  },
+  {
+    version: 8,
+    name: "create-dead-letters",
+    up: `
+      -- Not tied to scans: webhooks for unknown scans are dead-lettered too
+      CREATE TABLE dead_letters (
+        id TEXT PRIMARY KEY,
+        webhook TEXT NOT NULL,
+        scan_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        message TEXT,
+        payload TEXT,
+        status TEXT NOT NULL,
+        received_at TEXT NOT NULL,
+        replay_count INTEGER NOT NULL DEFAULT 0,
+        last_replay TEXT
+      );
+
+      CREATE INDEX idx_dead_letters_status_received_at ON dead_letters (status, received_at);
+    `,
+  },
+  {
+    version: 9,
+    name: "add-scan-export-state",
+    up: `
+      -- Per-task export health and re-export count (see services/exportTasks), as JSON
+      ALTER TABLE scans ADD COLUMN export_state TEXT;
+    `,
+  },
+  {
+    version: 10,
+    name: "add-scan-submission",
+    up: `
+      -- Submission job of a queued scan (see services/submissionQueue), as JSON
+      ALTER TABLE scans ADD COLUMN submission TEXT;
+    `,
+  },
+  {
+    version: 11,
+    name: "index-due-submissions",
+    up: `
+      -- Head of the submission queue: due jobs by priority, then due time
+      CREATE INDEX idx_scans_due_submissions ON scans (
+        json_extract(submission, '$.priority'),
+        json_extract(submission, '$.nextAttemptAt'),
+        scan_id
+      ) WHERE status = 'queued';
+    `,
+  },
+];
+
+module.exports = migrations;
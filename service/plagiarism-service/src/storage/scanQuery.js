@@ -0,0 +1,199 @@
+const { ValidationError } = require("../errors/custom-errors");
+const { SUBMISSION_PRIORITIES } = require("../schemas/plagiarism.schemas");
+
+/**
+ * Shared helpers for listing scans with filters, sorting and keyset (cursor) pagination.
+ * SQLite pushes the same rules down to SQL; the memory and Redis adapters apply them
+ * in-process through `paginateSummaries`.
+ */
+
+const SORT_FIELDS = ["createdAt", "lastUpdated", "score"];
+
+// Scans without a score sort below every real score (scores are 0-100)
+const MISSING_SCORE = -1;
+
+function toPublicRecord(record) {
+  if (!record) return null;
+  return {
+    scanId: record.scanId,
+    status: record.status,
+    createdAt: record.createdAt,
+    lastUpdated: record.lastUpdated,
+    summary: record.summary,
+    credits: record.credits,
+    exportStarted: record.exportStarted,
+    exportedResults: Object.keys(record.exported.results).length,
+    exportedCompletedAt: record.exported.completedAt,
+    exportStatus: record.exportState?.status ?? null,
+    submission: record.submission ?? null,
+    originalTextLength: record.textLength,
+    options: record.options,
+    expiresAt: record.expiresAt ?? null,
+    expiredAt: record.expiredAt ?? null,
+    reusedFrom: record.reusedFrom ?? null,
+  };
+}
+
+function sortValue(summary, sortBy) {
+  if (sortBy === "score") {
+    return summary.summary?.score ?? MISSING_SCORE;
+  }
+  return summary[sortBy];
+}
+
+/**
+ * Encode the position after `summary` as an opaque cursor
+ * @param {object} summary - Last public record of the page
+ * @param {{sortBy: string, order: string}} sort - Active sort
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(summary, { sortBy, order }) {
+  const payload = { s: sortBy, o: order, v: sortValue(summary, sortBy), id: summary.scanId };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by `encodeCursor` for the same sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {{sortBy: string, order: string}} sort - Active sort
+ * @returns {{value: string|number, scanId: string}} Keyset position
+ */
+function decodeCursor(cursor, { sortBy, order }) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new ValidationError("Invalid cursor");
+  }
+
+  if (!payload || typeof payload.id !== "string" || payload.v === undefined) {
+    throw new ValidationError("Invalid cursor");
+  }
+
+  if (payload.s !== sortBy || payload.o !== order) {
+    throw new ValidationError("Cursor does not match the requested sort order", {
+      cursorSort: `${payload.s}:${payload.o}`,
+      requestedSort: `${sortBy}:${order}`,
+    });
+  }
+
+  return { value: payload.v, scanId: payload.id };
+}
+
+function compareValues(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function matchesFilters(summary, filters = {}) {
+  if (filters.status?.length && !filters.status.includes(summary.status)) {
+    return false;
+  }
+  if (filters.createdAfter && summary.createdAt < filters.createdAfter) {
+    return false;
+  }
+  if (filters.createdBefore && summary.createdAt > filters.createdBefore) {
+    return false;
+  }
+
+  const score = summary.summary?.score;
+  if (filters.minScore !== undefined && !(typeof score === "number" && score >= filters.minScore)) {
+    return false;
+  }
+  if (filters.maxScore !== undefined && !(typeof score === "number" && score <= filters.maxScore)) {
+    return false;
+  }
+
+  if (filters.hasExportedResults !== undefined) {
+    return summary.exportedResults > 0 === filters.hasExportedResults;
+  }
+
+  return true;
+}
+
+/**
+ * Filter, sort and slice public records in-process
+ * @param {object[]} summaries - Public records (see toPublicRecord)
+ * @param {object} query - { filters, sortBy, order, after, limit }
+ * @returns {object[]} Matching records after the cursor, at most `limit`
+ */
+function paginateSummaries(summaries, { filters, sortBy, order, after, limit }) {
+  const direction = order === "asc" ? 1 : -1;
+  const compare = (a, b) =>
+    direction *
+    (compareValues(sortValue(a, sortBy), sortValue(b, sortBy)) ||
+      compareValues(a.scanId, b.scanId));
+
+  return summaries
+    .filter((summary) => matchesFilters(summary, filters))
+    .filter((summary) => {
+      if (!after) {
+        return true;
+      }
+      const position =
+        compareValues(sortValue(summary, sortBy), after.value) ||
+        compareValues(summary.scanId, after.scanId);
+      return direction * position > 0;
+    })
+    .sort(compare)
+    .slice(0, limit);
+}
+
+/**
+ * Filter dead letters in-process, oldest first
+ * @param {object[]} letters - Dead letters
+ * @param {object} query - { status, reason, scanId, receivedAfter, receivedBefore, limit }
+ * @returns {object[]} Matching letters, at most `limit`
+ */
+function filterDeadLetters(
+  letters,
+  { status, reason, scanId, receivedAfter, receivedBefore, limit }
+) {
+  return letters
+    .filter(
+      (letter) =>
+        (!status || letter.status === status) &&
+        (!reason || letter.reason === reason) &&
+        (!scanId || letter.scanId === scanId) &&
+        (!receivedAfter || letter.receivedAt >= receivedAfter) &&
+        (!receivedBefore || letter.receivedAt <= receivedBefore)
+    )
+    .sort((a, b) => compareValues(a.receivedAt, b.receivedAt) || compareValues(a.id, b.id))
+    .slice(0, limit);
+}
+
+/**
+ * Queued scans whose submission job is due, in the order the submission queue sends them:
+ * priority first, then the time each job became due
+ * @param {object[]} summaries - Public records
+ * @param {object} query - { now, limit }
+ * @returns {object[]} Due records, at most `limit`
+ */
+function filterDueSubmissions(summaries, { now, limit }) {
+  const rank = (summary) => SUBMISSION_PRIORITIES.indexOf(summary.submission.priority);
+  return summaries
+    .filter(
+      (summary) =>
+        summary.status === "queued" && summary.submission && summary.submission.nextAttemptAt <= now
+    )
+    .sort(
+      (a, b) =>
+        rank(a) - rank(b) ||
+        compareValues(a.submission.nextAttemptAt, b.submission.nextAttemptAt) ||
+        compareValues(a.scanId, b.scanId)
+    )
+    .slice(0, limit);
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MISSING_SCORE,
+  toPublicRecord,
+  encodeCursor,
+  decodeCursor,
+  matchesFilters,
+  paginateSummaries,
+  filterDeadLetters,
+  filterDueSubmissions,
+};
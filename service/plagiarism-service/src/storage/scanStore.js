@@ -1,14 +1,262 @@
 const { randomUUID } = require("node:crypto");
+const { EventEmitter } = require("node:events");
+const { Readable, pipeline } = require("node:stream");
+const config = require("../config");
+const { createAdapter } = require("./adapters");
+const { createBlobStore } = require("./blobs");
+const { createEnvelopeCipher } = require("./encryption");
+const { decodeCursor, encodeCursor, toPublicRecord } = require("./scanQuery");
 
-const scans = new Map();
+// Blob names under `<scanId>/` in the blob store
+const BLOB_NAMES = {
+  crawled: "crawled.json",
+  crawledText: "crawled.txt",
+  pdfReport: "pdf-report",
+};
+
+let adapter = null;
+let blobStore = null;
+let cipher = null;
+
+/**
+ * Emits `change` with the scanId after every write through this facade in this process
+ * (status, results, exports, expiry, deletion). Other replicas' writes are not seen here;
+ * listeners that need them also re-read the shared store (see services/scanStreams).
+ */
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+function getAdapter() {
+  if (!adapter) {
+    adapter = createAdapter(config.storage);
+  }
+  return adapter;
+}
+
+/**
+ * Replace the active adapter (tests and embedding callers)
+ * @param {import("./adapters").ScanStoreAdapter} nextAdapter - Adapter to use from now on
+ */
+function useAdapter(nextAdapter) {
+  adapter = nextAdapter;
+}
+
+function getBlobStore() {
+  if (!blobStore) {
+    blobStore = createBlobStore(config.blobs);
+  }
+  return blobStore;
+}
+
+/**
+ * Replace the active blob store (tests and embedding callers)
+ * @param {import("./blobs").BlobStore} nextBlobStore - Blob store to use from now on
+ */
+function useBlobStore(nextBlobStore) {
+  blobStore = nextBlobStore;
+}
+
+function getCipher() {
+  if (!cipher) {
+    cipher = createEnvelopeCipher(config.encryption);
+  }
+  return cipher;
+}
+
+/**
+ * Replace the envelope cipher (tests and embedding callers)
+ * @param {ReturnType<import("./encryption").createEnvelopeCipher>} nextCipher - Cipher to use
+ */
+function useCipher(nextCipher) {
+  cipher = nextCipher;
+}
+
+/**
+ * Check whether a stored payload is a blob reference rather than an inline value
+ * (records written before the blob store keep their payloads inline)
+ */
+function isBlobRef(value) {
+  return Boolean(value && typeof value === "object" && typeof value.blobKey === "string");
+}
+
+function encodeBlob(payload) {
+  if (Buffer.isBuffer(payload)) {
+    return { body: payload, contentType: "application/octet-stream" };
+  }
+  if (typeof payload === "string") {
+    return { body: payload, contentType: "text/plain; charset=utf-8" };
+  }
+  return { body: JSON.stringify(payload ?? null), contentType: "application/json" };
+}
+
+// Top-level blob namespaces: scan payloads and dead-letter bodies never share a prefix, so
+// no scanId can name (and delete) another namespace
+const SCAN_BLOB_PREFIX = "scans";
+const DEAD_LETTER_PREFIX = "dead-letters";
+
+const scanBlobKey = (scanId, name) => `${SCAN_BLOB_PREFIX}/${scanId}/${name}`;
+
+/**
+ * Remove every blob of a scan. Blobs written before scan blobs got their own namespace
+ * live under `<scanId>/`; that prefix is only removed when it cannot be a namespace.
+ * @param {string} scanId - Scan whose blobs are removed
+ */
+async function deleteScanBlobs(scanId) {
+  await getBlobStore().deletePrefix(`${SCAN_BLOB_PREFIX}/${scanId}`);
+  if (scanId !== SCAN_BLOB_PREFIX && scanId !== DEAD_LETTER_PREFIX) {
+    await getBlobStore().deletePrefix(scanId);
+  }
+}
+
+async function putBlob(blobKey, payload, contentType) {
+  const encoded = encodeBlob(payload);
+  const { body } = encoded;
+  const encrypted = getCipher().enabled;
+  await getBlobStore().put(blobKey, encrypted ? getCipher().sealBuffer(body) : body);
+  return {
+    blobKey,
+    size: Buffer.byteLength(body),
+    contentType: contentType || encoded.contentType,
+    encrypted,
+  };
+}
+
+async function readBlobBuffer(blobKey) {
+  const chunks = [];
+  for await (const chunk of getBlobStore().createReadStream(blobKey)) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+async function copyBlob(value, scanId, name) {
+  if (!isBlobRef(value)) {
+    return value === null || value === undefined ? null : putBlob(scanBlobKey(scanId, name), value);
+  }
+
+  const blobKey = scanBlobKey(scanId, name);
+  await getBlobStore().copy(value.blobKey, blobKey);
+  return { ...value, blobKey };
+}
+
+/**
+ * Open a streaming read of a stored payload
+ * @param {object} value - Blob reference, or a legacy inline payload
+ * @returns {import("node:stream").Readable|null} Payload stream, null when nothing is stored
+ */
+function openBlob(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (isBlobRef(value)) {
+    const stream = getBlobStore().createReadStream(value.blobKey);
+    if (!value.encrypted) {
+      return stream;
+    }
+    return pipeline(stream, getCipher().createDecryptStream(), () => {
+      // Errors (missing blob, failed authentication) surface on the returned stream
+    });
+  }
+  return Readable.from([encodeBlob(value).body]);
+}
+
+/**
+ * Read a stored text payload (e.g. the crawled text) into a string
+ * @param {object|string|null} value - Blob reference or legacy inline text
+ * @returns {Promise<string|null>} Text, null when nothing is stored
+ */
+async function readBlobText(value) {
+  if (value === null || value === undefined || typeof value === "string") {
+    return value ?? null;
+  }
+
+  return (await readBlobContent(value)).toString("utf8");
+}
+
+/**
+ * Read a stored payload into memory, decrypting sealed blobs
+ * @param {object|string|null} value - Blob reference or legacy inline payload
+ * @returns {Promise<Buffer|null>} Payload body, null when nothing is stored
+ */
+async function readBlobContent(value) {
+  const stream = openBlob(value);
+  if (!stream) {
+    return null;
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decrypt the fields sealed at rest (original text and exported comparison payloads).
+ * Records are handed around sealed; only code that needs the content calls this.
+ * @param {object} record - Hydrated record from getScan
+ * @returns {object} Copy of the record with plaintext `text` and `exported.results`
+ */
+function decryptRecord(record) {
+  const results = {};
+  for (const [resultId, data] of Object.entries(record.exported.results)) {
+    results[resultId] = getCipher().openJson(data);
+  }
+
+  return {
+    ...record,
+    text: getCipher().openText(record.text),
+    exported: { ...record.exported, results },
+  };
+}
+
+async function touch(scanId, patch = {}) {
+  const updated = await getAdapter().updateScan(scanId, {
+    ...patch,
+    lastUpdated: new Date().toISOString(),
+  });
+  if (!updated) {
+    return null;
+  }
+  changes.emit("change", scanId);
+  return getScan(scanId);
+}
+
+/**
+ * Resolve how long a scan is retained locally, preferring the per-scan Copyleaks expiration
+ * @param {object} options - Scan options
+ * @returns {number} Retention in minutes
+ */
+function resolveRetentionMinutes(options = {}) {
+  const expiration = Number.parseInt(options.expiration, 10);
+  return Number.isFinite(expiration) && expiration > 0
+    ? expiration
+    : config.retention.scanTtlMinutes;
+}
 
-function createScanRecord(text, options = {}) {
+/**
+ * Create a queued scan record
+ * @param {string} text - Submitted text
+ * @param {object} [options] - Scan options as submitted
+ * @param {object} [meta] - Bookkeeping fields
+ * @param {string} [meta.contentHash] - Deduplication hash (see utils/contentHash)
+ * @param {string} [meta.reusedFrom] - scanId whose results this record reuses
+ * @param {string} [meta.priority] - Queue the scan for submission with this priority (see
+ *   services/submissionQueue)
+ * @returns {Promise<object>} The stored record
+ */
+async function createScanRecord(
+  text,
+  options = {},
+  { contentHash = null, reusedFrom = null, priority = null } = {}
+) {
   const scanId = options.scanId || randomUUID().replace(/-/g, "");
+  const createdAt = new Date();
   const record = {
     scanId,
-    text,
+    text: getCipher().sealText(text),
     textLength: text.length,
-    createdAt: new Date().toISOString(),
+    createdAt: createdAt.toISOString(),
     status: "queued",
     options,
     summary: null,
@@ -22,138 +270,651 @@ function createScanRecord(text, options = {}) {
       completedAt: null,
     },
     exportStarted: false,
-    lastUpdated: new Date().toISOString(),
+    exportState: null,
+    submission: priority
+      ? {
+          priority,
+          attempts: 0,
+          nextAttemptAt: createdAt.toISOString(),
+          startedAt: null,
+          submittedAt: null,
+          lastError: null,
+        }
+      : null,
+    lastUpdated: createdAt.toISOString(),
+    expiresAt: new Date(
+      createdAt.getTime() + resolveRetentionMinutes(options) * 60 * 1000
+    ).toISOString(),
+    expiredAt: null,
+    contentHash,
+    reusedFrom,
   };
 
-  scans.set(scanId, record);
+  await getAdapter().createScan(record);
   return record;
 }
 
-function getScan(scanId) {
-  return scans.get(scanId);
-}
+/**
+ * Find the newest completed scan with exported results for the same content hash
+ * @param {string} contentHash - Deduplication hash
+ * @returns {Promise<object|null>} Source record whose results can be reused
+ */
+async function findReusableScan(contentHash) {
+  const scanIds = await getAdapter().findByContentHash(contentHash);
 
-function listScans() {
-  return Array.from(scans.values()).map(toPublicRecord);
+  for (const scanId of scanIds) {
+    const record = await getAdapter().getScan(scanId);
+    if (record?.status === "completed" && Object.keys(record.exported.results).length) {
+      return record;
+    }
+  }
+  return null;
 }
 
-function updateStatus(scanId, status, payload = {}) {
-  const record = getScan(scanId);
-  if (!record) {
-    return null;
+/**
+ * Create a completed scan that carries a copy of another scan's results, exports,
+ * crawled version and PDF report. The source text is copied too, because the exported
+ * character offsets refer to it. The copy is independent, so it has its own retention.
+ * @param {object} source - Hydrated source record (see findReusableScan)
+ * @param {object} options - Scan options as submitted
+ * @param {string} contentHash - Deduplication hash shared with the source
+ * @returns {Promise<object>} The new record
+ */
+async function createReusedScan(source, options, contentHash) {
+  // Exported payloads and blobs are copied still sealed; only the text is re-sealed
+  const record = await createScanRecord(getCipher().openText(source.text), options, {
+    contentHash,
+    reusedFrom: source.scanId,
+  });
+  const { scanId } = record;
+
+  for (const result of source.results) {
+    await getAdapter().appendResult(scanId, result);
+  }
+  for (const [resultId, data] of Object.entries(source.exported.results)) {
+    await getAdapter().putExportedResult(scanId, resultId, data);
+  }
+  // Blobs are copied rather than shared so deleting either scan leaves the other intact
+  if (source.exported.crawled || source.exported.crawledText) {
+    await getAdapter().putCrawled(
+      scanId,
+      await copyBlob(source.exported.crawled, scanId, BLOB_NAMES.crawled),
+      await copyBlob(source.exported.crawledText, scanId, BLOB_NAMES.crawledText)
+    );
+  }
+  if (source.exported.pdfReport) {
+    await getAdapter().putPdf(
+      scanId,
+      await copyBlob(source.exported.pdfReport, scanId, BLOB_NAMES.pdfReport)
+    );
   }
 
-  record.status = status;
-  record.lastUpdated = new Date().toISOString();
+  return touch(scanId, {
+    status: "completed",
+    summary: source.summary,
+    credits: source.credits,
+    exportStarted: true,
+    exportCompletedAt: source.exported.completedAt ?? new Date().toISOString(),
+    exportState: source.exportState ?? null,
+  });
+}
+
+async function getScan(scanId) {
+  return (await getAdapter().getScan(scanId)) ?? undefined;
+}
+
+/**
+ * List public scan records one page at a time
+ * @param {object} [query] - Listing options
+ * @param {object} [query.filters] - Status, createdAt range, score range, hasExportedResults
+ * @param {string} [query.sortBy] - createdAt (default), lastUpdated or score
+ * @param {string} [query.order] - desc (default) or asc
+ * @param {string} [query.cursor] - `nextCursor` from the previous page
+ * @param {number} [query.limit] - Page size (default 20)
+ * @returns {Promise<{items: object[], nextCursor: string|null}>} One page of scans
+ */
+async function listScans({
+  filters = {},
+  sortBy = "createdAt",
+  order = "desc",
+  cursor,
+  limit = 20,
+} = {}) {
+  const sort = { sortBy, order };
+  const after = cursor ? decodeCursor(cursor, sort) : null;
+
+  // Fetch one extra record to learn whether another page exists
+  const items = await getAdapter().queryScans({ filters, sortBy, order, after, limit: limit + 1 });
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+  };
+}
+
+async function updateStatus(scanId, status, payload = {}) {
+  const patch = { status };
 
   if (payload.summary) {
-    record.summary = payload.summary;
+    patch.summary = payload.summary;
   }
 
   if (payload.credits !== undefined) {
-    record.credits = payload.credits;
+    patch.credits = payload.credits;
   }
 
-  scans.set(scanId, record);
-  return record;
+  return touch(scanId, patch);
 }
 
-function addResult(scanId, result) {
-  const record = getScan(scanId);
-  if (!record) {
+async function addResult(scanId, result) {
+  if (!(await getAdapter().hasScan(scanId))) {
     return null;
   }
 
-  record.results.push(result);
-  record.lastUpdated = new Date().toISOString();
-  scans.set(scanId, record);
-  return record;
+  await getAdapter().appendResult(scanId, result);
+  return touch(scanId);
 }
 
-function storeExportedResult(scanId, resultId, data) {
-  const record = getScan(scanId);
-  if (!record) {
+async function storeExportedResult(scanId, resultId, data) {
+  if (!(await getAdapter().hasScan(scanId))) {
     return null;
   }
 
-  record.exported.results[resultId] = data;
-  record.lastUpdated = new Date().toISOString();
-  scans.set(scanId, record);
-  return record;
+  await getAdapter().putExportedResult(scanId, resultId, getCipher().sealJson(data));
+  return touch(scanId);
 }
 
-function storeCrawled(scanId, crawledPayload, extractedText) {
-  const record = getScan(scanId);
-  if (!record) {
+async function storeCrawled(scanId, crawledPayload, extractedText) {
+  if (!(await getAdapter().hasScan(scanId))) {
     return null;
   }
 
-  record.exported.crawled = crawledPayload;
-  record.exported.crawledText = extractedText;
-  record.lastUpdated = new Date().toISOString();
-  scans.set(scanId, record);
-  return record;
+  await getAdapter().putCrawled(
+    scanId,
+    await putBlob(scanBlobKey(scanId, BLOB_NAMES.crawled), crawledPayload),
+    extractedText ? await putBlob(scanBlobKey(scanId, BLOB_NAMES.crawledText), extractedText) : null
+  );
+  return touch(scanId);
 }
 
-function storePdf(scanId, pdfPayload) {
-  const record = getScan(scanId);
-  if (!record) {
+/**
+ * Store the PDF report
+ * @param {string} scanId - Scan the report belongs to
+ * @param {object|Buffer} pdfPayload - Webhook JSON wrapper, or the PDF itself
+ * @param {string} [contentType] - Content type of a raw PDF (e.g. application/pdf)
+ */
+async function storePdf(scanId, pdfPayload, contentType) {
+  if (!(await getAdapter().hasScan(scanId))) {
     return null;
   }
 
-  record.exported.pdfReport = pdfPayload;
-  record.lastUpdated = new Date().toISOString();
-  scans.set(scanId, record);
-  return record;
+  await getAdapter().putPdf(
+    scanId,
+    await putBlob(scanBlobKey(scanId, BLOB_NAMES.pdfReport), pdfPayload, contentType)
+  );
+  return touch(scanId);
 }
 
-function markExportStarted(scanId) {
-  const record = getScan(scanId);
-  if (!record) {
+/**
+ * Store the credits Copyleaks charged for a scan, leaving its status and summary as they are
+ * @param {string} scanId - Scan the creditsChecked webhook refers to
+ * @param {number} credits - Credits charged
+ */
+async function recordCredits(scanId, credits) {
+  return touch(scanId, { credits });
+}
+
+async function markExportStarted(scanId, started = true) {
+  return touch(scanId, { exportStarted: started });
+}
+
+async function markExportCompleted(scanId) {
+  return touch(scanId, { exportCompletedAt: new Date().toISOString() });
+}
+
+/**
+ * Store the per-task export state (see services/exportTasks)
+ * @param {string} scanId - Exported scan
+ * @param {object} exportState - `{ status, reExports, tasks }`
+ */
+async function updateExportState(scanId, exportState) {
+  return touch(scanId, { exportState });
+}
+
+/**
+ * Store the submission job state of a queued scan (see services/submissionQueue)
+ * @param {string} scanId - Queued scan
+ * @param {object} submission - `{ priority, attempts, nextAttemptAt, startedAt, submittedAt,
+ *   lastError }`
+ */
+async function updateSubmission(scanId, submission) {
+  return touch(scanId, { submission });
+}
+
+/**
+ * Queued scans whose submission job is due, read from the head of the store's due index
+ * @param {Date} [now] - Reference time
+ * @param {number} limit - Maximum number of scans to return
+ * @returns {Promise<object[]>} Public records, high priority first, then by due time
+ */
+async function listDueSubmissions(now = new Date(), limit = 1) {
+  return getAdapter().findDueSubmissions(now.toISOString(), limit);
+}
+
+/**
+ * Claim one submission attempt so that only one replica sends it to Copyleaks
+ * @param {string} scanId - Queued scan
+ * @param {number} attempt - Attempt number, starting at 1
+ * @returns {Promise<boolean>} True for the first claim of this attempt
+ */
+async function claimSubmission(scanId, attempt) {
+  return getAdapter().claimDelivery(scanId, `submission:${attempt}`, new Date().toISOString());
+}
+
+/**
+ * Release a claimed submission attempt that could not be started, so it can be claimed again
+ * @param {string} scanId - Queued scan
+ * @param {number} attempt - Attempt passed to claimSubmission
+ */
+async function releaseSubmission(scanId, attempt) {
+  await getAdapter().releaseDelivery(scanId, `submission:${attempt}`);
+}
+
+/**
+ * Append an event to a scan's timeline. Events are never updated or removed, except when
+ * the whole scan is deleted; expiry keeps them so the lifecycle can still be reconstructed.
+ * @param {string} scanId - Scan the event belongs to
+ * @param {string} type - Event type (e.g. scan.submitted, webhook.completed, export.failed)
+ * @param {object} [data] - Small event-specific details
+ * @returns {Promise<boolean>} False when the scan does not exist
+ */
+async function recordEvent(scanId, type, data = {}) {
+  if (!(await getAdapter().hasScan(scanId))) {
+    return false;
+  }
+
+  await getAdapter().appendEvent(scanId, { type, at: new Date().toISOString(), data });
+  return true;
+}
+
+/**
+ * Load a scan's timeline in the order events were recorded
+ * @param {string} scanId - Scan to load
+ * @returns {Promise<object[]|null>} Events with a 1-based `sequence`, or null for unknown scans
+ */
+async function listEvents(scanId) {
+  if (!(await getAdapter().hasScan(scanId))) {
     return null;
   }
 
-  record.exportStarted = true;
-  record.lastUpdated = new Date().toISOString();
-  scans.set(scanId, record);
-  return record;
+  const events = await getAdapter().listEvents(scanId);
+  return events.map((event, index) => ({ sequence: index + 1, ...event }));
 }
 
-function markExportCompleted(scanId) {
-  const record = getScan(scanId);
-  if (!record) {
+/**
+ * Claim a webhook delivery so retries of it are processed only once
+ * @param {string} scanId - Scan the webhook refers to
+ * @param {string} deliveryKey - Key identifying the delivery (see webhookController)
+ * @returns {Promise<boolean>} True for the first claim, false for duplicates and unknown scans
+ */
+async function claimWebhookDelivery(scanId, deliveryKey) {
+  if (!(await getAdapter().hasScan(scanId))) {
+    return false;
+  }
+
+  return getAdapter().claimDelivery(scanId, deliveryKey, new Date().toISOString());
+}
+
+/**
+ * Release a claimed delivery after its processing failed, so the retry is not dropped
+ * @param {string} scanId - Scan the webhook refers to
+ * @param {string} deliveryKey - Key passed to claimWebhookDelivery
+ */
+async function releaseWebhookDelivery(scanId, deliveryKey) {
+  await getAdapter().releaseDelivery(scanId, deliveryKey);
+}
+
+/**
+ * Persist a webhook that was ignored or whose handling failed, so it can be inspected and
+ * replayed later. The body goes to the blob store (sealed like other payloads); the letter
+ * itself only keeps a reference to it.
+ * @param {object} letter - Dead letter details
+ * @param {string} letter.webhook - Webhook event type
+ * @param {string} letter.scanId - Scan named in the webhook URL
+ * @param {string} letter.url - Webhook path the payload was posted to
+ * @param {string} letter.reason - Why the webhook was dead-lettered
+ * @param {string} [letter.message] - Error message for failed handling
+ * @param {object|Buffer} letter.payload - Webhook body
+ * @param {string} [letter.contentType] - Content type of a binary body (e.g. application/pdf)
+ * @returns {Promise<object>} Stored dead letter
+ */
+async function recordDeadLetter({
+  webhook,
+  scanId,
+  url,
+  reason,
+  message = null,
+  payload,
+  contentType,
+}) {
+  const id = randomUUID();
+  const letter = {
+    id,
+    webhook,
+    scanId,
+    url,
+    reason,
+    message,
+    payload: await putBlob(`${DEAD_LETTER_PREFIX}/${id}/payload`, payload ?? null, contentType),
+    status: "pending",
+    receivedAt: new Date().toISOString(),
+    replayCount: 0,
+    lastReplay: null,
+  };
+  await getAdapter().putDeadLetter(letter);
+  return letter;
+}
+
+/**
+ * List dead letters, oldest first
+ * @param {import("./adapters").DeadLetterQuery} query - Filters and limit
+ */
+async function listDeadLetters(query) {
+  return getAdapter().listDeadLetters(query);
+}
+
+async function getDeadLetter(id) {
+  return getAdapter().getDeadLetter(id);
+}
+
+/**
+ * Load the webhook body stored with a dead letter
+ * @param {object} letter - Dead letter from getDeadLetter
+ * @returns {Promise<*>} Parsed webhook body, or a Buffer for binary bodies (see the blob's
+ *   contentType)
+ */
+async function readDeadLetterPayload(letter) {
+  const content = await readBlobContent(letter.payload);
+  if (content && letter.payload.contentType !== "application/json") {
+    return content;
+  }
+  return content ? JSON.parse(content.toString("utf8")) : null;
+}
+
+/**
+ * Record the outcome of a replay
+ * @param {string} id - Dead letter to update
+ * @param {object} patch - status, replayCount and/or lastReplay
+ * @returns {Promise<object|null>} Updated letter, null when it does not exist
+ */
+async function updateDeadLetter(id, patch) {
+  if (!(await getAdapter().updateDeadLetter(id, patch))) {
     return null;
   }
+  return getDeadLetter(id);
+}
 
-  record.exported.completedAt = new Date().toISOString();
-  record.lastUpdated = new Date().toISOString();
-  scans.set(scanId, record);
-  return record;
+async function deleteDeadLetter(id) {
+  const deleted = await getAdapter().deleteDeadLetter(id);
+  await getBlobStore().deletePrefix(`${DEAD_LETTER_PREFIX}/${id}`);
+  return deleted;
 }
 
-function deleteScan(scanId) {
-  return scans.delete(scanId);
+// Dead letters carry webhook payloads, so they go when their scan's data goes
+async function purgeDeadLetters(scanId) {
+  let letters;
+  do {
+    letters = await getAdapter().listDeadLetters({ scanId, limit: 100 });
+    for (const letter of letters) {
+      await deleteDeadLetter(letter.id);
+    }
+  } while (letters.length);
 }
 
-function toPublicRecord(record) {
-  if (!record) return null;
+/**
+ * Find scans whose retention period has elapsed
+ * @param {Date} [now] - Reference time
+ * @param {number} [limit] - Maximum number of scanIds to return
+ * @returns {Promise<string[]>} Expired scanIds
+ */
+async function findExpiredScanIds(now = new Date(), limit = config.retention.sweepBatchSize) {
+  return getAdapter().findExpired(now.toISOString(), limit);
+}
+
+/**
+ * Drop a scan's text, results, crawled and PDF payloads and mark it `expired`.
+ * The summary record stays behind so clients can see why the data disappeared.
+ * @param {string} scanId - Scan to expire
+ * @returns {Promise<boolean>} False when the scan is missing or already expired
+ */
+async function expireScan(scanId) {
+  const expiredAt = new Date().toISOString();
+  const expired = await getAdapter().expireScan(scanId, expiredAt);
+  if (expired) {
+    await deleteScanBlobs(scanId);
+    await purgeDeadLetters(scanId);
+    await getAdapter().appendEvent(scanId, { type: "scan.expired", at: expiredAt, data: {} });
+    changes.emit("change", scanId);
+  }
+  return expired;
+}
+
+/**
+ * Bring a scan's stored data up to the active encryption key: seal plaintext written before
+ * encryption was enabled and re-wrap data keys sealed with older keys. Payloads already
+ * sealed are never re-encrypted, only their data keys are re-wrapped.
+ * @param {string} scanId - Scan to update
+ * @returns {Promise<boolean>} True when anything was rewritten
+ */
+async function resealScan(scanId) {
+  const activeCipher = getCipher();
+  const record = activeCipher.enabled ? await getAdapter().getScan(scanId) : null;
+  if (!record) {
+    return false;
+  }
+
+  const reseal = (value) =>
+    activeCipher.isSealed(value) ? activeCipher.rewrapText(value) : activeCipher.sealText(value);
+  let changed = false;
+
+  const text = record.text ? reseal(record.text) : record.text;
+  if (text !== record.text) {
+    await getAdapter().updateScan(scanId, { text });
+    changed = true;
+  }
+
+  for (const [resultId, data] of Object.entries(record.exported.results)) {
+    const sealed = activeCipher.isSealed(data)
+      ? activeCipher.rewrapText(data)
+      : activeCipher.sealJson(data);
+    if (sealed !== data) {
+      await getAdapter().putExportedResult(scanId, resultId, sealed);
+      changed = true;
+    }
+  }
+
+  const resealBlob = async (value, name) => {
+    if (!value) {
+      return value;
+    }
+    if (!isBlobRef(value)) {
+      return putBlob(scanBlobKey(scanId, name), value);
+    }
+    if (!value.encrypted) {
+      const body = await readBlobBuffer(value.blobKey);
+      await getBlobStore().put(value.blobKey, activeCipher.sealBuffer(body));
+      return { ...value, encrypted: true };
+    }
+
+    const sealed = await readBlobBuffer(value.blobKey);
+    const rewrapped = activeCipher.rewrapBuffer(sealed);
+    if (rewrapped !== sealed) {
+      await getBlobStore().put(value.blobKey, rewrapped);
+      changed = true;
+    }
+    return value;
+  };
+
+  const { crawled, crawledText, pdfReport } = record.exported;
+  const [crawledRef, crawledTextRef, pdfRef] = [
+    await resealBlob(crawled, BLOB_NAMES.crawled),
+    await resealBlob(crawledText, BLOB_NAMES.crawledText),
+    await resealBlob(pdfReport, BLOB_NAMES.pdfReport),
+  ];
+  if (crawledRef !== crawled || crawledTextRef !== crawledText) {
+    await getAdapter().putCrawled(scanId, crawledRef, crawledTextRef);
+    changed = true;
+  }
+  if (pdfRef !== pdfReport) {
+    await getAdapter().putPdf(scanId, pdfRef);
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Snapshot everything stored for a scan in plaintext so it can be moved to another instance
+ * (see services/scanArchive). Sealed fields are opened and blobs are read into memory.
+ * @param {string} scanId - Scan to snapshot
+ * @returns {Promise<{record: object, blobs: object, events: object[]}|null>} Snapshot, or
+ *   null for unknown scans. `blobs` maps crawled, crawledText and pdfReport to
+ *   `{contentType, body}` or null.
+ */
+async function snapshotScan(scanId) {
+  const stored = await getAdapter().getScan(scanId);
+  if (!stored) {
+    return null;
+  }
+
+  const { exported, ...record } = decryptRecord(stored);
+  const blobs = {};
+  for (const name of Object.keys(BLOB_NAMES)) {
+    const value = exported[name];
+    blobs[name] =
+      value === null || value === undefined
+        ? null
+        : {
+            contentType: isBlobRef(value) ? value.contentType : encodeBlob(value).contentType,
+            body: await readBlobContent(value),
+          };
+  }
+
   return {
-    scanId: record.scanId,
-    status: record.status,
-    createdAt: record.createdAt,
-    lastUpdated: record.lastUpdated,
-    summary: record.summary,
-    credits: record.credits,
-    exportStarted: record.exportStarted,
-    exportedResults: Object.keys(record.exported.results).length,
-    exportedCompletedAt: record.exported.completedAt,
-    originalTextLength: record.textLength,
-    options: record.options,
+    record: {
+      ...record,
+      exported: { results: exported.results, completedAt: exported.completedAt },
+    },
+    blobs,
+    events: await getAdapter().listEvents(scanId),
   };
 }
 
+/**
+ * Recreate a scan from a snapshot (see snapshotScan), sealing it with this instance's cipher
+ * and writing its blobs to this instance's blob store. Retention restarts from now under the
+ * local policy. The scanId must not exist yet.
+ * @param {object} snapshot - `{record, blobs, events}` with plaintext fields
+ * @returns {Promise<object>} The stored record
+ */
+async function restoreScan({ record, blobs, events }) {
+  const { scanId } = record;
+  const now = new Date();
+
+  await getAdapter().createScan({
+    scanId,
+    text: getCipher().sealText(record.text),
+    textLength: record.textLength ?? record.text.length,
+    createdAt: record.createdAt,
+    status: record.status,
+    options: record.options ?? {},
+    summary: null,
+    credits: null,
+    results: [],
+    exported: {
+      results: {},
+      crawled: null,
+      crawledText: null,
+      pdfReport: null,
+      completedAt: null,
+    },
+    exportStarted: false,
+    exportState: null,
+    lastUpdated: record.lastUpdated ?? now.toISOString(),
+    expiresAt: new Date(
+      now.getTime() + resolveRetentionMinutes(record.options) * 60 * 1000
+    ).toISOString(),
+    expiredAt: null,
+    contentHash: record.contentHash ?? null,
+    reusedFrom: record.reusedFrom ?? null,
+  });
+
+  for (const result of record.results ?? []) {
+    await getAdapter().appendResult(scanId, result);
+  }
+  for (const [resultId, data] of Object.entries(record.exported?.results ?? {})) {
+    await getAdapter().putExportedResult(scanId, resultId, getCipher().sealJson(data));
+  }
+
+  const writeBlob = (name) =>
+    blobs[name]
+      ? putBlob(scanBlobKey(scanId, BLOB_NAMES[name]), blobs[name].body, blobs[name].contentType)
+      : null;
+  if (blobs.crawled || blobs.crawledText) {
+    await getAdapter().putCrawled(
+      scanId,
+      await writeBlob("crawled"),
+      await writeBlob("crawledText")
+    );
+  }
+  if (blobs.pdfReport) {
+    await getAdapter().putPdf(scanId, await writeBlob("pdfReport"));
+  }
+
+  for (const event of events ?? []) {
+    await getAdapter().appendEvent(scanId, event);
+  }
+
+  await getAdapter().updateScan(scanId, {
+    status: record.status,
+    summary: record.summary ?? null,
+    credits: record.credits ?? null,
+    exportStarted: Boolean(record.exportStarted),
+    exportCompletedAt: record.exported?.completedAt ?? null,
+    exportState: record.exportState ?? null,
+    lastUpdated: record.lastUpdated ?? now.toISOString(),
+  });
+  return getScan(scanId);
+}
+
+async function deleteScan(scanId) {
+  const deleted = await getAdapter().deleteScan(scanId);
+  await deleteScanBlobs(scanId);
+  await purgeDeadLetters(scanId);
+  if (deleted) {
+    changes.emit("change", scanId);
+  }
+  return deleted;
+}
+
+async function close() {
+  if (adapter) {
+    await adapter.close();
+    adapter = null;
+  }
+  if (blobStore) {
+    await blobStore.close();
+    blobStore = null;
+  }
+}
+
 module.exports = {
+  changes,
   createScanRecord,
+  findReusableScan,
+  createReusedScan,
   getScan,
   listScans,
   updateStatus,
@@ -161,8 +922,38 @@ module.exports = {
   storeExportedResult,
   storeCrawled,
   storePdf,
+  recordCredits,
   markExportStarted,
   markExportCompleted,
+  updateExportState,
+  updateSubmission,
+  listDueSubmissions,
+  claimSubmission,
+  releaseSubmission,
+  recordEvent,
+  listEvents,
+  claimWebhookDelivery,
+  releaseWebhookDelivery,
+  recordDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  readDeadLetterPayload,
+  updateDeadLetter,
+  deleteDeadLetter,
+  findExpiredScanIds,
+  expireScan,
+  snapshotScan,
+  restoreScan,
   deleteScan,
   toPublicRecord,
+  isBlobRef,
+  openBlob,
+  readBlobText,
+  readBlobContent,
+  decryptRecord,
+  resealScan,
+  useAdapter,
+  useBlobStore,
+  useCipher,
+  close,
 };
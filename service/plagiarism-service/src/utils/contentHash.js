@@ -0,0 +1,33 @@
+const { createHash } = require("node:crypto");
+
+/**
+ * Normalize submission text so copies that differ only in line endings, Unicode
+ * composition or whitespace runs hash the same
+ * @param {string} text - Submitted text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Hash normalized text together with the scan options that change Copyleaks results.
+ * Retention-only options such as `expiration` are deliberately left out.
+ * @param {string} text - Submitted text
+ * @param {object} scanOptions - Options sent to Copyleaks
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashSubmission(text, scanOptions = {}) {
+  const fingerprint = {
+    text: normalizeText(text),
+    sandbox: Boolean(scanOptions.sandbox),
+    sensitivityLevel: scanOptions.sensitivityLevel ?? 3,
+    includeHtml: scanOptions.includeHtml ?? true,
+  };
+  return createHash("sha256").update(JSON.stringify(fingerprint)).digest("hex");
+}
+
+module.exports = {
+  normalizeText,
+  hashSubmission,
+};
@@ -0,0 +1,48 @@
+/**
+ * Pull the plain text out of a crawled-version payload. Copyleaks has shipped the text
+ * under several shapes, so each known location is tried in turn.
+ * @param {object|string|null} payload - Crawled payload (webhook body or download)
+ * @returns {string|null} Extracted text, null when none was found
+ */
+function extractText(payload) {
+  if (!payload) {
+    return null;
+  }
+
+  if (typeof payload === "string") {
+    return payload;
+  }
+
+  if (payload.text) {
+    if (typeof payload.text === "string") {
+      return payload.text;
+    }
+    if (payload.text.value) {
+      return payload.text.value;
+    }
+  }
+
+  if (payload.value) {
+    return payload.value;
+  }
+
+  if (payload.content) {
+    return payload.content;
+  }
+
+  if (payload.document?.text) {
+    return payload.document.text;
+  }
+
+  if (payload.html?.text) {
+    return payload.html.text;
+  }
+
+  if (payload.result?.text) {
+    return payload.result.text;
+  }
+
+  return null;
+}
+
+module.exports = extractText;
@@ -0,0 +1,79 @@
+const dns = require("node:dns");
+const net = require("node:net");
+const { ValidationError } = require("../errors/custom-errors");
+
+/**
+ * Guards for requests to client-supplied URLs (outbound callbacks)
+ * A host is only contacted when every address it resolves to is public, so a callbackUrl
+ * cannot reach loopback, private networks or cloud metadata endpoints. The same check backs
+ * the `lookup` used for the connection itself, which keeps DNS rebinding from swapping in a
+ * private address after validation.
+ */
+
+const NON_PUBLIC_RANGES = {
+  ipv4: [
+    ["0.0.0.0", 8], // "this" network
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10], // carrier-grade NAT
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16], // link-local, including cloud metadata endpoints
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15], // benchmarking
+    ["224.0.0.0", 4], // multicast
+    ["240.0.0.0", 4], // reserved and broadcast
+  ],
+  ipv6: [
+    ["::", 128],
+    ["::1", 128],
+    ["64:ff9b::", 96], // NAT64
+    ["fc00::", 7], // unique local
+    ["fe80::", 10], // link-local
+    ["ff00::", 8], // multicast
+  ],
+};
+
+// BlockList also checks IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges
+const nonPublic = new net.BlockList();
+for (const [family, ranges] of Object.entries(NON_PUBLIC_RANGES)) {
+  for (const [prefix, bits] of ranges) {
+    nonPublic.addSubnet(prefix, bits, family);
+  }
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for addresses outside every loopback, private and reserved range
+ */
+function isPublicAddress(address) {
+  const version = net.isIP(address);
+  return version !== 0 && !nonPublic.check(address, version === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Resolve a host, refusing it when any of its addresses is not public
+ * @param {string} hostname - Host name or IP literal (IPv6 may be in brackets, as in URLs)
+ * @param {Function} [lookup] - `dns.promises.lookup` compatible resolver
+ * @returns {Promise<{address: string, family: number}[]>} The host's addresses
+ */
+async function resolvePublicAddresses(hostname, lookup = dns.promises.lookup) {
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await lookup(host, { all: true });
+
+  const refused = addresses.find(({ address }) => !isPublicAddress(address));
+  if (refused || !addresses.length) {
+    const message = refused
+      ? `callbackUrl host ${host} resolves to a non-public address (${refused.address})`
+      : `callbackUrl host ${host} does not resolve`;
+    throw new ValidationError(message, [{ path: "callbackUrl", message }]);
+  }
+  return addresses;
+}
+
+module.exports = {
+  isPublicAddress,
+  resolvePublicAddresses,
+};
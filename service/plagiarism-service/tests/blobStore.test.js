@@ -0,0 +1,88 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const blobs = require("../src/storage/blobs/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+
+describe("Filesystem blob store", () => {
+  let tmpDir;
+  let store;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "blob-store-"));
+    store = blobs.createFilesystemBlobStore({ directory: tmpDir });
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should write, stream, copy and delete blobs by scan prefix", async () => {
+    await store.put("scan-1/crawled.json", '{"text":"hi"}');
+    await store.copy("scan-1/crawled.json", "scan-2/crawled.json");
+
+    const chunks = [];
+    for await (const chunk of store.createReadStream("scan-2/crawled.json")) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).toBe('{"text":"hi"}');
+
+    await store.deletePrefix("scan-1");
+    expect(await store.exists("scan-1/crawled.json")).toBe(false);
+    expect(await store.exists("scan-2/crawled.json")).toBe(true);
+  });
+
+  it("should reject keys that escape the blob directory", async () => {
+    await expect(store.put("../outside.json", "{}")).rejects.toThrow(/outside the blob directory/);
+  });
+});
+
+describe("Payload download endpoints", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    scanStore.useBlobStore(blobs.createMemoryBlobStore());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  it("should stream stored crawled and PDF payloads", async () => {
+    const record = await scanStore.createScanRecord("Download me");
+    await scanStore.storeCrawled(record.scanId, { text: { value: "Download me" } }, "Download me");
+    await scanStore.storePdf(record.scanId, { pdf: "base64" });
+
+    const crawled = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/crawled` });
+    const pdf = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/pdf` });
+
+    expect(crawled.statusCode).toBe(200);
+    expect(crawled.headers["content-type"]).toMatch(/application\/json/);
+    expect(crawled.json()).toEqual({ text: { value: "Download me" } });
+    expect(pdf.json()).toEqual({ pdf: "base64" });
+  });
+
+  it("should answer 404 before the payload arrives and 410 after expiry", async () => {
+    const record = await scanStore.createScanRecord("Not yet");
+
+    const missing = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/pdf` });
+    expect(missing.statusCode).toBe(404);
+
+    await scanStore.storePdf(record.scanId, { pdf: "base64" });
+    await scanStore.expireScan(record.scanId);
+
+    const expired = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/pdf` });
+    expect(expired.statusCode).toBe(410);
+  });
+});
@@ -0,0 +1,252 @@
+import crypto from "node:crypto";
+import http from "node:http";
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const axios = require("axios");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { getSubmissionQueue } = require("../src/services/submissionQueue.js");
+const {
+  CallbackDispatcher,
+  signCallback,
+  useCallbackDispatcher,
+} = require("../src/services/callbackDispatcher.js");
+
+const signingSecret = "test-callback-secret";
+// Addresses callback hosts resolve to; 203.0.113.0/24 is a documentation range
+const hosts = new Map([
+  ["lms.example.com", "203.0.113.10"],
+  ["intranet.example.com", "10.0.0.5"],
+]);
+const lookup = async (hostname) => [{ address: hosts.get(hostname), family: 4 }];
+
+describe("Outbound callbacks", () => {
+  let app;
+  let dispatcher;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    dispatcher = new CallbackDispatcher(scanStore, {
+      signingSecret,
+      maxAttempts: 3,
+      baseDelayMs: 1,
+      lookup,
+    });
+    useCallbackDispatcher(dispatcher);
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+    useCallbackDispatcher(null);
+  });
+
+  const submit = (payload) => app.inject({ method: "POST", url: "/plagiarism", payload });
+  const post = (url, payload = {}) => app.inject({ method: "POST", url, payload });
+
+  it("should deliver signed callbacks for subscribed events only", async () => {
+    vi.spyOn(plagiarismScanner, "submitTextScan").mockResolvedValue({});
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const deliver = vi.spyOn(axios, "post").mockResolvedValue({ status: 204 });
+
+    const submitted = await submit({
+      text: "Callback text",
+      callbackUrl: "https://lms.example.com/hooks/plagiarism",
+      callbackEvents: ["completed", "exported", "highlights-ready"],
+    });
+    const { scanId } = submitted.json();
+    await getSubmissionQueue().process();
+    await post(`/webhook/completed/${scanId}`, {
+      results: { internet: [{ id: "result-1" }], score: { aggregatedScore: 25 } },
+      scannedDocument: { totalWords: 60 },
+    });
+    await post(`/webhook/result/${scanId}/result-1`, { text: {} });
+    await post(`/webhook/export-completed/${scanId}`, { completed: true });
+    await dispatcher.drain();
+
+    const bodies = deliver.mock.calls.map(([, body]) => JSON.parse(body));
+    expect(bodies.map((body) => body.event)).toEqual(["completed", "exported", "highlights-ready"]);
+    expect(bodies[0]).toMatchObject({ scanId, data: { summary: { score: 25 } } });
+    expect(bodies[2].data).toEqual({ highlightUrl: `/plagiarism/${scanId}/highlight` });
+
+    const [url, body, { headers, maxRedirects }] = deliver.mock.calls[0];
+    const timestamp = headers["x-plagiarism-signature"].match(/^t=(\d+),/)[1];
+    expect(url).toBe("https://lms.example.com/hooks/plagiarism");
+    expect(maxRedirects).toBe(0);
+    expect(headers["X-Plagiarism-Event"]).toBe("completed");
+    expect(headers["X-Plagiarism-Delivery"]).toBe(bodies[0].id);
+    expect(headers["x-plagiarism-signature"]).toBe(
+      signCallback(signingSecret, body, Number(timestamp))
+    );
+    expect(headers["x-plagiarism-signature"]).toContain(
+      crypto.createHmac("sha256", signingSecret).update(`${timestamp}.${body}`).digest("hex")
+    );
+  });
+
+  it("should retry failed deliveries with backoff and log every attempt", async () => {
+    vi.spyOn(plagiarismScanner, "submitTextScan").mockResolvedValue({});
+    vi.spyOn(axios, "post")
+      .mockRejectedValueOnce(new Error("connect ECONNREFUSED"))
+      .mockResolvedValueOnce({ status: 503 })
+      .mockResolvedValueOnce({ status: 200 });
+
+    const submitted = await submit({
+      text: "Retried callback",
+      callbackUrl: "https://lms.example.com/hooks/plagiarism",
+      callbackEvents: ["submitted"],
+    });
+    const { scanId } = submitted.json();
+    await getSubmissionQueue().process();
+    await dispatcher.drain();
+
+    const response = await app.inject({ method: "GET", url: `/plagiarism/${scanId}/callbacks` });
+    const log = response.json();
+
+    expect(response.statusCode).toBe(200);
+    expect(log.callback).toEqual({
+      url: "https://lms.example.com/hooks/plagiarism",
+      events: ["submitted"],
+    });
+    expect(log.deliveries.map((entry) => [entry.type, entry.data.attempt])).toEqual([
+      ["callback.failed", 1],
+      ["callback.failed", 2],
+      ["callback.delivered", 3],
+    ]);
+    expect(log.deliveries[0].data).toMatchObject({
+      event: "submitted",
+      statusCode: null,
+      message: "connect ECONNREFUSED",
+      retryInMs: 1,
+    });
+    expect(log.deliveries[1].data).toMatchObject({ statusCode: 503, retryInMs: 2 });
+    expect(new Set(log.deliveries.map((entry) => entry.data.deliveryId)).size).toBe(1);
+  });
+
+  it("should give up after the last attempt", async () => {
+    vi.spyOn(plagiarismScanner, "submitTextScan").mockRejectedValue(new Error("Quota exceeded"));
+    vi.spyOn(axios, "post").mockResolvedValue({ status: 500 });
+
+    await submit({ text: "Failing callback", callbackUrl: "https://lms.example.com/hooks" });
+    await getSubmissionQueue().process();
+    await dispatcher.drain();
+    const { items } = await scanStore.listScans({ filters: { status: ["error"] } });
+    const events = await scanStore.listEvents(items[0].scanId);
+    const attempts = events.filter((event) => event.type === "callback.failed");
+
+    expect(attempts).toHaveLength(3);
+    expect(attempts[0].data.event).toBe("error");
+    expect(attempts.at(-1).data.retryInMs).toBeNull();
+  });
+
+  it("should drop retries still backing off once the drain deadline passes", async () => {
+    vi.spyOn(axios, "post").mockResolvedValue({ status: 500 });
+    const shuttingDown = new CallbackDispatcher(scanStore, {
+      signingSecret,
+      baseDelayMs: 60000,
+      lookup,
+    });
+    const { scanId } = await scanStore.createScanRecord("Shutdown callback", {
+      callback: { url: "https://lms.example.com/hooks", events: ["completed"] },
+    });
+
+    shuttingDown.notify(scanId, "completed");
+    const started = Date.now();
+    await shuttingDown.drain({ timeoutMs: 50 });
+
+    expect(Date.now() - started).toBeLessThan(5000);
+    await vi.waitFor(() => expect(shuttingDown.pending.size).toBe(0));
+    const attempts = (await scanStore.listEvents(scanId)).filter(
+      (event) => event.type === "callback.failed"
+    );
+    expect(attempts.map((event) => event.data.retryInMs)).toEqual([60000]);
+  });
+
+  it("should reject callbacks when no signing secret is configured", async () => {
+    useCallbackDispatcher(new CallbackDispatcher(scanStore, {}));
+
+    const response = await submit({ text: "Unsigned", callbackUrl: "https://lms.example.com" });
+
+    useCallbackDispatcher(dispatcher);
+    expect(response.statusCode).toBe(400);
+  });
+
+  it("should refuse callback hosts on loopback, private and link-local addresses", async () => {
+    for (const callbackUrl of [
+      "http://127.0.0.1:4000/hooks",
+      "http://[::1]/hooks",
+      "http://[::ffff:192.168.1.20]/hooks",
+      "http://169.254.169.254/latest/meta-data",
+      "https://intranet.example.com/hooks",
+    ]) {
+      const response = await submit({ text: "Internal callback", callbackUrl });
+
+      expect(response.statusCode).toBe(400);
+      expect(response.json().details[0]).toMatchObject({ path: "callbackUrl" });
+    }
+  });
+
+  it("should stop delivering once the callback host resolves to a private address", async () => {
+    vi.spyOn(plagiarismScanner, "submitTextScan").mockResolvedValue({});
+    const deliver = vi.spyOn(axios, "post").mockResolvedValue({ status: 204 });
+    hosts.set("rebind.example.com", "203.0.113.20");
+
+    const submitted = await submit({
+      text: "Rebound callback",
+      callbackUrl: "https://rebind.example.com/hooks",
+      callbackEvents: ["submitted"],
+    });
+    hosts.set("rebind.example.com", "127.0.0.1");
+    await getSubmissionQueue().process();
+    await dispatcher.drain();
+
+    const events = await scanStore.listEvents(submitted.json().scanId);
+    const attempts = events.filter((event) => event.type.startsWith("callback."));
+    expect(deliver).not.toHaveBeenCalled();
+    expect(attempts).toHaveLength(1);
+    expect(attempts[0].data).toMatchObject({ attempt: 1, retryInMs: null });
+    expect(attempts[0].data.message).toContain("non-public address (127.0.0.1)");
+  });
+
+  it("should not connect when the host resolves to a private address after the check", async () => {
+    let requests = 0;
+    const server = http.createServer((request, response) => {
+      requests += 1;
+      response.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    let lookups = 0;
+    const rebinding = new CallbackDispatcher(scanStore, {
+      signingSecret,
+      maxAttempts: 1,
+      lookup: async () => [{ address: lookups++ ? "127.0.0.1" : "203.0.113.30", family: 4 }],
+    });
+    const { scanId } = await scanStore.createScanRecord("Rebinding callback");
+
+    const url = `http://rebind.example.com:${server.address().port}/hooks`;
+    await rebinding.deliver(scanId, url, "submitted", "delivery-1", "{}");
+    server.close();
+
+    const [attempt] = await scanStore.listEvents(scanId);
+    expect(requests).toBe(0);
+    expect(attempt.type).toBe("callback.failed");
+    expect(attempt.data.message).toContain("non-public address (127.0.0.1)");
+  });
+
+  it("should reject callback URLs that are not http(s)", async () => {
+    const response = await submit({ text: "Bad URL", callbackUrl: "ftp://lms.example.com" });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().details[0]).toMatchObject({ path: "callbackUrl" });
+  });
+});
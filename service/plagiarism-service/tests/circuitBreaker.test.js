@@ -0,0 +1,166 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const axios = require("axios");
+const config = require("../src/config/index.js");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { copyleaksClient, plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { CircuitBreaker } = require("../src/services/circuitBreaker.js");
+const { getSubmissionQueue } = require("../src/services/submissionQueue.js");
+
+const outage = () => Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" });
+const notFound = () => Object.assign(new Error("Not found"), { response: { status: 404 } });
+
+describe("CircuitBreaker", () => {
+  const newBreaker = () =>
+    new CircuitBreaker({
+      name: "Test",
+      failureThreshold: 2,
+      resetTimeoutMs: 1000,
+      trialTimeoutMs: 500,
+      isFailure: (error) => !error.response,
+      openError: (retryAfterMs) => Object.assign(new Error("open"), { retryAfterMs }),
+    });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should open after consecutive failures and fail fast until the reset timeout", async () => {
+    vi.useFakeTimers();
+    const breaker = newBreaker();
+    const call = vi.fn().mockRejectedValue(outage());
+
+    await expect(breaker.execute(call)).rejects.toThrow("ECONNREFUSED");
+    await expect(breaker.execute(call)).rejects.toThrow("ECONNREFUSED");
+    expect(breaker.state).toBe("open");
+
+    vi.advanceTimersByTime(400);
+    await expect(breaker.execute(call)).rejects.toMatchObject({
+      message: "open",
+      retryAfterMs: 600,
+    });
+    expect(call).toHaveBeenCalledTimes(2);
+
+    // Half-open: one trial call, and it closes the circuit
+    vi.advanceTimersByTime(600);
+    call.mockResolvedValueOnce("ok");
+    await expect(breaker.execute(call)).resolves.toBe("ok");
+    expect(breaker.snapshot()).toMatchObject({ state: "closed", failures: 0, retryAt: null });
+  });
+
+  it("should reopen when the trial call fails and let one trial through at a time", async () => {
+    vi.useFakeTimers();
+    const breaker = newBreaker();
+    const failing = vi.fn().mockRejectedValue(outage());
+    await expect(breaker.execute(failing)).rejects.toThrow();
+    await expect(breaker.execute(failing)).rejects.toThrow();
+    vi.advanceTimersByTime(1000);
+
+    let failTrial;
+    const trial = breaker.execute(
+      () =>
+        new Promise((_resolve, reject) => {
+          failTrial = () => reject(outage());
+        })
+    );
+    expect(breaker.state).toBe("half-open");
+    await expect(breaker.execute(failing)).rejects.toThrow("open");
+
+    failTrial();
+    await expect(trial).rejects.toThrow("ECONNREFUSED");
+    expect(breaker.state).toBe("open");
+    expect(failing).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reopen when the trial call is still running at its deadline", async () => {
+    vi.useFakeTimers();
+    const breaker = newBreaker();
+    const failing = vi.fn().mockRejectedValue(outage());
+    await expect(breaker.execute(failing)).rejects.toThrow();
+    await expect(breaker.execute(failing)).rejects.toThrow();
+    vi.advanceTimersByTime(1000);
+
+    const trial = breaker.execute(() => new Promise(() => {}));
+    const assertion = expect(trial).rejects.toThrow("Test trial call timed out after 500ms");
+    await vi.advanceTimersByTimeAsync(500);
+    await assertion;
+    expect(breaker.snapshot()).toMatchObject({
+      state: "open",
+      lastFailure: { message: "Test trial call timed out after 500ms" },
+    });
+  });
+
+  it("should not count errors answered by a healthy API", async () => {
+    const breaker = newBreaker();
+
+    await expect(breaker.execute(() => Promise.reject(outage()))).rejects.toThrow();
+    await expect(breaker.execute(() => Promise.reject(notFound()))).rejects.toThrow();
+    await expect(breaker.execute(() => Promise.reject(outage()))).rejects.toThrow();
+
+    expect(breaker.state).toBe("closed");
+  });
+});
+
+describe("Copyleaks circuit", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const submit = () =>
+    app.inject({ method: "POST", url: "/plagiarism", payload: { text: "Circuit test", options: { forceRescan: true } } });
+
+  it("should fail queued submissions fast and retry them later while Copyleaks is down", async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.spyOn(copyleaksClient, "getAuthToken").mockResolvedValue("token");
+    // No backoff delays; every submission makes one attempt
+    vi.spyOn(plagiarismScanner, "retryWithBackoff").mockImplementation((fn) => fn());
+    const put = vi.spyOn(axios, "put").mockRejectedValue(outage());
+
+    // One more scan than it takes to open the circuit; the queue sends them in order
+    const scanIds = [];
+    for (let count = 0; count <= config.copyleaks.circuit.failureThreshold; count += 1) {
+      const response = await submit();
+      expect(response.statusCode).toBe(202);
+      scanIds.push(response.json().scanId);
+    }
+    await getSubmissionQueue().process();
+
+    expect(put).toHaveBeenCalledTimes(config.copyleaks.circuit.failureThreshold);
+    const last = await scanStore.getScan(scanIds.at(-1));
+    expect(last.status).toBe("queued");
+    expect(last.submission).toMatchObject({
+      attempts: 1,
+      startedAt: null,
+      lastError: expect.stringMatching(/^Copyleaks is unavailable; retry in \d+s$/),
+    });
+    // Transient failures are retried later rather than failing the scan
+    expect((await scanStore.getScan(scanIds[0])).status).toBe("queued");
+
+    const health = (await app.inject({ method: "GET", url: "/health" })).json();
+    expect(health.status).toBe("degraded");
+    expect(health.copyleaks.circuit).toMatchObject({
+      state: "open",
+      failures: config.copyleaks.circuit.failureThreshold,
+      lastFailure: { message: "connect ECONNREFUSED" },
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+
+// Load through require so the tests share the axios instance used by the client
+const require = createRequire(import.meta.url);
+const axios = require("axios");
+const CopyleaksClient = require("../src/services/copyleaks-client.js");
+
+const HOUR = 60 * 60 * 1000;
+
+describe("CopyleaksClient authentication", () => {
+  let client;
+
+  // Login responses handing out token-1, token-2, ... valid for `lifetime`
+  const mockLogins = (lifetime = 2 * HOUR) => {
+    let issued = 0;
+    return vi.spyOn(axios, "post").mockImplementation(async () => {
+      issued += 1;
+      return {
+        data: {
+          access_token: `token-${issued}`,
+          ".issued": new Date().toISOString(),
+          ".expires": new Date(Date.now() + lifetime).toISOString(),
+        },
+      };
+    });
+  };
+  const unauthorized = () => Object.assign(new Error("Unauthorized"), { response: { status: 401 } });
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    client = new CopyleaksClient("user@example.com", "key", { refreshMarginMs: 5 * 60 * 1000 });
+  });
+
+  afterEach(() => {
+    client.close();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("should share one login between concurrent callers and keep the returned expiry", async () => {
+    const login = mockLogins();
+
+    const tokens = await Promise.all(Array.from({ length: 5 }, () => client.getAuthToken()));
+
+    expect(tokens).toEqual(Array(5).fill("token-1"));
+    expect(login).toHaveBeenCalledTimes(1);
+    expect(client.tokenExpiry).toBe(
+      Date.parse((await login.mock.results[0].value).data[".expires"])
+    );
+    expect(await client.getAuthToken()).toBe("token-1");
+    expect(login).toHaveBeenCalledTimes(1);
+  });
+
+  it("should refresh the token in the background before it expires", async () => {
+    vi.useFakeTimers();
+    const login = mockLogins(HOUR);
+    await client.getAuthToken();
+
+    await vi.advanceTimersByTimeAsync(54 * 60 * 1000);
+    expect(login).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(60 * 1000);
+    expect(login).toHaveBeenCalledTimes(2);
+    expect(await client.getAuthToken()).toBe("token-2");
+    expect(login).toHaveBeenCalledTimes(2);
+  });
+
+  it("should keep the current token when a background refresh fails", async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const login = mockLogins(HOUR);
+    await client.getAuthToken();
+    login.mockRejectedValueOnce(new Error("Copyleaks unavailable"));
+
+    await vi.advanceTimersByTimeAsync(55 * 60 * 1000);
+    expect(await client.getAuthToken()).toBe("token-1");
+
+    // Retried shortly after the failure
+    await vi.advanceTimersByTimeAsync(30 * 1000);
+    expect(login).toHaveBeenCalledTimes(3);
+    expect(await client.getAuthToken()).toBe("token-2");
+  });
+
+  it("should log in again and retry once when a call is rejected with 401", async () => {
+    const login = mockLogins();
+    await client.getAuthToken();
+    const request = vi.fn(async (token) => {
+      if (token === "token-1") {
+        throw unauthorized();
+      }
+      return `called with ${token}`;
+    });
+
+    // Both calls get 401 with token-1 and share the second login
+    const results = await Promise.all([
+      client.withAuthToken(request),
+      client.withAuthToken(request),
+    ]);
+
+    expect(results).toEqual(["called with token-2", "called with token-2"]);
+    expect(login).toHaveBeenCalledTimes(2);
+
+    const rejected = vi.fn().mockRejectedValue(unauthorized());
+    await expect(client.withAuthToken(rejected)).rejects.toThrow("Unauthorized");
+    expect(rejected).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,152 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, beforeEach, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const axios = require("axios");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const CopyleaksClient = require("../src/services/copyleaks-client.js");
+const PlagiarismScanner = require("../src/services/plagiarism-scanner.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { SubmissionQueue } = require("../src/services/submissionQueue.js");
+const { buildEmulator } = require("../src/emulator/copyleaksEmulator.js");
+const {
+  CompletedWebhookSchema,
+  ResultExportWebhookSchema,
+} = require("../src/schemas/webhook.schemas.js");
+
+const ESSAY =
+  "The industrial revolution changed how people worked, where they lived and what they ate. " +
+  "Factories drew workers from the countryside into crowded cities, and new machines made " +
+  "cloth, iron and paper cheaper than ever before. Historians still argue about its causes.";
+
+describe("Copyleaks emulator", () => {
+  let app;
+  let emulator;
+  let emulatorUrl;
+  let serviceUrl;
+  let client;
+  let scanner;
+
+  const listen = async (server) => {
+    await server.listen({ port: 0, host: "127.0.0.1" });
+    return `http://127.0.0.1:${server.server.address().port}`;
+  };
+
+  beforeAll(async () => {
+    app = buildServer();
+    serviceUrl = await listen(app);
+    emulator = buildEmulator({ webhookDelayMs: 0, resultCount: 2 });
+    emulatorUrl = await listen(emulator);
+  });
+
+  beforeEach(() => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    client = new CopyleaksClient("dev@example.com", "any-key", {
+      idUrl: emulatorUrl,
+      apiUrl: emulatorUrl,
+    });
+    scanner = new PlagiarismScanner(client, serviceUrl, "scans", emulatorUrl);
+    // Exports requested by the completed webhook go to the emulator too
+    vi.spyOn(plagiarismScanner, "exportResults").mockImplementation((...args) =>
+      scanner.exportResults(...args)
+    );
+  });
+
+  afterEach(() => {
+    client.close();
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await emulator.close();
+    await app.close();
+    await scanStore.close();
+  });
+
+  it("should take a scan from submission to highlights through the webhooks", async () => {
+    const submitted = await app.inject({
+      method: "POST",
+      url: "/plagiarism",
+      payload: { text: ESSAY },
+    });
+    const { scanId } = submitted.json();
+
+    await new SubmissionQueue(scanStore, scanner).process();
+    await emulator.emulator.idle();
+
+    const scan = (await app.inject({ method: "GET", url: `/plagiarism/${scanId}` })).json();
+    expect(scan.status).toBe("completed");
+    expect(scan.exported).toMatchObject({ crawled: true, pdfReport: true, status: "completed" });
+    expect(scan.exported.results).toHaveLength(2);
+    expect(emulator.emulator.deliveries.map(({ event, statusCode }) => [event, statusCode]))
+      .toEqual([
+        ["newResult", 200],
+        ["newResult", 200],
+        ["completed", 200],
+        ["result", 200],
+        ["result", 200],
+        ["crawled", 200],
+        ["pdf", 200],
+        ["export-completed", 200],
+      ]);
+
+    const highlight = (
+      await app.inject({ method: "GET", url: `/plagiarism/${scanId}/highlight` })
+    ).json();
+    expect(highlight.statistics.plagiarismMatches).toBe(4);
+    const [first] = highlight.highlights[0].highlights;
+    expect(first.affectedText).toBe(ESSAY.slice(first.start, first.end));
+
+    const pdf = await app.inject({ method: "GET", url: `/plagiarism/${scanId}/pdf` });
+    expect(pdf.headers["content-type"]).toContain("application/pdf");
+    expect(pdf.rawPayload.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+
+  it("should report results whose ranges match passages of the submitted text", async () => {
+    await scanner.submitTextScan("emulated-1", ESSAY);
+    await emulator.emulator.idle();
+    const completed = CompletedWebhookSchema.parse(
+      emulator.emulator.scans.get("emulated-1").synthetic.completed
+    );
+
+    expect(completed.scannedDocument.totalWords).toBe(ESSAY.split(" ").length);
+    expect(completed.results.internet).toHaveLength(2);
+    expect(completed.results.score.aggregatedScore).toBeGreaterThan(0);
+
+    const [source] = completed.results.internet;
+    const result = ResultExportWebhookSchema.parse(
+      await scanner.downloadResult("emulated-1", source.id)
+    );
+    const { source: scanned, suspected } = result.text.comparison.identical;
+    const copied = ESSAY.substr(scanned.chars.starts[0], scanned.chars.lengths[0]);
+    expect(result.text.value.substr(suspected.chars.starts[0], suspected.chars.lengths[0])).toBe(
+      copied
+    );
+    expect(copied.split(" ")).toHaveLength(scanned.words.lengths[0]);
+  });
+
+  it("should reject duplicate scans, deleted scans and unknown tokens", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    await scanner.submitTextScan("emulated-2", ESSAY);
+    await expect(scanner.submitTextScan("emulated-2", ESSAY)).rejects.toMatchObject({
+      cause: { response: { status: 409 } },
+    });
+
+    await scanner.deleteScan("emulated-2");
+    await emulator.emulator.idle();
+    await expect(scanner.getScanProgress("emulated-2")).rejects.toThrow("not found");
+    await expect(scanner.exportResults("emulated-2", ["any"])).rejects.toThrow(
+      "Scan emulated-2 not found"
+    );
+
+    const account = await client.getAccountInfo();
+    expect(account.email).toBe("dev@example.com");
+    await expect(
+      axios.get(`${emulatorUrl}/v3/account`, { headers: { Authorization: "Bearer forged" } })
+    ).rejects.toMatchObject({ response: { status: 401 } });
+  });
+});
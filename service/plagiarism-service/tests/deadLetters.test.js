@@ -0,0 +1,230 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const config = require("../src/config/index.js");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+
+const completed = {
+  results: { internet: [{ id: "result-1" }], score: { aggregatedScore: 30 } },
+  scannedDocument: { totalWords: 70 },
+};
+
+describe("Dead-letter queue", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  // Webhook routes ignore the operator token, so every POST can carry it
+  const operator = { authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` };
+  const post = (url, payload = {}) =>
+    app.inject({ method: "POST", url, payload, headers: operator });
+  const admin = (method, url) => app.inject({ method, url, headers: operator });
+  // Brings a scan back the way an archive import does
+  const restore = (scanId) =>
+    scanStore.restoreScan({
+      record: { scanId, text: "Restored", status: "pending", createdAt: new Date().toISOString() },
+      blobs: {},
+      events: [],
+    });
+  const lettersFor = async (scanId) =>
+    (await admin("GET", `/admin/dead-letters?scanId=${scanId}`)).json();
+
+  it("should keep webhooks for unknown scans and replay them once the scan exists", async () => {
+    const { scanId } = await scanStore.createScanRecord("Restored later");
+    await scanStore.deleteScan(scanId);
+
+    const ignored = await post(`/webhook/result/${scanId}/result-1`, { text: { value: "x" } });
+    const listed = await lettersFor(scanId);
+    const [letter] = listed.items;
+
+    expect(ignored.statusCode).toBe(202);
+    expect(listed.count).toBe(1);
+    expect(letter).toMatchObject({
+      webhook: "webhook.result",
+      url: `/webhook/result/${scanId}/result-1`,
+      reason: "unknownScan",
+      status: "pending",
+      replayCount: 0,
+    });
+
+    const inspected = await admin("GET", `/admin/dead-letters/${letter.id}`);
+    // Letters keep the payload as validated, with its collections normalized
+    expect(inspected.json().payload).toEqual({ text: { value: "x", comparison: {} } });
+
+    // Still unknown: the replay is ignored again and the letter stays pending
+    const early = await post(`/admin/dead-letters/${letter.id}/replay`);
+    expect(early.json()).toMatchObject({
+      status: "pending",
+      replayCount: 1,
+      lastReplay: { statusCode: 202, outcome: "ignored" },
+    });
+    expect((await lettersFor(scanId)).count).toBe(1);
+
+    await restore(scanId);
+    const replayed = await post(`/admin/dead-letters/${letter.id}/replay`);
+
+    expect(replayed.json()).toMatchObject({
+      status: "replayed",
+      replayCount: 2,
+      lastReplay: { statusCode: 200, outcome: "processed" },
+    });
+    expect(Object.keys((await scanStore.getScan(scanId)).exported.results)).toEqual(["result-1"]);
+
+    const again = await post(`/admin/dead-letters/${letter.id}/replay`);
+    expect(again.statusCode).toBe(409);
+  });
+
+  it("should dead-letter a failed export request and retry the export on replay", async () => {
+    const exportResults = vi
+      .spyOn(plagiarismScanner, "exportResults")
+      .mockRejectedValueOnce(new Error("Copyleaks unavailable"))
+      .mockResolvedValueOnce({});
+    const { scanId } = await scanStore.createScanRecord("Export outage");
+
+    const response = await post(`/webhook/completed/${scanId}`, completed);
+    const [letter] = (await lettersFor(scanId)).items;
+
+    expect(response.statusCode).toBe(200);
+    expect(letter).toMatchObject({ reason: "exportFailed", message: "Copyleaks unavailable" });
+    expect((await scanStore.getScan(scanId)).exportStarted).toBe(false);
+
+    const replayed = await post(`/admin/dead-letters/${letter.id}/replay`);
+    const record = await scanStore.getScan(scanId);
+
+    expect(replayed.json().status).toBe("replayed");
+    expect(exportResults).toHaveBeenCalledTimes(2);
+    expect(record.status).toBe("completed");
+    expect(record.exportStarted).toBe(true);
+    expect((await lettersFor(scanId)).count).toBe(1);
+  });
+
+  it("should keep the letter pending when its replay fails again", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockRejectedValue(new Error("Still down"));
+    const { scanId } = await scanStore.createScanRecord("Long outage");
+
+    await post(`/webhook/completed/${scanId}`, completed);
+    const [letter] = (await lettersFor(scanId)).items;
+    const replayed = await post(`/admin/dead-letters/${letter.id}/replay`);
+
+    expect(replayed.json()).toMatchObject({
+      status: "pending",
+      lastReplay: { statusCode: 500, outcome: "failed" },
+    });
+    // Replays never add letters of their own
+    expect((await lettersFor(scanId)).count).toBe(1);
+  });
+
+  it("should dead-letter failed handling and late finishing webhooks", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const { scanId } = await scanStore.createScanRecord("Failures");
+    vi.spyOn(scanStore, "storePdf").mockRejectedValueOnce(new Error("Disk full"));
+
+    await post(`/webhook/pdf/${scanId}`, { pdf: "base64" });
+    await post(`/webhook/completed/${scanId}`, completed);
+    await post(`/webhook/error/${scanId}`, { error: "Late failure" });
+    await post(`/webhook/error/${scanId}`, { error: "Late failure" });
+
+    const { items } = await lettersFor(scanId);
+    expect(items.map((letter) => [letter.webhook, letter.reason, letter.message]).sort()).toEqual([
+      ["webhook.error", "finished", null],
+      ["webhook.pdf", "failed", "Disk full"],
+    ]);
+  });
+
+  it("should replay pending letters in bulk, oldest first", async () => {
+    const scanIds = [];
+    for (const text of ["Outage 1", "Outage 2"]) {
+      const { scanId } = await scanStore.createScanRecord(text);
+      await scanStore.deleteScan(scanId);
+      await post(`/webhook/creditsChecked/${scanId}`, { credits: 3 });
+      await post(`/webhook/pdf/${scanId}`, { pdf: "base64" });
+      scanIds.push(scanId);
+    }
+
+    // Only the first scan comes back
+    await restore(scanIds[0]);
+    const response = await post("/admin/dead-letters/replay", {
+      reason: "unknownScan",
+      scanId: scanIds[0],
+    });
+    const result = response.json();
+
+    expect(response.statusCode).toBe(200);
+    expect(result).toMatchObject({ attempted: 2, processed: 2, skipped: [] });
+    expect(result.items.map((letter) => letter.webhook).sort()).toEqual([
+      "webhook.creditsChecked",
+      "webhook.pdf",
+    ]);
+    expect(result.items[0].receivedAt <= result.items[1].receivedAt).toBe(true);
+    const record = await scanStore.getScan(scanIds[0]);
+    expect(record.credits).toBe(3);
+    expect(record.exported.pdfReport).toBeTruthy();
+
+    const byId = await post("/admin/dead-letters/replay", {
+      ids: [result.items[0].id, "missing"],
+    });
+    expect(byId.json()).toMatchObject({ attempted: 0, skipped: [result.items[0].id, "missing"] });
+    expect((await lettersFor(scanIds[1])).items.every((letter) => letter.status === "pending"))
+      .toBe(true);
+  });
+
+  it("should not dead-letter duplicates or webhooks for expired scans", async () => {
+    const { scanId } = await scanStore.createScanRecord("Expired");
+    await post(`/webhook/creditsChecked/${scanId}`, { credits: 1 });
+    await post(`/webhook/creditsChecked/${scanId}`, { credits: 1 });
+    await scanStore.expireScan(scanId);
+    await post(`/webhook/pdf/${scanId}`, { pdf: "base64" });
+
+    expect((await lettersFor(scanId)).count).toBe(0);
+  });
+
+  it("should only let operators with the admin token in", async () => {
+    const list = (headers) => app.inject({ method: "GET", url: "/admin/dead-letters", headers });
+
+    expect((await list({})).statusCode).toBe(401);
+    expect((await list({ authorization: "Bearer wrong-token" })).statusCode).toBe(401);
+    expect((await list(operator)).statusCode).toBe(200);
+
+    // Without a configured token the endpoints are closed to everyone
+    const { token } = config.admin;
+    config.admin.token = "";
+    try {
+      const disabled = await list(operator);
+      expect(disabled.statusCode).toBe(403);
+      expect(disabled.json().error).toContain("ADMIN_API_TOKEN");
+    } finally {
+      config.admin.token = token;
+    }
+  });
+
+  it("should delete dead letters and 404 on unknown ids", async () => {
+    const scanId = "never-existed";
+    await post(`/webhook/pdf/${scanId}`, { pdf: "base64" });
+    const [letter] = (await lettersFor(scanId)).items;
+
+    const deleted = await admin("DELETE", `/admin/dead-letters/${letter.id}`);
+    const missing = await admin("GET", `/admin/dead-letters/${letter.id}`);
+
+    expect(deleted.json()).toEqual({ success: true });
+    expect(missing.statusCode).toBe(404);
+    expect((await lettersFor(scanId)).count).toBe(0);
+  });
+});
@@ -0,0 +1,97 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { getSubmissionQueue } = require("../src/services/submissionQueue.js");
+const { hashSubmission } = require("../src/utils/contentHash.js");
+
+describe("Content-hash deduplication", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const submit = (payload) => app.inject({ method: "POST", url: "/plagiarism", payload });
+
+  async function completeScan(scanId) {
+    await scanStore.updateStatus(scanId, "completed", { summary: { score: 64 } });
+    await scanStore.storeExportedResult(scanId, "result-1", { text: { comparison: {} } });
+  }
+
+  it("should hash normalized text and result-affecting options only", () => {
+    const base = hashSubmission("Hello  world\r\n", { sensitivityLevel: 3 });
+
+    expect(hashSubmission(" Hello world", { sensitivityLevel: 3, expiration: "60" })).toBe(base);
+    expect(hashSubmission("Hello world", { sensitivityLevel: 4 })).not.toBe(base);
+    expect(hashSubmission("Hello there", { sensitivityLevel: 3 })).not.toBe(base);
+  });
+
+  it("should reuse a completed scan instead of submitting identical text again", async () => {
+    const submitTextScan = vi.spyOn(plagiarismScanner, "submitTextScan").mockResolvedValue({});
+
+    const first = await submit({ text: "Editors resubmit this paragraph." });
+    expect(first.statusCode).toBe(202);
+    await getSubmissionQueue().process();
+    await completeScan(first.json().scanId);
+
+    const second = await submit({ text: "Editors  resubmit this paragraph.\n" });
+
+    expect(second.statusCode).toBe(200);
+    expect(second.json()).toMatchObject({ status: "completed", reusedFrom: first.json().scanId });
+    expect(submitTextScan).toHaveBeenCalledTimes(1);
+
+    const highlight = await app.inject({
+      method: "GET",
+      url: `/plagiarism/${second.json().scanId}/highlight`,
+    });
+    expect(highlight.statusCode).toBe(200);
+
+    const events = await scanStore.listEvents(second.json().scanId);
+    expect(events.map((event) => event.type)).toEqual(["scan.reused"]);
+  });
+
+  it("should submit a fresh scan when forceRescan is set or options differ", async () => {
+    const submitTextScan = vi.spyOn(plagiarismScanner, "submitTextScan").mockResolvedValue({});
+
+    const first = await submit({ text: "Force me" });
+    await getSubmissionQueue().process();
+    await completeScan(first.json().scanId);
+
+    const forced = await submit({ text: "Force me", options: { forceRescan: true } });
+    const stricter = await submit({ text: "Force me", options: { sensitivityLevel: 5 } });
+
+    expect(forced.statusCode).toBe(202);
+    expect(stricter.statusCode).toBe(202);
+    await getSubmissionQueue().process();
+    expect(submitTextScan).toHaveBeenCalledTimes(3);
+  });
+
+  it("should not reuse scans that are still pending", async () => {
+    const submitTextScan = vi.spyOn(plagiarismScanner, "submitTextScan").mockResolvedValue({});
+
+    await submit({ text: "Still pending" });
+    await getSubmissionQueue().process();
+    const second = await submit({ text: "Still pending" });
+    await getSubmissionQueue().process();
+
+    expect(second.statusCode).toBe(202);
+    expect(submitTextScan).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,140 @@
+import crypto from "node:crypto";
+import { createRequire } from "node:module";
+import { Readable } from "node:stream";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const blobs = require("../src/storage/blobs/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { createEnvelopeCipher, parseKeyring } = require("../src/storage/encryption.js");
+
+const oldKey = `old:${crypto.randomBytes(32).toString("base64")}`;
+const newKey = `new:${crypto.randomBytes(32).toString("base64")}`;
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+describe("Envelope cipher", () => {
+  const cipher = createEnvelopeCipher({ keys: oldKey });
+
+  it("should seal and open text and JSON values", () => {
+    const sealed = cipher.sealText("Student essay");
+
+    expect(sealed).toMatch(/^enc:v1:old:/);
+    expect(sealed).not.toContain("Student essay");
+    expect(cipher.openText(sealed)).toBe("Student essay");
+    expect(cipher.openJson(cipher.sealJson({ score: 12 }))).toEqual({ score: 12 });
+    expect(cipher.openText("legacy plaintext")).toBe("legacy plaintext");
+  });
+
+  it("should decrypt sealed blobs as a stream and reject tampering", async () => {
+    const sealed = cipher.sealBuffer("x".repeat(100000));
+    const chunked = Readable.from([sealed.subarray(0, 3), sealed.subarray(3, 70), sealed.subarray(70)]);
+
+    expect(await readAll(chunked.pipe(cipher.createDecryptStream()))).toBe("x".repeat(100000));
+
+    sealed[sealed.length - 1] ^= 1;
+    await expect(readAll(Readable.from([sealed]).pipe(cipher.createDecryptStream()))).rejects.toThrow();
+  });
+
+  it("should re-wrap data keys after rotation without re-encrypting", () => {
+    const sealed = cipher.sealText("Rotate me");
+    const rotated = createEnvelopeCipher({ keys: `${oldKey},${newKey}`, activeKeyId: "new" });
+
+    const rewrapped = rotated.rewrapText(sealed);
+
+    expect(rewrapped).toMatch(/^enc:v1:new:/);
+    expect(rewrapped.split(":").at(-1)).toBe(sealed.split(":").at(-1));
+    expect(createEnvelopeCipher({ keys: newKey }).openText(rewrapped)).toBe("Rotate me");
+    expect(() => createEnvelopeCipher({ keys: newKey }).openText(sealed)).toThrow(/"old"/);
+  });
+
+  it("should reject malformed keyrings", () => {
+    expect(() => parseKeyring("short:AAAA")).toThrow(/32 bytes/);
+    expect(() => createEnvelopeCipher({ keys: oldKey, activeKeyId: "missing" })).toThrow(
+      /not in the keyring/
+    );
+    expect(createEnvelopeCipher({}).enabled).toBe(false);
+  });
+});
+
+describe("Encrypted scan store", () => {
+  let app;
+  let adapter;
+
+  beforeAll(async () => {
+    adapter = adapters.createMemoryAdapter();
+    scanStore.useAdapter(adapter);
+    scanStore.useBlobStore(blobs.createMemoryBlobStore());
+    scanStore.useCipher(createEnvelopeCipher({ keys: oldKey }));
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+    scanStore.useCipher(null);
+  });
+
+  async function createCompletedScan(text) {
+    const record = await scanStore.createScanRecord(text);
+    await scanStore.updateStatus(record.scanId, "completed", { summary: { score: 50 } });
+    await scanStore.storeExportedResult(record.scanId, "result-1", {
+      text: { comparison: { identical: { source: { chars: { starts: [0], lengths: [7] } } } } },
+    });
+    await scanStore.storeCrawled(record.scanId, { text: { value: text } }, text);
+    return record;
+  }
+
+  it("should keep text, crawled text and comparisons sealed in the backing store", async () => {
+    const record = await createCompletedScan("Private student text");
+    const raw = await adapter.getScan(record.scanId);
+
+    expect(raw.text).toMatch(/^enc:v1:old:/);
+    expect(raw.textLength).toBe("Private student text".length);
+    expect(raw.exported.results["result-1"]).toMatch(/^enc:v1:old:/);
+    expect(raw.exported.crawledText).toMatchObject({ encrypted: true });
+    expect(await scanStore.readBlobText(raw.exported.crawledText)).toBe("Private student text");
+    expect(scanStore.decryptRecord(raw).text).toBe("Private student text");
+  });
+
+  it("should decrypt transparently for highlights and the detail endpoint", async () => {
+    const record = await createCompletedScan("Private student text");
+
+    const highlight = await app.inject({
+      method: "GET",
+      url: `/plagiarism/${record.scanId}/highlight`,
+    });
+    const detail = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}` });
+
+    expect(highlight.statusCode).toBe(200);
+    expect(highlight.json()).toMatchObject({ textLength: 20, statistics: { totalHighlights: 1 } });
+    expect(highlight.json().highlightedHTML).toContain("Private");
+    expect(detail.json()).toMatchObject({ originalTextLength: 20, exported: { results: ["result-1"] } });
+    expect(JSON.stringify(detail.json())).not.toContain("enc:v1:");
+  });
+
+  it("should re-seal stored scans with a rotated key", async () => {
+    const record = await createCompletedScan("Rotated text");
+    scanStore.useCipher(createEnvelopeCipher({ keys: `${oldKey},${newKey}`, activeKeyId: "new" }));
+
+    expect(await scanStore.resealScan(record.scanId)).toBe(true);
+    expect(await scanStore.resealScan(record.scanId)).toBe(false);
+
+    // The old key can be dropped once every scan is re-sealed
+    scanStore.useCipher(createEnvelopeCipher({ keys: newKey }));
+    const raw = await adapter.getScan(record.scanId);
+    expect(raw.text).toMatch(/^enc:v1:new:/);
+    expect(scanStore.decryptRecord(raw).exported.results["result-1"]).toHaveProperty("text");
+    expect(await scanStore.readBlobText(raw.exported.crawledText)).toBe("Rotated text");
+  });
+});
@@ -0,0 +1,163 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const config = require("../src/config/index.js");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { getCallbackDispatcher } = require("../src/services/callbackDispatcher.js");
+const { taskOfEndpoint } = require("../src/services/exportTasks.js");
+
+const completed = {
+  results: {
+    internet: [{ id: "result-1" }, { id: "result-2" }],
+    score: { aggregatedScore: 20 },
+  },
+  scannedDocument: { totalWords: 100 },
+};
+
+describe("Export task health", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const post = (url, payload = {}) => app.inject({ method: "POST", url, payload });
+  const getScan = async (scanId) =>
+    (await app.inject({ method: "GET", url: `/plagiarism/${scanId}` })).json();
+  // Task list of an export completion webhook, as Copyleaks reports it
+  const report = (scanId, { failed = [] } = {}) => ({
+    completed: true,
+    tasks: ["result/result-1", "result/result-2", "crawled", "pdf"].map((task) => {
+      const [route, resultId] = task.split("/");
+      const isHealthy = !failed.includes(task);
+      return {
+        endpoint: `${config.webhookBaseUrl}/webhook/${route}/${scanId}${resultId ? `/${resultId}` : ""}`,
+        isHealthy,
+        httpStatusCode: isHealthy ? 200 : 500,
+      };
+    }),
+  });
+  const completedScan = async (text) => {
+    const { scanId } = await scanStore.createScanRecord(text);
+    await scanStore.updateStatus(scanId, "pending");
+    await post(`/webhook/completed/${scanId}`, completed);
+    return scanId;
+  };
+
+  it("should re-export only the failed tasks and complete once they are delivered", async () => {
+    const exportResults = vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const notify = vi.spyOn(getCallbackDispatcher(), "notify");
+    const scanId = await completedScan("Flaky export");
+
+    expect((await getScan(scanId)).exported).toMatchObject({ status: "pending", reExports: 0 });
+
+    await post(`/webhook/export-completed/${scanId}`, report(scanId, { failed: ["result/result-2", "pdf"] }));
+
+    expect(exportResults).toHaveBeenLastCalledWith(scanId, ["result-2"], {
+      resultIds: ["result-2"],
+      crawledVersion: false,
+      pdfReport: true,
+    });
+    let detail = await getScan(scanId);
+    expect(detail.exported).toMatchObject({ status: "pending", reExports: 1, completedAt: null });
+    expect(detail.exported.tasks).toEqual([
+      { task: "result", resultId: "result-1", status: "delivered", httpStatusCode: 200, attempts: 1 },
+      { task: "result", resultId: "result-2", status: "pending", httpStatusCode: null, attempts: 2 },
+      { task: "crawledVersion", status: "delivered", httpStatusCode: 200, attempts: 1 },
+      { task: "pdfReport", status: "pending", httpStatusCode: null, attempts: 2 },
+    ]);
+    expect(notify.mock.calls.map(([, event]) => event)).not.toContain("exported");
+    expect((await scanStore.listEvents(scanId)).map((event) => event.type)).toContain(
+      "export.reExported"
+    );
+
+    // The re-export reports only the tasks it covered
+    const { tasks } = report(scanId);
+    await post(`/webhook/export-completed/${scanId}`, { completed: true, tasks: [tasks[1], tasks[3]] });
+
+    detail = await getScan(scanId);
+    expect(detail.exportStatus).toBe("completed");
+    expect(detail.exported.completedAt).toBeTruthy();
+    expect(detail.exported.tasks.every((task) => task.status === "delivered")).toBe(true);
+    expect(exportResults).toHaveBeenCalledTimes(2);
+    expect(notify).toHaveBeenCalledWith(scanId, "exported", {
+      exportedResults: 0,
+      exportStatus: "completed",
+    });
+  });
+
+  it("should leave the export partial once the retry budget is spent", async () => {
+    const exportResults = vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const scanId = await completedScan("Broken endpoint");
+    const failing = report(scanId, { failed: ["crawled"] });
+
+    for (let notice = 0; notice <= config.exports.maxReExports; notice += 1) {
+      await post(`/webhook/export-completed/${scanId}`, {
+        ...failing,
+        developerPayload: `notice-${notice}`,
+      });
+    }
+
+    // One full export plus maxReExports re-exports of the crawled version
+    expect(exportResults).toHaveBeenCalledTimes(1 + config.exports.maxReExports);
+    const detail = await getScan(scanId);
+    expect(detail.exported).toMatchObject({
+      status: "partial",
+      reExports: config.exports.maxReExports,
+    });
+    expect(detail.exported.completedAt).toBeTruthy();
+    expect(detail.exported.tasks.find((task) => task.task === "crawledVersion")).toMatchObject({
+      status: "failed",
+      httpStatusCode: 500,
+      attempts: 1 + config.exports.maxReExports,
+    });
+
+    const listed = await app.inject({ method: "GET", url: "/plagiarism?limit=100" });
+    expect(listed.json().items.find((item) => item.scanId === scanId).exportStatus).toBe(
+      "partial"
+    );
+  });
+
+  it("should close the export as partial when the re-export request fails", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults")
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error("Copyleaks unavailable"));
+    const scanId = await completedScan("Re-export outage");
+
+    await post(`/webhook/export-completed/${scanId}`, report(scanId, { failed: ["pdf"] }));
+
+    expect((await getScan(scanId)).exported.status).toBe("partial");
+    expect((await scanStore.listEvents(scanId)).map((event) => event.type)).toContain(
+      "export.failed"
+    );
+  });
+
+  it("should only recognize endpoints of the exported scan", () => {
+    const base = "https://hooks.example.com/api";
+
+    expect(taskOfEndpoint("scan-1", `${base}/webhook/result/scan-1/r%201`)).toEqual({
+      task: "result",
+      resultId: "r 1",
+    });
+    expect(taskOfEndpoint("scan-1", `${base}/webhook/pdf/scan-1`)).toEqual({ task: "pdfReport" });
+    expect(taskOfEndpoint("scan-1", `${base}/webhook/crawled/scan-2`)).toBeNull();
+    expect(taskOfEndpoint("scan-1", `${base}/webhook/export-completed/scan-1`)).toBeNull();
+    expect(taskOfEndpoint("scan-1", undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { summarizePartialResults } = require("../src/services/partialResults.js");
+
+const firstMatch = {
+  internet: [{ id: "web-1", title: "Blog post", url: "https://example.com", matchedWords: 12 }],
+  database: [],
+};
+const secondMatch = {
+  internet: [],
+  database: [{ id: "db-1", title: "Thesis", matchedWords: 30, identicalWords: 25 }],
+};
+
+describe("Partial results", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const post = (url, payload) => app.inject({ method: "POST", url, payload });
+  const getScan = async (scanId) =>
+    (await app.inject({ method: "GET", url: `/plagiarism/${scanId}` })).json();
+
+  it("should tally matched sources across newResult payloads", () => {
+    const tally = summarizePartialResults([firstMatch, secondMatch, { id: "web-2" }]);
+
+    expect(tally).toMatchObject({
+      sources: 3,
+      byType: { internet: 2, database: 1, batch: 0, repositories: 0 },
+      maxMatchedWords: 30,
+    });
+    expect(tally.matches.map((match) => match.id)).toEqual(["db-1", "web-1", "web-2"]);
+    expect(tally.matches[0]).toMatchObject({ type: "database", title: "Thesis", identicalWords: 25 });
+    expect(summarizePartialResults([])).toMatchObject({ sources: 0, maxMatchedWords: 0 });
+  });
+
+  it("should show streamed matches on a pending scan until it completes", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const { scanId } = await scanStore.createScanRecord("Streaming text");
+    await scanStore.updateStatus(scanId, "pending");
+
+    await post(`/webhook/new-result/${scanId}`, firstMatch);
+    await post(`/webhook/new-result/${scanId}`, secondMatch);
+    const pending = await getScan(scanId);
+
+    expect(pending.status).toBe("pending");
+    expect(pending.results).toHaveLength(2);
+    expect(pending.partialResults).toMatchObject({
+      sources: 2,
+      byType: { internet: 1, database: 1 },
+      maxMatchedWords: 30,
+    });
+
+    await post(`/webhook/completed/${scanId}`, {
+      results: { internet: [{ id: "web-1" }], score: { aggregatedScore: 10 } },
+      scannedDocument: { totalWords: 50 },
+    });
+
+    expect((await getScan(scanId)).partialResults).toBeNull();
+  });
+
+  it("should not append a payload whose sources were all received", async () => {
+    const { scanId } = await scanStore.createScanRecord("Repeated match");
+    await scanStore.updateStatus(scanId, "pending");
+
+    await post(`/webhook/new-result/${scanId}`, firstMatch);
+    await post(`/webhook/new-result/${scanId}`, { ...firstMatch, score: { aggregatedScore: 4 } });
+
+    expect((await getScan(scanId)).partialResults.sources).toBe(1);
+    expect((await scanStore.getScan(scanId)).results).toHaveLength(1);
+  });
+});
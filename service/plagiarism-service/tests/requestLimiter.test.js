@@ -0,0 +1,170 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, afterEach, vi } from "vitest";
+
+// Load through require so the tests share the axios instance used by the client
+const require = createRequire(import.meta.url);
+const axios = require("axios");
+const CopyleaksClient = require("../src/services/copyleaks-client.js");
+const PlagiarismScanner = require("../src/services/plagiarism-scanner.js");
+const { RequestLimiter } = require("../src/services/requestLimiter.js");
+
+// A call that stays in flight until `finish()` is called
+const deferred = () => {
+  let finish;
+  const promise = new Promise((resolve) => {
+    finish = resolve;
+  });
+  return { call: vi.fn(() => promise), finish };
+};
+const tooManyRequests = (retryAfter) =>
+  Object.assign(new Error("Too Many Requests"), {
+    response: { status: 429, headers: retryAfter === undefined ? {} : { "retry-after": retryAfter } },
+  });
+
+describe("RequestLimiter", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should start a burst at once and pace the rest at the configured rate", async () => {
+    vi.useFakeTimers();
+    const limiter = new RequestLimiter({ ratePerSecond: 2, burst: 3 });
+    const started = [];
+
+    const calls = Array.from({ length: 5 }, (_, index) =>
+      limiter.schedule(async () => started.push(index))
+    );
+    await vi.advanceTimersByTimeAsync(0);
+    expect(started).toEqual([0, 1, 2]);
+    // Waiting for tokens does not keep the process alive
+    expect(limiter.timer.hasRef()).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([0, 1, 2, 3]);
+    await vi.advanceTimersByTimeAsync(500);
+    expect(started).toEqual([0, 1, 2, 3, 4]);
+    await Promise.all(calls);
+  });
+
+  it("should cap the calls in flight and start queued ones as others finish", async () => {
+    const limiter = new RequestLimiter({ ratePerSecond: 0, maxConcurrent: 2 });
+    const first = deferred();
+    const second = deferred();
+    const third = deferred();
+
+    const results = [first, second, third].map(({ call }) => limiter.schedule(call));
+    await Promise.resolve();
+    expect(third.call).not.toHaveBeenCalled();
+    expect(limiter.snapshot()).toMatchObject({ active: 2, queued: 1 });
+
+    first.finish("one");
+    await expect(results[0]).resolves.toBe("one");
+    expect(third.call).toHaveBeenCalledTimes(1);
+
+    second.finish("two");
+    third.finish("three");
+    await expect(Promise.all(results)).resolves.toEqual(["one", "two", "three"]);
+    expect(limiter.snapshot()).toEqual({ active: 0, queued: 0, pausedUntil: null });
+  });
+
+  it("should hold queued calls while paused and put retries ahead of them", async () => {
+    vi.useFakeTimers();
+    const limiter = new RequestLimiter({ ratePerSecond: 0 });
+    const started = [];
+    limiter.pauseFor(2000);
+
+    const calls = [
+      limiter.schedule(async () => started.push("queued")),
+      limiter.schedule(async () => started.push("retry"), { first: true }),
+    ];
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(started).toEqual([]);
+    expect(limiter.snapshot().pausedUntil).not.toBeNull();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(started).toEqual(["retry", "queued"]);
+    await Promise.all(calls);
+  });
+});
+
+describe("CopyleaksClient rate limiting", () => {
+  let client;
+
+  afterEach(() => {
+    client.close();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const newClient = () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    vi.spyOn(axios, "post").mockResolvedValue({
+      data: {
+        access_token: "token",
+        ".expires": new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      },
+    });
+    return new CopyleaksClient("user@example.com", "key", {
+      limits: { ratePerSecond: 0, maxConcurrent: 1 },
+    });
+  };
+
+  it("should wait out Retry-After on 429 and retry the call", async () => {
+    vi.useFakeTimers();
+    client = newClient();
+    const request = vi
+      .fn()
+      .mockRejectedValueOnce(tooManyRequests("3"))
+      .mockResolvedValue("accepted");
+    const later = vi.fn().mockResolvedValue("later");
+
+    const result = client.withAuthToken(request);
+    const queued = client.withAuthToken(later);
+    await vi.advanceTimersByTimeAsync(2999);
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(later).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toBe("accepted");
+    await expect(queued).resolves.toBe("later");
+    expect(client.breaker.state).toBe("closed");
+  });
+
+  it("should pass the 429 on once its retries are used up", async () => {
+    vi.useFakeTimers();
+    client = newClient();
+    const request = vi.fn().mockRejectedValue(tooManyRequests());
+
+    const result = client.withAuthToken(request);
+    const assertion = expect(result).rejects.toThrow("Too Many Requests");
+    await vi.advanceTimersByTimeAsync(3000);
+    await assertion;
+    expect(request).toHaveBeenCalledTimes(4);
+    expect(client.breaker.snapshot().failures).toBe(0);
+  });
+
+  it("should time requests out and free the slot while a failed call backs off", async () => {
+    vi.useFakeTimers();
+    client = newClient();
+    const scanner = new PlagiarismScanner(client, "http://localhost:4000");
+    const get = vi
+      .spyOn(axios, "get")
+      .mockRejectedValueOnce(Object.assign(new Error("timeout exceeded"), { code: "ECONNABORTED" }))
+      .mockResolvedValue({ data: { percents: 100 } });
+    const other = vi.fn().mockResolvedValue("other");
+
+    const progress = scanner.getScanProgress("scan-1");
+    await vi.advanceTimersByTimeAsync(0);
+    const otherResult = client.withAuthToken(other);
+    await vi.advanceTimersByTimeAsync(0);
+    // The only slot is free again while the failed call waits out its back-off
+    expect(other).toHaveBeenCalledTimes(1);
+    expect(get).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(progress).resolves.toEqual({ percents: 100 });
+    await expect(otherResult).resolves.toBe("other");
+    expect(get.mock.calls[0][1].timeout).toBe(client.requestTimeoutMs);
+  });
+});
@@ -0,0 +1,184 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const axios = require("axios");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const PlagiarismScanner = require("../src/services/plagiarism-scanner.js");
+const ResultPoller = require("../src/services/resultPoller.js");
+
+const baseUrl = "https://copyleaks.test";
+
+// Serve the Copyleaks progress, result and downloads endpoints from a table of scans
+function mockCopyleaks(scans) {
+  return vi.spyOn(axios, "get").mockImplementation(async (url) => {
+    const [, scanId, rest = ""] = url.match(/\/(?:scans|downloads)\/([^/]+)\/?(.*)$/);
+    // Scans left pending by earlier tests are still running
+    const scan = scans[scanId] ?? { percents: 0 };
+
+    if (url.endsWith("/progress")) {
+      return { data: { percents: scan.percents } };
+    }
+    if (url.endsWith("/result")) {
+      return { data: scan.outcome };
+    }
+    if (scan.failDownloads) {
+      throw Object.assign(new Error("Download unavailable"), { response: { status: 400 } });
+    }
+    if (rest === "report.pdf") {
+      return { data: new Uint8Array([37, 80, 68, 70]).buffer };
+    }
+    if (rest.startsWith("results/")) {
+      return { data: { text: { value: rest } } };
+    }
+    return { data: { text: { value: `Crawled ${scanId}` } } };
+  });
+}
+
+describe("Result poller", () => {
+  let app;
+  let scanner;
+  let callbacks;
+  let poller;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const pendingScan = async (text) => {
+    const { scanId } = await scanStore.createScanRecord(text);
+    await scanStore.updateStatus(scanId, "pending");
+    return scanId;
+  };
+
+  const newPoller = () => {
+    scanner = new PlagiarismScanner(
+      { withAuthToken: (request) => request("token") },
+      "http://localhost:4000",
+      "scans",
+      baseUrl
+    );
+    callbacks = { notify: vi.fn() };
+    poller = new ResultPoller(scanStore, scanner, { batchSize: 1, callbacks });
+    return poller;
+  };
+
+  it("should pull finished scans through the downloads API", async () => {
+    const running = await pendingScan("Still running");
+    const done = await pendingScan("Done");
+    const failed = await pendingScan("Failed");
+    const get = mockCopyleaks({
+      [running]: { percents: 40 },
+      [done]: {
+        percents: 100,
+        outcome: {
+          results: { internet: [{ id: "r1" }, { id: "r2" }], score: { aggregatedScore: 35 } },
+          scannedDocument: { totalWords: 80 },
+        },
+      },
+      [failed]: { percents: 100, outcome: { error: { message: "Unsupported language" } } },
+    });
+
+    // batchSize 1 also pages through the pending scans
+    const finished = await newPoller().poll();
+
+    expect(finished.sort()).toEqual([done, failed].sort());
+    expect(get).toHaveBeenCalledWith(`${baseUrl}/v3/downloads/${done}/results/r2`, {
+      headers: { Authorization: "Bearer token" },
+    });
+
+    const record = await scanStore.getScan(done);
+    expect(record).toMatchObject({
+      status: "completed",
+      summary: { totalResults: 2, score: 35, totalWords: 80 },
+      exportStarted: true,
+    });
+    expect(record.exported.completedAt).toBeTruthy();
+    expect(Object.keys(scanStore.decryptRecord(record).exported.results)).toEqual(["r1", "r2"]);
+    expect(await scanStore.readBlobText(record.exported.crawledText)).toBe(`Crawled ${done}`);
+    expect((await scanStore.readBlobContent(record.exported.pdfReport)).toString()).toBe("%PDF");
+    expect((await scanStore.listEvents(done)).at(-1)).toMatchObject({
+      type: "poll.completed",
+      data: { exportedResults: 2, extractedText: true },
+    });
+    expect(callbacks.notify.mock.calls.filter(([scanId]) => scanId === done)).toEqual([
+      [done, "completed", { summary: record.summary }],
+      [done, "exported", { exportedResults: 2, exportStatus: "completed" }],
+      [done, "highlights-ready", { highlightUrl: `/plagiarism/${done}/highlight` }],
+    ]);
+
+    expect(await scanStore.getScan(failed)).toMatchObject({
+      status: "error",
+      summary: { message: "Unsupported language" },
+    });
+    expect((await scanStore.getScan(running)).status).toBe("pending");
+  });
+
+  it("should keep a scan pending until every download succeeded", async () => {
+    const scanId = await pendingScan("Flaky downloads");
+    const scan = {
+      percents: 100,
+      failDownloads: true,
+      outcome: {
+        results: { internet: [{ id: "r1" }], score: { aggregatedScore: 5 } },
+        scannedDocument: { totalWords: 10 },
+      },
+    };
+    mockCopyleaks({ [scanId]: scan });
+    newPoller();
+
+    expect(await poller.poll()).not.toContain(scanId);
+    expect((await scanStore.getScan(scanId)).status).toBe("pending");
+    expect((await scanStore.listEvents(scanId)).at(-1)).toMatchObject({ type: "poll.failed" });
+
+    scan.failDownloads = false;
+    expect(await poller.poll()).toContain(scanId);
+    expect((await scanStore.getScan(scanId)).status).toBe("completed");
+  });
+
+  it("should not store downloads the webhook schemas reject", async () => {
+    const scanId = await pendingScan("Malformed outcome");
+    mockCopyleaks({
+      [scanId]: {
+        percents: 100,
+        outcome: { results: { internet: [{ id: "r1" }] }, scannedDocument: { totalWords: 4 } },
+      },
+    });
+    newPoller();
+
+    expect(await poller.poll()).not.toContain(scanId);
+    expect((await scanStore.getScan(scanId)).status).toBe("pending");
+    expect((await scanStore.listEvents(scanId)).at(-1)).toMatchObject({
+      type: "poll.failed",
+      data: { message: expect.stringContaining("Invalid scan result: results.score") },
+    });
+  });
+
+  it("should leave scans a webhook finished in the meantime alone", async () => {
+    const scanId = await pendingScan("Raced by webhook");
+    const outcome = { results: { score: { aggregatedScore: 0 } }, scannedDocument: { totalWords: 3 } };
+    mockCopyleaks({ [scanId]: { percents: 100, outcome } });
+    newPoller();
+    vi.spyOn(scanner, "getScanResult").mockImplementation(async () => {
+      await scanStore.updateStatus(scanId, "completed", { summary: { score: 1 } });
+      return outcome;
+    });
+
+    expect(await poller.poll()).not.toContain(scanId);
+    expect((await scanStore.getScan(scanId)).summary).toEqual({ score: 1 });
+  });
+});
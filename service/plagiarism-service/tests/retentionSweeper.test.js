@@ -0,0 +1,100 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const RetentionSweeper = require("../src/services/retentionSweeper.js");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Retention sweeper", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  it("should expire scans past their retention and drop their payloads", async () => {
+    const record = await scanStore.createScanRecord("Sensitive student text");
+    await scanStore.updateStatus(record.scanId, "completed", { summary: { score: 12 } });
+    await scanStore.storeExportedResult(record.scanId, "result-1", { text: {} });
+    await scanStore.storeCrawled(record.scanId, { text: "Sensitive" }, "Sensitive");
+    await scanStore.storePdf(record.scanId, { pdf: "base64" });
+
+    const sweeper = new RetentionSweeper(scanStore, { deleteScan: vi.fn() });
+    const expired = await sweeper.sweep(new Date(Date.now() + 3 * DAY_MS));
+
+    expect(expired).toContain(record.scanId);
+    const stored = await scanStore.getScan(record.scanId);
+    expect(stored).toMatchObject({
+      status: "expired",
+      text: "",
+      summary: { score: 12 },
+      exported: { results: {}, crawled: null, crawledText: null, pdfReport: null },
+    });
+    expect(stored.expiredAt).toBeTruthy();
+  });
+
+  it("should honor the per-scan expiration and leave fresh scans alone", async () => {
+    const shortLived = await scanStore.createScanRecord("Short", { expiration: "10" });
+    const longLived = await scanStore.createScanRecord("Long");
+
+    const sweeper = new RetentionSweeper(scanStore, { deleteScan: vi.fn() });
+    const expired = await sweeper.sweep(new Date(Date.now() + 60 * 60 * 1000));
+
+    expect(expired).toContain(shortLived.scanId);
+    expect(expired).not.toContain(longLived.scanId);
+  });
+
+  it("should purge expired scans from Copyleaks when configured", async () => {
+    const record = await scanStore.createScanRecord("Purge me");
+    const deleteScan = vi.fn().mockRejectedValueOnce(new Error("Copyleaks unavailable"));
+
+    const sweeper = new RetentionSweeper(scanStore, { deleteScan }, { purgeCopyleaks: true });
+    const expired = await sweeper.sweep(new Date(Date.now() + 3 * DAY_MS));
+
+    expect(expired).toContain(record.scanId);
+    expect(deleteScan).toHaveBeenCalledWith(record.scanId);
+    expect((await scanStore.getScan(record.scanId)).status).toBe("expired");
+  });
+
+  it("should expose the expired status and answer 410 for highlights", async () => {
+    const record = await scanStore.createScanRecord("Expired text");
+    await scanStore.expireScan(record.scanId);
+
+    const detail = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}` });
+    expect(detail.statusCode).toBe(200);
+    expect(detail.json()).toMatchObject({ status: "expired" });
+
+    const highlight = await app.inject({
+      method: "GET",
+      url: `/plagiarism/${record.scanId}/highlight`,
+    });
+    expect(highlight.statusCode).toBe(410);
+  });
+
+  it("should ignore webhooks for expired scans", async () => {
+    const record = await scanStore.createScanRecord("Late webhook");
+    await scanStore.expireScan(record.scanId);
+
+    const response = await app.inject({
+      method: "POST",
+      url: `/webhook/result/${record.scanId}/result-1`,
+      payload: { text: {} },
+    });
+
+    expect(response.statusCode).toBe(202);
+    expect(response.json()).toEqual({ ignored: true });
+    expect((await scanStore.getScan(record.scanId)).exported.results).toEqual({});
+  });
+});
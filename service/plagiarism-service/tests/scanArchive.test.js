@@ -0,0 +1,179 @@
+import crypto from "node:crypto";
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const blobs = require("../src/storage/blobs/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { createEnvelopeCipher } = require("../src/storage/encryption.js");
+
+const sourceKey = `source:${crypto.randomBytes(32).toString("base64")}`;
+const targetKey = `target:${crypto.randomBytes(32).toString("base64")}`;
+
+// Swap the storage backing the app to simulate a separate instance
+function useInstance(key) {
+  const adapter = adapters.createMemoryAdapter();
+  scanStore.useAdapter(adapter);
+  scanStore.useBlobStore(blobs.createMemoryBlobStore());
+  scanStore.useCipher(createEnvelopeCipher({ keys: key }));
+  return adapter;
+}
+
+describe("Scan archives", () => {
+  let app;
+
+  beforeAll(async () => {
+    useInstance(sourceKey);
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+    scanStore.useCipher(null);
+  });
+
+  async function createCompletedScan(text) {
+    const record = await scanStore.createScanRecord(text);
+    await scanStore.updateStatus(record.scanId, "completed", { summary: { score: 25 } });
+    await scanStore.recordEvent(record.scanId, "webhook.completed", { score: 25 });
+    await scanStore.storeExportedResult(record.scanId, "result-1", {
+      text: { comparison: { identical: { source: { chars: { starts: [0], lengths: [8] } } } } },
+    });
+    await scanStore.storeCrawled(record.scanId, { text: { value: text } }, text);
+    await scanStore.storePdf(record.scanId, Buffer.from("%PDF-1.7 report"));
+    return record;
+  }
+
+  const importArchive = (archive, query = "") =>
+    app.inject({ method: "POST", url: `/plagiarism/archive/import${query}`, payload: archive });
+
+  it("should move a scan to another instance with highlights, payloads and history", async () => {
+    useInstance(sourceKey);
+    const record = await createCompletedScan("Archived student essay");
+    const sourceHighlight = await app.inject({
+      method: "GET",
+      url: `/plagiarism/${record.scanId}/highlight`,
+    });
+
+    const exported = await app.inject({
+      method: "GET",
+      url: `/plagiarism/${record.scanId}/archive`,
+    });
+
+    expect(exported.statusCode).toBe(200);
+    expect(exported.headers["content-disposition"]).toMatch(/^attachment; filename="scan-archive-/);
+    const archive = exported.json();
+    expect(archive).toMatchObject({ format: "plagiarism-scan-archive", version: 1 });
+    expect(archive.scans[0].record.text).toBe("Archived student essay");
+    expect(archive.scans[0].blobs.pdfReport.contentType).toBe("application/octet-stream");
+
+    const target = useInstance(targetKey);
+    const imported = await importArchive(archive);
+
+    expect(imported.statusCode).toBe(201);
+    expect(imported.json()).toEqual({ imported: [record.scanId], skipped: [] });
+    expect((await target.getScan(record.scanId)).text).toMatch(/^enc:v1:target:/);
+
+    const highlight = await app.inject({
+      method: "GET",
+      url: `/plagiarism/${record.scanId}/highlight`,
+    });
+    const pdf = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/pdf` });
+    const events = await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/events` });
+
+    expect(highlight.statusCode).toBe(200);
+    expect(highlight.json()).toEqual(sourceHighlight.json());
+    expect(pdf.body).toBe("%PDF-1.7 report");
+    expect(events.json().events.map((event) => event.type)).toEqual([
+      "webhook.completed",
+      "archive.exported",
+      "archive.imported",
+    ]);
+  });
+
+  it("should export several scans and refuse unfinished or unknown ones", async () => {
+    useInstance(sourceKey);
+    const first = await createCompletedScan("First essay");
+    const second = await createCompletedScan("Second essay");
+    const pending = await scanStore.createScanRecord("Still scanning");
+
+    const exportScans = (scanIds) =>
+      app.inject({ method: "POST", url: "/plagiarism/archive/export", payload: { scanIds } });
+
+    const exported = await exportScans([first.scanId, second.scanId]);
+    expect(exported.statusCode).toBe(200);
+    expect(exported.json().scans.map((scan) => scan.record.scanId)).toEqual([
+      first.scanId,
+      second.scanId,
+    ]);
+
+    expect((await exportScans([first.scanId, pending.scanId])).statusCode).toBe(409);
+    expect((await exportScans([first.scanId, "missing-scan"])).statusCode).toBe(404);
+    expect((await exportScans([first.scanId, first.scanId])).statusCode).toBe(400);
+  });
+
+  it("should honour the conflict policy for scans that already exist", async () => {
+    useInstance(sourceKey);
+    const record = await createCompletedScan("Conflicting essay");
+    const archive = (
+      await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/archive` })
+    ).json();
+
+    const rejected = await importArchive(archive);
+    const skipped = await importArchive(archive, "?onConflict=skip");
+    const replaced = await importArchive(archive, "?onConflict=replace");
+
+    expect(rejected.statusCode).toBe(409);
+    expect(skipped.json()).toEqual({ imported: [], skipped: [record.scanId] });
+    expect(replaced.json()).toEqual({ imported: [record.scanId], skipped: [] });
+    const events = await scanStore.listEvents(record.scanId);
+    expect(events.at(-1)).toMatchObject({ type: "archive.imported", data: { replaced: true } });
+  });
+
+  it("should keep dead-letter payloads when replacing a scan named dead-letters", async () => {
+    useInstance(sourceKey);
+    const record = await createCompletedScan("Namespaced essay");
+    const archive = (
+      await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/archive` })
+    ).json();
+    archive.scans[0].record.scanId = "dead-letters";
+    const letter = await scanStore.recordDeadLetter({
+      webhook: "webhook.completed",
+      scanId: "other-scan",
+      url: "/webhook/completed/other-scan",
+      reason: "failed",
+      payload: { status: 0 },
+    });
+
+    await importArchive(archive);
+    const replaced = await importArchive(archive, "?onConflict=replace");
+
+    expect(replaced.json()).toEqual({ imported: ["dead-letters"], skipped: [] });
+    const stored = await scanStore.getDeadLetter(letter.id);
+    expect(await scanStore.readDeadLetterPayload(stored)).toEqual({ status: 0 });
+  });
+
+  it("should reject unsupported versions and tampered blobs", async () => {
+    useInstance(sourceKey);
+    const record = await createCompletedScan("Tampered essay");
+    const archive = (
+      await app.inject({ method: "GET", url: `/plagiarism/${record.scanId}/archive` })
+    ).json();
+    useInstance(targetKey);
+
+    const unsupported = await importArchive({ ...archive, version: 2 });
+    expect(unsupported.statusCode).toBe(400);
+    expect(unsupported.json().details[0].message).toMatch(/Unsupported archive version/);
+
+    archive.scans[0].blobs.crawledText.data = Buffer.from("Altered").toString("base64");
+    const tampered = await importArchive(archive);
+    expect(tampered.statusCode).toBe(400);
+    expect(tampered.json().error).toMatch(/integrity check/);
+    expect(await scanStore.getScan(record.scanId)).toBeUndefined();
+  });
+});
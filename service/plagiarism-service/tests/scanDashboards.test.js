@@ -0,0 +1,189 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { getScanStreams } = require("../src/services/scanStreams.js");
+const { DashboardSession } = require("../src/services/scanDashboards.js");
+
+describe("GET /plagiarism/live", () => {
+  let app;
+  let adapter;
+  const sockets = [];
+
+  beforeAll(async () => {
+    adapter = adapters.createMemoryAdapter();
+    scanStore.useAdapter(adapter);
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    for (const socket of sockets.splice(0)) {
+      socket.terminate();
+    }
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const post = (url, payload = {}) => app.inject({ method: "POST", url, payload });
+
+  // Open a dashboard socket and collect the messages it receives
+  const connect = async () => {
+    const socket = await app.injectWS("/plagiarism/live");
+    sockets.push(socket);
+    const messages = [];
+    socket.on("message", (data) => messages.push(JSON.parse(data.toString())));
+    return {
+      messages,
+      send: (message) => socket.send(typeof message === "string" ? message : JSON.stringify(message)),
+      // Wait for the next message of a type after the `seen` first ones
+      receive: (type, seen = 0) =>
+        vi.waitFor(() => {
+          const message = messages.slice(seen).find((candidate) => candidate.type === type);
+          expect(message).toBeDefined();
+          return message;
+        }),
+    };
+  };
+
+  it("should follow the subscribed scans through completion and deletion", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const watched = await scanStore.createScanRecord("Watched essay");
+    const other = await scanStore.createScanRecord("Other essay");
+    const dashboard = await connect();
+
+    dashboard.send({
+      type: "subscribe",
+      id: "essays",
+      scanIds: [watched.scanId, other.scanId, "missing"],
+    });
+    const subscribed = await dashboard.receive("subscribed");
+    expect(subscribed).toMatchObject({ id: "essays", missing: ["missing"], truncated: false });
+    expect(subscribed.scans.map((scan) => scan.scanId)).toEqual([watched.scanId, other.scanId]);
+    expect(subscribed.scans[0]).toEqual({
+      scanId: watched.scanId,
+      status: "queued",
+      summary: null,
+      sources: 0,
+      highlightUrl: null,
+    });
+
+    const { scanId } = watched;
+    await scanStore.updateStatus(scanId, "pending");
+    await post(`/webhook/new-result/${scanId}`, { internet: [{ id: "result-1" }] });
+    await post(`/webhook/completed/${scanId}`, {
+      results: { internet: [{ id: "result-1" }], score: { aggregatedScore: 12 } },
+      scannedDocument: { totalWords: 40 },
+    });
+    await post(`/webhook/result/${scanId}/result-1`, { text: { value: "Watched" } });
+    await post(`/webhook/export-completed/${scanId}`, { completed: true });
+
+    await dashboard.receive("highlights-ready");
+    const updates = dashboard.messages.filter((message) => message.scanId === scanId);
+    expect(updates.map(({ type, status, final }) => [type, status ?? final])).toEqual([
+      ["status", "pending"],
+      ["score", false],
+      ["status", "completed"],
+      ["score", true],
+      ["highlights-ready", undefined],
+    ]);
+    expect(updates[1]).toMatchObject({ subscriptions: ["essays"], score: null, sources: 1 });
+    expect(updates[3]).toMatchObject({ score: 12, sources: 1 });
+    expect(updates[4].highlightUrl).toBe(`/plagiarism/${scanId}/highlight`);
+
+    await scanStore.deleteScan(other.scanId);
+    expect(await dashboard.receive("deleted")).toEqual({
+      type: "deleted",
+      scanId: other.scanId,
+      subscriptions: ["essays"],
+    });
+
+    dashboard.send({ type: "unsubscribe", id: "essays" });
+    await dashboard.receive("unsubscribed");
+    expect(getScanStreams().subscribers.size).toBe(0);
+  });
+
+  it("should keep following scans that matched a filter", async () => {
+    const pending = await scanStore.createScanRecord("Already pending");
+    await scanStore.updateStatus(pending.scanId, "pending");
+    const queued = await scanStore.createScanRecord("Still queued");
+    const dashboard = await connect();
+
+    dashboard.send({ type: "subscribe", filter: { status: ["pending"] } });
+    const subscribed = await dashboard.receive("subscribed");
+    expect(subscribed.id).toBe("sub-1");
+    expect(subscribed.scans.map((scan) => scan.scanId)).toEqual([pending.scanId]);
+
+    await scanStore.updateStatus(queued.scanId, "pending");
+    expect(await dashboard.receive("matched")).toMatchObject({
+      id: "sub-1",
+      scan: { scanId: queued.scanId, status: "pending" },
+    });
+
+    // No longer matches the filter, but the transition is still reported
+    await post(`/webhook/error/${pending.scanId}`, { error: { code: 1, message: "Bad document" } });
+    expect(await dashboard.receive("status")).toMatchObject({
+      scanId: pending.scanId,
+      status: "error",
+      previous: "pending",
+      subscriptions: ["sub-1"],
+    });
+  });
+
+  it("should answer invalid messages with errors", async () => {
+    const dashboard = await connect();
+
+    dashboard.send("not json");
+    expect(await dashboard.receive("error")).toEqual({
+      type: "error",
+      error: "Messages must be JSON",
+    });
+
+    dashboard.send({ type: "subscribe", id: "both", scanIds: ["a"], filter: { minScore: 10 } });
+    expect(await dashboard.receive("error", 1)).toMatchObject({
+      error: "Invalid message",
+      details: [{ path: "scanIds", message: "Subscribe to either scanIds or a filter" }],
+    });
+
+    dashboard.send({ type: "unsubscribe", id: "never-subscribed" });
+    expect(await dashboard.receive("error", 2)).toMatchObject({
+      error: "Unknown subscription",
+      details: { id: "never-subscribed" },
+    });
+  });
+
+  it("should find filter matches written by another replica", async () => {
+    const send = vi.fn();
+    const session = new DashboardSession(scanStore, getScanStreams(), {
+      send,
+      pollIntervalMs: 10,
+    });
+    await session.subscribe({ id: "scores", filter: { minScore: 50 } });
+    const { scanId } = await scanStore.createScanRecord("Copied elsewhere");
+
+    // Written straight to the adapter, so this process gets no change notification
+    await adapter.updateScan(scanId, {
+      status: "completed",
+      summary: { totalResults: 3, score: 80, totalWords: 120 },
+    });
+
+    await vi.waitFor(() =>
+      expect(send).toHaveBeenLastCalledWith({
+        type: "matched",
+        id: "scores",
+        scan: expect.objectContaining({ scanId, status: "completed", sources: 3 }),
+      })
+    );
+    session.close();
+    expect(session.timer).toBeNull();
+  });
+});
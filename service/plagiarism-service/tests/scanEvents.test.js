@@ -0,0 +1,99 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { getSubmissionQueue } = require("../src/services/submissionQueue.js");
+
+describe("GET /plagiarism/:scanId/events", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const post = (url, payload = {}) => app.inject({ method: "POST", url, payload });
+
+  it("should record the scan lifecycle in arrival order", async () => {
+    vi.spyOn(plagiarismScanner, "submitTextScan").mockResolvedValue({});
+    vi.spyOn(plagiarismScanner, "exportResults").mockRejectedValue(new Error("Export rejected"));
+
+    const submitted = await post("/plagiarism", { text: "Timeline text" });
+    const { scanId } = submitted.json();
+    await getSubmissionQueue().process();
+
+    await post(`/webhook/creditsChecked/${scanId}`, { credits: 2 });
+    await post(`/webhook/completed/${scanId}`, {
+      results: { internet: [{ id: "result-1" }], score: { aggregatedScore: 40 } },
+      scannedDocument: { totalWords: 90 },
+    });
+    await post(`/webhook/result/${scanId}/result-1`, { text: {} });
+
+    const response = await app.inject({ method: "GET", url: `/plagiarism/${scanId}/events` });
+
+    expect(response.statusCode).toBe(200);
+    const body = response.json();
+    expect(body).toMatchObject({ scanId, count: 7 });
+    expect(body.events.map((event) => event.type)).toEqual([
+      "scan.queued",
+      "scan.submitted",
+      "webhook.creditsChecked",
+      "webhook.completed",
+      "export.requested",
+      "export.failed",
+      "webhook.result",
+    ]);
+    expect(body.events[0].data).toEqual({ priority: "normal" });
+    expect(body.events[5].data).toEqual({ message: "Export rejected" });
+    expect(body.events[6].data).toEqual({ resultId: "result-1" });
+  });
+
+  it("should record failed submissions", async () => {
+    vi.spyOn(plagiarismScanner, "submitTextScan").mockRejectedValue(new Error("Quota exceeded"));
+
+    await post("/plagiarism", { text: "Rejected text" });
+    await getSubmissionQueue().process();
+    const { items } = await scanStore.listScans({ filters: { status: ["error"] } });
+    const events = await scanStore.listEvents(items[0].scanId);
+
+    expect(events).toEqual([
+      expect.objectContaining({ type: "scan.queued" }),
+      expect.objectContaining({
+        type: "scan.submissionFailed",
+        data: { message: "Quota exceeded", attempts: 1 },
+      }),
+    ]);
+  });
+
+  it("should record webhooks ignored after expiry", async () => {
+    const record = await scanStore.createScanRecord("Expired timeline");
+    await scanStore.expireScan(record.scanId);
+    await post(`/webhook/pdf/${record.scanId}`, { pdf: "base64" });
+
+    const events = await scanStore.listEvents(record.scanId);
+
+    expect(events.map((event) => event.type)).toEqual(["scan.expired", "webhook.ignored"]);
+    expect(events[1].data).toEqual({ webhook: "webhook.pdf", reason: "expired" });
+  });
+
+  it("should return 404 for unknown scans", async () => {
+    const response = await app.inject({ method: "GET", url: "/plagiarism/missing/events" });
+
+    expect(response.statusCode).toBe(404);
+  });
+});
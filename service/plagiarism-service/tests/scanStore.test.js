@@ -0,0 +1,422 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import RedisMock from "ioredis-mock";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+
+const adapterFactories = {
+  memory: (adapters) => adapters.createMemoryAdapter(),
+  sqlite: (adapters) => adapters.createSqliteAdapter(),
+  redis: (adapters) => adapters.createRedisAdapter({ client: new RedisMock(), keyPrefix: "test:" }),
+};
+
+let tmpDir;
+
+beforeAll(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-store-"));
+  process.env.SCAN_STORE_SQLITE_PATH = path.join(tmpDir, "scans.db");
+  process.env.SCAN_STORE_DRIVER = "sqlite";
+  process.env.BLOB_STORE_DRIVER = "filesystem";
+  process.env.BLOB_STORE_DIR = path.join(tmpDir, "blobs");
+});
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe("SQLite scan store", () => {
+  let scanStore;
+  let database;
+
+  beforeAll(async () => {
+    scanStore = (await import("../src/storage/scanStore.js")).default;
+    database = (await import("../src/storage/database.js")).default;
+  });
+
+  afterAll(async () => {
+    await scanStore.close();
+  });
+
+  it("should persist records and exported data across reconnects", async () => {
+    const record = await scanStore.createScanRecord("Persisted text", { sensitivityLevel: 2 });
+    await scanStore.updateStatus(record.scanId, "completed", { summary: { score: 42 } });
+    await scanStore.markExportStarted(record.scanId);
+    await scanStore.storeExportedResult(record.scanId, "result-1", { text: { comparison: {} } });
+    await scanStore.storeCrawled(record.scanId, { text: { value: "Crawled" } }, "Crawled");
+    await scanStore.storePdf(record.scanId, { pdf: "base64" });
+    await scanStore.markExportCompleted(record.scanId);
+
+    database.closeDatabase();
+
+    const restored = await scanStore.getScan(record.scanId);
+    expect(restored).toMatchObject({
+      scanId: record.scanId,
+      text: "Persisted text",
+      status: "completed",
+      options: { sensitivityLevel: 2 },
+      summary: { score: 42 },
+      exportStarted: true,
+      exported: {
+        results: { "result-1": { text: { comparison: {} } } },
+        crawled: {
+          blobKey: `scans/${record.scanId}/crawled.json`,
+          contentType: "application/json",
+        },
+        crawledText: { blobKey: `scans/${record.scanId}/crawled.txt` },
+        pdfReport: { blobKey: `scans/${record.scanId}/pdf-report` },
+      },
+    });
+    expect(restored.exported.completedAt).toBeTruthy();
+    expect(await scanStore.readBlobText(restored.exported.crawledText)).toBe("Crawled");
+    expect(JSON.parse(await scanStore.readBlobText(restored.exported.pdfReport))).toEqual({
+      pdf: "base64",
+    });
+  });
+
+  it("should keep payloads in the blob directory and remove them with the scan", async () => {
+    const record = await scanStore.createScanRecord("Blob text");
+    await scanStore.storeCrawled(record.scanId, { html: "<p>Blob text</p>" }, "Blob text");
+    const blobDir = path.join(tmpDir, "blobs", "scans", record.scanId);
+
+    expect(fs.readdirSync(blobDir).sort()).toEqual(["crawled.json", "crawled.txt"]);
+
+    await scanStore.deleteScan(record.scanId);
+    expect(fs.existsSync(blobDir)).toBe(false);
+  });
+
+  it("should read payloads stored inline before the blob store existed", async () => {
+    expect(await scanStore.readBlobText("Legacy text")).toBe("Legacy text");
+    expect(await scanStore.readBlobText(null)).toBeNull();
+  });
+});
+
+describe.each(Object.keys(adapterFactories))("scanStore with the %s adapter", (driver) => {
+  let scanStore;
+
+  beforeAll(async () => {
+    scanStore = (await import("../src/storage/scanStore.js")).default;
+    const adapters = (await import("../src/storage/adapters/index.js")).default;
+    scanStore.useAdapter(adapterFactories[driver](adapters));
+  });
+
+  afterAll(async () => {
+    await scanStore.close();
+  });
+
+  it("should keep the existing summary when only credits change", async () => {
+    const record = await scanStore.createScanRecord("Credits text");
+    await scanStore.updateStatus(record.scanId, "pending", { summary: { score: 10 } });
+    const updated = await scanStore.updateStatus(record.scanId, "pending", { credits: 3 });
+
+    expect(updated.summary).toEqual({ score: 10 });
+    expect(updated.credits).toBe(3);
+  });
+
+  it("should append new results in arrival order", async () => {
+    const record = await scanStore.createScanRecord("Results text");
+    await scanStore.addResult(record.scanId, { id: "a" });
+    const updated = await scanStore.addResult(record.scanId, { id: "b" });
+
+    expect(updated.results).toEqual([{ id: "a" }, { id: "b" }]);
+  });
+
+  it("should list scans as public records ordered by creation time", async () => {
+    const first = await scanStore.createScanRecord("First");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const second = await scanStore.createScanRecord("Second");
+    await scanStore.storeExportedResult(second.scanId, "result-1", {});
+
+    const { items } = await scanStore.listScans({ order: "asc", limit: 100 });
+    const ids = items.map((item) => item.scanId);
+
+    expect(ids.indexOf(first.scanId)).toBeLessThan(ids.indexOf(second.scanId));
+    expect(items.find((item) => item.scanId === second.scanId)).toMatchObject({
+      exportedResults: 1,
+      originalTextLength: 6,
+    });
+    expect(items[0]).not.toHaveProperty("text");
+  });
+
+  it("should page through filtered scans with a cursor", async () => {
+    const scores = [5, 50, 50, 75, 90];
+    const created = [];
+    for (const score of scores) {
+      const record = await scanStore.createScanRecord(`Paged ${score}`);
+      await scanStore.updateStatus(record.scanId, "completed", { summary: { score } });
+      created.push(record.scanId);
+    }
+    await scanStore.storeExportedResult(created[3], "result-1", {});
+
+    const query = {
+      filters: { status: ["completed"], minScore: 45, maxScore: 95 },
+      sortBy: "score",
+      order: "desc",
+      limit: 2,
+    };
+    const firstPage = await scanStore.listScans(query);
+    const secondPage = await scanStore.listScans({ ...query, cursor: firstPage.nextCursor });
+
+    expect(firstPage.items.map((item) => item.summary.score)).toEqual([90, 75]);
+    expect(secondPage.items.map((item) => item.summary.score)).toEqual([50, 50]);
+    expect(secondPage.nextCursor).toBeNull();
+
+    const exportedOnly = await scanStore.listScans({
+      filters: { status: ["completed"], hasExportedResults: true, minScore: 45 },
+      limit: 100,
+    });
+    expect(exportedOnly.items.map((item) => item.scanId)).toEqual([created[3]]);
+  });
+
+  it("should reject a cursor issued for a different sort", async () => {
+    await scanStore.createScanRecord("Cursor A");
+    await scanStore.createScanRecord("Cursor B");
+    const { nextCursor } = await scanStore.listScans({ limit: 1 });
+
+    await expect(scanStore.listScans({ sortBy: "score", cursor: nextCursor })).rejects.toThrow(
+      /does not match/
+    );
+  });
+
+  it("should keep an ordered event timeline that survives expiry", async () => {
+    const record = await scanStore.createScanRecord("Timeline");
+    await scanStore.recordEvent(record.scanId, "scan.submitted", { textLength: 8 });
+    await scanStore.recordEvent(record.scanId, "webhook.completed", { score: 20 });
+    await scanStore.expireScan(record.scanId);
+
+    const events = await scanStore.listEvents(record.scanId);
+
+    expect(events.map(({ sequence, type }) => [sequence, type])).toEqual([
+      [1, "scan.submitted"],
+      [2, "webhook.completed"],
+      [3, "scan.expired"],
+    ]);
+    expect(events[1]).toMatchObject({ data: { score: 20 }, at: expect.any(String) });
+
+    expect(await scanStore.deleteScan(record.scanId)).toBe(true);
+    expect(await scanStore.listEvents(record.scanId)).toBeNull();
+    expect(await scanStore.recordEvent(record.scanId, "webhook.pdf")).toBe(false);
+  });
+
+  it("should find reusable scans by content hash and copy their results", async () => {
+    const pending = await scanStore.createScanRecord("Same text", {}, { contentHash: "hash-1" });
+    const source = await scanStore.createScanRecord("Same text", {}, { contentHash: "hash-1" });
+    await scanStore.updateStatus(pending.scanId, "pending");
+    await scanStore.addResult(source.scanId, { id: "result-1" });
+    await scanStore.updateStatus(source.scanId, "completed", { summary: { score: 30 } });
+    await scanStore.storeExportedResult(source.scanId, "result-1", { text: {} });
+    await scanStore.storeCrawled(source.scanId, { text: "Same text" }, "Same text");
+
+    expect(await scanStore.findReusableScan("hash-2")).toBeNull();
+    const reusable = await scanStore.findReusableScan("hash-1");
+    expect(reusable.scanId).toBe(source.scanId);
+
+    const copy = await scanStore.createReusedScan(reusable, { includeHtml: true }, "hash-1");
+
+    expect(copy.scanId).not.toBe(source.scanId);
+    expect(copy).toMatchObject({
+      status: "completed",
+      text: "Same text",
+      summary: { score: 30 },
+      results: [{ id: "result-1" }],
+      reusedFrom: source.scanId,
+      exported: { results: { "result-1": { text: {} } } },
+    });
+    expect(copy.exported.crawledText.blobKey).toBe(`scans/${copy.scanId}/crawled.txt`);
+    expect(await scanStore.readBlobText(copy.exported.crawledText)).toBe("Same text");
+    expect(scanStore.toPublicRecord(copy).reusedFrom).toBe(source.scanId);
+
+    await scanStore.deleteScan(copy.scanId);
+    await scanStore.expireScan(source.scanId);
+    expect(await scanStore.findReusableScan("hash-1")).toBeNull();
+  });
+
+  it("should claim each webhook delivery once until it is released", async () => {
+    const record = await scanStore.createScanRecord("Deliveries");
+
+    expect(await scanStore.claimWebhookDelivery(record.scanId, "delivery-1")).toBe(true);
+    expect(await scanStore.claimWebhookDelivery(record.scanId, "delivery-1")).toBe(false);
+    expect(await scanStore.claimWebhookDelivery(record.scanId, "delivery-2")).toBe(true);
+
+    await scanStore.releaseWebhookDelivery(record.scanId, "delivery-1");
+    expect(await scanStore.claimWebhookDelivery(record.scanId, "delivery-1")).toBe(true);
+    expect(await scanStore.claimWebhookDelivery("missing", "delivery-1")).toBe(false);
+  });
+
+  it("should store submission jobs and claim each attempt once", async () => {
+    const record = await scanStore.createScanRecord("Queued text", {}, { priority: "high" });
+    await scanStore.updateSubmission(record.scanId, {
+      ...record.submission,
+      attempts: 1,
+      lastError: "Copyleaks server error. Please try again later.",
+    });
+
+    expect((await scanStore.getScan(record.scanId)).submission).toMatchObject({
+      priority: "high",
+      attempts: 1,
+      lastError: "Copyleaks server error. Please try again later.",
+    });
+    const { items } = await scanStore.listScans({ filters: { status: ["queued"] } });
+    expect(items.find((item) => item.scanId === record.scanId).submission.priority).toBe("high");
+    expect(await scanStore.claimSubmission(record.scanId, 2)).toBe(true);
+    expect(await scanStore.claimSubmission(record.scanId, 2)).toBe(false);
+  });
+
+  it("should list due submissions by priority, leaving out later and sent ones", async () => {
+    const enqueue = async (priority) =>
+      (await scanStore.createScanRecord(`Due ${priority}`, {}, { priority })).scanId;
+    const low = await enqueue("low");
+    const normal = await enqueue("normal");
+    const high = await enqueue("high");
+    const later = await scanStore.getScan(await enqueue("high"));
+    await scanStore.updateSubmission(later.scanId, {
+      ...later.submission,
+      nextAttemptAt: new Date(Date.now() + 60000).toISOString(),
+    });
+    const sent = await enqueue("high");
+    await scanStore.updateStatus(sent, "pending");
+
+    const due = await scanStore.listDueSubmissions(new Date(), 100);
+    const ids = due.map((item) => item.scanId).filter((id) => [low, normal, high].includes(id));
+
+    expect(ids).toEqual([high, normal, low]);
+    expect(due.map((item) => item.scanId)).not.toContain(later.scanId);
+    expect(due.map((item) => item.scanId)).not.toContain(sent);
+    expect(await scanStore.listDueSubmissions(new Date(), 1)).toHaveLength(1);
+  });
+
+  it("should store, filter, update and delete dead letters", async () => {
+    const record = await scanStore.createScanRecord("Dead letters");
+    const failed = await scanStore.recordDeadLetter({
+      webhook: "webhook.pdf",
+      scanId: record.scanId,
+      url: `/webhook/pdf/${record.scanId}`,
+      reason: "failed",
+      message: "Disk full",
+      payload: { pdf: "base64" },
+    });
+    const unknown = await scanStore.recordDeadLetter({
+      webhook: "webhook.result",
+      scanId: `${driver}-unknown`,
+      url: `/webhook/result/${driver}-unknown/result-1`,
+      reason: "unknownScan",
+      payload: { text: {} },
+    });
+
+    expect(await scanStore.getDeadLetter(failed.id)).toEqual(failed);
+    expect(await scanStore.readDeadLetterPayload(failed)).toEqual({ pdf: "base64" });
+    expect(
+      (await scanStore.listDeadLetters({ status: "pending", limit: 100 })).map(
+        (letter) => letter.id
+      )
+    ).toEqual(expect.arrayContaining([failed.id, unknown.id]));
+    expect(
+      await scanStore.listDeadLetters({ reason: "unknownScan", scanId: unknown.scanId, limit: 5 })
+    ).toEqual([unknown]);
+
+    const lastReplay = { at: new Date().toISOString(), statusCode: 200, outcome: "processed" };
+    const updated = await scanStore.updateDeadLetter(unknown.id, {
+      status: "replayed",
+      replayCount: 1,
+      lastReplay,
+    });
+    expect(updated).toMatchObject({ status: "replayed", replayCount: 1, lastReplay });
+    expect(await scanStore.listDeadLetters({ scanId: unknown.scanId, status: "pending", limit: 5 }))
+      .toEqual([]);
+    expect(await scanStore.updateDeadLetter("missing", { status: "replayed" })).toBeNull();
+
+    expect(await scanStore.deleteDeadLetter(unknown.id)).toBe(true);
+    expect(await scanStore.getDeadLetter(unknown.id)).toBeNull();
+
+    // Letters go with their scan's data
+    await scanStore.deleteScan(record.scanId);
+    expect(await scanStore.getDeadLetter(failed.id)).toBeNull();
+  });
+
+  it("should remove exported data when a scan is deleted", async () => {
+    const record = await scanStore.createScanRecord("Delete me");
+    await scanStore.storeExportedResult(record.scanId, "result-1", {});
+    await scanStore.storeCrawled(record.scanId, { text: "Delete me" }, "Delete me");
+
+    expect(await scanStore.deleteScan(record.scanId)).toBe(true);
+    expect(await scanStore.getScan(record.scanId)).toBeUndefined();
+    expect(await scanStore.deleteScan(record.scanId)).toBe(false);
+  });
+
+  it("should return null when updating an unknown scan", async () => {
+    expect(await scanStore.updateStatus("missing", "completed")).toBeNull();
+    expect(await scanStore.storeExportedResult("missing", "result-1", {})).toBeNull();
+    expect(await scanStore.addResult("missing", {})).toBeNull();
+  });
+});
+
+describe("Redis scan store listings", () => {
+  let scanStore;
+  let adapters;
+
+  beforeAll(async () => {
+    scanStore = (await import("../src/storage/scanStore.js")).default;
+    adapters = (await import("../src/storage/adapters/index.js")).default;
+  });
+
+  afterAll(async () => {
+    await scanStore.close();
+  });
+
+  it("should page by last update across index chunks, indexing scans stored before", async () => {
+    const client = new RedisMock();
+    scanStore.useAdapter(adapters.createRedisAdapter({ client, keyPrefix: "listing:" }));
+    const created = [];
+    for (let index = 0; index < 120; index += 1) {
+      created.push((await scanStore.createScanRecord(`Listed ${index}`)).scanId);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await scanStore.updateStatus(created[0], "completed");
+
+    // Scans written before the sort indexes existed are indexed on first use
+    await client.del("listing:scans:lastUpdated", "listing:scans:score", "listing:index-version");
+    scanStore.useAdapter(adapters.createRedisAdapter({ client, keyPrefix: "listing:" }));
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await scanStore.listScans({ sortBy: "lastUpdated", limit: 50, cursor });
+      seen.push(...page.items.map((item) => item.scanId));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(120);
+    expect(new Set(seen).size).toBe(120);
+    expect(seen[0]).toBe(created[0]);
+  });
+
+  it("should not bring back a scan deleted while it is being updated", async () => {
+    const client = new RedisMock();
+    const adapter = adapters.createRedisAdapter({ client, keyPrefix: "race:" });
+    scanStore.useAdapter(adapter);
+    const { scanId } = await scanStore.createScanRecord("Raced text");
+
+    // Another replica deletes the scan while this one is updating it
+    await Promise.all([scanStore.updateStatus(scanId, "completed"), adapter.deleteScan(scanId)]);
+
+    expect(await client.exists(`race:scan:${scanId}`)).toBe(0);
+    expect(await client.zscore("race:scans:lastUpdated", scanId)).toBeNull();
+  });
+
+  it("should not leave payloads behind for a scan deleted while they are stored", async () => {
+    const client = new RedisMock();
+    const adapter = adapters.createRedisAdapter({ client, keyPrefix: "race:" });
+    scanStore.useAdapter(adapter);
+    const { scanId } = await scanStore.createScanRecord("Raced text");
+
+    // Webhooks for the scan are stored while another replica deletes it
+    await Promise.all([
+      scanStore.addResult(scanId, { id: "result-1" }),
+      scanStore.storeExportedResult(scanId, "result-1", { text: "Matched" }),
+      scanStore.storeCrawled(scanId, { html: "<p>Raced</p>" }, "Raced text"),
+      scanStore.storePdf(scanId, { report: "pdf" }),
+      adapter.deleteScan(scanId),
+    ]);
+
+    expect(await client.keys(`race:scan:${scanId}*`)).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+import http from "node:http";
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const { ScanStreams, getScanStreams } = require("../src/services/scanStreams.js");
+
+// Parse the `event:`/`data:` blocks of a Server-Sent Events body, skipping comments
+function parseEvents(body) {
+  return body
+    .split("\n\n")
+    .filter((block) => block.startsWith("event:"))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split("\n");
+      return {
+        event: eventLine.slice("event: ".length),
+        data: JSON.parse(dataLine.slice("data: ".length)),
+      };
+    });
+}
+
+describe("GET /plagiarism/:scanId/stream", () => {
+  let app;
+  let adapter;
+  let baseUrl;
+
+  beforeAll(async () => {
+    adapter = adapters.createMemoryAdapter();
+    scanStore.useAdapter(adapter);
+    app = buildServer();
+    await app.listen({ port: 0, host: "127.0.0.1" });
+    baseUrl = `http://127.0.0.1:${app.server.address().port}`;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const post = (url, payload = {}) => app.inject({ method: "POST", url, payload });
+
+  // Open a stream and collect its events until `close` is called
+  const openStream = (scanId) =>
+    new Promise((resolve, reject) => {
+      const request = http.get(`${baseUrl}/plagiarism/${scanId}/stream`, (response) => {
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          body += chunk;
+        });
+        resolve({
+          response,
+          events: () => parseEvents(body),
+          ended: new Promise((done) => response.on("end", done)),
+          close: () => request.destroy(),
+        });
+      });
+      request.on("error", reject);
+    });
+
+  it("should stream a scan from queued to highlights-ready", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const { scanId } = await scanStore.createScanRecord("Streamed text");
+    const stream = await openStream(scanId);
+
+    expect(stream.response.headers["content-type"]).toBe("text/event-stream; charset=utf-8");
+    await vi.waitFor(() => expect(stream.events()).toHaveLength(1));
+    expect(stream.events()[0]).toMatchObject({
+      event: "snapshot",
+      data: { scanId, status: "queued", partialResults: null, highlightUrl: null },
+    });
+
+    await scanStore.updateStatus(scanId, "pending");
+    await post(`/webhook/new-result/${scanId}`, { internet: [{ id: "result-1" }] });
+    await post(`/webhook/completed/${scanId}`, {
+      results: { internet: [{ id: "result-1" }], score: { aggregatedScore: 12 } },
+      scannedDocument: { totalWords: 40 },
+    });
+    await post(`/webhook/result/${scanId}/result-1`, { text: { value: "Streamed" } });
+    await post(`/webhook/export-completed/${scanId}`, { completed: true });
+
+    await vi.waitFor(() => expect(stream.events().at(-1)?.event).toBe("highlights-ready"));
+    const events = stream.events();
+    expect(events.map((event) => event.event)).toEqual([
+      "snapshot",
+      "status",
+      "result",
+      "status",
+      "exported",
+      "highlights-ready",
+    ]);
+    expect(events[1].data).toMatchObject({ status: "pending", previous: "queued" });
+    expect(events[2].data).toMatchObject({ sources: 1 });
+    expect(events[3].data).toMatchObject({ status: "completed", summary: { score: 12 } });
+    expect(events[4].data).toEqual({ exportStatus: "completed", exportedResults: 1 });
+    expect(events[5].data).toEqual({ highlightUrl: `/plagiarism/${scanId}/highlight` });
+
+    stream.close();
+    await vi.waitFor(() => expect(getScanStreams().subscribers.size).toBe(0));
+  });
+
+  it("should end the stream when the scan is deleted", async () => {
+    const { scanId } = await scanStore.createScanRecord("Deleted while streamed");
+    const stream = await openStream(scanId);
+    await vi.waitFor(() => expect(stream.events()).toHaveLength(1));
+
+    await scanStore.deleteScan(scanId);
+    await stream.ended;
+
+    expect(stream.events().at(-1)).toEqual({ event: "deleted", data: { scanId } });
+  });
+
+  it("should answer 404 for unknown scans", async () => {
+    const response = await app.inject({ method: "GET", url: "/plagiarism/missing/stream" });
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  it("should pick up writes made by another replica through the shared store", async () => {
+    const streams = new ScanStreams(scanStore, { pollIntervalMs: 10 });
+    const { scanId } = await scanStore.createScanRecord("Other replica");
+    const send = vi.fn();
+    const unsubscribe = await streams.subscribe(scanId, { send, end: vi.fn() });
+
+    // Written straight to the adapter, so this process gets no change notification
+    await adapter.updateScan(scanId, { status: "pending" });
+
+    await vi.waitFor(() =>
+      expect(send).toHaveBeenLastCalledWith("status", {
+        status: "pending",
+        previous: "queued",
+        summary: null,
+      })
+    );
+    unsubscribe();
+    expect(streams.timer).toBeNull();
+  });
+});
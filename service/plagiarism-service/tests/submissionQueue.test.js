@@ -0,0 +1,169 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { CopyleaksError } = require("../src/errors/custom-errors.js");
+const { SubmissionQueue, isTransient } = require("../src/services/submissionQueue.js");
+
+const withStatus = (status) =>
+  new Error("Copyleaks error", { cause: Object.assign(new Error(), { response: { status } }) });
+
+describe("Submission queue", () => {
+  let app;
+  let scanner;
+
+  const newQueue = (options = {}) =>
+    new SubmissionQueue(scanStore, scanner, { concurrency: 1, baseDelayMs: 0, ...options });
+  const enqueue = async (text, priority = "normal") =>
+    (await scanStore.createScanRecord(text, {}, { priority })).scanId;
+  const eventTypes = async (scanId) =>
+    (await scanStore.listEvents(scanId)).map((event) => event.type);
+
+  beforeAll(async () => {
+    app = buildServer();
+    await app.ready();
+  });
+
+  beforeEach(() => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    scanner = { submitTextScan: vi.fn().mockResolvedValue({}) };
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  it("should queue submissions and answer 202 without calling Copyleaks", async () => {
+    const response = await app.inject({
+      method: "POST",
+      url: "/plagiarism",
+      payload: { text: "Queued essay", priority: "high" },
+    });
+
+    expect(response.statusCode).toBe(202);
+    const { scanId, status, priority } = response.json();
+    expect({ status, priority }).toEqual({ status: "queued", priority: "high" });
+
+    const scan = (await app.inject({ method: "GET", url: `/plagiarism/${scanId}` })).json();
+    expect(scan.submission).toMatchObject({ priority: "high", attempts: 0, submittedAt: null });
+    expect(await eventTypes(scanId)).toEqual(["scan.queued"]);
+  });
+
+  it("should submit high priority scans first, including ones queued during a batch", async () => {
+    const low = await enqueue("Bulk essay 1", "low");
+    const normal = await enqueue("Bulk essay 2");
+    const high = await enqueue("Urgent essay", "high");
+    let urgent;
+    scanner.submitTextScan.mockImplementationOnce(async () => {
+      urgent = await enqueue("Late urgent essay", "high");
+    });
+
+    const submitted = await newQueue().process();
+
+    expect(submitted).toEqual([high, urgent, normal, low]);
+    expect(scanner.submitTextScan).toHaveBeenCalledWith(high, "Urgent essay", expect.any(Object));
+    const record = await scanStore.getScan(low);
+    expect(record.status).toBe("pending");
+    expect(record.submission).toMatchObject({ attempts: 1, startedAt: null, lastError: null });
+    expect(await eventTypes(low)).toEqual(["scan.submitted"]);
+  });
+
+  it("should retry transient failures with backoff and give up on the others", async () => {
+    const transient = await enqueue("Flaky network");
+    const rejected = await enqueue("Bad request");
+    scanner.submitTextScan.mockImplementation(async (scanId) => {
+      throw scanId === transient ? withStatus(503) : withStatus(400);
+    });
+    const queue = newQueue({ baseDelayMs: 60000, maxDelayMs: 90000 });
+
+    await queue.process();
+
+    const waiting = await scanStore.getScan(transient);
+    expect(waiting.status).toBe("queued");
+    expect(waiting.submission).toMatchObject({ attempts: 1, lastError: "Copyleaks error" });
+    expect(Date.parse(waiting.submission.nextAttemptAt) - Date.now()).toBeGreaterThan(55000);
+    expect((await scanStore.getScan(rejected)).status).toBe("error");
+    expect(await eventTypes(rejected)).toEqual(["scan.submissionFailed"]);
+
+    // Not due yet
+    await queue.process();
+    expect(scanner.submitTextScan).toHaveBeenCalledTimes(2);
+  });
+
+  it("should fail a scan once its attempts are used up", async () => {
+    const scanId = await enqueue("Always down");
+    scanner.submitTextScan.mockRejectedValue(withStatus(502));
+    const queue = newQueue({ maxAttempts: 3 });
+
+    for (let check = 0; check < 4; check += 1) {
+      await queue.process();
+    }
+
+    expect(scanner.submitTextScan).toHaveBeenCalledTimes(3);
+    expect(await eventTypes(scanId)).toEqual([
+      "scan.submissionRetry",
+      "scan.submissionRetry",
+      "scan.submissionFailed",
+    ]);
+    expect((await scanStore.getScan(scanId)).summary).toEqual({ message: "Copyleaks error" });
+  });
+
+  it("should pick up attempts abandoned by a stopped worker after the lease", async () => {
+    const abandoned = await enqueue("Worker crashed");
+    const running = await enqueue("Still running");
+    const job = (await scanStore.getScan(abandoned)).submission;
+    await scanStore.updateSubmission(abandoned, {
+      ...job,
+      attempts: 1,
+      startedAt: new Date(Date.now() - 120000).toISOString(),
+    });
+    await scanStore.claimSubmission(abandoned, 1);
+    await scanStore.updateSubmission(running, {
+      ...job,
+      attempts: 1,
+      startedAt: new Date().toISOString(),
+    });
+
+    const submitted = await newQueue({ leaseMs: 60000 }).process();
+
+    expect(submitted).toEqual([abandoned]);
+    expect((await scanStore.getScan(abandoned)).submission.attempts).toBe(2);
+  });
+
+  it("should send each attempt once when several workers share the store", async () => {
+    await enqueue("Shared queue");
+
+    const results = await Promise.all([newQueue().process(), newQueue().process()]);
+
+    expect(results.flat()).toHaveLength(1);
+    expect(scanner.submitTextScan).toHaveBeenCalledTimes(1);
+  });
+
+  it("should leave the job alone when another worker claimed the attempt", async () => {
+    const scanId = await enqueue("Claimed elsewhere");
+    const stale = (await scanStore.getScan(scanId)).submission;
+    // The winning worker claimed attempt 1 and recorded it as started
+    await scanStore.claimSubmission(scanId, 1);
+    const winner = { ...stale, attempts: 1, startedAt: new Date().toISOString() };
+    await scanStore.updateSubmission(scanId, winner);
+
+    expect(await newQueue().submit({ scanId, submission: stale })).toBe(false);
+
+    expect(scanner.submitTextScan).not.toHaveBeenCalled();
+    expect((await scanStore.getScan(scanId)).submission).toEqual(winner);
+  });
+
+  it("should only retry errors Copyleaks may recover from", () => {
+    expect(isTransient(withStatus(429))).toBe(true);
+    expect(isTransient(withStatus(500))).toBe(true);
+    expect(isTransient(withStatus(401))).toBe(false);
+    expect(isTransient(new Error("down", { cause: { code: "ECONNRESET" } }))).toBe(true);
+    expect(isTransient(new CopyleaksError("Copyleaks is unavailable", 503, true))).toBe(true);
+    expect(isTransient(new Error("Quota exceeded"))).toBe(false);
+  });
+});
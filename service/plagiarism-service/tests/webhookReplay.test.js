@@ -0,0 +1,189 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+
+const matched = (start, length) => ({ source: { chars: { starts: [start], lengths: [length] } } });
+
+// Every webhook Copyleaks sends for one scan with two matches, in the usual order
+const deliveries = [
+  ["creditsChecked", { credits: 2 }],
+  ["new-result", { id: "result-1", matchedWords: 12 }],
+  ["new-result", { id: "result-2", matchedWords: 5 }],
+  [
+    "completed",
+    {
+      results: {
+        internet: [{ id: "result-1" }, { id: "result-2" }],
+        score: { aggregatedScore: 40 },
+      },
+      scannedDocument: { totalWords: 120 },
+    },
+  ],
+  ["result/result-1", { text: { comparison: { identical: matched(0, 12) } } }],
+  ["result/result-2", { text: { comparison: { identical: matched(40, 5) } } }],
+  ["crawled", { text: { value: "Replayed text" } }],
+  ["pdf", { pdf: "base64" }],
+  ["export-completed", { completed: true, tasks: [{ isHealthy: true }] }],
+];
+
+// Deterministic shuffle (mulberry32) so a failing sequence can be reproduced from its seed
+function shuffle(items, seed) {
+  let state = seed;
+  const random = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const shuffled = [...items];
+  for (let index = shuffled.length - 1; index > 0; index -= 1) {
+    const swap = Math.floor(random() * (index + 1));
+    [shuffled[index], shuffled[swap]] = [shuffled[swap], shuffled[index]];
+  }
+  return shuffled;
+}
+
+describe("Webhook replay", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const deliver = (scanId, [route, payload]) =>
+    app.inject({
+      method: "POST",
+      url: route.startsWith("result/")
+        ? `/webhook/${route.replace("result/", `result/${scanId}/`)}`
+        : `/webhook/${route}/${scanId}`,
+      payload,
+    });
+
+  async function finalState(scanId) {
+    const record = await scanStore.getScan(scanId);
+    return {
+      status: record.status,
+      summary: record.summary,
+      credits: record.credits,
+      resultIds: record.results.map((result) => result.id).sort(),
+      exportedIds: Object.keys(record.exported.results).sort(),
+      crawledText: await scanStore.readBlobText(record.exported.crawledText),
+      hasPdf: Boolean(record.exported.pdfReport),
+      exportCompleted: Boolean(record.exported.completedAt),
+    };
+  }
+
+  it.each([1, 7, 42, 1234, 99991])(
+    "should reach the same state from shuffled, duplicated deliveries (seed %i)",
+    async (seed) => {
+      const exportResults = vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+      const { scanId } = await scanStore.createScanRecord(`Replay ${seed}`);
+      await scanStore.updateStatus(scanId, "pending");
+
+      // Every delivery is retried once somewhere in the sequence
+      const sequence = shuffle([...deliveries, ...deliveries], seed);
+      const responses = [];
+      for (const delivery of sequence) {
+        responses.push(await deliver(scanId, delivery));
+      }
+
+      expect(responses.every((response) => response.statusCode === 200)).toBe(true);
+      expect(responses.filter((response) => response.json().duplicate)).toHaveLength(
+        deliveries.length
+      );
+      expect(exportResults).toHaveBeenCalledTimes(1);
+      expect(exportResults).toHaveBeenCalledWith(scanId, ["result-1", "result-2"]);
+      expect(await finalState(scanId)).toEqual({
+        status: "completed",
+        summary: { totalResults: 2, score: 40, totalWords: 120 },
+        credits: 2,
+        resultIds: ["result-1", "result-2"],
+        exportedIds: ["result-1", "result-2"],
+        crawledText: "Replayed text",
+        hasPdf: true,
+        exportCompleted: true,
+      });
+    }
+  );
+
+  it("should record duplicates on the timeline without repeating their effects", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const { scanId } = await scanStore.createScanRecord("Duplicated completion");
+    const completed = deliveries[3];
+
+    await deliver(scanId, completed);
+    await deliver(scanId, completed);
+
+    const events = await scanStore.listEvents(scanId);
+    expect(events.map((event) => event.type)).toEqual([
+      "webhook.completed",
+      "export.requested",
+      "webhook.ignored",
+    ]);
+    expect(events[2].data).toEqual({ webhook: "webhook.completed", reason: "duplicate" });
+  });
+
+  it("should keep the first finishing status", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const { scanId } = await scanStore.createScanRecord("Completed then errored");
+
+    await deliver(scanId, deliveries[3]);
+    await deliver(scanId, ["error", { error: "Late failure" }]);
+
+    const record = await scanStore.getScan(scanId);
+    const events = await scanStore.listEvents(scanId);
+    expect(record.status).toBe("completed");
+    expect(record.summary.score).toBe(40);
+    expect(events.at(-1).data).toEqual({ webhook: "webhook.error", reason: "finished" });
+  });
+
+  it("should not undo a completion handled while credits are being recorded", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const { scanId } = await scanStore.createScanRecord("Credits during completion");
+    await scanStore.updateStatus(scanId, "pending");
+    // The completed webhook lands after creditsChecked has read the scan
+    const claim = scanStore.claimWebhookDelivery;
+    vi.spyOn(scanStore, "claimWebhookDelivery").mockImplementationOnce(async (...args) => {
+      await deliver(scanId, deliveries[3]);
+      return claim(...args);
+    });
+
+    await deliver(scanId, deliveries[0]);
+
+    const record = await scanStore.getScan(scanId);
+    expect(record.status).toBe("completed");
+    expect(record.summary.score).toBe(40);
+    expect(record.credits).toBe(2);
+  });
+
+  it("should process the retry of a delivery that failed", async () => {
+    const { scanId } = await scanStore.createScanRecord("Failing store");
+    vi.spyOn(scanStore, "storePdf").mockRejectedValueOnce(new Error("Disk full"));
+
+    const failed = await deliver(scanId, ["pdf", { pdf: "base64" }]);
+    const retried = await deliver(scanId, ["pdf", { pdf: "base64" }]);
+
+    expect(failed.statusCode).toBe(500);
+    expect(retried.statusCode).toBe(200);
+    expect(retried.json()).toEqual({ received: true });
+    expect((await scanStore.getScan(scanId)).exported.pdfReport).toBeTruthy();
+  });
+});
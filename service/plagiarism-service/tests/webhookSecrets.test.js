@@ -0,0 +1,145 @@
+import { spawnSync } from "node:child_process";
+import crypto from "node:crypto";
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const axios = require("axios");
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const PlagiarismScanner = require("../src/services/plagiarism-scanner.js");
+const {
+  createWebhookSecrets,
+  useWebhookSecrets,
+} = require("../src/services/webhookSecrets.js");
+
+const oldKey = `old:${crypto.randomBytes(32).toString("base64")}`;
+const newKey = `new:${crypto.randomBytes(32).toString("base64")}`;
+
+describe("Webhook secrets", () => {
+  const secrets = createWebhookSecrets({ keys: oldKey });
+
+  it("should derive a distinct secret per scan and verify it", () => {
+    const secret = secrets.secretFor("scan-1");
+
+    expect(secret).toMatch(/^old\./);
+    expect(secrets.secretFor("scan-2")).not.toBe(secret);
+    expect(secrets.verify("scan-1", secret)).toBe(true);
+    expect(secrets.verify("scan-2", secret)).toBe(false);
+    expect(secrets.verify("scan-1", `${secret}x`)).toBe(false);
+    expect(secrets.verify("scan-1", undefined)).toBe(false);
+  });
+
+  it("should keep in-flight scans verifying after a rotation", () => {
+    const issuedBeforeRotation = secrets.secretFor("scan-1");
+    const rotated = createWebhookSecrets({ keys: `${oldKey},${newKey}`, activeKeyId: "new" });
+
+    expect(rotated.secretFor("scan-1")).toMatch(/^new\./);
+    expect(rotated.verify("scan-1", issuedBeforeRotation)).toBe(true);
+    expect(createWebhookSecrets({ keys: newKey }).verify("scan-1", issuedBeforeRotation)).toBe(
+      false
+    );
+  });
+
+  it("should accept everything when no keys are configured", () => {
+    const disabled = createWebhookSecrets({});
+
+    expect(disabled.enabled).toBe(false);
+    expect(disabled.headersFor("scan-1")).toEqual([]);
+    expect(disabled.verify("scan-1", undefined)).toBe(true);
+  });
+
+  it("should refuse to load the config without keys outside development and test", () => {
+    const loadConfig = (env) =>
+      spawnSync(process.execPath, ["-e", 'require("./src/config")'], {
+        env: { ...process.env, PLAGIARISM_SERVICE_ENV: "/dev/null", ...env },
+        encoding: "utf8",
+      });
+
+    const production = loadConfig({ NODE_ENV: "production", WEBHOOK_SECRET_KEYS: "" });
+    expect(production.status).not.toBe(0);
+    expect(production.stderr).toContain("environment variable: WEBHOOK_SECRET_KEYS");
+    expect(loadConfig({ NODE_ENV: "production", WEBHOOK_SECRET_KEYS: oldKey }).status).toBe(0);
+    expect(loadConfig({ NODE_ENV: "development", WEBHOOK_SECRET_KEYS: "" }).status).toBe(0);
+  });
+
+  it("should send the secret in the submission and export webhook headers", async () => {
+    const put = vi.spyOn(axios, "put").mockResolvedValue({ status: 201 });
+    const post = vi.spyOn(axios, "post").mockResolvedValue({ status: 204 });
+    const scanner = new PlagiarismScanner(
+      { withAuthToken: (request) => request("token") },
+      "https://hooks.example.com",
+      "scans",
+      "https://api.example.com",
+      (scanId) => secrets.headersFor(scanId)
+    );
+    const expected = [["x-webhook-secret", secrets.secretFor("scan-1")]];
+
+    await scanner.submitTextScan("scan-1", "Some text");
+    await scanner.exportResults("scan-1", ["result-1"]);
+
+    expect(put.mock.calls[0][1].properties.webhooks).toMatchObject({
+      newResult: "https://hooks.example.com/webhook/new-result/scan-1",
+      statusHeaders: expected,
+      newResultHeaders: expected,
+    });
+    const exportBody = post.mock.calls[0][1];
+    expect(exportBody.completionWebhookHeaders).toEqual(expected);
+    expect(exportBody.results[0].headers).toEqual(expected);
+    expect(exportBody.crawledVersion.headers).toEqual(expected);
+    expect(exportBody.pdfReport.headers).toEqual(expected);
+    vi.restoreAllMocks();
+  });
+});
+
+describe("Webhook authentication", () => {
+  const secrets = createWebhookSecrets({ keys: oldKey });
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    useWebhookSecrets(secrets);
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+    useWebhookSecrets(null);
+  });
+
+  const postWebhook = (url, headers = {}) =>
+    app.inject({ method: "POST", url, headers, payload: { error: "Forged" } });
+
+  it("should reject webhooks without a valid secret before touching the store", async () => {
+    const record = await scanStore.createScanRecord("Protected text");
+
+    const missing = await postWebhook(`/webhook/error/${record.scanId}`);
+    const otherScan = await postWebhook(`/webhook/error/${record.scanId}`, {
+      "x-webhook-secret": secrets.secretFor("another-scan"),
+    });
+
+    expect(missing.statusCode).toBe(401);
+    expect(otherScan.statusCode).toBe(401);
+    expect((await scanStore.getScan(record.scanId)).status).toBe("queued");
+    expect(await scanStore.listEvents(record.scanId)).toEqual([]);
+  });
+
+  it("should accept webhooks carrying the scan's secret", async () => {
+    const record = await scanStore.createScanRecord("Protected text");
+
+    const response = await postWebhook(`/webhook/error/${record.scanId}`, {
+      "x-webhook-secret": secrets.secretFor(record.scanId),
+    });
+
+    expect(response.statusCode).toBe(200);
+    expect((await scanStore.getScan(record.scanId)).status).toBe("error");
+  });
+});
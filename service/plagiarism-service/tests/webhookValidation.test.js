@@ -0,0 +1,147 @@
+import { createRequire } from "node:module";
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from "vitest";
+import buildServer from "../src/app.js";
+
+// Load through require so the tests share the module instances used by the app
+const require = createRequire(import.meta.url);
+const adapters = require("../src/storage/adapters/index.js");
+const scanStore = require("../src/storage/scanStore.js");
+const { plagiarismScanner } = require("../src/services/copyleaksService.js");
+const {
+  createWebhookSecrets,
+  useWebhookSecrets,
+} = require("../src/services/webhookSecrets.js");
+
+describe("Webhook payload validation", () => {
+  let app;
+
+  beforeAll(async () => {
+    scanStore.useAdapter(adapters.createMemoryAdapter());
+    app = buildServer();
+    await app.ready();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    useWebhookSecrets(null);
+  });
+
+  afterAll(async () => {
+    await app.close();
+    await scanStore.close();
+  });
+
+  const operator = { authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` };
+  const admin = (method, url) => app.inject({ method, url, headers: operator });
+  const post = (url, payload = {}, headers = {}) =>
+    app.inject({ method: "POST", url, payload, headers });
+  const pendingScan = async (text) => {
+    const { scanId } = await scanStore.createScanRecord(text);
+    await scanStore.updateStatus(scanId, "pending");
+    return scanId;
+  };
+  const lettersFor = async (scanId) =>
+    (await admin("GET", `/admin/dead-letters?scanId=${scanId}`)).json();
+
+  it("should record a completed webhook missing its score instead of completing the scan", async () => {
+    const scanId = await pendingScan("Malformed completion");
+
+    const response = await post(`/webhook/completed/${scanId}`, {
+      results: { internet: [{ id: "result-1" }] },
+      scannedDocument: { totalWords: "many" },
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json()).toMatchObject({ error: "Invalid webhook payload" });
+    expect(response.json().details.map((issue) => issue.path).sort()).toEqual([
+      "results.score",
+      "scannedDocument.totalWords",
+    ]);
+
+    const record = await scanStore.getScan(scanId);
+    expect(record.status).toBe("pending");
+    expect(record.summary).toBeNull();
+    const [event] = await scanStore.listEvents(scanId);
+    expect(event).toMatchObject({
+      type: "webhook.invalid",
+      data: { webhook: "webhook.completed", context: "body" },
+    });
+    expect(event.data.issues).toHaveLength(2);
+    expect((await lettersFor(scanId)).items).toMatchObject([
+      { webhook: "webhook.completed", reason: "invalid" },
+    ]);
+  });
+
+  it("should reject unknown statuses through the status param schema", async () => {
+    const scanId = await pendingScan("Unknown status");
+
+    const response = await post(`/webhook/indexed/${scanId}`, { credits: 1 });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().details[0].path).toBe("status");
+    expect((await scanStore.listEvents(scanId))[0]).toMatchObject({
+      type: "webhook.invalid",
+      data: { webhook: "webhook.indexed", context: "params" },
+    });
+  });
+
+  it("should reject result exports with mismatched highlight ranges", async () => {
+    const scanId = await pendingScan("Broken ranges");
+
+    const response = await post(`/webhook/result/${scanId}/result-1`, {
+      text: { comparison: { identical: { source: { chars: { starts: [0, 9], lengths: [4] } } } } },
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(Object.keys((await scanStore.getScan(scanId)).exported.results)).toEqual([]);
+  });
+
+  it("should store normalized payloads", async () => {
+    vi.spyOn(plagiarismScanner, "exportResults").mockResolvedValue({});
+    const scanId = await pendingScan("Normalized");
+
+    await post(`/webhook/error/${scanId}`, { error: "Unsupported language" });
+    await post(`/webhook/new-result/${scanId}`, { internet: [{ id: "web-1" }] });
+
+    const events = await scanStore.listEvents(scanId);
+    expect(events[0]).toMatchObject({
+      type: "webhook.error",
+      data: { code: null, message: "Unsupported language" },
+    });
+    expect((await scanStore.getScan(scanId)).results).toEqual([
+      { internet: [{ id: "web-1" }], database: [], batch: [], repositories: [] },
+    ]);
+  });
+
+  it("should store a PDF report posted as application/pdf and replay it", async () => {
+    const scanId = await pendingScan("Raw PDF");
+    const pdf = Buffer.from("%PDF-1.7");
+    const postPdf = () =>
+      post(`/webhook/pdf/${scanId}`, pdf, { "content-type": "application/pdf" });
+
+    vi.spyOn(scanStore, "storePdf").mockRejectedValueOnce(new Error("Disk full"));
+    expect((await postPdf()).statusCode).toBe(500);
+
+    const [letter] = (await lettersFor(scanId)).items;
+    const inspected = await admin("GET", `/admin/dead-letters/${letter.id}`);
+    expect(inspected.json().payload).toBe(pdf.toString("base64"));
+
+    const replayed = await post(`/admin/dead-letters/${letter.id}/replay`, {}, operator);
+    expect(replayed.json().status).toBe("replayed");
+
+    const { pdfReport } = (await scanStore.getScan(scanId)).exported;
+    expect(pdfReport.contentType).toBe("application/pdf");
+    expect(await scanStore.readBlobContent(pdfReport)).toEqual(pdf);
+  });
+
+  it("should not record invalid payloads that lack the scan's secret", async () => {
+    useWebhookSecrets(createWebhookSecrets({ keys: `k1:${Buffer.alloc(32).toString("base64")}` }));
+    const scanId = await pendingScan("Forged");
+
+    const response = await post(`/webhook/completed/${scanId}`, { results: null });
+
+    expect(response.statusCode).toBe(401);
+    expect(await scanStore.listEvents(scanId)).toEqual([]);
+    expect((await lettersFor(scanId)).count).toBe(0);
+  });
+});
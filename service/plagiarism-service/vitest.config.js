@@ -4,6 +4,11 @@ module.exports = defineConfig({
   test: {
     globals: true,
     environment: "node",
+    env: {
+      SCAN_STORE_SQLITE_PATH: ":memory:",
+      BLOB_STORE_DRIVER: "memory",
+      ADMIN_API_TOKEN: "test-admin-token",
+    },
     coverage: {
       provider: "v8",
       reporter: ["text", "json", "html"],
@@ -0,0 +1,268 @@
+/**
+ * Check Store
+ * One record per check, keyed by checkId, holding every piece of state the server tracks
+ * for it: the grammar result, the plagiarism scan, the exported comparisons/PDF and the
+ * crawled version. Copyleaks webhooks are keyed by scanId, so an index maps each scanId
+ * back to its check.
+ *
+ * In-memory only. In production, use a database (Redis, MongoDB, PostgreSQL, etc.)
+ *
+ * Sub-state statuses:
+ * - grammar: not_requested | completed | error
+ * - scan:    not_requested | pending | scanning | completed | error
+ * - export:  not_started | receiving | completed | failed
+ * - crawled: not_received | received
+ * Expired checks keep only their ids and an `expired` status in every sub-state.
+ */
+
+const SECTIONS = ['grammar', 'scan', 'export', 'crawled'];
+
+const checks = new Map();
+
+// scanId -> checkId
+const scanIndex = new Map();
+
+// Content hash -> checkIds submitted with that text and options (oldest first)
+const contentHashes = new Map();
+
+// scanId -> keys of the webhook deliveries already processed for it
+const deliveries = new Map();
+
+function emptySections() {
+  return {
+    grammar: { status: 'not_requested', result: null, error: null, checkedAt: null },
+    scan: { status: 'not_requested', results: [] },
+    export: { status: 'not_started', results: {}, pdfReport: null, completedAt: null },
+    crawled: { status: 'not_received', version: null, extractedText: null, receivedAt: null }
+  };
+}
+
+/**
+ * checkId used for scans the server did not create a check for (e.g. /api/check/plagiarism
+ * or webhooks that outlived a restart). `scan-<checkId>` maps back to `<checkId>`.
+ */
+function checkIdForScan(scanId) {
+  return scanId.startsWith('scan-') ? scanId.slice('scan-'.length) : scanId;
+}
+
+/**
+ * Create (or reset) a check record
+ * @param {string} checkId - Check identifier
+ * @param {string|null} scanId - Plagiarism scanId, null for grammar-only checks
+ * @returns {object} The new record
+ */
+function createCheck(checkId, scanId = null) {
+  const previous = checks.get(checkId);
+  if (previous?.scanId) {
+    scanIndex.delete(previous.scanId);
+  }
+
+  const now = new Date().toISOString();
+  const check = {
+    checkId,
+    scanId,
+    status: 'active',
+    createdAt: now,
+    lastUpdated: now,
+    expiredAt: null,
+    ...emptySections()
+  };
+
+  checks.set(checkId, check);
+  if (scanId) {
+    scanIndex.set(scanId, checkId);
+  }
+  return check;
+}
+
+function getCheck(checkId) {
+  return checks.get(checkId);
+}
+
+function getCheckByScanId(scanId) {
+  const checkId = scanIndex.get(scanId);
+  return checkId === undefined ? undefined : checks.get(checkId);
+}
+
+/**
+ * Find the check a webhook belongs to, creating one for scans submitted without a check
+ */
+function getOrCreateCheckForScan(scanId) {
+  return getCheckByScanId(scanId) || createCheck(checkIdForScan(scanId), scanId);
+}
+
+/**
+ * Merge fields into one sub-state (grammar, scan, export or crawled)
+ * @returns {object} The updated check
+ */
+function updateSection(check, section, patch) {
+  Object.assign(check[section], patch);
+  check.lastUpdated = new Date().toISOString();
+  return check;
+}
+
+/**
+ * Record that Copyleaks accepted the scan. Webhooks can beat the submit response,
+ * so a scan that already moved on keeps its status.
+ */
+function markScanSubmitted(check) {
+  return updateSection(check, 'scan', {
+    status: check.scan.status === 'not_requested' ? 'pending' : check.scan.status,
+    submittedAt: new Date().toISOString()
+  });
+}
+
+function isExpired(check) {
+  return check?.status === 'expired';
+}
+
+/**
+ * Delete a check with its grammar, scan, export and crawled data
+ * @returns {boolean} False if the check did not exist
+ */
+function deleteCheck(checkId) {
+  const check = checks.get(checkId);
+  if (!check) {
+    return false;
+  }
+
+  if (check.scanId) {
+    scanIndex.delete(check.scanId);
+    deliveries.delete(check.scanId);
+  }
+  checks.delete(checkId);
+  return true;
+}
+
+/**
+ * Claim a webhook delivery so Copyleaks retries of it are processed only once
+ * @returns {boolean} False if the delivery was already claimed
+ */
+function claimDelivery(scanId, deliveryKey) {
+  if (!deliveries.has(scanId)) {
+    deliveries.set(scanId, new Set());
+  }
+
+  const claimed = deliveries.get(scanId);
+  if (claimed.has(deliveryKey)) {
+    return false;
+  }
+  claimed.add(deliveryKey);
+  return true;
+}
+
+/**
+ * Forget a delivery whose processing failed, so its retry is processed again
+ */
+function releaseDelivery(scanId, deliveryKey) {
+  deliveries.get(scanId)?.delete(deliveryKey);
+}
+
+/**
+ * Remember which content hash a check's scan was submitted with
+ */
+function registerContentHash(checkId, contentHash) {
+  if (!contentHashes.has(contentHash)) {
+    contentHashes.set(contentHash, []);
+  }
+  contentHashes.get(contentHash).push(checkId);
+}
+
+/**
+ * Find the newest check whose scan completed with exported results for a content hash
+ * Checks that were deleted or swept away since are dropped from the index.
+ * @param {string} contentHash - Hash from content-hash.hashSubmission
+ * @returns {object|null} Check whose plagiarism results can be reused
+ */
+function findReusableCheck(contentHash) {
+  const checkIds = (contentHashes.get(contentHash) || []).filter(checkId => checks.has(checkId));
+
+  if (checkIds.length) {
+    contentHashes.set(contentHash, checkIds);
+  } else {
+    contentHashes.delete(contentHash);
+  }
+
+  for (let i = checkIds.length - 1; i >= 0; i--) {
+    const check = checks.get(checkIds[i]);
+
+    if (check.scan.status === 'completed' && Object.keys(check.export.results).length > 0) {
+      return check;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Copy the scan, export and crawled state of one check into another
+ * The copy is independent of the source and follows its own retention period.
+ */
+function copyPlagiarismState(source, target) {
+  target.scan = { ...structuredClone(source.scan), reusedFrom: source.scanId };
+  target.export = structuredClone(source.export);
+  target.crawled = structuredClone(source.crawled);
+  target.lastUpdated = new Date().toISOString();
+  return target;
+}
+
+/**
+ * Expire checks older than maxAgeMs
+ * Grammar, scan, export and crawled data are dropped and the record becomes an
+ * `expired` tombstone so clients can tell why it disappeared. Tombstones are removed
+ * entirely once they are maxAgeMs old themselves.
+ * @param {number} maxAgeMs - Retention period in milliseconds
+ * @param {number} now - Reference time in milliseconds
+ * @returns {string[]} scanIds of the checks expired during this sweep
+ */
+function sweepExpiredChecks(maxAgeMs, now = Date.now()) {
+  const expiredScanIds = [];
+  const expiredAt = new Date(now).toISOString();
+  let expiredCount = 0;
+
+  for (const check of checks.values()) {
+    if (isExpired(check)) {
+      if (now - Date.parse(check.expiredAt) >= maxAgeMs) {
+        deleteCheck(check.checkId);
+      }
+      continue;
+    }
+
+    if (now - Date.parse(check.createdAt) < maxAgeMs) {
+      continue;
+    }
+
+    for (const section of SECTIONS) {
+      check[section] = { status: 'expired' };
+    }
+    Object.assign(check, { status: 'expired', expiredAt, lastUpdated: expiredAt });
+    expiredCount++;
+
+    if (check.scanId) {
+      expiredScanIds.push(check.scanId);
+    }
+  }
+
+  if (expiredCount) {
+    console.log(`🧹 Expired ${expiredCount} check(s) past the retention period`);
+  }
+
+  return expiredScanIds;
+}
+
+module.exports = {
+  createCheck,
+  getCheck,
+  getCheckByScanId,
+  getOrCreateCheckForScan,
+  updateSection,
+  markScanSubmitted,
+  isExpired,
+  deleteCheck,
+  claimDelivery,
+  releaseDelivery,
+  registerContentHash,
+  findReusableCheck,
+  copyPlagiarismState,
+  sweepExpiredChecks
+};
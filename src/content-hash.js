@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+
+/**
+ * Content Hash Module
+ * Fingerprints submissions so identical text is not scanned (and billed) twice
+ */
+
+/**
+ * Normalize text so copies that differ only in line endings, Unicode composition
+ * or whitespace runs hash the same
+ * @param {string} text - Submitted text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Hash normalized text together with the scan options that change Copyleaks results
+ * @param {string} text - Submitted text
+ * @param {object} scanOptions - Options sent to Copyleaks
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashSubmission(text, scanOptions = {}) {
+  const fingerprint = {
+    text: normalizeText(text),
+    sandbox: Boolean(scanOptions.sandbox),
+    sensitivityLevel: scanOptions.sensitivityLevel || 3,
+    includeHtml: scanOptions.includeHtml !== false
+  };
+
+  return crypto.createHash('sha256').update(JSON.stringify(fingerprint)).digest('hex');
+}
+
+module.exports = {
+  normalizeText,
+  hashSubmission
+};
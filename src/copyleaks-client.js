@@ -1,21 +1,54 @@
 const axios = require('axios');
+const { CircuitBreaker } = require('./circuit-breaker');
+
+/**
+ * Whether a failed call counts against the circuit: network errors, timeouts and 5xx do,
+ * while answers such as 400, 401 or 404 show Copyleaks is up
+ */
+function isOutage(error) {
+  const status = error.response?.status;
+  return status === undefined || status >= 500;
+}
 
 /**
  * Unified Copyleaks API Client
- * Handles authentication for both Plagiarism and Grammar checking APIs
+ * Handles authentication for both Plagiarism and Grammar checking APIs. Authenticated calls
+ * (grammar checks, account lookups) go through a circuit breaker, so they fail fast while
+ * Copyleaks is down, and every request times out after `requestTimeoutMs`.
  */
 class CopyleaksClient {
-  constructor(email, apiKey) {
+  /**
+   * @param {string} email - Copyleaks account email
+   * @param {string} apiKey - Copyleaks API key
+   * @param {object} [options]
+   * @param {object} [options.circuit] - `failureThreshold`, `resetTimeoutMs` and
+   *   `trialTimeoutMs` of the breaker
+   * @param {number} [options.requestTimeoutMs] - Timeout of each Copyleaks request
+   * @param {string} [options.idUrl] - Identity server (login) base URL
+   * @param {string} [options.apiUrl] - API server base URL
+   */
+  constructor(email, apiKey, options = {}) {
     this.email = email;
     this.apiKey = apiKey;
     this.authToken = null;
     this.tokenExpiry = null;
-
-    // API endpoints
+    this.requestTimeoutMs = options.requestTimeoutMs || 30000;
+    this.breaker = new CircuitBreaker({
+      name: 'Copyleaks',
+      ...options.circuit,
+      isFailure: isOutage,
+      openError: retryAfterMs =>
+        new Error(`Copyleaks is unavailable; retry in ${Math.ceil(retryAfterMs / 1000)}s`)
+    });
+
+    // API endpoints (hosts are overridable, e.g. to use the Copyleaks emulator)
+    const idUrl = options.idUrl || 'https://id.copyleaks.com';
+    const apiUrl = options.apiUrl || 'https://api.copyleaks.com';
     this.endpoints = {
-      login: 'https://id.copyleaks.com/v3/account/login/api',
-      grammarCheck: 'https://api.copyleaks.com/v3/writer/check',
-      writerDetector: 'https://api.copyleaks.com/v3/writer-detector/check'
+      login: `${idUrl}/v3/account/login/api`,
+      account: `${apiUrl}/v3/account`,
+      grammarCheck: `${apiUrl}/v3/writer/check`,
+      writerDetector: `${apiUrl}/v3/writer-detector/check`
     };
   }
 
@@ -31,6 +64,7 @@ class CopyleaksClient {
         email: this.email,
         key: this.apiKey
       }, {
+        timeout: this.requestTimeoutMs,
         headers: {
           'Content-Type': 'application/json'
         }
@@ -72,24 +106,27 @@ class CopyleaksClient {
    * @param {object} additionalHeaders - Additional headers
    */
   async makeRequest(url, method = 'POST', data = null, additionalHeaders = {}) {
-    const token = await this.getAuthToken();
-
-    const config = {
-      method,
-      url,
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json',
-        ...additionalHeaders
-      }
-    };
-
-    if (data) {
-      config.data = data;
-    }
-
     try {
-      const response = await axios(config);
+      const response = await this.breaker.execute(async () => {
+        const token = await this.getAuthToken();
+
+        const config = {
+          method,
+          url,
+          timeout: this.requestTimeoutMs,
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            ...additionalHeaders
+          }
+        };
+
+        if (data) {
+          config.data = data;
+        }
+
+        return axios(config);
+      });
       return response.data;
     } catch (error) {
       console.error(`✗ API request failed: ${url}`, error.response?.data || error.message);
@@ -109,11 +146,14 @@ class CopyleaksClient {
    */
   async getAccountInfo() {
     try {
-      const token = await this.getAuthToken();
-      const response = await axios.get('https://api.copyleaks.com/v3/account', {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
+      const response = await this.breaker.execute(async () => {
+        const token = await this.getAuthToken();
+        return axios.get(this.endpoints.account, {
+          timeout: this.requestTimeoutMs,
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
       });
       return response.data;
     } catch (error) {
@@ -5,7 +5,7 @@
 class GrammarChecker {
   constructor(copyleaksClient) {
     this.client = copyleaksClient;
-    this.apiEndpoint = 'https://api.copyleaks.com/v3/writer/check';
+    this.apiEndpoint = copyleaksClient.endpoints.grammarCheck;
   }
 
   /**
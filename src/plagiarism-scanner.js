@@ -5,13 +5,14 @@ const axios = require('axios');
  * Uses direct HTTP calls to Copyleaks API (matching Postman collection format)
  */
 class PlagiarismScanner {
-  constructor(copyleaksClient, webhookBaseUrl, productEndpoint = 'scans', baseUrl = 'https://api.copyleaks.com') {
+  constructor(copyleaksClient, webhookBaseUrl, productEndpoint = 'scans', baseUrl = 'https://api.copyleaks.com', webhookHeaders = () => []) {
     this.client = copyleaksClient;
     this.webhookBaseUrl = webhookBaseUrl;
     this.email = copyleaksClient.email;
     this.apiKey = copyleaksClient.apiKey;
     this.baseUrl = baseUrl; // Configurable base URL
     this.productEndpoint = productEndpoint; // Default to 'scans', can be 'education', 'businesses', etc.
+    this.webhookHeaders = webhookHeaders; // scanId => [[name, value]] headers Copyleaks sends back on webhooks
   }
 
   /**
@@ -80,6 +81,7 @@ class PlagiarismScanner {
 
       // Get auth token
       const authToken = await this.client.getAuthToken();
+      const webhookHeaders = this.webhookHeaders(scanId);
 
       // Convert text to base64
       const base64Text = Buffer.from(text).toString('base64');
@@ -109,9 +111,9 @@ class PlagiarismScanner {
             id: null
           },
           webhooks: {
-            newResult: null,
-            newResultHeaders: null,
-            statusHeaders: null,
+            newResult: `${this.webhookBaseUrl}/webhook/new-result/${scanId}`,
+            newResultHeaders: webhookHeaders.length ? webhookHeaders : null,
+            statusHeaders: webhookHeaders.length ? webhookHeaders : null,
             status: `${this.webhookBaseUrl}/webhook/{STATUS}/${scanId}`
           },
           filters: {
@@ -278,32 +280,35 @@ class PlagiarismScanner {
       throw new Error('No result IDs provided for export');
     }
 
+    // Outside the try so failures can be reported with the export they belong to
+    const exportId = `export-${Date.now()}`;
+
     try {
       console.log(`📤 Exporting plagiarism results for scan: ${scanId}`);
 
       const authToken = await this.client.getAuthToken();
-      const exportId = `export-${Date.now()}`;
+      const headers = this.webhookHeaders(scanId);
 
       // Create export config matching Postman format (line 350)
       const exportConfig = {
         completionWebhook: `${this.webhookBaseUrl}/webhook/export-completed/${scanId}`,
-        completionWebhookHeaders: [],
+        completionWebhookHeaders: headers,
         maxRetries: 3,
         developerPayload: '',
         results: resultIds.map(resultId => ({
           id: resultId,
           verb: 'POST',
-          headers: [],
+          headers,
           endpoint: `${this.webhookBaseUrl}/webhook/result/${scanId}/${resultId}`
         })),
         crawledVersion: {
           verb: 'POST',
-          headers: [],
+          headers,
           endpoint: `${this.webhookBaseUrl}/webhook/crawled/${scanId}`
         },
         pdfReport: {
           verb: 'POST',
-          headers: [],
+          headers,
           endpoint: `${this.webhookBaseUrl}/webhook/pdf/${scanId}`
         }
       };
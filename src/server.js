@@ -6,14 +6,23 @@ const CopyleaksClient = require('./copyleaks-client');
 const GrammarChecker = require('./grammar-checker');
 const PlagiarismScanner = require('./plagiarism-scanner');
 const TextHighlighter = require('./text-highlighter');
+const { hashSubmission } = require('./content-hash');
+const { router: webhookRouter, extractCrawledText } = require('./webhook-handler');
+const { getWebhookSecrets } = require('./webhook-secrets');
 const {
-  router: webhookRouter,
-  storeGrammarResult,
-  getScanResult,
-  getExportedResult,
-  getGrammarResult,
-  deleteScanResult
-} = require('./webhook-handler');
+  createCheck,
+  getCheck,
+  getCheckByScanId,
+  getOrCreateCheckForScan,
+  updateSection,
+  markScanSubmitted,
+  isExpired,
+  deleteCheck,
+  registerContentHash,
+  findReusableCheck,
+  copyPlagiarismState,
+  sweepExpiredChecks
+} = require('./check-store');
 
 // Initialize Express app
 const app = express();
@@ -27,10 +36,21 @@ const CONFIG = {
   COPYLEAKS_EMAIL: process.env.COPYLEAKS_EMAIL,
   COPYLEAKS_API_KEY: process.env.COPYLEAKS_API_KEY,
   COPYLEAKS_BASE_URL: process.env.COPYLEAKS_BASE_URL || 'https://api.copyleaks.com',
+  COPYLEAKS_ID_URL: process.env.COPYLEAKS_ID_URL || 'https://id.copyleaks.com',
   WEBHOOK_BASE_URL: process.env.WEBHOOK_BASE_URL,
   PRODUCT_ENDPOINT: process.env.PRODUCT_ENDPOINT || 'scans',
   PORT: process.env.PORT || 3000,
-  SANDBOX_MODE: process.env.SANDBOX_MODE === 'true'
+  NODE_ENV: process.env.NODE_ENV || 'development',
+  SANDBOX_MODE: process.env.SANDBOX_MODE === 'true',
+  // Retention for stored results (defaults to the Copyleaks scan expiration of 2880 minutes)
+  RESULT_RETENTION_MINUTES: parseInt(process.env.RESULT_RETENTION_MINUTES || '2880', 10),
+  RESULT_SWEEP_INTERVAL_MS: parseInt(process.env.RESULT_SWEEP_INTERVAL_MS || '300000', 10),
+  PURGE_EXPIRED_SCANS: process.env.PURGE_EXPIRED_SCANS === 'true',
+  // Circuit breaker and request timeout for Copyleaks calls (see the plagiarism service README)
+  COPYLEAKS_CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.COPYLEAKS_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  COPYLEAKS_CIRCUIT_RESET_MS: parseInt(process.env.COPYLEAKS_CIRCUIT_RESET_MS || '30000', 10),
+  COPYLEAKS_CIRCUIT_TRIAL_TIMEOUT_MS: parseInt(process.env.COPYLEAKS_CIRCUIT_TRIAL_TIMEOUT_MS || '30000', 10),
+  COPYLEAKS_REQUEST_TIMEOUT_MS: parseInt(process.env.COPYLEAKS_REQUEST_TIMEOUT_MS || '30000', 10)
 };
 
 // Validate configuration
@@ -43,14 +63,33 @@ if (!CONFIG.WEBHOOK_BASE_URL) {
   console.warn('⚠️  WEBHOOK_BASE_URL not set. Plagiarism webhooks will not work.');
 }
 
+// Unauthenticated webhooks are only tolerated while developing and testing
+if (!getWebhookSecrets().enabled) {
+  if (CONFIG.NODE_ENV !== 'development' && CONFIG.NODE_ENV !== 'test') {
+    console.error('❌ Missing required environment variable: WEBHOOK_SECRET_KEYS');
+    process.exit(1);
+  }
+  console.warn('⚠️  WEBHOOK_SECRET_KEYS not set. Webhooks are accepted without authentication.');
+}
+
 // Initialize services
-const copyleaksClient = new CopyleaksClient(CONFIG.COPYLEAKS_EMAIL, CONFIG.COPYLEAKS_API_KEY);
+const copyleaksClient = new CopyleaksClient(CONFIG.COPYLEAKS_EMAIL, CONFIG.COPYLEAKS_API_KEY, {
+  idUrl: CONFIG.COPYLEAKS_ID_URL,
+  apiUrl: CONFIG.COPYLEAKS_BASE_URL,
+  requestTimeoutMs: CONFIG.COPYLEAKS_REQUEST_TIMEOUT_MS,
+  circuit: {
+    failureThreshold: CONFIG.COPYLEAKS_CIRCUIT_FAILURE_THRESHOLD,
+    resetTimeoutMs: CONFIG.COPYLEAKS_CIRCUIT_RESET_MS,
+    trialTimeoutMs: CONFIG.COPYLEAKS_CIRCUIT_TRIAL_TIMEOUT_MS
+  }
+});
 const grammarChecker = new GrammarChecker(copyleaksClient);
 const plagiarismScanner = new PlagiarismScanner(
   copyleaksClient,
   CONFIG.WEBHOOK_BASE_URL,
   CONFIG.PRODUCT_ENDPOINT,
-  CONFIG.COPYLEAKS_BASE_URL
+  CONFIG.COPYLEAKS_BASE_URL,
+  scanId => getWebhookSecrets().headersFor(scanId)
 );
 const textHighlighter = new TextHighlighter();
 
@@ -63,85 +102,7 @@ app.use((req, res, next) => {
   next();
 });
 
-// OVERRIDE: Direct crawled webhook handler with improved text extraction
-app.post('/webhook/crawled/:scanId', (req, res) => {
-  const { scanId } = req.params;
-  const crawledData = req.body;
-
-  console.log(`📥 Received crawled webhook for scan: ${scanId}`);
-
-  // Extract text from various possible response formats
-  let extractedText = null;
-
-  // Try all possible paths for text extraction
-  if (crawledData) {
-    // Path 1: {text: {value: "..."}}
-    if (crawledData.text && typeof crawledData.text === 'object' && crawledData.text.value) {
-      extractedText = crawledData.text.value;
-      console.log(`✓ Extracted text from crawledData.text.value (length: ${extractedText.length})`);
-    }
-    // Path 2: {text: "..."}
-    else if (crawledData.text && typeof crawledData.text === 'string') {
-      extractedText = crawledData.text;
-      console.log(`✓ Extracted text from crawledData.text (length: ${extractedText.length})`);
-    }
-    // Path 3: {value: "..."}
-    else if (crawledData.value && typeof crawledData.value === 'string') {
-      extractedText = crawledData.value;
-      console.log(`✓ Extracted text from crawledData.value (length: ${extractedText.length})`);
-    }
-    // Path 4: {content: "..."}
-    else if (crawledData.content && typeof crawledData.content === 'string') {
-      extractedText = crawledData.content;
-      console.log(`✓ Extracted text from crawledData.content (length: ${extractedText.length})`);
-    }
-    // Path 5: {document: {text: "..."}}
-    else if (crawledData.document && crawledData.document.text) {
-      extractedText = crawledData.document.text;
-      console.log(`✓ Extracted text from crawledData.document.text (length: ${extractedText.length})`);
-    }
-    // Path 6: Direct string response
-    else if (typeof crawledData === 'string') {
-      extractedText = crawledData;
-      console.log(`✓ Extracted text from direct string response (length: ${extractedText.length})`);
-    }
-    // Path 7: {html: {text: "..."}}
-    else if (crawledData.html && crawledData.html.text) {
-      extractedText = crawledData.html.text;
-      console.log(`✓ Extracted text from crawledData.html.text (length: ${extractedText.length})`);
-    }
-    // Path 8: {result: {text: "..."}}
-    else if (crawledData.result && crawledData.result.text) {
-      extractedText = crawledData.result.text;
-      console.log(`✓ Extracted text from crawledData.result.text (length: ${extractedText.length})`);
-    }
-  }
-
-  // Store the data directly here to bypass module cache
-  const { getExportedData } = require('./webhook-handler');
-  const exportedData = getExportedData();
-
-  if (!exportedData.has(scanId)) {
-    exportedData.set(scanId, {});
-  }
-
-  const stored = exportedData.get(scanId);
-  stored.crawledVersion = crawledData;
-  stored.extractedText = extractedText;
-
-  // Log extraction status
-  if (extractedText) {
-    console.log(`✅ Successfully extracted text for ${scanId} (${extractedText.length} chars)`);
-  } else {
-    console.error(`⚠️ Could not extract text from crawled data for ${scanId}`);
-    console.log(`🔍 DEBUG - Available keys in crawledData:`, crawledData ? Object.keys(crawledData) : 'no data');
-    console.log(`🔍 DEBUG - Structure preview:`, JSON.stringify(crawledData, null, 2).substring(0, 500));
-  }
-
-  res.json({ received: true });
-});
-
-// Mount webhook routes (other webhooks will still use the router)
+// Mount webhook routes
 app.use(webhookRouter);
 
 // Health check endpoint
@@ -149,7 +110,8 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     service: 'Copyleaks Grammar & Plagiarism Checker',
-    authenticated: copyleaksClient.isAuthenticated()
+    authenticated: copyleaksClient.isAuthenticated(),
+    copyleaksCircuit: copyleaksClient.breaker.snapshot()
   });
 });
 
@@ -214,6 +176,7 @@ app.post('/api/check', async (req, res) => {
 
     const uniqueCheckId = checkId || `check-${Date.now()}`;
     const scanId = `scan-${uniqueCheckId}`;
+    const check = createCheck(uniqueCheckId, scanId);
 
     console.log(`\n🚀 Starting combined check: ${uniqueCheckId}`);
 
@@ -224,24 +187,51 @@ app.post('/api/check', async (req, res) => {
         language: options.language || 'en',
         sandbox: CONFIG.SANDBOX_MODE
       });
-      storeGrammarResult(uniqueCheckId, grammarResult);
+      updateSection(check, 'grammar', {
+        status: 'completed',
+        result: grammarResult,
+        checkedAt: new Date().toISOString()
+      });
     } catch (error) {
       console.error('Grammar check failed:', error.message);
       grammarResult = { error: error.message };
+      updateSection(check, 'grammar', {
+        status: 'error',
+        error: error.message,
+        checkedAt: new Date().toISOString()
+      });
     }
 
-    // Start plagiarism scan (asynchronous)
+    // Start plagiarism scan (asynchronous), unless identical text was already scanned
+    const scanOptions = {
+      sandbox: CONFIG.SANDBOX_MODE,
+      sensitivityLevel: options.sensitivityLevel || 3,
+      includeHtml: true
+    };
+    const contentHash = hashSubmission(text, scanOptions);
+    const reusableCheck = options.forceRescan ? null : findReusableCheck(contentHash);
+    const reusableScanId = reusableCheck?.scanId;
+
     let plagiarismResult = null;
-    try {
-      plagiarismResult = await plagiarismScanner.submitTextScan(scanId, text, {
-        sandbox: CONFIG.SANDBOX_MODE,
-        sensitivityLevel: options.sensitivityLevel || 3,
-        includeHtml: true
-      });
-    } catch (error) {
-      console.error('Plagiarism scan failed:', error.message);
-      plagiarismResult = { error: error.message };
+    if (reusableCheck) {
+      copyPlagiarismState(reusableCheck, check);
+      plagiarismResult = { success: true, scanId: scanId, status: 'completed', reusedFrom: reusableScanId };
+      console.log(`♻️  Reusing plagiarism results of ${reusableScanId} for ${scanId}`);
+    } else {
+      try {
+        plagiarismResult = await plagiarismScanner.submitTextScan(scanId, text, scanOptions);
+        markScanSubmitted(check);
+      } catch (error) {
+        console.error('Plagiarism scan failed:', error.message);
+        plagiarismResult = { error: error.message };
+        updateSection(check, 'scan', {
+          status: 'error',
+          error: error.message,
+          errorAt: new Date().toISOString()
+        });
+      }
     }
+    registerContentHash(uniqueCheckId, contentHash);
 
     res.json({
       success: true,
@@ -249,7 +239,9 @@ app.post('/api/check', async (req, res) => {
       scanId: scanId,
       grammar: grammarResult,
       plagiarism: plagiarismResult,
-      message: 'Grammar check completed. Plagiarism scan in progress. Use /api/results/:checkId to get combined results.'
+      message: reusableScanId
+        ? 'Grammar check completed. Plagiarism results reused from an identical earlier scan.'
+        : 'Grammar check completed. Plagiarism scan in progress. Use /api/results/:checkId to get combined results.'
     });
 
   } catch (error) {
@@ -277,7 +269,11 @@ app.post('/api/check/grammar', async (req, res) => {
       sandbox: CONFIG.SANDBOX_MODE
     });
 
-    storeGrammarResult(uniqueCheckId, result);
+    updateSection(createCheck(uniqueCheckId), 'grammar', {
+      status: 'completed',
+      result: result,
+      checkedAt: new Date().toISOString()
+    });
 
     res.json({
       success: true,
@@ -309,6 +305,7 @@ app.post('/api/check/plagiarism', async (req, res) => {
       sandbox: CONFIG.SANDBOX_MODE,
       sensitivityLevel: options.sensitivityLevel || 3
     });
+    markScanSubmitted(getOrCreateCheckForScan(uniqueScanId));
 
     res.json({
       success: true,
@@ -322,27 +319,54 @@ app.post('/api/check/plagiarism', async (req, res) => {
   }
 });
 
+/**
+ * Shape a check record for API responses (export and crawled payloads are summarized)
+ */
+function toCheckResponse(check) {
+  return {
+    checkId: check.checkId,
+    scanId: check.scanId,
+    createdAt: check.createdAt,
+    lastUpdated: check.lastUpdated,
+    grammar: check.grammar,
+    plagiarism: check.scan,
+    export: {
+      status: check.export.status,
+      resultIds: Object.keys(check.export.results),
+      hasPdfReport: !!check.export.pdfReport,
+      completedAt: check.export.completedAt
+    },
+    crawled: {
+      status: check.crawled.status,
+      receivedAt: check.crawled.receivedAt,
+      extractedTextLength: check.crawled.extractedText?.length || 0
+    }
+  };
+}
+
 /**
  * Get check status and results
  * GET /api/results/:checkId
  */
 app.get('/api/results/:checkId', (req, res) => {
   const { checkId } = req.params;
-  const scanId = `scan-${checkId}`;
+  const check = getCheck(checkId);
 
-  const grammarResult = getGrammarResult(checkId);
-  const scanResult = getScanResult(scanId);
-
-  if (!grammarResult && !scanResult) {
+  if (!check) {
     return res.status(404).json({ error: 'Check not found' });
   }
 
-  res.json({
-    checkId: checkId,
-    scanId: scanId,
-    grammar: grammarResult || { status: 'not_found' },
-    plagiarism: scanResult || { status: 'not_found' }
-  });
+  if (isExpired(check)) {
+    return res.status(410).json({
+      error: 'Check expired',
+      checkId: checkId,
+      scanId: check.scanId,
+      status: 'expired',
+      expiredAt: check.expiredAt
+    });
+  }
+
+  res.json(toCheckResponse(check));
 });
 
 /**
@@ -351,44 +375,29 @@ app.get('/api/results/:checkId', (req, res) => {
  */
 app.get('/api/results/:checkId/highlighted', (req, res) => {
   const { checkId } = req.params;
-  const scanId = `scan-${checkId}`;
+  const check = getCheck(checkId);
 
-  const grammarData = getGrammarResult(checkId);
-  const exportedData = getExportedResult(scanId);
+  if (isExpired(check)) {
+    return res.status(410).json({ error: 'Check expired', status: 'expired' });
+  }
 
-  if (!grammarData && !exportedData) {
+  if (!check) {
     return res.status(404).json({ error: 'Results not found' });
   }
 
-  const grammarResult = grammarData?.result;
+  const { scanId, crawled } = check;
+  const grammarResult = check.grammar.result;
+  const exportedResults = check.export.results;
 
-  // Use the pre-extracted text or try crawled version paths
+  // Use the pre-extracted text, then the crawled version, then the grammar result text
   let text = '';
 
-  // First try the pre-extracted text (added by improved webhook handler)
-  if (exportedData?.extractedText) {
-    text = exportedData.extractedText;
+  if (crawled.extractedText) {
+    text = crawled.extractedText;
     console.log(`✓ Using pre-extracted text (${text.length} chars)`);
-  }
-  // Fallback to crawled text extraction
-  else if (exportedData?.crawledVersion) {
-    // Try different possible paths
-    const crawledText = exportedData.crawledVersion.text?.value ||  // Expected path: {text: {value: "..."}}
-                        exportedData.crawledVersion.text ||          // Alternative: {text: "..."}
-                        exportedData.crawledVersion.value ||         // Alternative: {value: "..."}
-                        exportedData.crawledVersion.content ||       // Alternative: {content: "..."}
-                        exportedData.crawledVersion.document?.text || // Alternative: {document: {text: "..."}}
-                        exportedData.crawledVersion.html?.text ||    // Alternative: {html: {text: "..."}}
-                        exportedData.crawledVersion.result?.text ||  // Alternative: {result: {text: "..."}}
-                        (typeof exportedData.crawledVersion === 'string' ? exportedData.crawledVersion : null); // Direct string
-
-    if (crawledText) {
-      text = typeof crawledText === 'string' ? crawledText : (crawledText.value || '');
-      console.log(`✓ Extracted text from crawledVersion (${text.length} chars)`);
-    }
-  }
-  // Final fallback to grammar result text
-  else if (grammarResult?.text) {
+  } else if (crawled.version) {
+    text = extractCrawledText(crawled.version) || '';
+  } else if (grammarResult?.text) {
     text = grammarResult.text;
     console.log(`✓ Using text from grammar result (${text.length} chars)`);
   }
@@ -398,15 +407,16 @@ app.get('/api/results/:checkId/highlighted', (req, res) => {
     return res.status(400).json({
       error: 'No text available for highlighting',
       details: {
-        hasGrammarData: !!grammarData,
+        grammarStatus: check.grammar.status,
         hasGrammarResult: !!grammarResult,
         hasGrammarText: !!(grammarResult?.text),
         grammarTextLength: grammarResult?.text?.length || 0,
-        hasExportedData: !!exportedData,
-        hasCrawledVersion: !!(exportedData?.crawledVersion),
-        crawledVersionType: exportedData?.crawledVersion ? typeof exportedData.crawledVersion : 'N/A',
-        crawledVersionKeys: exportedData?.crawledVersion && typeof exportedData.crawledVersion === 'object'
-          ? Object.keys(exportedData.crawledVersion).slice(0, 10) // First 10 keys
+        exportStatus: check.export.status,
+        crawledStatus: crawled.status,
+        hasCrawledVersion: !!crawled.version,
+        crawledVersionType: crawled.version ? typeof crawled.version : 'N/A',
+        crawledVersionKeys: crawled.version && typeof crawled.version === 'object'
+          ? Object.keys(crawled.version).slice(0, 10) // First 10 keys
           : [],
         debugInfo: 'Check crawledVersionKeys to see actual data structure'
       }
@@ -417,38 +427,32 @@ app.get('/api/results/:checkId/highlighted', (req, res) => {
   const plagiarismMatches = [];
 
   // Debug: Log export data structure
-  if (exportedData) {
-    const dataStr = JSON.stringify(exportedData, null, 2);
-    console.log('🔍 Debug - exportedData structure:', dataStr.substring(0, Math.min(500, dataStr.length)));
-  } else {
-    console.log('🔍 Debug - No exportedData available');
-  }
-
-  if (exportedData?.results) {
-    Object.values(exportedData.results).forEach(result => {
-      const comparison = result.text?.comparison;
-
-      // Process all match types: identical, minorChanges, relatedMeaning
-      const matchTypes = ['identical', 'minorChanges', 'relatedMeaning'];
-
-      matchTypes.forEach(matchType => {
-        const matchData = comparison?.[matchType];
-        if (matchData?.source?.chars) {
-          const { starts, lengths } = matchData.source.chars;
-          if (starts && lengths) {
-            for (let i = 0; i < starts.length; i++) {
-              plagiarismMatches.push({
-                start: starts[i],
-                length: lengths[i],
-                source: 'Plagiarism detected',
-                matchType: matchType
-              });
-            }
+  const dataStr = JSON.stringify(check.export, null, 2);
+  console.log('🔍 Debug - export structure:', dataStr.substring(0, Math.min(500, dataStr.length)));
+
+  Object.values(exportedResults).forEach(result => {
+    const comparison = result.text?.comparison;
+
+    // Process all match types: identical, minorChanges, relatedMeaning
+    const matchTypes = ['identical', 'minorChanges', 'relatedMeaning'];
+
+    matchTypes.forEach(matchType => {
+      const matchData = comparison?.[matchType];
+      if (matchData?.source?.chars) {
+        const { starts, lengths } = matchData.source.chars;
+        if (starts && lengths) {
+          for (let i = 0; i < starts.length; i++) {
+            plagiarismMatches.push({
+              start: starts[i],
+              length: lengths[i],
+              source: 'Plagiarism detected',
+              matchType: matchType
+            });
           }
         }
-      });
+      }
     });
-  }
+  });
 
   // Combine highlights
   const combined = textHighlighter.combineHighlights(text, grammarResult, plagiarismMatches);
@@ -467,38 +471,43 @@ app.get('/api/results/:checkId/highlighted', (req, res) => {
  */
 app.get('/api/debug/:checkId', (req, res) => {
   const { checkId } = req.params;
-  const scanId = `scan-${checkId}`;
-
-  const grammarData = getGrammarResult(checkId);
-  const exportedData = getExportedResult(scanId);
+  const check = getCheck(checkId);
+  const grammarResult = check?.grammar.result;
+  const crawledVersion = check?.crawled.version;
 
   res.json({
     checkId,
-    scanId,
-    grammarData: grammarData ? {
+    scanId: check?.scanId || null,
+    status: check?.status || 'not_found',
+    grammarData: grammarResult ? {
       exists: true,
-      hasResult: !!grammarData.result,
-      hasText: !!(grammarData.result?.text),
-      textLength: grammarData.result?.text?.length || 0,
-      textPreview: grammarData.result?.text?.substring(0, 100) || '',
-      keys: grammarData.result ? Object.keys(grammarData.result) : []
+      status: check.grammar.status,
+      hasText: !!(grammarResult.text),
+      textLength: grammarResult.text?.length || 0,
+      textPreview: grammarResult.text?.substring(0, 100) || '',
+      keys: Object.keys(grammarResult)
+    } : null,
+    scanData: check ? {
+      status: check.scan.status,
+      resultCount: check.scan.results?.length || 0,
+      reusedFrom: check.scan.reusedFrom || null
     } : null,
-    exportedData: exportedData ? {
+    exportedData: check ? {
+      status: check.export.status,
+      resultCount: Object.keys(check.export.results || {}).length,
+      hasPdf: !!check.export.pdfReport,
+      completedAt: check.export.completedAt || null
+    } : null,
+    crawledData: crawledVersion ? {
       exists: true,
-      hasCrawledVersion: !!exportedData.crawledVersion,
-      crawledVersionType: typeof exportedData.crawledVersion,
-      crawledVersionKeys: exportedData.crawledVersion && typeof exportedData.crawledVersion === 'object'
-        ? Object.keys(exportedData.crawledVersion)
-        : [],
-      crawledVersionTextPath: exportedData.crawledVersion?.text ? 'exists' : 'missing',
-      crawledVersionTextType: typeof exportedData.crawledVersion?.text,
-      crawledVersionTextValuePath: exportedData.crawledVersion?.text?.value ? 'exists' : 'missing',
-      crawledVersionTextValueType: typeof exportedData.crawledVersion?.text?.value,
-      crawledVersionTextValueLength: exportedData.crawledVersion?.text?.value?.length || 0,
-      hasResults: !!exportedData.results,
-      resultCount: exportedData.results ? Object.keys(exportedData.results).length : 0,
-      hasPdf: !!exportedData.pdf,
-      exportCompleted: !!exportedData.exportCompleted
+      crawledVersionType: typeof crawledVersion,
+      crawledVersionKeys: typeof crawledVersion === 'object' ? Object.keys(crawledVersion) : [],
+      crawledVersionTextPath: crawledVersion.text ? 'exists' : 'missing',
+      crawledVersionTextType: typeof crawledVersion.text,
+      crawledVersionTextValuePath: crawledVersion.text?.value ? 'exists' : 'missing',
+      crawledVersionTextValueType: typeof crawledVersion.text?.value,
+      crawledVersionTextValueLength: crawledVersion.text?.value?.length || 0,
+      extractedTextLength: check.crawled.extractedText?.length || 0
     } : null
   });
 });
@@ -511,9 +520,10 @@ app.post('/api/results/:scanId/export', async (req, res) => {
   try {
     const { scanId } = req.params;
 
-    const scanResult = getScanResult(scanId);
+    const check = getCheckByScanId(scanId);
+    const scanResult = check?.scan;
 
-    if (!scanResult) {
+    if (!scanResult || isExpired(check)) {
       return res.status(404).json({ error: 'Scan not found' });
     }
 
@@ -558,9 +568,10 @@ app.get('/api/stylesheet', (req, res) => {
  */
 app.delete('/api/results/:checkId', (req, res) => {
   const { checkId } = req.params;
-  const scanId = `scan-${checkId}`;
 
-  deleteScanResult(scanId);
+  if (!deleteCheck(checkId)) {
+    return res.status(404).json({ error: 'Check not found' });
+  }
 
   res.json({
     success: true,
@@ -588,6 +599,28 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+/**
+ * Retention sweeper - expires stored results past RESULT_RETENTION_MINUTES
+ * and optionally purges the matching scans from Copyleaks
+ */
+if (CONFIG.RESULT_SWEEP_INTERVAL_MS > 0) {
+  setInterval(async () => {
+    const expiredScanIds = sweepExpiredChecks(CONFIG.RESULT_RETENTION_MINUTES * 60 * 1000);
+
+    if (!CONFIG.PURGE_EXPIRED_SCANS) {
+      return;
+    }
+
+    for (const scanId of expiredScanIds) {
+      try {
+        await plagiarismScanner.deleteScan(scanId);
+      } catch (error) {
+        console.error(`✗ Failed to purge expired scan ${scanId}:`, error.message);
+      }
+    }
+  }, CONFIG.RESULT_SWEEP_INTERVAL_MS).unref();
+}
+
 // Start server
 app.listen(CONFIG.PORT, async () => {
   console.log(`\n${'='.repeat(60)}`);
@@ -1,32 +1,95 @@
+const crypto = require('crypto');
 const express = require('express');
+const {
+  getCheckByScanId,
+  getOrCreateCheckForScan,
+  updateSection,
+  isExpired,
+  claimDelivery,
+  releaseDelivery
+} = require('./check-store');
+const { WEBHOOK_SECRET_HEADER, getWebhookSecrets } = require('./webhook-secrets');
+
 const router = express.Router();
 
-// In-memory storage for scan results
-// In production, use a database (Redis, MongoDB, PostgreSQL, etc.)
-const scanResults = new Map();
-const exportedData = new Map();
-const grammarResults = new Map();
+// The first completed/error webhook finishes a scan; later ones are ignored
+const FINISHED_SCAN_STATUSES = ['completed', 'error'];
+
+// Source groups in newResult payloads
+const SOURCE_TYPES = ['internet', 'database', 'batch', 'repositories'];
+
+/**
+ * Check whether a webhook targets a check the retention sweeper already expired
+ */
+function isExpiredScan(scanId) {
+  return isExpired(getCheckByScanId(scanId));
+}
+
+/**
+ * Reject webhooks without a valid per-scan secret before anything is stored
+ */
+function verifyWebhookSecret(req, res, next) {
+  const { scanId } = req.params;
+
+  if (!getWebhookSecrets().verify(scanId, req.get(WEBHOOK_SECRET_HEADER))) {
+    console.warn(`🚫 Rejected webhook with invalid secret: ${req.method} ${req.path}`);
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  next();
+}
+
+/**
+ * Answer retried webhook deliveries without processing them again
+ * Copyleaks retries with the same URL and body, so a digest of both identifies a delivery.
+ * Handlers release the key when processing fails so the next retry goes through.
+ */
+function skipDuplicateDelivery(req, res, next) {
+  const deliveryKey = crypto
+    .createHash('sha256')
+    .update(`${req.path}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+
+  if (!claimDelivery(req.params.scanId, deliveryKey)) {
+    console.log(`↩️ Duplicate webhook delivery ignored: ${req.path}`);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  req.deliveryKey = deliveryKey;
+  next();
+}
 
 /**
  * Status webhook handler - receives completion/error notifications
+ * `:status` only matches the statuses Copyleaks substitutes into {STATUS}, so the
+ * new-result, crawled, pdf, export-completed and test webhooks reach their own routes.
  */
-router.post('/webhook/:status/:scanId', (req, res) => {
+router.post('/webhook/:status(completed|error|creditsChecked)/:scanId', verifyWebhookSecret, skipDuplicateDelivery, (req, res) => {
   const { status, scanId } = req.params;
   const webhookData = req.body;
 
   console.log(`\n📥 Received ${status} webhook for scan: ${scanId}`);
 
+  if (isExpiredScan(scanId)) {
+    console.warn(`⚠️ Ignoring ${status} webhook for expired scan: ${scanId}`);
+    return res.status(202).json({ ignored: true });
+  }
+
   try {
-    if (status === 'completed') {
-      handleCompletedScan(scanId, webhookData);
+    const check = getOrCreateCheckForScan(scanId);
+    if (FINISHED_SCAN_STATUSES.includes(status) && FINISHED_SCAN_STATUSES.includes(check.scan.status)) {
+      console.warn(`⚠️ Ignoring ${status} webhook for scan already ${check.scan.status}: ${scanId}`);
+    } else if (status === 'completed') {
+      handleCompletedScan(check, webhookData);
     } else if (status === 'error') {
-      handleErrorScan(scanId, webhookData);
+      handleErrorScan(check, webhookData);
     } else if (status === 'creditsChecked') {
-      handleCreditsCheck(scanId, webhookData);
+      handleCreditsCheck(check, webhookData);
     }
 
     res.status(200).json({ received: true });
   } catch (error) {
+    releaseDelivery(req.params.scanId, req.deliveryKey);
     console.error('Error processing webhook:', error);
     res.status(500).json({ error: error.message });
   }
@@ -34,38 +97,105 @@ router.post('/webhook/:status/:scanId', (req, res) => {
 
 /**
  * New result webhook - receives results as they're found
+ * Copyleaks groups each new match by source type ({internet: [...], database: [...], ...});
+ * the sources are stored flat in scan.results with a running tally, so /api/results shows
+ * partial results while the scan is still pending.
  */
-router.post('/webhook/new-result/:scanId', (req, res) => {
+router.post('/webhook/new-result/:scanId', verifyWebhookSecret, skipDuplicateDelivery, (req, res) => {
   const { scanId } = req.params;
   const resultData = req.body;
 
   console.log(`📥 New result found for scan: ${scanId}`);
 
+  if (isExpiredScan(scanId)) {
+    return res.status(202).json({ ignored: true });
+  }
+
   try {
-    if (!scanResults.has(scanId)) {
-      scanResults.set(scanId, {
-        status: 'scanning',
-        results: []
-      });
-    }
+    const check = getOrCreateCheckForScan(scanId);
+    const scanning = ['not_requested', 'pending'].includes(check.scan.status);
+    const results = mergeResults(check.scan.results, sourcesOf(resultData));
+
+    updateSection(check, 'scan', {
+      status: scanning ? 'scanning' : check.scan.status,
+      results,
+      tally: tallySources(results)
+    });
 
-    const scan = scanResults.get(scanId);
-    scan.results.push(resultData);
+    console.log(`  - Matched sources so far: ${results.length}`);
 
     res.status(200).json({ received: true });
   } catch (error) {
+    releaseDelivery(req.params.scanId, req.deliveryKey);
     console.error('Error processing new result:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Flatten a newResult payload into its matched sources, tagged with their type
+ * A payload holding a single source at the top level counts as an internet match.
+ */
+function sourcesOf(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+
+  if (payload.id) {
+    return [{ type: 'internet', ...payload }];
+  }
+
+  return SOURCE_TYPES.flatMap(type =>
+    (Array.isArray(payload[type]) ? payload[type] : []).map(source => ({ type, ...source }))
+  );
+}
+
+/**
+ * Merge results by id, keeping arrival order; a later copy of a result is merged into the
+ * earlier one. Results without an id are always appended.
+ */
+function mergeResults(existing, incoming) {
+  const merged = [...existing];
+
+  for (const result of incoming) {
+    const index = result?.id ? merged.findIndex(item => item?.id === result.id) : -1;
+    if (index === -1) {
+      merged.push(result);
+    } else {
+      merged[index] = { ...merged[index], ...result };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Running tally of the matched sources in scan.results
+ */
+function tallySources(results) {
+  const byType = Object.fromEntries(SOURCE_TYPES.map(type => [type, 0]));
+  let maxMatchedWords = 0;
+
+  for (const result of results) {
+    const type = result.type || 'internet';
+    byType[type] = (byType[type] || 0) + 1;
+    maxMatchedWords = Math.max(maxMatchedWords, result.matchedWords || 0);
+  }
+
+  return { sources: results.length, byType, maxMatchedWords };
+}
+
 /**
  * Handle completed scan webhook
+ * Results collected from new-result webhooks are merged with the completion's list rather
+ * than replaced, since either can arrive first.
  */
-function handleCompletedScan(scanId, data) {
-  const scan = scanResults.get(scanId) || { results: [] };
+function handleCompletedScan(check, data) {
+  const { scanId } = check;
+  const internetResults = (data.results?.internet || []).map(result => ({ type: 'internet', ...result }));
+  const results = mergeResults(check.scan.results, internetResults);
 
-  scanResults.set(scanId, {
+  updateSection(check, 'scan', {
     status: 'completed',
     completedAt: new Date().toISOString(),
     scannedDocument: {
@@ -73,7 +203,8 @@ function handleCompletedScan(scanId, data) {
       totalExcluded: data.scannedDocument?.totalExcluded || 0,
       credits: data.scannedDocument?.credits || 0
     },
-    results: data.results?.internet || scan.results || [],
+    results,
+    tally: tallySources(results),
     score: {
       identicalWords: data.results?.score?.identicalWords || 0,
       minorChangedWords: data.results?.score?.minorChangedWords || 0,
@@ -96,10 +227,10 @@ function handleCompletedScan(scanId, data) {
 /**
  * Handle error webhook
  */
-function handleErrorScan(scanId, data) {
-  console.error(`✗ Scan error for ${scanId}:`, data.error);
+function handleErrorScan(check, data) {
+  console.error(`✗ Scan error for ${check.scanId}:`, data.error);
 
-  scanResults.set(scanId, {
+  updateSection(check, 'scan', {
     status: 'error',
     error: data.error,
     errorAt: new Date().toISOString()
@@ -109,106 +240,105 @@ function handleErrorScan(scanId, data) {
 /**
  * Handle credits check webhook
  */
-function handleCreditsCheck(scanId, data) {
-  console.log(`💰 Credits check for ${scanId}: ${data.credits} credits required`);
+function handleCreditsCheck(check, data) {
+  console.log(`💰 Credits check for ${check.scanId}: ${data.credits} credits required`);
 
-  const scan = scanResults.get(scanId) || {};
-  scan.creditsRequired = data.credits;
-  scanResults.set(scanId, scan);
+  updateSection(check, 'scan', { creditsRequired: data.credits });
 }
 
 /**
  * Receive exported result data with text comparison
  */
-router.post('/webhook/result/:scanId/:resultId', (req, res) => {
+router.post('/webhook/result/:scanId/:resultId', verifyWebhookSecret, skipDuplicateDelivery, (req, res) => {
   const { scanId, resultId } = req.params;
   const resultData = req.body;
 
   console.log(`📥 Received result export: ${scanId}/${resultId}`);
 
+  if (isExpiredScan(scanId)) {
+    return res.status(202).json({ ignored: true });
+  }
+
   try {
-    if (!exportedData.has(scanId)) {
-      exportedData.set(scanId, { results: {} });
-    }
+    const check = getOrCreateCheckForScan(scanId);
 
     // Store the detailed result with text positions
-    exportedData.get(scanId).results[resultId] = resultData;
+    updateSection(check, 'export', {
+      status: check.export.status === 'not_started' ? 'receiving' : check.export.status,
+      results: { ...check.export.results, [resultId]: resultData }
+    });
 
     res.status(200).json({ received: true });
   } catch (error) {
+    releaseDelivery(req.params.scanId, req.deliveryKey);
     console.error('Error storing result:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Receive crawled version (processed document)
+ * Extract the document text from a crawled version
  * Handles multiple possible response formats from Copyleaks API
+ * @param {object|string} crawledData - Crawled version payload
+ * @returns {string|null} Extracted text, null if no known path matched
  */
-router.post('/webhook/crawled/:scanId', (req, res) => {
+function extractCrawledText(crawledData) {
+  if (!crawledData) {
+    return null;
+  }
+
+  const paths = [
+    // Path 1: {text: {value: "..."}}
+    ['crawledData.text.value', data => data.text && typeof data.text === 'object' && data.text.value],
+    // Path 2: {text: "..."}
+    ['crawledData.text', data => typeof data.text === 'string' && data.text],
+    // Path 3: {value: "..."}
+    ['crawledData.value', data => typeof data.value === 'string' && data.value],
+    // Path 4: {content: "..."}
+    ['crawledData.content', data => typeof data.content === 'string' && data.content],
+    // Path 5: {document: {text: "..."}}
+    ['crawledData.document.text', data => data.document?.text],
+    // Path 6: Direct string response
+    ['direct string response', data => typeof data === 'string' && data],
+    // Path 7: {html: {text: "..."}}
+    ['crawledData.html.text', data => data.html?.text],
+    // Path 8: {result: {text: "..."}}
+    ['crawledData.result.text', data => data.result?.text]
+  ];
+
+  for (const [label, extract] of paths) {
+    const text = extract(crawledData);
+    if (text) {
+      console.log(`✓ Extracted text from ${label} (length: ${text.length})`);
+      return text;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Receive crawled version (processed document)
+ */
+router.post('/webhook/crawled/:scanId', verifyWebhookSecret, skipDuplicateDelivery, (req, res) => {
   const { scanId } = req.params;
   const crawledData = req.body;
 
+  if (isExpiredScan(scanId)) {
+    return res.status(202).json({ ignored: true });
+  }
+
   try {
     console.log(`📥 Received crawled webhook for scan: ${scanId}`);
 
-    // Extract text from various possible response formats
-    let extractedText = null;
-
-    // Try all possible paths for text extraction
-    if (crawledData) {
-      // Path 1: {text: {value: "..."}}
-      if (crawledData.text && typeof crawledData.text === 'object' && crawledData.text.value) {
-        extractedText = crawledData.text.value;
-        console.log(`✓ Extracted text from crawledData.text.value (length: ${extractedText.length})`);
-      }
-      // Path 2: {text: "..."}
-      else if (crawledData.text && typeof crawledData.text === 'string') {
-        extractedText = crawledData.text;
-        console.log(`✓ Extracted text from crawledData.text (length: ${extractedText.length})`);
-      }
-      // Path 3: {value: "..."}
-      else if (crawledData.value && typeof crawledData.value === 'string') {
-        extractedText = crawledData.value;
-        console.log(`✓ Extracted text from crawledData.value (length: ${extractedText.length})`);
-      }
-      // Path 4: {content: "..."}
-      else if (crawledData.content && typeof crawledData.content === 'string') {
-        extractedText = crawledData.content;
-        console.log(`✓ Extracted text from crawledData.content (length: ${extractedText.length})`);
-      }
-      // Path 5: {document: {text: "..."}}
-      else if (crawledData.document && crawledData.document.text) {
-        extractedText = crawledData.document.text;
-        console.log(`✓ Extracted text from crawledData.document.text (length: ${extractedText.length})`);
-      }
-      // Path 6: Direct string response
-      else if (typeof crawledData === 'string') {
-        extractedText = crawledData;
-        console.log(`✓ Extracted text from direct string response (length: ${extractedText.length})`);
-      }
-      // Path 7: {html: {text: "..."}}
-      else if (crawledData.html && crawledData.html.text) {
-        extractedText = crawledData.html.text;
-        console.log(`✓ Extracted text from crawledData.html.text (length: ${extractedText.length})`);
-      }
-      // Path 8: {result: {text: "..."}}
-      else if (crawledData.result && crawledData.result.text) {
-        extractedText = crawledData.result.text;
-        console.log(`✓ Extracted text from crawledData.result.text (length: ${extractedText.length})`);
-      }
-    }
-
-    // Store the crawled data
-    if (!exportedData.has(scanId)) {
-      exportedData.set(scanId, {});
-    }
-
-    const stored = exportedData.get(scanId);
-
     // Store both the raw data and extracted text for easier access
-    stored.crawledVersion = crawledData;
-    stored.extractedText = extractedText;
+    const extractedText = extractCrawledText(crawledData);
+    updateSection(getOrCreateCheckForScan(scanId), 'crawled', {
+      status: 'received',
+      version: crawledData,
+      extractedText,
+      receivedAt: new Date().toISOString()
+    });
 
     // Log extraction status
     if (extractedText) {
@@ -221,6 +351,7 @@ router.post('/webhook/crawled/:scanId', (req, res) => {
 
     res.status(200).json({ received: true });
   } catch (error) {
+    releaseDelivery(req.params.scanId, req.deliveryKey);
     console.error(`❌ Error processing crawled webhook for ${scanId}:`, error);
     res.status(500).json({ error: error.message });
   }
@@ -229,21 +360,22 @@ router.post('/webhook/crawled/:scanId', (req, res) => {
 /**
  * Receive PDF report
  */
-router.post('/webhook/pdf/:scanId', (req, res) => {
+router.post('/webhook/pdf/:scanId', verifyWebhookSecret, skipDuplicateDelivery, (req, res) => {
   const { scanId } = req.params;
   const pdfData = req.body;
 
   console.log(`📥 Received PDF report: ${scanId}`);
 
-  try {
-    if (!exportedData.has(scanId)) {
-      exportedData.set(scanId, {});
-    }
+  if (isExpiredScan(scanId)) {
+    return res.status(202).json({ ignored: true });
+  }
 
-    exportedData.get(scanId).pdfReport = pdfData;
+  try {
+    updateSection(getOrCreateCheckForScan(scanId), 'export', { pdfReport: pdfData });
 
     res.status(200).json({ received: true });
   } catch (error) {
+    releaseDelivery(req.params.scanId, req.deliveryKey);
     console.error('Error storing PDF:', error);
     res.status(500).json({ error: error.message });
   }
@@ -252,7 +384,7 @@ router.post('/webhook/pdf/:scanId', (req, res) => {
 /**
  * Export completion webhook
  */
-router.post('/webhook/export-completed/:scanId', (req, res) => {
+router.post('/webhook/export-completed/:scanId', verifyWebhookSecret, skipDuplicateDelivery, (req, res) => {
   const { scanId } = req.params;
   const exportStatus = req.body;
 
@@ -262,75 +394,33 @@ router.post('/webhook/export-completed/:scanId', (req, res) => {
   try {
     // Verify all tasks completed successfully
     const allHealthy = exportStatus.tasks?.every(task => task.isHealthy) ?? false;
+    const succeeded = allHealthy && exportStatus.completed;
+    const check = getCheckByScanId(scanId);
 
-    if (allHealthy && exportStatus.completed) {
+    if (succeeded) {
       console.log('✓ All export tasks completed successfully');
-
-      // Mark scan as fully processed
-      const scan = scanResults.get(scanId);
-      if (scan) {
-        scan.exportCompleted = true;
-        scan.exportCompletedAt = new Date().toISOString();
-        scanResults.set(scanId, scan);
-      }
     } else {
       console.error('✗ Some export tasks failed');
     }
 
+    // Mark the export as fully processed (or failed); the first notice wins, and result
+    // exports arriving after it are still stored
+    if (check && !isExpired(check) && !check.export.completedAt) {
+      updateSection(check, 'export', {
+        status: succeeded ? 'completed' : 'failed',
+        completedAt: new Date().toISOString()
+      });
+    }
+
     res.status(200).json({ received: true });
   } catch (error) {
+    releaseDelivery(req.params.scanId, req.deliveryKey);
     console.error('Error processing export completion:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-/**
- * Helper functions to retrieve stored data
- */
-function getScanResults() {
-  return scanResults;
-}
-
-function getExportedData() {
-  return exportedData;
-}
-
-function getGrammarResults() {
-  return grammarResults;
-}
-
-function storeGrammarResult(checkId, result) {
-  grammarResults.set(checkId, {
-    result: result,
-    checkedAt: new Date().toISOString()
-  });
-}
-
-function getScanResult(scanId) {
-  return scanResults.get(scanId);
-}
-
-function getExportedResult(scanId) {
-  return exportedData.get(scanId);
-}
-
-function getGrammarResult(checkId) {
-  return grammarResults.get(checkId);
-}
-
-function deleteScanResult(scanId) {
-  scanResults.delete(scanId);
-  exportedData.delete(scanId);
-}
-
 module.exports = {
   router,
-  getScanResults,
-  getExportedData,
-  getGrammarResults,
-  storeGrammarResult,
-  getScanResult,
-  getExportedResult,
-  getGrammarResult,
-  deleteScanResult
+  extractCrawledText
 };
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+/**
+ * Per-scan webhook secrets
+ * Each scan gets its own secret, HMAC-SHA256(key, scanId), sent to Copyleaks in the
+ * webhook header fields and echoed back on every webhook as:
+ *
+ *   X-Webhook-Secret: <keyId>.<base64url HMAC>
+ *
+ * Keys come from WEBHOOK_SECRET_KEYS ("<keyId>:<base64 32-byte key>,..."). To rotate, add a
+ * new key and point WEBHOOK_SECRET_ACTIVE_KEY at it; scans in flight keep verifying with the
+ * key named in their header until it is removed.
+ */
+
+const WEBHOOK_SECRET_HEADER = 'x-webhook-secret';
+
+/**
+ * Parse a "<keyId>:<base64>,..." keyring
+ * @param {string} spec - Keyring string
+ * @returns {Map<string, Buffer>} Keys by id
+ */
+function parseKeyring(spec) {
+  const keyring = new Map();
+
+  for (const entry of (spec || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error(`Invalid webhook secret key "${id || entry}": expected <keyId>:<base64 32-byte key>`);
+    }
+    keyring.set(id, key);
+  }
+
+  return keyring;
+}
+
+/**
+ * Build the webhook secret helper
+ * Without keys every webhook is accepted (local development).
+ * @param {object} options
+ * @param {string} [options.keys] - Keyring string
+ * @param {string} [options.activeKeyId] - Key used for new scans (defaults to the first key)
+ */
+function createWebhookSecrets({ keys, activeKeyId } = {}) {
+  const keyring = parseKeyring(keys);
+  const activeId = activeKeyId || keyring.keys().next().value;
+  const enabled = keyring.size > 0;
+
+  if (enabled && !keyring.has(activeId)) {
+    throw new Error(`Active webhook secret key "${activeId}" is not in the keyring`);
+  }
+
+  const sign = (key, scanId) =>
+    crypto.createHmac('sha256', key).update(`webhook:${scanId}`).digest('base64url');
+
+  return {
+    enabled,
+
+    /**
+     * Header pairs in the [[name, value]] shape Copyleaks expects for webhook headers
+     */
+    headersFor(scanId) {
+      return enabled ? [[WEBHOOK_SECRET_HEADER, `${activeId}.${sign(keyring.get(activeId), scanId)}`]] : [];
+    },
+
+    /**
+     * Check a webhook's secret header against any key still in the keyring
+     */
+    verify(scanId, presented) {
+      if (!enabled) {
+        return true;
+      }
+      if (typeof presented !== 'string') {
+        return false;
+      }
+
+      const separator = presented.indexOf('.');
+      const key = keyring.get(presented.slice(0, separator));
+      if (separator < 1 || !key) {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(key, scanId));
+      const actual = Buffer.from(presented.slice(separator + 1));
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+  };
+}
+
+let webhookSecrets = null;
+
+/**
+ * Shared helper built from WEBHOOK_SECRET_KEYS / WEBHOOK_SECRET_ACTIVE_KEY
+ */
+function getWebhookSecrets() {
+  if (!webhookSecrets) {
+    webhookSecrets = createWebhookSecrets({
+      keys: process.env.WEBHOOK_SECRET_KEYS,
+      activeKeyId: process.env.WEBHOOK_SECRET_ACTIVE_KEY
+    });
+  }
+  return webhookSecrets;
+}
+
+module.exports = {
+  WEBHOOK_SECRET_HEADER,
+  createWebhookSecrets,
+  getWebhookSecrets
+};
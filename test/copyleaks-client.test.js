@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const CopyleaksClient = require('../src/copyleaks-client');
+
+/**
+ * Grammar-check requests through the client's circuit breaker
+ */
+
+// Stand in for the HTTP adapter, so requests never leave the process
+function useAdapter(t, adapter) {
+  const original = axios.defaults.adapter;
+  axios.defaults.adapter = adapter;
+  t.after(() => {
+    axios.defaults.adapter = original;
+  });
+  return adapter;
+}
+
+const outage = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+function newClient(circuit) {
+  const client = new CopyleaksClient('user@example.com', 'key', { circuit, requestTimeoutMs: 1000 });
+  client.authToken = 'token';
+  client.tokenExpiry = Date.now() + 60 * 60 * 1000;
+  return client;
+}
+
+test('grammar requests time out and fail fast once the circuit opens', async t => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const request = useAdapter(t, t.mock.fn(async () => {
+    throw outage();
+  }));
+  const client = newClient({ failureThreshold: 2 });
+
+  await assert.rejects(client.makeRequest(client.endpoints.grammarCheck, 'POST', { text: 'a' }), /ECONNREFUSED/);
+  await assert.rejects(client.makeRequest(client.endpoints.grammarCheck, 'POST', { text: 'b' }), /ECONNREFUSED/);
+  await assert.rejects(
+    client.makeRequest(client.endpoints.grammarCheck, 'POST', { text: 'c' }),
+    /Copyleaks is unavailable; retry in 30s/
+  );
+
+  assert.strictEqual(request.mock.callCount(), 2);
+  assert.strictEqual(request.mock.calls[0].arguments[0].timeout, 1000);
+  assert.strictEqual(client.breaker.snapshot().state, 'open');
+});
+
+test('a trial call still running at its deadline reopens the circuit', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  useAdapter(t, () => new Promise(() => {}));
+  const client = newClient({ failureThreshold: 1, resetTimeoutMs: 1, trialTimeoutMs: 20 });
+  client.breaker.recordFailure(outage());
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  // The deadline timer does not hold the process open on its own
+  const keepAlive = setTimeout(() => {}, 1000);
+  await assert.rejects(client.getAccountInfo(), /Copyleaks trial call timed out after 20ms/);
+  clearTimeout(keepAlive);
+  assert.strictEqual(client.breaker.snapshot().state, 'open');
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { router } = require('../src/webhook-handler');
+const { createCheck, getCheck, markScanSubmitted } = require('../src/check-store');
+
+/**
+ * Webhook routes, exercised over HTTP through the mounted router so route order and
+ * parameter matching are covered along with the handlers
+ */
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Keep the handlers' progress logs out of the test output
+  console.log = () => {};
+});
+
+test.after(() => {
+  server.close();
+});
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const json = response.headers.get('content-type')?.includes('application/json');
+  return { status: response.status, body: json ? await response.json() : null };
+}
+
+test('each webhook reaches its own handler', async () => {
+  createCheck('routes', 'scan-routes');
+
+  await post('/webhook/crawled/scan-routes', { text: { value: 'Crawled text' } });
+  await post('/webhook/new-result/scan-routes', { internet: [{ id: 'r1', matchedWords: 4 }] });
+  await post('/webhook/completed/scan-routes', {
+    scannedDocument: { totalWords: 10 },
+    results: { score: { aggregatedScore: 40 }, internet: [{ id: 'r1' }] }
+  });
+  await post('/webhook/result/scan-routes/r1', { text: { comparison: {} } });
+  await post('/webhook/export-completed/scan-routes', {
+    completed: true,
+    tasks: [{ isHealthy: true }]
+  });
+
+  const check = getCheck('routes');
+  assert.strictEqual(check.crawled.status, 'received');
+  assert.strictEqual(check.crawled.extractedText, 'Crawled text');
+  assert.strictEqual(check.scan.status, 'completed');
+  assert.strictEqual(check.scan.results.length, 1);
+  assert.deepStrictEqual(Object.keys(check.export.results), ['r1']);
+  assert.strictEqual(check.export.status, 'completed');
+});
+
+test('statuses other than completed, error and creditsChecked are not status webhooks', async () => {
+  const response = await post('/webhook/unknown/scan-unknown', {});
+
+  assert.strictEqual(response.status, 404);
+});
+
+test('new-result webhooks add up to partial results while the scan runs', async () => {
+  createCheck('partial', 'scan-partial');
+  markScanSubmitted(getCheck('partial'));
+
+  await post('/webhook/new-result/scan-partial', { internet: [{ id: 'a', matchedWords: 3 }] });
+  await post('/webhook/new-result/scan-partial', {
+    internet: [{ id: 'a', title: 'Updated' }],
+    database: [{ id: 'b', matchedWords: 7 }]
+  });
+
+  const { scan } = getCheck('partial');
+  assert.strictEqual(scan.status, 'scanning');
+  assert.deepStrictEqual(scan.results.map(result => [result.id, result.type]), [
+    ['a', 'internet'],
+    ['b', 'database']
+  ]);
+  assert.strictEqual(scan.results[0].title, 'Updated');
+  assert.deepStrictEqual(scan.tally, {
+    sources: 2,
+    byType: { internet: 1, database: 1, batch: 0, repositories: 0 },
+    maxMatchedWords: 7
+  });
+});
+
+test('duplicate pdf and export-completed deliveries are processed once', async () => {
+  createCheck('retries', 'scan-retries');
+  const failedExport = { completed: false, tasks: [{ isHealthy: false }] };
+
+  const pdf = await post('/webhook/pdf/scan-retries', { pdf: 'JVBERi0=' });
+  const pdfRetry = await post('/webhook/pdf/scan-retries', { pdf: 'JVBERi0=' });
+  const exported = await post('/webhook/export-completed/scan-retries', failedExport);
+  const exportRetry = await post('/webhook/export-completed/scan-retries', failedExport);
+
+  assert.deepStrictEqual([pdf.body, pdfRetry.body], [
+    { received: true },
+    { received: true, duplicate: true }
+  ]);
+  assert.deepStrictEqual([exported.body, exportRetry.body], [
+    { received: true },
+    { received: true, duplicate: true }
+  ]);
+
+  const { export: exportState } = getCheck('retries');
+  assert.deepStrictEqual(exportState.pdfReport, { pdf: 'JVBERi0=' });
+  assert.strictEqual(exportState.status, 'failed');
+  const { completedAt } = exportState;
+
+  // A later notice does not reopen the export; results arriving after it are still kept
+  await post('/webhook/export-completed/scan-retries', { completed: true, tasks: [] });
+  await post('/webhook/result/scan-retries/late', { text: { comparison: {} } });
+
+  const { export: after } = getCheck('retries');
+  assert.strictEqual(after.status, 'failed');
+  assert.strictEqual(after.completedAt, completedAt);
+  assert.deepStrictEqual(Object.keys(after.results), ['late']);
+});